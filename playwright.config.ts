@@ -6,6 +6,8 @@ import { defineConfig, devices } from '@playwright/test';
  * Prerequisites:
  * - Local: Start Aspire manually before running tests (dotnet run --project src/Neba.AppHost)
  * - CI: Server is started in a separate workflow step
+ * - No Azure Maps keys are needed: the website routes and geocodes through the OSRM/Nominatim
+ *   stubs in the mock API server, and draws its maps keyless
  *
  * @see https://playwright.dev/docs/test-configuration
  */
@@ -61,7 +63,10 @@ export default defineConfig({
     },
     {
       command:
-        'NebaApi__BaseUrl=http://localhost:5151 AzureMaps__SubscriptionKey=mock-key-for-e2e dotnet run --project src/Neba.Website.Server --urls https://localhost:5200',
+        'NebaApi__BaseUrl=http://localhost:5151 ' +
+        'MapRouting__Provider=Osrm MapRouting__RoutingBaseUrl=http://localhost:5151/osrm ' +
+        'MapRouting__GeocodingBaseUrl=http://localhost:5151/nominatim ' +
+        'dotnet run --project src/Neba.Website.Server --urls https://localhost:5200',
       url: 'https://localhost:5200',
       reuseExistingServer: !process.env.CI,
       timeout: 120 * 1000,
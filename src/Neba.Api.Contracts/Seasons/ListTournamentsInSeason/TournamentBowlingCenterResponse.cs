@@ -19,4 +19,14 @@ public sealed record TournamentBowlingCenterResponse
     /// State where the bowling center is located (two-letter code, e.g., "MA").
     /// </summary>
     public required string State { get; init; }
+
+    /// <summary>
+    /// Latitude of the bowling center in decimal degrees; null when the center has not been geocoded.
+    /// </summary>
+    public double? Latitude { get; init; }
+
+    /// <summary>
+    /// Longitude of the bowling center in decimal degrees; null when the center has not been geocoded.
+    /// </summary>
+    public double? Longitude { get; init; }
 }
\ No newline at end of file
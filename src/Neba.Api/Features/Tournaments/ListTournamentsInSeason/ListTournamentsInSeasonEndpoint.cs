@@ -62,6 +62,8 @@ internal sealed class ListTournamentsInSeasonEndpoint(
                     Name = t.BowlingCenter.Name,
                     City = t.BowlingCenter.City,
                     State = t.BowlingCenter.State,
+                    Latitude = t.BowlingCenter.Latitude,
+                    Longitude = t.BowlingCenter.Longitude,
                 },
                 Sponsors = [.. t.Sponsors.Select(s => new TournamentSponsorResponse
                 {
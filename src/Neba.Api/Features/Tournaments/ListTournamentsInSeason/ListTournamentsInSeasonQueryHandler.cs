@@ -49,7 +49,13 @@ internal sealed class ListTournamentsInSeasonQueryHandler(
                     {
                         Name = tournament.BowlingCenter.Name,
                         City = tournament.BowlingCenter.Address.City,
-                        State = tournament.BowlingCenter.Address.Region
+                        State = tournament.BowlingCenter.Address.Region,
+                        Latitude = tournament.BowlingCenter.Address.Coordinates == null
+                            ? null
+                            : (double?)tournament.BowlingCenter.Address.Coordinates.Latitude,
+                        Longitude = tournament.BowlingCenter.Address.Coordinates == null
+                            ? null
+                            : (double?)tournament.BowlingCenter.Address.Coordinates.Longitude
                     },
                 Sponsors = tournament.Sponsors
                     .Select(tournamentSponsor => tournamentSponsor.Sponsor)
@@ -41,6 +41,8 @@ internal sealed class ListTournamentsInSeasonSummary
                             Name = "Acme Lanes",
                             City = "Springfield",
                             State = "MA",
+                            Latitude = 42.1015,
+                            Longitude = -72.5898,
                         },
                         Sponsors = [],
                         OilPatterns =
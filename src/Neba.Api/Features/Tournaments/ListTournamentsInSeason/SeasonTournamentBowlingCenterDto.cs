@@ -19,4 +19,14 @@ public sealed record SeasonTournamentBowlingCenterDto
     /// Gets the state associated with the current instance.
     /// </summary>
     public required string State { get; init; }
+
+    /// <summary>
+    /// Gets the latitude of the bowling center, or null when its address has no coordinates.
+    /// </summary>
+    public double? Latitude { get; init; }
+
+    /// <summary>
+    /// Gets the longitude of the bowling center, or null when its address has no coordinates.
+    /// </summary>
+    public double? Longitude { get; init; }
 }
\ No newline at end of file
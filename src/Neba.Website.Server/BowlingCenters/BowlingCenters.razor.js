@@ -1,5 +1,5 @@
 // BowlingCenters - Component-scoped JavaScript module
-// Handles list scrolling functionality
+// Handles list scrolling and keeps the selected center card in view; re-exports the geolocation helpers used by "near me"
 
 /**
  * Scrolls the centers list container to the top
@@ -10,3 +10,21 @@ export function scrollToTop() {
         element.scrollTop = 0;
     }
 }
+
+/**
+ * Scrolls the card for a center into view within the centers list
+ * @param {string} locationId - The map location ID of the center (matches the card's data-location-id)
+ */
+export function scrollCenterIntoView(locationId) {
+    const container = document.querySelector('#centers-scroll-container');
+    if (!container) {
+        return;
+    }
+
+    const card = [...container.querySelectorAll('[data-location-id]')]
+        .find(element => element.dataset.locationId === locationId);
+
+    card?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+export { getCurrentLocation, locatePostalCode } from "../js/geolocation.js";
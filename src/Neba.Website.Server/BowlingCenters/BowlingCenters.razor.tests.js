@@ -1,5 +1,5 @@
 import { describe, test, expect, beforeEach, jest } from '@jest/globals';
-import { scrollToTop } from './BowlingCenters.razor.js';
+import { scrollToTop, scrollCenterIntoView } from './BowlingCenters.razor.js';
 
 describe('BowlingCenters', () => {
   beforeEach(() => {
@@ -56,4 +56,58 @@ describe('BowlingCenters', () => {
       expect(container.scrollTop).toBe(0);
     });
   });
+
+  describe('scrollCenterIntoView', () => {
+    function createList(...locationIds) {
+      const container = document.createElement('div');
+      container.id = 'centers-scroll-container';
+
+      const cards = locationIds.map(locationId => {
+        const card = document.createElement('div');
+        card.dataset.locationId = locationId;
+        card.scrollIntoView = jest.fn();
+        container.appendChild(card);
+        return card;
+      });
+
+      document.body.appendChild(container);
+      return cards;
+    }
+
+    test('should scroll the matching card into view', () => {
+      // Arrange
+      const [first, second] = createList('Lucky-Lanes-Boston', 'Pin-Palace-Worcester');
+
+      // Act
+      scrollCenterIntoView('Pin-Palace-Worcester');
+
+      // Assert
+      expect(second.scrollIntoView).toHaveBeenCalledWith({ behavior: 'smooth', block: 'nearest' });
+      expect(first.scrollIntoView).not.toHaveBeenCalled();
+    });
+
+    test('should match ids containing characters that are special in selectors', () => {
+      // Arrange
+      const [card] = createList('O\'Brien\'s-"Lanes"-Quincy');
+
+      // Act
+      scrollCenterIntoView('O\'Brien\'s-"Lanes"-Quincy');
+
+      // Assert
+      expect(card.scrollIntoView).toHaveBeenCalled();
+    });
+
+    test('should handle when no card matches', () => {
+      // Arrange
+      createList('Lucky-Lanes-Boston');
+
+      // Act & Assert
+      expect(() => scrollCenterIntoView('Missing-Center')).not.toThrow();
+    });
+
+    test('should handle when the list does not exist', () => {
+      // Act & Assert
+      expect(() => scrollCenterIntoView('Lucky-Lanes-Boston')).not.toThrow();
+    });
+  });
 });
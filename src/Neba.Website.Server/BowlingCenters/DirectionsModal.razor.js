@@ -1,137 +1,208 @@
 // DirectionsModal - Handles geolocation and address search for directions feature
 
+import { KEYLESS_MAP_STYLE, getRoutingProvider, resolveMapRendering } from "../js/routing-providers.js";
+import { createAddressAutocomplete } from "../js/address-autocomplete.js";
+import { ROUTE_EXPORT_FORMATS, buildGpx, buildKml, buildPrintableDirections, readRouteCoordinates } from "../js/route-export.js";
+import { createRouteTracker } from "../js/route-tracking.js";
+import { describeGeolocationError } from "../js/geolocation.js";
+import * as originStore from "../js/saved-origins.js";
+import { isValidPosition } from "../js/proximity.js";
+import { observeTheme, readMapViewPreferences, resolveMapStyle } from "../js/map-style.js";
+
+export { getCurrentLocation } from "../js/geolocation.js";
+
+// One typeahead engine per input, so typing a carpool stop never cancels the starting-address search
+const autocompleteEngines = new Map();
+
 /**
- * Gets the user's current location using the browser's Geolocation API
- * @returns {Promise<number[]>} Promise that resolves to [longitude, latitude]
+ * Gets the typeahead engine for an input, geocoding with the routing provider of its latest query
+ * @param {string} field - Input the query came from (e.g., 'address', 'stop')
+ * @param {Object} provider - Routing provider from getRoutingProvider
+ * @returns {Object} Address autocomplete engine
  */
-export async function getCurrentLocation() {
-    return new Promise((resolve, reject) => {
-        if (!navigator.geolocation) {
-            reject(new Error('Geolocation is not supported by your browser'));
-            return;
-        }
-
-        navigator.geolocation.getCurrentPosition(
-            (position) => {
-                const longitude = position.coords.longitude;
-                const latitude = position.coords.latitude;
-                console.log('[DirectionsModal] Got current location:', { latitude, longitude });
-                resolve([longitude, latitude]);
-            },
-            (error) => {
-                let errorMessage = 'Unable to retrieve your location';
-
-                switch (error.code) {
-                    case error.PERMISSION_DENIED:
-                        errorMessage = 'Location access denied. Please enable location services.';
-                        break;
-                    case error.POSITION_UNAVAILABLE:
-                        errorMessage = 'Location information unavailable.';
-                        break;
-                    case error.TIMEOUT:
-                        errorMessage = 'Location request timed out.';
-                        break;
-                }
+function getAutocompleteEngine(field, provider) {
+    let entry = autocompleteEngines.get(field);
+    if (!entry) {
+        entry = { provider, engine: null };
+        entry.engine = createAddressAutocomplete((query, options) => entry.provider.geocode(query, options));
+        autocompleteEngines.set(field, entry);
+    }
 
-                console.error('[DirectionsModal] Geolocation error:', errorMessage, error);
-                reject(new Error(errorMessage));
-            },
-            {
-                enableHighAccuracy: false, // Don't require GPS, WiFi/cell tower is fine
-                timeout: 10000, // 10 second timeout
-                maximumAge: 300000 // Accept cached location up to 5 minutes old
-            }
-        );
-    });
+    entry.provider = provider;
+    return entry.engine;
 }
 
 /**
- * Searches for address suggestions using Azure Maps Search API
- * Supports both subscription key (local dev) and Azure AD (production) authentication
- * @param {string} query - The address search query
- * @returns {Promise<Array>} Promise that resolves to array of address suggestions
+ * Suggests addresses and places as the user types, using the configured routing provider
+ * (Azure Maps fuzzy search, or Nominatim when the OSRM provider is configured). Requests are
+ * debounced, earlier requests for the same input are aborted, and answers are cached.
+ * @param {string} query - Text typed so far
+ * @param {number[]|null} bias - [longitude, latitude] to favour results around (the destination center)
+ * @param {string} field - Input the query came from, so each input cancels only its own searches
+ * @param {Object|null} routingConfig - { provider, routingUrl, geocodingUrl } from the MapRouting settings; null for Azure Maps
+ * @returns {Promise<Array|null>} Address suggestions in the provider's order (the provider favours results near the bias), or null when a newer query superseded this one
  */
-export async function searchAddress(query) {
-    console.log('[DirectionsModal] Searching for address:', query);
-
+export async function searchAddress(query, bias = null, field = 'address', routingConfig = null) {
     // Wait for Azure Maps SDK to be loaded
     if (typeof atlas === 'undefined') {
         console.error('[DirectionsModal] Azure Maps SDK not loaded');
         return [];
     }
 
-    try {
-        // Get authentication configuration
-        const authConfig = globalThis.azureMapsAuthConfig;
-
-        if (!authConfig) {
-            console.error('[DirectionsModal] No Azure Maps auth configuration available');
-            return [];
-        }
-
-        let url = `https://atlas.microsoft.com/search/address/json?` +
-            `api-version=1.0` +
-            `&query=${encodeURIComponent(query)}` +
-            `&limit=5` +
-            `&countrySet=US` +
-            `&view=Auto`;
-
-        let headers = {};
-
-        // Determine authentication method
-        if (authConfig.subscriptionKey) {
-            // Local development: Use subscription key
-            console.log('[DirectionsModal] Using subscription key authentication');
-            url += `&subscription-key=${authConfig.subscriptionKey}`;
-        } else if (authConfig.accountId) {
-            // Production: Use Azure AD authentication
-            console.log('[DirectionsModal] Using Azure AD authentication');
-            const token = await getAzureADToken();
-            if (!token) {
-                console.error('[DirectionsModal] Failed to get Azure AD token');
-                return [];
-            }
-            headers['Authorization'] = `Bearer ${token}`;
-            headers['x-ms-client-id'] = authConfig.accountId;
-        } else {
-            console.error('[DirectionsModal] No valid authentication method available');
-            return [];
-        }
-
-        console.log('[DirectionsModal] Fetching from Azure Maps Search API...');
-        const response = await fetch(url, { headers });
+    const provider = getRoutingProvider(routingConfig);
+    if (!provider) {
+        console.error('[DirectionsModal] No routing provider configured for address search');
+        return [];
+    }
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('[DirectionsModal] Search API error:', response.status, response.statusText, errorText);
-            return [];
+    try {
+        const results = await getAutocompleteEngine(field, provider).suggest(query, bias);
+        if (results === null) {
+            return null;
         }
 
-        const data = await response.json();
-        console.log('[DirectionsModal] Search API response:', data);
-
-        if (!data.results || data.results.length === 0) {
-            console.log('[DirectionsModal] No results found for query:', query);
+        if (results.length === 0) {
+            // The query is what the member typed - often their home address - so it stays out of the log
+            console.log('[DirectionsModal] No results found for address search');
             return [];
         }
 
         // Transform results to our format
         // Note: Using PascalCase to match C# AddressSuggestion class for proper deserialization
-        const suggestions = data.results.map(result => ({
-            Address: result.address.freeformAddress,
-            Locality: result.address.municipality || result.address.countrySubdivision,
-            Latitude: result.position.lat,
-            Longitude: result.position.lon
+        return results.map(result => ({
+            Address: result.address,
+            Locality: result.locality,
+            Latitude: result.latitude,
+            Longitude: result.longitude,
+            Name: result.name ?? null
         }));
-
-        console.log('[DirectionsModal] Found address suggestions:', suggestions.length, suggestions);
-        return suggestions;
     } catch (error) {
         console.error('[DirectionsModal] Error searching address:', error);
         return [];
     }
 }
 
+/**
+ * Turns coordinates from getCurrentLocation into a readable address with the configured routing provider,
+ * so the origin field can show where "from" is
+ * @param {number[]} location - [longitude, latitude]
+ * @param {Object|null} routingConfig - { provider, routingUrl, geocodingUrl } from the MapRouting settings; null for Azure Maps
+ * @returns {Promise<Object|null>} Address suggestion for the location, or null when it cannot be resolved
+ */
+export async function reverseGeocodeLocation(location, routingConfig = null) {
+    const provider = getRoutingProvider(routingConfig);
+    if (!provider) {
+        console.error('[DirectionsModal] No routing provider configured for reverse geocoding');
+        return null;
+    }
+
+    try {
+        const result = await provider.reverseGeocode(location);
+        if (!result) {
+            console.log('[DirectionsModal] No address found for location:', location);
+            return null;
+        }
+
+        // Note: Using PascalCase to match C# AddressSuggestion class for proper deserialization
+        return {
+            Address: result.address,
+            Locality: result.locality,
+            Latitude: result.latitude,
+            Longitude: result.longitude,
+            Name: null
+        };
+    } catch (error) {
+        console.error('[DirectionsModal] Error reverse geocoding location:', error);
+        return null;
+    }
+}
+
+/**
+ * Cancels pending address searches for an input (e.g., when a suggestion is picked or the modal closes)
+ * @param {string} field - Input to cancel searches for
+ */
+export function cancelAddressSearch(field = 'address') {
+    autocompleteEngines.get(field)?.engine.cancel();
+}
+
+/**
+ * Cancels every pending search and forgets cached answers (used by tests)
+ */
+export function resetAddressSearch() {
+    autocompleteEngines.forEach(({ engine }) => engine.cancel());
+    autocompleteEngines.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Saved and recent starting points
+// ---------------------------------------------------------------------------
+
+/**
+ * Converts stored origins for .NET
+ * Note: Using PascalCase to match the C# OriginHistory and SavedOrigin classes for deserialization
+ * @param {Object} origins - { saved, recent } from saved-origins.js
+ * @returns {Object} { Saved, Recent }
+ */
+function toOriginHistory(origins) {
+    const toSavedOrigin = origin => ({
+        Name: origin.name ?? null,
+        Address: origin.address,
+        Latitude: origin.latitude,
+        Longitude: origin.longitude
+    });
+
+    return {
+        Saved: origins.saved.map(toSavedOrigin),
+        Recent: origins.recent.map(toSavedOrigin)
+    };
+}
+
+/**
+ * Gets the member's saved places and recently used starting points
+ * @returns {Object} { Saved, Recent }
+ */
+export function getSavedOrigins() {
+    return toOriginHistory(originStore.readOrigins());
+}
+
+/**
+ * Saves a named starting point (e.g., "Home")
+ * @param {string} name - Name of the place
+ * @param {string} address - Address of the place
+ * @param {number[]} location - [longitude, latitude]
+ * @returns {Object} Updated { Saved, Recent }
+ */
+export function saveOrigin(name, address, location) {
+    return toOriginHistory(originStore.saveOrigin(name, address, location));
+}
+
+/**
+ * Removes a saved starting point
+ * @param {string} name - Name of the place
+ * @returns {Object} Updated { Saved, Recent }
+ */
+export function removeSavedOrigin(name) {
+    return toOriginHistory(originStore.removeSavedOrigin(name));
+}
+
+/**
+ * Records an address picked from the search suggestions as a recent starting point
+ * @param {string} address - Address of the place
+ * @param {number[]} location - [longitude, latitude]
+ * @returns {Object} Updated { Saved, Recent }
+ */
+export function addRecentOrigin(address, location) {
+    return toOriginHistory(originStore.addRecentOrigin(address, location));
+}
+
+/**
+ * Forgets the recently used starting points
+ * @returns {Object} Updated { Saved, Recent }
+ */
+export function clearRecentOrigins() {
+    return toOriginHistory(originStore.clearRecentOrigins());
+}
+
 /**
  * Opens a URL in a new browser tab
  * @param {string} url - The URL to open
@@ -145,6 +216,12 @@ export function openInNewTab(url) {
 // ---------------------------------------------------------------------------
 
 let routeMap = null;
+let routeMapBounds = null;
+let routeMapStyle = null;
+let stopObservingTheme = null;
+
+// Close enough to read the street names around a maneuver
+const STEP_ZOOM = 16;
 
 /**
  * Waits for Azure Maps SDK to be available.
@@ -205,13 +282,17 @@ function waitForVisibleContainer(containerId, timeoutMs = 2000) {
 
 /**
  * Initializes a compact Azure Maps instance inside the directions modal,
- * rendering the route line and start/end markers.
+ * rendering the route line (through every carpool stop), start/end markers, numbered stop markers
+ * and a marker for each maneuver numbered like the turn-by-turn list.
  * @param {string} containerId - ID of the DOM element to render the map into
  * @param {number[]} origin - [longitude, latitude] of the user's starting point
  * @param {number[]} destination - [longitude, latitude] of the bowling center
  * @param {string|null} routeGeoJson - GeoJSON Feature string for the route line
+ * @param {Array<number[]>|null} waypoints - [longitude, latitude] of each carpool stop, in visiting order
+ * @param {Array<number[]|null>|null} maneuvers - [longitude, latitude] of each instruction, in order (null when unknown)
+ * @param {Object|null} routingConfig - { provider, routingUrl, geocodingUrl, tileUrl } from the MapRouting settings; null for Azure Maps
  */
-export async function initializeRouteMap(containerId, origin, destination, routeGeoJson) {
+export async function initializeRouteMap(containerId, origin, destination, routeGeoJson, waypoints = null, maneuvers = null, routingConfig = null) {
     disposeRouteMap();
 
     try {
@@ -223,22 +304,22 @@ export async function initializeRouteMap(containerId, origin, destination, route
 
     await waitForVisibleContainer(containerId);
 
-    const authConfig = globalThis.azureMapsAuthConfig;
-    if (!authConfig) {
-        console.error('[DirectionsModal] No Azure Maps auth config available for route map');
+    const rendering = resolveMapRendering(globalThis.azureMapsAuthConfig, routingConfig);
+    if (!rendering) {
+        console.error('[DirectionsModal] No Azure Maps credentials or OSRM routing provider for the route map');
         return;
     }
 
-    const mapOptions = { language: 'en-US' };
+    // Drawn in the same style as the main map, so it turns dark with the site when no style was picked
+    routeMapStyle = rendering.keyless ? KEYLESS_MAP_STYLE : resolveMapStyle(readMapViewPreferences().style);
 
-    if (authConfig.subscriptionKey) {
-        mapOptions.authOptions = { authType: 'subscriptionKey', subscriptionKey: authConfig.subscriptionKey };
-    } else if (authConfig.accountId) {
-        mapOptions.authOptions = { authType: 'aad', clientId: authConfig.accountId };
-    } else {
-        console.error('[DirectionsModal] No valid auth method available for route map');
-        return;
-    }
+    // preserveDrawingBuffer keeps the rendered route readable for the printable directions snapshot
+    const mapOptions = {
+        language: 'en-US',
+        ...(rendering.authOptions ? { authOptions: rendering.authOptions } : {}),
+        style: routeMapStyle,
+        preserveDrawingBuffer: true
+    };
 
     try {
         routeMap = new atlas.Map(containerId, mapOptions);
@@ -247,12 +328,24 @@ export async function initializeRouteMap(containerId, origin, destination, route
         return;
     }
 
+    stopObservingTheme = observeTheme(() => {
+        const style = resolveMapStyle(readMapViewPreferences().style);
+        if (routeMap && !rendering.keyless && style !== routeMapStyle) {
+            routeMapStyle = style;
+            routeMap.setStyle({ style });
+        }
+    });
+
     routeMap.events.add('error', (event) => {
         console.error('[DirectionsModal] Route map error event:', event);
     });
 
     routeMap.events.add('ready', () => {
         try {
+            if (rendering.tileUrl) {
+                routeMap.layers.add(new atlas.layer.TileLayer({ tileUrl: rendering.tileUrl, tileSize: 256 }));
+            }
+
             const dataSource = new atlas.source.DataSource();
             routeMap.sources.add(dataSource);
 
@@ -275,6 +368,26 @@ export async function initializeRouteMap(containerId, origin, destination, route
                 }
             }
 
+            const maneuverFeatures = (Array.isArray(maneuvers) ? maneuvers : [])
+                .map((position, index) => isValidPosition(position)
+                    ? new atlas.data.Feature(new atlas.data.Point(position), { pointType: 'maneuver', stepNumber: index + 1 })
+                    : null)
+                .filter(feature => feature !== null);
+            if (maneuverFeatures.length > 0) {
+                dataSource.add(maneuverFeatures);
+
+                // Drawn below the start, stop and destination pins; overlapping numbers hide until zoomed in
+                routeMap.layers.add(new atlas.layer.SymbolLayer(dataSource, null, {
+                    iconOptions: { image: 'pin-round-darkblue', anchor: 'center', allowOverlap: false },
+                    textOptions: {
+                        textField: ['to-string', ['get', 'stepNumber']],
+                        color: '#ffffff',
+                        size: 11
+                    },
+                    filter: ['==', ['get', 'pointType'], 'maneuver']
+                }));
+            }
+
             const hasOrigin = Array.isArray(origin) && origin.length === 2;
             const hasDestination = Array.isArray(destination) && destination.length === 2;
             if (hasOrigin && hasDestination) {
@@ -291,10 +404,28 @@ export async function initializeRouteMap(containerId, origin, destination, route
                     filter: ['==', ['get', 'pointType'], 'destination']
                 }));
 
-                let boundsData = [
-                    new atlas.data.Point(origin),
-                    new atlas.data.Point(destination)
-                ];
+                const stops = (Array.isArray(waypoints) ? waypoints : [])
+                    .filter(stop => Array.isArray(stop) && stop.length === 2);
+                if (stops.length > 0) {
+                    stops.forEach((stop, index) => {
+                        dataSource.add(new atlas.data.Feature(new atlas.data.Point(stop), {
+                            pointType: 'waypoint',
+                            stopNumber: index + 1
+                        }));
+                    });
+
+                    routeMap.layers.add(new atlas.layer.SymbolLayer(dataSource, null, {
+                        iconOptions: { image: 'marker-yellow', anchor: 'bottom', allowOverlap: true },
+                        textOptions: {
+                            textField: ['to-string', ['get', 'stopNumber']],
+                            offset: [0, -1.4],
+                            color: '#1f2937'
+                        },
+                        filter: ['==', ['get', 'pointType'], 'waypoint']
+                    }));
+                }
+
+                let boundsData = [origin, ...stops, destination].map(position => new atlas.data.Point(position));
                 if (routeGeoJson) {
                     try {
                         const rf = JSON.parse(routeGeoJson);
@@ -304,6 +435,7 @@ export async function initializeRouteMap(containerId, origin, destination, route
                     } catch { /* fall back to origin/destination */ }
                 }
                 const bounds = atlas.data.BoundingBox.fromData(boundsData);
+                routeMapBounds = bounds;
                 routeMap.setCamera({ bounds, padding: 40 });
             }
 
@@ -321,40 +453,281 @@ export async function initializeRouteMap(containerId, origin, destination, route
 }
 
 /**
- * Disposes the route mini-map instance if one exists.
+ * Disposes the route mini-map instance if one exists, stopping "follow me" with it.
  */
 export function disposeRouteMap() {
+    stopFollowMe();
+
+    if (stopObservingTheme) {
+        stopObservingTheme();
+        stopObservingTheme = null;
+    }
+
     if (routeMap) {
         routeMap.dispose();
         routeMap = null;
     }
+
+    routeMapBounds = null;
+    routeMapStyle = null;
+    followDataSource = null;
 }
 
 /**
- * Gets an Azure AD access token for Azure Maps API calls
- * In production with Azure App Service, this uses the built-in authentication
- * @returns {Promise<string|null>} The access token or null if not available
+ * Zooms the route mini-map to one maneuver (when an instruction is clicked or stepped to)
+ * @param {number[]} position - [longitude, latitude] of the maneuver
+ * @returns {boolean} True when the mini-map moved
  */
-async function getAzureADToken() {
-    try {
-        // In Azure App Service with Easy Auth enabled, we can get the token from /.auth/me
-        const response = await fetch('/.auth/me');
+export function focusRouteStep(position) {
+    if (!routeMap || !isValidPosition(position)) {
+        return false;
+    }
 
-        if (!response.ok) {
-            console.warn('[DirectionsModal] Could not fetch auth info from /.auth/me');
-            return null;
-        }
+    routeMap.setCamera({ center: position, zoom: STEP_ZOOM, type: 'ease', duration: 600 });
+    return true;
+}
+
+/**
+ * Zooms the route mini-map back out to the whole route
+ * @returns {boolean} True when the mini-map moved
+ */
+export function showWholeRoute() {
+    if (!routeMap || !routeMapBounds) {
+        return false;
+    }
+
+    routeMap.setCamera({ bounds: routeMapBounds, padding: 40, type: 'ease', duration: 600 });
+    return true;
+}
+
+// ---------------------------------------------------------------------------
+// Follow me (live position on the route mini-map while the member drives)
+// ---------------------------------------------------------------------------
+
+let followWatchId = null;
+let followDataSource = null;
+let followRerouteTimer = null;
+
+const FOLLOW_ZOOM = 15;
+
+// Pause before asking again for a new route when recalculating from an off-route position failed
+const FOLLOW_REROUTE_RETRY_MS = 15000;
 
-        const data = await response.json();
+/**
+ * Moves the member's position marker on the route mini-map and keeps it in view
+ * @param {number[]} position - [longitude, latitude]
+ */
+function showFollowPosition(position) {
+    if (!routeMap) {
+        return;
+    }
+
+    if (!followDataSource) {
+        followDataSource = new atlas.source.DataSource();
+        routeMap.sources.add(followDataSource);
+        routeMap.layers.add(new atlas.layer.BubbleLayer(followDataSource, null, {
+            radius: 7,
+            color: '#2563eb',
+            strokeColor: '#ffffff',
+            strokeWidth: 3
+        }));
+    }
+
+    followDataSource.setShapes([new atlas.data.Feature(new atlas.data.Point(position), { pointType: 'user' })]);
+    routeMap.setCamera({ center: position, zoom: FOLLOW_ZOOM, type: 'ease', duration: 500 });
+}
+
+/**
+ * Starts "follow me": watches the member's position, moves a marker along the route mini-map and
+ * tells DirectionsModal which instruction comes next. When the member leaves the route the modal is
+ * asked once to recalculate; the new route starts following again. If no new route comes back, the
+ * modal is asked again from a later position after a pause.
+ * @param {Object} dotNetRef - DotNetObjectReference to the DirectionsModal component
+ * @param {string|null} routeGeoJson - GeoJSON Feature string for the route line
+ * @param {Array<number[]|null>} instructionPositions - [longitude, latitude] of each instruction, in order
+ * @returns {boolean} True when the browser started watching the position
+ */
+export function startFollowMe(dotNetRef, routeGeoJson, instructionPositions) {
+    stopFollowMe();
+
+    if (!navigator.geolocation?.watchPosition) {
+        console.warn('[DirectionsModal] Geolocation is not supported; follow me is unavailable');
+        return false;
+    }
+
+    const tracker = createRouteTracker(readRouteCoordinates(routeGeoJson), instructionPositions);
+    let reportedInstructionIndex = null;
+    let rerouteRequested = false;
+
+    const notify = (method, ...args) => dotNetRef.invokeMethodAsync(method, ...args)
+        .catch(error => console.error(`[DirectionsModal] ${method} callback failed:`, error));
+
+    followWatchId = navigator.geolocation.watchPosition(
+        (position) => {
+            const location = [position.coords.longitude, position.coords.latitude];
+            const update = tracker.update(location);
+            if (!update) {
+                return;
+            }
+
+            showFollowPosition(update.position);
+
+            if (update.offRoute) {
+                if (!rerouteRequested) {
+                    rerouteRequested = true;
+                    console.log('[DirectionsModal] Left the route; recalculating from:', location);
+                    notify('NotifyFollowOffRoute', location).then((rerouted) => {
+                        // Ask again later unless a new route came back or following stopped meanwhile
+                        if (rerouted !== true && followWatchId !== null) {
+                            followRerouteTimer = setTimeout(() => {
+                                followRerouteTimer = null;
+                                rerouteRequested = false;
+                            }, FOLLOW_REROUTE_RETRY_MS);
+                        }
+                    });
+                }
+                return;
+            }
 
-        if (data?.[0]?.access_token) {
-            return data[0].access_token;
+            if (update.nextInstructionIndex !== reportedInstructionIndex) {
+                reportedInstructionIndex = update.nextInstructionIndex;
+                notify('NotifyFollowProgress', update.nextInstructionIndex);
+            }
+        },
+        (error) => {
+            const message = describeGeolocationError(error);
+            console.error('[DirectionsModal] Follow me stopped:', message, error);
+            stopFollowMe();
+            notify('NotifyFollowError', message);
+        },
+        {
+            enableHighAccuracy: true, // Turn-by-turn needs GPS, unlike finding a starting point
+            timeout: 20000,
+            maximumAge: 5000
         }
+    );
 
-        console.warn('[DirectionsModal] No access token found in auth response');
-        return null;
+    return true;
+}
+
+/**
+ * Stops "follow me" and removes the position marker
+ */
+export function stopFollowMe() {
+    if (followWatchId !== null) {
+        navigator.geolocation?.clearWatch(followWatchId);
+        followWatchId = null;
+    }
+
+    clearTimeout(followRerouteTimer);
+    followRerouteTimer = null;
+    followDataSource?.clear();
+}
+
+// ---------------------------------------------------------------------------
+// Route export (downloads, printable sheet, share link)
+// ---------------------------------------------------------------------------
+
+/**
+ * Downloads the route as a GPX or KML file
+ * @param {string} format - 'gpx' or 'kml'
+ * @param {string} fileName - File name without extension
+ * @param {string|null} routeGeoJson - GeoJSON Feature string for the route line
+ * @param {string} name - Route name written into the file
+ * @param {Array<Object>} points - [{ name, location: [longitude, latitude] }] for the start, stops and destination
+ * @returns {boolean} True when the download was started
+ */
+export function downloadRouteFile(format, fileName, routeGeoJson, name, points) {
+    const exportFormat = ROUTE_EXPORT_FORMATS[format];
+    if (!exportFormat) {
+        console.warn('[DirectionsModal] Unknown route export format:', format);
+        return false;
+    }
+
+    try {
+        const options = { name, points };
+        const content = format === 'kml' ? buildKml(routeGeoJson, options) : buildGpx(routeGeoJson, options);
+        const url = URL.createObjectURL(new Blob([content], { type: exportFormat.mimeType }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName}.${exportFormat.extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return true;
     } catch (error) {
-        console.error('[DirectionsModal] Error getting Azure AD token:', error);
+        console.error('[DirectionsModal] Failed to export route:', error);
+        return false;
+    }
+}
+
+/**
+ * Captures the route mini-map as an image
+ * @returns {string|null} PNG data URL, or null when the map is not rendered
+ */
+function captureRouteMapSnapshot() {
+    try {
+        return routeMap?.getCanvas()?.toDataURL('image/png') ?? null;
+    } catch (error) {
+        console.warn('[DirectionsModal] Could not capture route map snapshot:', error);
         return null;
     }
 }
+
+/**
+ * Opens the printable turn-by-turn sheet (with a snapshot of the mini-map) and shows the print dialog
+ * @param {Object} sheet - { title, summary, settingsSummary?, steps: [{ text, distance?, heading? }] }
+ * @returns {boolean} False when the browser blocked the print window
+ */
+export function printRouteSheet(sheet) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        console.warn('[DirectionsModal] Print window was blocked');
+        return false;
+    }
+
+    printWindow.document.open();
+    printWindow.document.write(buildPrintableDirections(sheet, captureRouteMapSnapshot()));
+    printWindow.document.close();
+    printWindow.focus();
+
+    // Wait for the snapshot image to load so it makes it onto the page
+    printWindow.addEventListener('load', () => printWindow.print(), { once: true });
+    return true;
+}
+
+/**
+ * Copies text to the clipboard, falling back to a hidden textarea where the Clipboard API is unavailable
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} True when the text was copied
+ */
+export async function copyToClipboard(text) {
+    if (navigator.clipboard?.writeText) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            console.warn('[DirectionsModal] Clipboard API failed, falling back:', error);
+        }
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    try {
+        return document.execCommand('copy');
+    } catch {
+        return false;
+    } finally {
+        textarea.remove();
+    }
+}
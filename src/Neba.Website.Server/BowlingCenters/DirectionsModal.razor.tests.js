@@ -1,5 +1,28 @@
 import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
-import { getCurrentLocation, searchAddress, openInNewTab, initializeRouteMap, disposeRouteMap } from './DirectionsModal.razor.js';
+import {
+  getCurrentLocation,
+  searchAddress,
+  cancelAddressSearch,
+  resetAddressSearch,
+  reverseGeocodeLocation,
+  getSavedOrigins,
+  saveOrigin,
+  removeSavedOrigin,
+  addRecentOrigin,
+  clearRecentOrigins,
+  openInNewTab,
+  initializeRouteMap,
+  disposeRouteMap,
+  focusRouteStep,
+  showWholeRoute,
+  startFollowMe,
+  stopFollowMe,
+  downloadRouteFile,
+  printRouteSheet,
+  copyToClipboard,
+} from './DirectionsModal.razor.js';
+import { resetOriginStore } from '../js/saved-origins.js';
+import { resetMapViewPreferences, saveMapViewPreferences } from '../js/map-style.js';
 
 describe('DirectionsModal', () => {
   beforeEach(() => {
@@ -164,6 +187,7 @@ describe('DirectionsModal', () => {
       // Mock atlas
       globalThis.atlas = {};
       globalThis.fetch = jest.fn();
+      resetAddressSearch();
     });
 
     test('should return empty array when atlas is not loaded', async () => {
@@ -179,7 +203,7 @@ describe('DirectionsModal', () => {
       expect(globalThis.fetch).not.toHaveBeenCalled(); // ensures the early return fired before fetch
     });
 
-    test('should return empty array when no auth config available', async () => {
+    test('should return empty array when no routing provider is configured', async () => {
       // Act
       const result = await searchAddress('Boston, MA');
 
@@ -187,7 +211,7 @@ describe('DirectionsModal', () => {
       expect(result).toEqual([]);
     });
 
-    test('should log specific error when auth config is missing', async () => {
+    test('should log specific error when no routing provider is configured', async () => {
       // Arrange — atlas defined (from beforeEach), authConfig deleted (from top-level beforeEach)
       const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
 
@@ -197,7 +221,7 @@ describe('DirectionsModal', () => {
       // Assert — if BlockStatement/ConditionalExpression mutant skips this branch,
       // the outer catch logs a TypeError message instead, failing this specific-message assertion
       expect(errorSpy).toHaveBeenCalledWith(
-        '[DirectionsModal] No Azure Maps auth configuration available'
+        '[DirectionsModal] No routing provider configured for address search'
       );
       expect(globalThis.fetch).not.toHaveBeenCalled();
 
@@ -237,7 +261,8 @@ describe('DirectionsModal', () => {
         Address: '123 Main St, Boston, MA',
         Locality: 'Boston',
         Latitude: 42.3601,
-        Longitude: -71.0589
+        Longitude: -71.0589,
+        Name: null
       });
 
       const fetchCall = globalThis.fetch.mock.calls[0][0];
@@ -289,7 +314,7 @@ describe('DirectionsModal', () => {
       expect(result).toEqual([]);
     });
 
-    test('should log "no results" message when results array is empty', async () => {
+    test('should log "no results" message without the query when results array is empty', async () => {
       // Arrange
       globalThis.azureMapsAuthConfig = { subscriptionKey: 'test-key-123' };
       const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
@@ -304,10 +329,8 @@ describe('DirectionsModal', () => {
       // Assert — if ConditionalExpression mutant removes the length===0 check,
       // map([]) still returns [] but the specific log message won't be called
       expect(result).toEqual([]);
-      expect(logSpy).toHaveBeenCalledWith(
-        '[DirectionsModal] No results found for query:',
-        'NothingHere'
-      );
+      expect(logSpy).toHaveBeenCalledWith('[DirectionsModal] No results found for address search');
+      expect(JSON.stringify(logSpy.mock.calls)).not.toContain('NothingHere');
 
       logSpy.mockRestore();
     });
@@ -491,6 +514,223 @@ describe('DirectionsModal', () => {
       // Assert
       expect(result).toEqual([]);
     });
+
+    test('should search Nominatim when the OSRM provider is configured', async () => {
+      // Arrange — no Azure credentials are needed for the self-hosted provider
+      const routingConfig = {
+        provider: 'osrm',
+        routingUrl: 'http://localhost:5151/osrm',
+        geocodingUrl: 'http://localhost:5151/nominatim',
+      };
+      globalThis.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue([
+          { display_name: '100 Bowling Way, Boston, MA', lat: '42.3601', lon: '-71.0589', address: { city: 'Boston' } },
+        ]),
+      });
+
+      // Act
+      const result = await searchAddress('100 Bowling Way', null, 'address', routingConfig);
+
+      // Assert
+      expect(result).toEqual([{
+        Address: '100 Bowling Way, Boston, MA',
+        Locality: 'Boston',
+        Latitude: 42.3601,
+        Longitude: -71.0589,
+        Name: null,
+      }]);
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('http://localhost:5151/nominatim/search?');
+    });
+
+    test('should return null for a search superseded by newer typing and only fetch the latest query', async () => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'test-key-123' };
+      globalThis.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ results: [] }),
+      });
+
+      const first = searchAddress('Bost');
+      const second = searchAddress('Boston');
+
+      await expect(first).resolves.toBeNull();
+      await expect(second).resolves.toEqual([]);
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('query=Boston&');
+    });
+
+    test('should answer repeated queries from the cache', async () => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'test-key-123' };
+      globalThis.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          results: [{ address: { freeformAddress: '1 Main St' }, position: { lat: 42.36, lon: -71.06 } }],
+        }),
+      });
+
+      await searchAddress('1 Main St');
+      const result = await searchAddress('1 main st ');
+
+      expect(result).toHaveLength(1);
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should bias the search toward the destination and return POI names', async () => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'test-key-123' };
+      globalThis.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          results: [{
+            poi: { name: 'Holiday Inn Worcester' },
+            address: { freeformAddress: '1 Lincoln Sq, Worcester, MA', municipality: 'Worcester' },
+            position: { lat: 42.27, lon: -71.8 },
+          }],
+        }),
+      });
+
+      const [result] = await searchAddress('Holiday Inn Worcester', [-71.5, 42.5]);
+
+      expect(result.Name).toBe('Holiday Inn Worcester');
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('&lat=42.5&lon=-71.5');
+    });
+
+    test('should keep searches for different inputs independent', async () => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'test-key-123' };
+      globalThis.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ results: [] }),
+      });
+
+      const address = searchAddress('Boston', null, 'address');
+      const stop = searchAddress('Worcester', null, 'stop');
+
+      await expect(address).resolves.toEqual([]);
+      await expect(stop).resolves.toEqual([]);
+      expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('cancelAddressSearch should drop the pending search for that input', async () => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'test-key-123' };
+
+      const pending = searchAddress('Boston');
+      cancelAddressSearch('address');
+
+      await expect(pending).resolves.toBeNull();
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reverseGeocodeLocation', () => {
+    test('returns null when no routing provider is configured', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      globalThis.fetch = jest.fn();
+
+      await expect(reverseGeocodeLocation([-71.0589, 42.3601])).resolves.toBeNull();
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+      expect(errorSpy).toHaveBeenCalledWith('[DirectionsModal] No routing provider configured for reverse geocoding');
+
+      errorSpy.mockRestore();
+    });
+
+    test('resolves the address with subscription key authentication', async () => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'test-key-123' };
+      globalThis.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          addresses: [{ address: { freeformAddress: '1 City Hall Sq, Boston, MA 02201', municipality: 'Boston' } }],
+        }),
+      });
+
+      const result = await reverseGeocodeLocation([-71.0589, 42.3601]);
+
+      expect(result).toEqual({
+        Address: '1 City Hall Sq, Boston, MA 02201',
+        Locality: 'Boston',
+        Latitude: 42.3601,
+        Longitude: -71.0589,
+        Name: null,
+      });
+      const url = globalThis.fetch.mock.calls[0][0];
+      expect(url).toContain('/search/address/reverse/json?');
+      expect(url).toContain('query=42.3601,-71.0589');
+      expect(url).toContain('subscription-key=test-key-123');
+    });
+
+    test('resolves the address with Azure AD authentication', async () => {
+      globalThis.azureMapsAuthConfig = { accountId: 'test-account-id' };
+      globalThis.fetch = jest.fn()
+        .mockResolvedValueOnce({ ok: true, json: jest.fn().mockResolvedValue([{ access_token: 'test-azure-ad-token' }]) })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: jest.fn().mockResolvedValue({ addresses: [{ address: { freeformAddress: '1 City Hall Sq, Boston, MA' } }] }),
+        });
+
+      const result = await reverseGeocodeLocation([-71.0589, 42.3601]);
+
+      expect(result.Address).toBe('1 City Hall Sq, Boston, MA');
+      const [, init] = globalThis.fetch.mock.calls[1];
+      expect(init.headers['Authorization']).toBe('Bearer test-azure-ad-token');
+      expect(init.headers['x-ms-client-id']).toBe('test-account-id');
+    });
+
+    test('returns null when no address is found', async () => {
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'test-key-123' };
+      globalThis.fetch = jest.fn().mockResolvedValue({ ok: true, json: jest.fn().mockResolvedValue({ addresses: [] }) });
+
+      await expect(reverseGeocodeLocation([-71.0589, 42.3601])).resolves.toBeNull();
+
+      logSpy.mockRestore();
+    });
+
+    test('returns null when the request fails', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'test-key-123' };
+      globalThis.fetch = jest.fn().mockRejectedValue(new Error('Network error'));
+
+      await expect(reverseGeocodeLocation([-71.0589, 42.3601])).resolves.toBeNull();
+      expect(errorSpy).toHaveBeenCalledWith('[DirectionsModal] Error reverse geocoding location:', expect.any(Error));
+
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('saved origins', () => {
+    beforeEach(() => {
+      localStorage.clear();
+      resetOriginStore();
+    });
+
+    test('returns empty PascalCase lists before anything is saved', () => {
+      expect(getSavedOrigins()).toEqual({ Saved: [], Recent: [] });
+    });
+
+    test('saveOrigin returns the saved places in PascalCase', () => {
+      expect(saveOrigin('Home', '1 Main St, Worcester, MA', [-71.8, 42.26])).toEqual({
+        Saved: [{ Name: 'Home', Address: '1 Main St, Worcester, MA', Latitude: 42.26, Longitude: -71.8 }],
+        Recent: [],
+      });
+    });
+
+    test('addRecentOrigin lists recent picks without a name', () => {
+      expect(addRecentOrigin('9 Park Sq, Boston, MA', [-71.07, 42.35]).Recent).toEqual([
+        { Name: null, Address: '9 Park Sq, Boston, MA', Latitude: 42.35, Longitude: -71.07 },
+      ]);
+    });
+
+    test('removeSavedOrigin and clearRecentOrigins forget places', () => {
+      saveOrigin('Home', '1 Main St, Worcester, MA', [-71.8, 42.26]);
+      addRecentOrigin('9 Park Sq, Boston, MA', [-71.07, 42.35]);
+
+      expect(removeSavedOrigin('Home').Saved).toEqual([]);
+      expect(clearRecentOrigins()).toEqual({ Saved: [], Recent: [] });
+    });
+
+    test('keeps the places across reads', () => {
+      saveOrigin('Work', '9 Park Sq, Boston, MA', [-71.07, 42.35]);
+
+      expect(getSavedOrigins().Saved.map(origin => origin.Name)).toEqual(['Work']);
+    });
   });
 
   describe('initializeRouteMap', () => {
@@ -504,13 +744,14 @@ describe('DirectionsModal', () => {
         sources: { add: jest.fn() },
         layers: { add: jest.fn() },
         setCamera: jest.fn(),
+        setStyle: jest.fn(),
         dispose: jest.fn(),
         resize: jest.fn(),
       };
       globalThis.atlas = {
         Map: jest.fn(() => mockMap),
         source: { DataSource: jest.fn(() => mockDataSource) },
-        layer: { LineLayer: jest.fn(), SymbolLayer: jest.fn() },
+        layer: { LineLayer: jest.fn(), SymbolLayer: jest.fn(), TileLayer: jest.fn(function (options) { this.options = options; }) },
         data: {
           Feature: jest.fn((geometry, props) => ({ geometry, properties: props })),
           Point: jest.fn((coords) => ({ type: 'Point', coordinates: coords })),
@@ -524,6 +765,9 @@ describe('DirectionsModal', () => {
       disposeRouteMap();
       delete globalThis.atlas;
       delete globalThis.azureMapsAuthConfig;
+      localStorage.clear();
+      resetMapViewPreferences();
+      document.documentElement.className = '';
     });
 
     test('does nothing when no auth config is available', async () => {
@@ -549,6 +793,34 @@ describe('DirectionsModal', () => {
       );
     });
 
+    test('draws the map style the member picked', async () => {
+      saveMapViewPreferences({ style: 'satellite' });
+
+      await initializeRouteMap('map-id', [-71, 42], [-70, 43], null);
+
+      expect(globalThis.atlas.Map).toHaveBeenCalledWith('map-id', expect.objectContaining({ style: 'satellite' }));
+    });
+
+    test('turns dark with the site when no style was picked', async () => {
+      await initializeRouteMap('map-id', [-71, 42], [-70, 43], null);
+      expect(globalThis.atlas.Map).toHaveBeenCalledWith('map-id', expect.objectContaining({ style: 'road' }));
+
+      document.documentElement.classList.add('dark');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(mockMap.setStyle).toHaveBeenCalledWith({ style: 'night' });
+    });
+
+    test('stops following the site theme once disposed', async () => {
+      await initializeRouteMap('map-id', [-71, 42], [-70, 43], null);
+      disposeRouteMap();
+
+      document.documentElement.classList.add('dark');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(mockMap.setStyle).not.toHaveBeenCalled();
+    });
+
     test('creates an atlas Map with AAD auth when accountId is provided', async () => {
       globalThis.azureMapsAuthConfig = { accountId: 'my-account' };
 
@@ -573,6 +845,24 @@ describe('DirectionsModal', () => {
       expect(globalThis.atlas.Map).not.toHaveBeenCalled();
     });
 
+    test('draws a keyless map with the configured tiles for the OSRM provider', async () => {
+      delete globalThis.azureMapsAuthConfig;
+      const tileUrl = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+      const routingConfig = { provider: 'osrm', routingUrl: 'http://localhost:5151/osrm', geocodingUrl: 'http://localhost:5151/nominatim', tileUrl };
+
+      await initializeRouteMap('map-id', [-71, 42], [-70, 43], null, null, null, routingConfig);
+
+      const options = globalThis.atlas.Map.mock.calls[0][1];
+      expect(options.authOptions).toBeUndefined();
+      expect(options.style).toBe('blank');
+      expect(globalThis.atlas.layer.TileLayer).toHaveBeenCalledWith({ tileUrl, tileSize: 256 });
+
+      document.documentElement.classList.add('dark');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(mockMap.setStyle).not.toHaveBeenCalled();
+    });
+
     test('adds a LineLayer when routeGeoJson is provided', async () => {
       const routeGeoJson = JSON.stringify({
         type: 'Feature',
@@ -666,6 +956,34 @@ describe('DirectionsModal', () => {
       );
     });
 
+    test('adds numbered markers for carpool stops', async () => {
+      await initializeRouteMap('map-id', [-71, 42], [-70, 43], null, [[-70.8, 42.2], [-70.4, 42.6]]);
+
+      expect(globalThis.atlas.layer.SymbolLayer).toHaveBeenCalledTimes(3);
+      expect(globalThis.atlas.layer.SymbolLayer).toHaveBeenCalledWith(
+        mockDataSource,
+        null,
+        expect.objectContaining({
+          textOptions: expect.objectContaining({ textField: ['to-string', ['get', 'stopNumber']] }),
+          filter: ['==', ['get', 'pointType'], 'waypoint'],
+        }),
+      );
+      expect(mockDataSource.add).toHaveBeenCalledWith(expect.objectContaining({
+        geometry: { type: 'Point', coordinates: [-70.4, 42.6] },
+        properties: { pointType: 'waypoint', stopNumber: 2 },
+      }));
+    });
+
+    test('includes carpool stops in the camera bounds when no route is provided', async () => {
+      await initializeRouteMap('map-id', [-71, 42], [-70, 43], null, [[-72, 41]]);
+
+      expect(globalThis.atlas.data.BoundingBox.fromData).toHaveBeenCalledWith([
+        { type: 'Point', coordinates: [-71, 42] },
+        { type: 'Point', coordinates: [-72, 41] },
+        { type: 'Point', coordinates: [-70, 43] },
+      ]);
+    });
+
     test('does not add SymbolLayers when origin is null', async () => {
       await initializeRouteMap('map-id', null, [-70, 43], null);
 
@@ -751,6 +1069,53 @@ describe('DirectionsModal', () => {
       expect(fromDataArg[1]).toEqual(expect.objectContaining({ coordinates: [-70, 43] }));
     });
 
+    test('draws a marker for each maneuver numbered like the instruction list', async () => {
+      await initializeRouteMap('map-id', [-71, 42], [-70, 43], null, null, [[-71, 42], null, [-70.5, 42.5]]);
+
+      const maneuvers = mockDataSource.add.mock.calls.find(([features]) => Array.isArray(features))[0];
+      expect(maneuvers.map(feature => feature.properties)).toEqual([
+        { pointType: 'maneuver', stepNumber: 1 },
+        { pointType: 'maneuver', stepNumber: 3 },
+      ]);
+      expect(globalThis.atlas.layer.SymbolLayer).toHaveBeenCalledWith(
+        mockDataSource,
+        null,
+        expect.objectContaining({
+          textOptions: expect.objectContaining({ textField: ['to-string', ['get', 'stepNumber']] }),
+          filter: ['==', ['get', 'pointType'], 'maneuver'],
+        }),
+      );
+    });
+
+    test('skips the maneuver layer when no instruction has a position', async () => {
+      await initializeRouteMap('map-id', [-71, 42], [-70, 43], null, null, [null, null]);
+
+      const filters = globalThis.atlas.layer.SymbolLayer.mock.calls.map(([, , options]) => options.filter);
+      expect(filters).not.toContainEqual(['==', ['get', 'pointType'], 'maneuver']);
+    });
+
+    test('focusRouteStep zooms the mini-map to the maneuver', async () => {
+      await initializeRouteMap('map-id', [-71, 42], [-70, 43], null);
+
+      expect(focusRouteStep([-70.5, 42.5])).toBe(true);
+      expect(mockMap.setCamera).toHaveBeenLastCalledWith(expect.objectContaining({ center: [-70.5, 42.5], zoom: 16 }));
+    });
+
+    test('focusRouteStep ignores unusable positions and a missing map', async () => {
+      expect(focusRouteStep([-70.5, 42.5])).toBe(false);
+
+      await initializeRouteMap('map-id', [-71, 42], [-70, 43], null);
+      expect(focusRouteStep(null)).toBe(false);
+    });
+
+    test('showWholeRoute zooms back out to the route bounds', async () => {
+      await initializeRouteMap('map-id', [-71, 42], [-70, 43], null);
+      focusRouteStep([-70.5, 42.5]);
+
+      expect(showWholeRoute()).toBe(true);
+      expect(mockMap.setCamera).toHaveBeenLastCalledWith(expect.objectContaining({ bounds: [-72, 41, -70, 43], padding: 40 }));
+    });
+
     test('handles errors thrown in the ready handler gracefully', async () => {
       const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
       globalThis.atlas.source.DataSource = jest.fn(() => { throw new Error('DataSource unavailable'); });
@@ -803,6 +1168,214 @@ describe('DirectionsModal', () => {
     });
   });
 
+  describe('startFollowMe', () => {
+    const routeGeoJson = JSON.stringify({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: [[-71.3, 42], [-71.2, 42], [-71.1, 42]] },
+      properties: {},
+    });
+    const instructionPositions = [[-71.3, 42], [-71.2, 42], [-71.1, 42]];
+
+    let watchPosition;
+    let clearWatch;
+    let dotNetRef;
+    let mockMap;
+    let mockFollowSource;
+
+    function reportPosition(longitude, latitude) {
+      watchPosition.mock.calls.at(-1)[0]({ coords: { longitude, latitude } });
+    }
+
+    beforeEach(async () => {
+      watchPosition = jest.fn(() => 7);
+      clearWatch = jest.fn();
+      Object.defineProperty(globalThis.navigator, 'geolocation', {
+        writable: true,
+        configurable: true,
+        value: { watchPosition, clearWatch },
+      });
+
+      dotNetRef = { invokeMethodAsync: jest.fn().mockResolvedValue(undefined) };
+
+      mockFollowSource = { add: jest.fn(), setShapes: jest.fn(), clear: jest.fn() };
+      mockMap = {
+        events: { add: jest.fn((event, cb) => { if (event === 'ready') cb(); }) },
+        sources: { add: jest.fn() },
+        layers: { add: jest.fn() },
+        setCamera: jest.fn(),
+        dispose: jest.fn(),
+        resize: jest.fn(),
+      };
+      globalThis.atlas = {
+        Map: jest.fn(() => mockMap),
+        source: { DataSource: jest.fn(() => mockFollowSource) },
+        layer: { LineLayer: jest.fn(), SymbolLayer: jest.fn(), BubbleLayer: jest.fn() },
+        data: {
+          Feature: jest.fn((geometry, props) => ({ geometry, properties: props })),
+          Point: jest.fn((coords) => ({ type: 'Point', coordinates: coords })),
+          BoundingBox: { fromData: jest.fn(() => [-72, 41, -70, 43]) },
+        },
+      };
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'test-key' };
+
+      await initializeRouteMap('map-id', [-71.3, 42], [-71.1, 42], null);
+    });
+
+    afterEach(() => {
+      disposeRouteMap();
+      delete globalThis.atlas;
+      delete globalThis.azureMapsAuthConfig;
+    });
+
+    test('watches the position with high accuracy', () => {
+      expect(startFollowMe(dotNetRef, routeGeoJson, instructionPositions)).toBe(true);
+
+      expect(watchPosition).toHaveBeenCalledWith(
+        expect.any(Function),
+        expect.any(Function),
+        expect.objectContaining({ enableHighAccuracy: true }),
+      );
+    });
+
+    test('returns false when geolocation is not supported', () => {
+      Object.defineProperty(globalThis.navigator, 'geolocation', { writable: true, configurable: true, value: undefined });
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(startFollowMe(dotNetRef, routeGeoJson, instructionPositions)).toBe(false);
+
+      warnSpy.mockRestore();
+    });
+
+    test('moves the position marker on the mini-map and centers on it', () => {
+      startFollowMe(dotNetRef, routeGeoJson, instructionPositions);
+
+      reportPosition(-71.25, 42);
+
+      expect(globalThis.atlas.layer.BubbleLayer).toHaveBeenCalledWith(mockFollowSource, null, expect.any(Object));
+      expect(mockFollowSource.setShapes).toHaveBeenCalledWith([
+        expect.objectContaining({ properties: { pointType: 'user' } }),
+      ]);
+      expect(mockMap.setCamera).toHaveBeenLastCalledWith(expect.objectContaining({ zoom: 15 }));
+    });
+
+    test('reports the next instruction only when it changes', () => {
+      startFollowMe(dotNetRef, routeGeoJson, instructionPositions);
+
+      reportPosition(-71.25, 42);
+      reportPosition(-71.24, 42);
+      reportPosition(-71.15, 42);
+
+      expect(dotNetRef.invokeMethodAsync.mock.calls).toEqual([
+        ['NotifyFollowProgress', 1],
+        ['NotifyFollowProgress', 2],
+      ]);
+    });
+
+    test('asks for a new route once after the member leaves the route', () => {
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      startFollowMe(dotNetRef, routeGeoJson, instructionPositions);
+
+      for (let i = 0; i < 5; i++) {
+        reportPosition(-71.25, 42.01);
+      }
+
+      const reroutes = dotNetRef.invokeMethodAsync.mock.calls.filter(([method]) => method === 'NotifyFollowOffRoute');
+      expect(reroutes).toEqual([['NotifyFollowOffRoute', [-71.25, 42.01]]]);
+
+      logSpy.mockRestore();
+    });
+
+    describe('when the recalculation fails', () => {
+      function leaveRoute() {
+        for (let i = 0; i < 3; i++) {
+          reportPosition(-71.25, 42.01);
+        }
+      }
+
+      function countReroutes() {
+        return dotNetRef.invokeMethodAsync.mock.calls.filter(([method]) => method === 'NotifyFollowOffRoute').length;
+      }
+
+      beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+        console.log.mockRestore();
+        console.error.mockRestore();
+      });
+
+      test('asks for a new route again after a pause when no route comes back', async () => {
+        dotNetRef.invokeMethodAsync.mockResolvedValue(false);
+        startFollowMe(dotNetRef, routeGeoJson, instructionPositions);
+
+        leaveRoute();
+        await jest.advanceTimersByTimeAsync(14999);
+        reportPosition(-71.25, 42.01);
+        expect(countReroutes()).toBe(1);
+
+        await jest.advanceTimersByTimeAsync(1);
+        reportPosition(-71.25, 42.01);
+        expect(countReroutes()).toBe(2);
+      });
+
+      test('asks for a new route again after a pause when the callback fails', async () => {
+        dotNetRef.invokeMethodAsync.mockRejectedValue(new Error('circuit busy'));
+        startFollowMe(dotNetRef, routeGeoJson, instructionPositions);
+
+        leaveRoute();
+        await jest.advanceTimersByTimeAsync(15000);
+        reportPosition(-71.25, 42.01);
+
+        expect(countReroutes()).toBe(2);
+      });
+
+      test('does not ask again once a new route is on its way', async () => {
+        dotNetRef.invokeMethodAsync.mockResolvedValue(true);
+        startFollowMe(dotNetRef, routeGeoJson, instructionPositions);
+
+        leaveRoute();
+        await jest.advanceTimersByTimeAsync(15000);
+        reportPosition(-71.25, 42.01);
+
+        expect(countReroutes()).toBe(1);
+      });
+    });
+
+    test('stops watching and reports the error when the position cannot be read', () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      startFollowMe(dotNetRef, routeGeoJson, instructionPositions);
+
+      watchPosition.mock.calls[0][1]({ code: 1, PERMISSION_DENIED: 1, POSITION_UNAVAILABLE: 2, TIMEOUT: 3 });
+
+      expect(clearWatch).toHaveBeenCalledWith(7);
+      expect(dotNetRef.invokeMethodAsync).toHaveBeenCalledWith('NotifyFollowError', expect.stringContaining('Location access denied'));
+
+      errorSpy.mockRestore();
+    });
+
+    test('stopFollowMe clears the watch and the marker', () => {
+      startFollowMe(dotNetRef, routeGeoJson, instructionPositions);
+      reportPosition(-71.25, 42);
+
+      stopFollowMe();
+
+      expect(clearWatch).toHaveBeenCalledWith(7);
+      expect(mockFollowSource.clear).toHaveBeenCalled();
+    });
+
+    test('disposeRouteMap stops following', () => {
+      startFollowMe(dotNetRef, routeGeoJson, instructionPositions);
+
+      disposeRouteMap();
+
+      expect(clearWatch).toHaveBeenCalledWith(7);
+    });
+  });
+
   describe('openInNewTab', () => {
     test('should open URL in new tab with correct parameters', () => {
       // Arrange
@@ -836,4 +1409,152 @@ describe('DirectionsModal', () => {
       });
     });
   });
+
+  describe('downloadRouteFile', () => {
+    const routeGeoJson = JSON.stringify({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: [[-71, 42], [-70, 43]] },
+    });
+    const points = [{ name: 'Start', location: [-71, 42] }, { name: 'Lanes', location: [-70, 43] }];
+    let clickedLinks;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      clickedLinks = [];
+      URL.createObjectURL = jest.fn(() => 'blob:route');
+      URL.revokeObjectURL = jest.fn();
+      jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+        clickedLinks.push({ href: this.href, download: this.download });
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+    });
+
+    test('downloads a GPX file named after the route', () => {
+      const started = downloadRouteFile('gpx', 'directions-to-lanes', routeGeoJson, 'Directions to Lanes', points);
+
+      expect(started).toBe(true);
+      expect(clickedLinks).toEqual([{ href: 'blob:route', download: 'directions-to-lanes.gpx' }]);
+      expect(URL.createObjectURL.mock.calls[0][0].type).toBe('application/gpx+xml');
+    });
+
+    test('downloads a KML file', () => {
+      downloadRouteFile('kml', 'directions-to-lanes', routeGeoJson, 'Directions to Lanes', points);
+
+      expect(clickedLinks[0].download).toBe('directions-to-lanes.kml');
+      expect(URL.createObjectURL.mock.calls[0][0].type).toBe('application/vnd.google-earth.kml+xml');
+    });
+
+    test('releases the file URL after the download starts', () => {
+      downloadRouteFile('gpx', 'route', routeGeoJson, 'Route', points);
+
+      jest.runAllTimers();
+
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:route');
+    });
+
+    test('rejects unknown formats', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(downloadRouteFile('shp', 'route', routeGeoJson, 'Route', points)).toBe(false);
+      expect(URL.createObjectURL).not.toHaveBeenCalled();
+      expect(warnSpy).toHaveBeenCalledWith('[DirectionsModal] Unknown route export format:', 'shp');
+    });
+  });
+
+  describe('printRouteSheet', () => {
+    const sheet = {
+      title: 'Directions to Lanes',
+      summary: '5.0 mi · 10 min',
+      steps: [{ text: 'Head north', distance: '0.2 mi' }],
+    };
+
+    function createPrintWindow() {
+      const printDocument = { open: jest.fn(), write: jest.fn(), close: jest.fn() };
+      return {
+        document: printDocument,
+        focus: jest.fn(),
+        print: jest.fn(),
+        addEventListener: jest.fn((event, callback) => { if (event === 'load') callback(); }),
+      };
+    }
+
+    test('writes the sheet into a new window and prints it', () => {
+      const printWindow = createPrintWindow();
+      globalThis.window.open.mockReturnValue(printWindow);
+
+      expect(printRouteSheet(sheet)).toBe(true);
+
+      expect(globalThis.window.open).toHaveBeenCalledWith('', '_blank');
+      expect(printWindow.document.write).toHaveBeenCalledWith(expect.stringContaining('Head north'));
+      expect(printWindow.print).toHaveBeenCalled();
+    });
+
+    test('includes a snapshot of the route mini-map', async () => {
+      const mockMap = {
+        events: { add: jest.fn() },
+        getCanvas: jest.fn(() => ({ toDataURL: () => 'data:image/png;base64,ROUTE' })),
+        dispose: jest.fn(),
+      };
+      globalThis.atlas = { Map: jest.fn(() => mockMap) };
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'test-key' };
+      await initializeRouteMap('map-id', [-71, 42], [-70, 43], null);
+
+      const printWindow = createPrintWindow();
+      globalThis.window.open.mockReturnValue(printWindow);
+      printRouteSheet(sheet);
+
+      expect(globalThis.atlas.Map).toHaveBeenCalledWith('map-id', expect.objectContaining({ preserveDrawingBuffer: true }));
+      expect(printWindow.document.write).toHaveBeenCalledWith(expect.stringContaining('data:image/png;base64,ROUTE'));
+
+      disposeRouteMap();
+      delete globalThis.atlas;
+    });
+
+    test('returns false when the print window is blocked', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      globalThis.window.open.mockReturnValue(null);
+
+      expect(printRouteSheet(sheet)).toBe(false);
+      expect(warnSpy).toHaveBeenCalledWith('[DirectionsModal] Print window was blocked');
+
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('copyToClipboard', () => {
+    afterEach(() => {
+      delete navigator.clipboard;
+      delete document.execCommand;
+      jest.restoreAllMocks();
+    });
+
+    test('copies with the Clipboard API', async () => {
+      const writeText = jest.fn(() => Promise.resolve());
+      Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+
+      await expect(copyToClipboard('https://neba.example/bowling-centers')).resolves.toBe(true);
+      expect(writeText).toHaveBeenCalledWith('https://neba.example/bowling-centers');
+    });
+
+    test('falls back to a hidden textarea when the Clipboard API fails', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const writeText = jest.fn(() => Promise.reject(new Error('denied')));
+      Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+      document.execCommand = jest.fn(() => true);
+
+      await expect(copyToClipboard('link')).resolves.toBe(true);
+      expect(document.execCommand).toHaveBeenCalledWith('copy');
+      expect(document.querySelector('textarea')).toBeNull();
+    });
+
+    test('returns false when nothing can copy', async () => {
+      await expect(copyToClipboard('link')).resolves.toBe(false);
+    });
+  });
 });
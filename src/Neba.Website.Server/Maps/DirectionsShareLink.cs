@@ -0,0 +1,251 @@
+using System.Collections.ObjectModel;
+using System.Globalization;
+using Microsoft.AspNetCore.WebUtilities;
+using Microsoft.Extensions.Primitives;
+
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// The directions a member chose, encoded in a page URL so a shared link opens the same route:
+/// the destination center, starting point, carpool stops and route options.
+/// </summary>
+/// <remarks>
+/// Query string: <c>?directions={centerId}&amp;from={lat},{lon}&amp;fromName=...&amp;via={lat},{lon}&amp;viaName=...
+/// &amp;travel=bicycle&amp;route=shortest&amp;avoid=tolls&amp;depart=2026-10-24T07:00&amp;optimize=true</c>.
+/// <c>via</c>/<c>viaName</c> repeat once per stop; options at their defaults are left out.
+/// </remarks>
+#pragma warning disable CA1819 // Properties should not return arrays (arrays are needed for JavaScript interop)
+public sealed class DirectionsShareLink
+{
+    private const string CenterKey = "directions";
+    private const string OriginKey = "from";
+    private const string OriginNameKey = "fromName";
+    private const string WaypointKey = "via";
+    private const string WaypointNameKey = "viaName";
+    private const string TravelModeKey = "travel";
+    private const string RouteTypeKey = "route";
+    private const string AvoidKey = "avoid";
+    private const string DepartAtKey = "depart";
+    private const string ArriveAtKey = "arrive";
+    private const string OptimizeKey = "optimize";
+
+    private const string DateTimeFormat = "yyyy-MM-dd'T'HH:mm";
+
+    private static readonly string[] s_keys =
+    [
+        CenterKey, OriginKey, OriginNameKey, WaypointKey, WaypointNameKey,
+        TravelModeKey, RouteTypeKey, AvoidKey, DepartAtKey, ArriveAtKey, OptimizeKey
+    ];
+
+    /// <summary>
+    /// The ID of the destination bowling center.
+    /// </summary>
+    public required string CenterId { get; init; }
+
+    /// <summary>
+    /// The starting point [longitude, latitude].
+    /// </summary>
+    public required double[] Origin { get; init; }
+
+    /// <summary>
+    /// The starting address, when the member typed one.
+    /// </summary>
+    public string? OriginName { get; init; }
+
+    /// <summary>
+    /// Carpool stops in the order the member added them.
+    /// </summary>
+    public Collection<RouteWaypoint> Waypoints { get; } = [];
+
+    /// <summary>
+    /// The route options the member picked.
+    /// </summary>
+    public RouteSettings Settings { get; init; } = new();
+
+    /// <summary>
+    /// Captures the share link for the current directions.
+    /// </summary>
+    /// <param name="state">The directions state.</param>
+    /// <returns>The share link, or null when no destination or starting point has been chosen yet.</returns>
+    public static DirectionsShareLink? FromState(DirectionsState state)
+    {
+        ArgumentNullException.ThrowIfNull(state);
+
+        if (string.IsNullOrEmpty(state.SelectedCenterId) || state.UserLocation is not { Length: 2 } origin)
+        {
+            return null;
+        }
+
+        var link = new DirectionsShareLink
+        {
+            CenterId = state.SelectedCenterId,
+            Origin = origin,
+            OriginName = state.UserAddress,
+            Settings = state.RouteSettings
+        };
+
+        foreach (var waypoint in state.Waypoints)
+        {
+            link.Waypoints.Add(waypoint);
+        }
+
+        return link;
+    }
+
+    /// <summary>
+    /// Builds the share URL on the given page, replacing any directions already in its query string.
+    /// </summary>
+    /// <param name="pageUri">The page the link opens (e.g., the bowling centers page).</param>
+    /// <returns>The share URL.</returns>
+    public Uri ToUri(Uri pageUri)
+    {
+        ArgumentNullException.ThrowIfNull(pageUri);
+
+        var query = QueryHelpers.ParseQuery(pageUri.Query)
+            .Where(pair => !s_keys.Contains(pair.Key, StringComparer.OrdinalIgnoreCase))
+            .ToList();
+
+        query.Add(new(CenterKey, CenterId));
+        query.Add(new(OriginKey, FormatLatLon(Origin)));
+
+        if (!string.IsNullOrWhiteSpace(OriginName))
+        {
+            query.Add(new(OriginNameKey, OriginName));
+        }
+
+        if (Waypoints.Count > 0)
+        {
+            query.Add(new(WaypointKey, new StringValues([.. Waypoints.Select(waypoint => FormatLatLon(waypoint.Location))])));
+            query.Add(new(WaypointNameKey, new StringValues([.. Waypoints.Select(waypoint => waypoint.Name)])));
+        }
+
+        if (Settings.TravelMode != RouteTravelMode.Car)
+        {
+            query.Add(new(TravelModeKey, Settings.TravelMode.ToString().ToLowerInvariant()));
+        }
+
+        if (Settings.RouteType != RouteType.Fastest)
+        {
+            query.Add(new(RouteTypeKey, Settings.RouteType.ToString().ToLowerInvariant()));
+        }
+
+        List<string> avoid = [];
+        if (Settings.AvoidTolls)
+        {
+            avoid.Add("tolls");
+        }
+
+        if (Settings.AvoidHighways)
+        {
+            avoid.Add("highways");
+        }
+
+        if (avoid.Count > 0)
+        {
+            query.Add(new(AvoidKey, new StringValues([.. avoid])));
+        }
+
+        if (Settings.DepartAt is { } departAt)
+        {
+            query.Add(new(DepartAtKey, departAt.ToString(DateTimeFormat, CultureInfo.InvariantCulture)));
+        }
+        else if (Settings.ArriveAt is { } arriveAt)
+        {
+            query.Add(new(ArriveAtKey, arriveAt.ToString(DateTimeFormat, CultureInfo.InvariantCulture)));
+        }
+
+        if (Settings.OptimizeWaypoints)
+        {
+            query.Add(new(OptimizeKey, "true"));
+        }
+
+        return new Uri(QueryHelpers.AddQueryString(pageUri.GetLeftPart(UriPartial.Path), query));
+    }
+
+    /// <summary>
+    /// Reads a share link from a page URL. Unknown or malformed options fall back to their defaults,
+    /// and stops with unreadable coordinates are skipped.
+    /// </summary>
+    /// <param name="uri">The page URL.</param>
+    /// <returns>The share link, or null when the URL has no destination or valid starting point.</returns>
+    public static DirectionsShareLink? FromUri(Uri uri)
+    {
+        ArgumentNullException.ThrowIfNull(uri);
+
+        var query = QueryHelpers.ParseQuery(uri.Query);
+
+        if (!query.TryGetValue(CenterKey, out var centerId)
+            || string.IsNullOrWhiteSpace(centerId)
+            || !query.TryGetValue(OriginKey, out var originValue)
+            || !TryParseLatLon(originValue, out var origin))
+        {
+            return null;
+        }
+
+        var settings = new RouteSettings
+        {
+            TravelMode = Enum.TryParse<RouteTravelMode>(query.GetValueOrDefault(TravelModeKey), ignoreCase: true, out var travelMode)
+                && Enum.IsDefined(travelMode) ? travelMode : RouteTravelMode.Car,
+            RouteType = Enum.TryParse<RouteType>(query.GetValueOrDefault(RouteTypeKey), ignoreCase: true, out var routeType)
+                && Enum.IsDefined(routeType) ? routeType : RouteType.Fastest,
+            AvoidTolls = query.GetValueOrDefault(AvoidKey).Contains("tolls"),
+            AvoidHighways = query.GetValueOrDefault(AvoidKey).Contains("highways"),
+            DepartAt = TryParseDateTime(query.GetValueOrDefault(DepartAtKey)),
+            OptimizeWaypoints = string.Equals(query.GetValueOrDefault(OptimizeKey), "true", StringComparison.OrdinalIgnoreCase)
+        };
+
+        if (settings.DepartAt is null)
+        {
+            settings.ArriveAt = TryParseDateTime(query.GetValueOrDefault(ArriveAtKey));
+        }
+
+        var originName = query.GetValueOrDefault(OriginNameKey).ToString();
+        var link = new DirectionsShareLink
+        {
+            CenterId = centerId.ToString(),
+            Origin = origin,
+            OriginName = string.IsNullOrWhiteSpace(originName) ? null : originName,
+            Settings = settings
+        };
+
+        var stops = query.GetValueOrDefault(WaypointKey);
+        var stopNames = query.GetValueOrDefault(WaypointNameKey);
+        for (var i = 0; i < stops.Count; i++)
+        {
+            if (TryParseLatLon(stops[i], out var location))
+            {
+                var name = i < stopNames.Count && !string.IsNullOrWhiteSpace(stopNames[i]) ? stopNames[i]! : $"Stop {i + 1}";
+                link.Waypoints.Add(new RouteWaypoint(name, location));
+            }
+        }
+
+        return link;
+    }
+
+    private static string FormatLatLon(double[] position)
+        => string.Create(CultureInfo.InvariantCulture, $"{position[1]},{position[0]}");
+
+    private static bool TryParseLatLon(string? value, out double[] position)
+    {
+        position = [];
+
+        var parts = value?.Split(',');
+        if (parts is not { Length: 2 }
+            || !double.TryParse(parts[0], NumberStyles.Float, CultureInfo.InvariantCulture, out var latitude)
+            || !double.TryParse(parts[1], NumberStyles.Float, CultureInfo.InvariantCulture, out var longitude)
+            || Math.Abs(latitude) > 90
+            || Math.Abs(longitude) > 180)
+        {
+            return false;
+        }
+
+        position = [longitude, latitude];
+        return true;
+    }
+
+    private static DateTime? TryParseDateTime(string? value)
+        => DateTime.TryParseExact(value, DateTimeFormat, CultureInfo.InvariantCulture, DateTimeStyles.None, out var dateTime)
+            ? dateTime
+            : null;
+}
+#pragma warning restore CA1819
@@ -1,3 +1,5 @@
+using System.Collections.ObjectModel;
+
 namespace Neba.Website.Server.Maps;
 
 /// <summary>
@@ -36,6 +38,16 @@ public sealed class DirectionsState
     /// </summary>
     public double[]? DestinationLocation { get; set; }
 
+    /// <summary>
+    /// The route options the member picked. Kept by <see cref="Reset"/> so they carry over to the next center.
+    /// </summary>
+    public RouteSettings RouteSettings { get; set; } = new();
+
+    /// <summary>
+    /// Carpool stops to visit between the starting location and the destination, in the order the member added them.
+    /// </summary>
+    public Collection<RouteWaypoint> Waypoints { get; } = [];
+
     /// <summary>
     /// The calculated route data from Azure Maps.
     /// </summary>
@@ -62,9 +74,28 @@ public sealed class DirectionsState
         UserLocation = null;
         UserAddress = null;
         DestinationLocation = null;
+        Waypoints.Clear();
         Route = null;
         IsLoading = false;
         ErrorMessage = null;
     }
+
+    /// <summary>
+    /// Gets the carpool stops in the order the current route visits them, which differs from
+    /// <see cref="Waypoints"/> when the routing provider optimized the order.
+    /// </summary>
+    /// <returns>The stops in visiting order.</returns>
+    public IReadOnlyList<RouteWaypoint> GetVisitedWaypoints()
+    {
+        var order = Route?.WaypointOrder;
+        if (order is null
+            || order.Count != Waypoints.Count
+            || order.Any(index => index < 0 || index >= Waypoints.Count))
+        {
+            return Waypoints;
+        }
+
+        return [.. order.Select(index => Waypoints[index])];
+    }
 }
 #pragma warning restore CA1819
\ No newline at end of file
@@ -0,0 +1,15 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// A colour for cluster bubbles holding at least <see cref="MinCount"/> locations.
+/// </summary>
+/// <param name="MinCount">
+/// Smallest number of locations in a cluster drawn with this colour
+/// </param>
+/// <param name="Color">
+/// CSS colour for the cluster bubble (e.g., "#0066b2")
+/// </param>
+public sealed record MapClusterColorStep(
+    int MinCount,
+    string Color
+);
@@ -0,0 +1,33 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// How <see cref="NebaMap"/> groups nearby markers into clusters when <see cref="NebaMap.EnableClustering"/> is on.
+/// Clicking a cluster zooms in until it splits. Clusters whose locations share a spot never split, so clicking one
+/// lists its locations in a popup instead and, with <see cref="Spiderfy"/> on, fans them out around the cluster.
+/// </summary>
+/// <param name="Radius">
+/// Radius in pixels within which markers are grouped into a cluster
+/// </param>
+/// <param name="MaxZoom">
+/// Highest zoom level at which markers are clustered
+/// </param>
+/// <param name="Spiderfy">
+/// Whether the locations of a cluster that never splits are fanned out around it
+/// </param>
+public sealed record MapClusterOptions(
+    int Radius = 50,
+    int MaxZoom = 14,
+    bool Spiderfy = true
+)
+{
+    /// <summary>
+    /// Cluster bubble colours by number of locations, smallest count first. Ignored when marker categories are set,
+    /// since bubbles then take the colour of their most common category.
+    /// </summary>
+    public IReadOnlyList<MapClusterColorStep> ColorSteps { get; init; } =
+    [
+        new(0, "#0066b2"),
+        new(5, "#004080"),
+        new(10, "#002040")
+    ];
+}
@@ -0,0 +1,85 @@
+using System.Globalization;
+
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// Builds links that open a route in a maps app. Google Maps takes the whole trip; Apple Maps and Waze
+/// links only carry one destination, so they navigate to the first stop of a carpool trip.
+/// </summary>
+public static class MapDeepLinks
+{
+    /// <summary>
+    /// Builds a Google Maps directions link (works on iOS, Android and desktop).
+    /// </summary>
+    /// <param name="origin">The starting point as [longitude, latitude].</param>
+    /// <param name="destination">The destination as [longitude, latitude].</param>
+    /// <param name="waypoints">Carpool stops as [longitude, latitude], in visiting order.</param>
+    /// <param name="travelMode">How the member is travelling.</param>
+    /// <returns>The directions URL.</returns>
+    public static Uri Google(
+        double[] origin,
+        double[] destination,
+        IEnumerable<double[]> waypoints,
+        RouteTravelMode travelMode)
+    {
+        ArgumentNullException.ThrowIfNull(origin);
+        ArgumentNullException.ThrowIfNull(destination);
+        ArgumentNullException.ThrowIfNull(waypoints);
+
+        var mode = travelMode switch
+        {
+            RouteTravelMode.Bicycle => "bicycling",
+            RouteTravelMode.Pedestrian => "walking",
+            _ => "driving"
+        };
+
+        var url = $"https://www.google.com/maps/dir/?api=1&origin={FormatLatLon(origin)}" +
+            $"&destination={FormatLatLon(destination)}&travelmode={mode}";
+
+        // Stops are "|"-separated lat,lon pairs
+        var stops = waypoints.Select(FormatLatLon).ToList();
+        if (stops.Count > 0)
+        {
+            url += $"&waypoints={Uri.EscapeDataString(string.Join('|', stops))}";
+        }
+
+        return new Uri(url);
+    }
+
+    /// <summary>
+    /// Builds an Apple Maps directions link.
+    /// </summary>
+    /// <param name="origin">The starting point as [longitude, latitude].</param>
+    /// <param name="destination">Where to navigate to as [longitude, latitude].</param>
+    /// <param name="travelMode">How the member is travelling. Apple Maps links have no cycling mode, so bicycles use its default.</param>
+    /// <returns>The directions URL.</returns>
+    public static Uri Apple(double[] origin, double[] destination, RouteTravelMode travelMode)
+    {
+        ArgumentNullException.ThrowIfNull(origin);
+        ArgumentNullException.ThrowIfNull(destination);
+
+        var url = $"https://maps.apple.com/?saddr={FormatLatLon(origin)}&daddr={FormatLatLon(destination)}";
+
+        return travelMode switch
+        {
+            RouteTravelMode.Car => new Uri($"{url}&dirflg=d"),
+            RouteTravelMode.Pedestrian => new Uri($"{url}&dirflg=w"),
+            _ => new Uri(url)
+        };
+    }
+
+    /// <summary>
+    /// Builds a Waze navigation link. Waze always drives from the device's current location.
+    /// </summary>
+    /// <param name="destination">Where to navigate to as [longitude, latitude].</param>
+    /// <returns>The navigation URL.</returns>
+    public static Uri Waze(double[] destination)
+    {
+        ArgumentNullException.ThrowIfNull(destination);
+
+        return new Uri($"https://waze.com/ul?ll={FormatLatLon(destination)}&navigate=yes");
+    }
+
+    private static string FormatLatLon(double[] position)
+        => string.Create(CultureInfo.InvariantCulture, $"{position[1]},{position[0]}");
+}
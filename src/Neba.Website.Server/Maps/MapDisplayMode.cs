@@ -0,0 +1,17 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// How <see cref="NebaMap"/> draws its locations.
+/// </summary>
+public enum MapDisplayMode
+{
+    /// <summary>
+    /// Individual location markers, grouped into clusters when clustering is on.
+    /// </summary>
+    Markers,
+
+    /// <summary>
+    /// A heatmap weighted by <see cref="MapHeatmapOptions.WeightField"/>, in place of the markers.
+    /// </summary>
+    Heatmap
+}
@@ -0,0 +1,25 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// How <see cref="NebaMap"/> draws its heatmap display mode, which shows where activity is concentrated
+/// (e.g., tournaments hosted or entries) instead of individual markers.
+/// Each location is weighted by the value of its <see cref="WeightField"/> metadata: either one number, or numbers
+/// keyed by season label (e.g., <c>{ "2024-25": 3, "2025-26": 5 }</c>) when <see cref="Seasons"/> are set.
+/// </summary>
+/// <param name="WeightField">
+/// Location metadata key holding the weight
+/// </param>
+/// <param name="Radius">
+/// Radius in pixels of each location's heat
+/// </param>
+public sealed record MapHeatmapOptions(
+    string WeightField,
+    int Radius = 30
+)
+{
+    /// <summary>
+    /// Season labels keying the weights, oldest first. With two or more, a slider picks which season's weights are
+    /// drawn; the heatmap opens on the last one.
+    /// </summary>
+    public IReadOnlyList<string> Seasons { get; init; } = [];
+}
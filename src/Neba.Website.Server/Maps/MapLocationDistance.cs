@@ -0,0 +1,15 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// The straight-line distance from a "near me" origin to a map location.
+/// </summary>
+/// <param name="LocationId">
+/// The <see cref="NebaMapLocation.Id"/> of the location
+/// </param>
+/// <param name="DistanceMiles">
+/// The great-circle distance in miles, rounded to hundredths
+/// </param>
+public sealed record MapLocationDistance(
+    string LocationId,
+    double DistanceMiles
+);
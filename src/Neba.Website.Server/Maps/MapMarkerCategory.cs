@@ -0,0 +1,25 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// A category of map markers, styled with its own icon colour and listed in the map legend.
+/// A location belongs to the category whose <see cref="Key"/> matches the location's
+/// metadata value for <see cref="NebaMap.MarkerCategoryField"/>.
+/// </summary>
+/// <param name="Key">
+/// Metadata value identifying the category (e.g., "tournament", "sponsor", "usbc")
+/// </param>
+/// <param name="Label">
+/// Text shown in the legend
+/// </param>
+/// <param name="Color">
+/// CSS colour for the marker, legend swatch and cluster bubbles (e.g., "#0066b2")
+/// </param>
+/// <param name="Icon">
+/// Optional Azure Maps image template name (e.g., "pin", "flag") or image URL; defaults to the "marker" template
+/// </param>
+public sealed record MapMarkerCategory(
+    string Key,
+    string Label,
+    string Color,
+    string? Icon = null
+);
@@ -0,0 +1,28 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// A button shown in the map popup. Clicking it calls back into <see cref="NebaMap"/>:
+/// the <see cref="DirectionsActionId"/> action raises <see cref="NebaMap.OnDirectionsRequested"/>,
+/// any other action raises <see cref="NebaMap.OnPopupAction"/>.
+/// </summary>
+/// <param name="Id">
+/// Identifier passed back to .NET when the button is clicked
+/// </param>
+/// <param name="Label">
+/// Button text
+/// </param>
+public sealed record MapPopupAction(
+    string Id,
+    string Label
+)
+{
+    /// <summary>
+    /// The action id that starts the directions flow for the popup's location.
+    /// </summary>
+    public const string DirectionsActionId = "directions";
+
+    /// <summary>
+    /// A "Get directions" button.
+    /// </summary>
+    public static MapPopupAction Directions { get; } = new(DirectionsActionId, "Get directions");
+}
@@ -0,0 +1,15 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// Raised when a custom popup action button is clicked.
+/// </summary>
+/// <param name="ActionId">
+/// The <see cref="MapPopupAction.Id"/> of the clicked button
+/// </param>
+/// <param name="LocationId">
+/// The <see cref="NebaMapLocation.Id"/> of the location whose popup contained the button
+/// </param>
+public sealed record MapPopupActionInvocation(
+    string ActionId,
+    string LocationId
+);
@@ -0,0 +1,20 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// A location metadata value shown in the map popup. Values are HTML-escaped when rendered,
+/// and the row is skipped when the location has no value for <see cref="Key"/>.
+/// </summary>
+/// <param name="Key">
+/// The <see cref="NebaMapLocation.Metadata"/> key to display
+/// </param>
+/// <param name="Label">
+/// Optional label shown next to the value; when null the value spans the full popup width
+/// </param>
+/// <param name="Type">
+/// How the value is rendered
+/// </param>
+public sealed record MapPopupField(
+    string Key,
+    string? Label = null,
+    MapPopupFieldType Type = MapPopupFieldType.Text
+);
@@ -0,0 +1,27 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// How a metadata value is rendered in a map popup.
+/// </summary>
+public enum MapPopupFieldType
+{
+    /// <summary>
+    /// Plain text.
+    /// </summary>
+    Text,
+
+    /// <summary>
+    /// A phone number rendered as a tel: link.
+    /// </summary>
+    Phone,
+
+    /// <summary>
+    /// An http(s) URL rendered as a link showing the host name. Other schemes are not rendered.
+    /// </summary>
+    Url,
+
+    /// <summary>
+    /// A number formatted with thousands separators.
+    /// </summary>
+    Number
+}
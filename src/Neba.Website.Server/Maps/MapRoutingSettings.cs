@@ -0,0 +1,46 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// Configuration settings for the routing and geocoding provider used by maps and directions.
+/// </summary>
+public sealed class MapRoutingSettings
+{
+    internal const string SectionName = "MapRouting";
+
+    /// <summary>
+    /// The provider used for address search, reverse geocoding and routes.
+    /// Defaults to Azure Maps. With <see cref="RoutingProvider.Osrm"/> no Azure Maps credentials are needed:
+    /// without them the maps are drawn keyless, using <see cref="TileUrl"/> for the background.
+    /// </summary>
+    public RoutingProvider Provider { get; set; } = RoutingProvider.AzureMaps;
+
+    /// <summary>
+    /// Base URL of the OSRM routing server (e.g., http://localhost:5151/osrm).
+    /// Required when <see cref="Provider"/> is <see cref="RoutingProvider.Osrm"/>.
+    /// </summary>
+    public Uri? RoutingBaseUrl { get; set; }
+
+    /// <summary>
+    /// Base URL of the Nominatim geocoding server (e.g., http://localhost:5151/nominatim).
+    /// Required when <see cref="Provider"/> is <see cref="RoutingProvider.Osrm"/>.
+    /// </summary>
+    public Uri? GeocodingBaseUrl { get; set; }
+
+    /// <summary>
+    /// Raster tile URL template drawn beneath keyless maps (e.g., https://tile.openstreetmap.org/{z}/{x}/{y}.png).
+    /// Only used with <see cref="RoutingProvider.Osrm"/> when no Azure Maps credentials are configured;
+    /// when empty, keyless maps show markers and routes on a blank background.
+    /// </summary>
+    public string? TileUrl { get; set; }
+
+    /// <summary>
+    /// Builds the routing config the map scripts take ({ provider, routingUrl, geocodingUrl, tileUrl }).
+    /// </summary>
+    internal object ToClientConfig() => new
+    {
+        provider = Provider == RoutingProvider.Osrm ? "osrm" : "azure",
+        routingUrl = RoutingBaseUrl?.ToString(),
+        geocodingUrl = GeocodingBaseUrl?.ToString(),
+        tileUrl = string.IsNullOrWhiteSpace(TileUrl) ? null : TileUrl
+    };
+}
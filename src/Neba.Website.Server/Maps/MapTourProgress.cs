@@ -0,0 +1,15 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// Raised when a tour started with <see cref="NebaMap.ShowTourAsync"/> moves to another stop or stops playing.
+/// </summary>
+/// <param name="StepIndex">
+/// Index of the current stop in the tour's location ids
+/// </param>
+/// <param name="IsPlaying">
+/// Whether the tour is still playing; false once it has reached its last stop
+/// </param>
+public sealed record MapTourProgress(
+    int StepIndex,
+    bool IsPlaying
+);
@@ -14,6 +14,17 @@ internal static class MapsConfiguration
 
             services.AddSingleton(sp
                 => sp.GetRequiredService<IOptions<AzureMapsSettings>>().Value);
+
+            services.AddOptions<MapRoutingSettings>()
+                .Bind(config.GetSection(MapRoutingSettings.SectionName))
+                .Validate(
+                    settings => settings.Provider != RoutingProvider.Osrm
+                        || (settings.RoutingBaseUrl is not null && settings.GeocodingBaseUrl is not null),
+                    "MapRouting:RoutingBaseUrl and MapRouting:GeocodingBaseUrl are required for the Osrm provider.")
+                .ValidateOnStart();
+
+            services.AddSingleton(sp
+                => sp.GetRequiredService<IOptions<MapRoutingSettings>>().Value);
         }
     }
 }
\ No newline at end of file
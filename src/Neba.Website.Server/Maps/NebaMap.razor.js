@@ -3,20 +3,119 @@
 // Note: Assumes 'atlas' is available globally from the Azure Maps SDK CDN
 
 import { trackError, createTimer } from "../js/telemetry-helper.js";
+import { KEYLESS_MAP_STYLE, createRoutingError, getRoutingProvider, resolveMapRendering } from "../js/routing-providers.js";
+import {
+    CATEGORY_PROPERTY,
+    normalizeMarkerCategories,
+    resolveMarkerCategory,
+    getCategoryImageId,
+    isIconUrl,
+    buildCategoryIconExpression,
+    buildClusterCategoryProperties,
+    buildDominantCategoryColorExpression,
+    buildClusterMixTextField,
+    countMarkersByCategory
+} from "../js/marker-categories.js";
+import { normalizePopupTemplate, renderPopupContent, renderClusterPopupContent } from "../js/popup-template.js";
+import { normalizeClusterOptions, buildClusterColorExpression, buildSpiderOffsets } from "../js/map-clustering.js";
+import { getMarkersInView, describeMarkersInView, getRovingIndex, getPanOffset, getZoomDelta } from "../js/map-keyboard.js";
+import { normalizeHeatmapOptions, buildHeatWeightProperties, buildHeatWeightExpression } from "../js/map-heatmap.js";
+import {
+    TOUR_ARC_ANIMATION_MS,
+    normalizeTourOptions,
+    buildTourArc,
+    sliceTourArc,
+    isTourStopInView,
+    easeInOut,
+    prefersReducedMotion
+} from "../js/map-tour.js";
+import { METERS_PER_MILE, isPositionInRing, isValidPosition, rankByDistance } from "../js/proximity.js";
+import { describeRouteOptions, normalizeRouteOptions } from "../js/route-options.js";
+import {
+    buildRouteCacheKey,
+    getCachedRoute,
+    putCachedRoute,
+    isRouteCacheEntryFresh,
+    formatCachedAt,
+    DEFAULT_ROUTE_CACHE_TTL_MINUTES
+} from "../js/route-cache.js";
+import { extractTrafficIncidents } from "../js/traffic-incidents.js";
+import {
+    AUTO_MAP_STYLE,
+    isMapStyle,
+    resolveMapStyle,
+    readMapViewPreferences,
+    saveMapViewPreferences,
+    observeTheme
+} from "../js/map-style.js";
+import { readMapStateFromUrl, writeMapStateToUrl, writeMapViewToUrl, clearMapViewFromUrl } from "../js/map-url-state.js";
+
+const instances = new Map(); // Per-container map state, keyed by container id
 
-let map = null;
-let dataSource = null;
-let markers = new Map(); // Track markers by location ID
-let currentPopup = null; // Track the currently open popup
-let dotNetHelper = null; // Reference to .NET component for callbacks
-let boundsChangeTimeout = null; // Timeout for debouncing bounds changes
-let lastLocationHash = null; // Hash of last locations to detect changes
-let markerClickInProgress = false; // Flag to track if a marker/cluster was just clicked
-
-let subscriptionKey = null; // Azure Maps subscription key (stored for routing API)
+/**
+ * Creates an empty state object for a single map instance
+ * @param {string} containerId - DOM id of the map container
+ * @returns {Object} Instance state
+ */
+function createInstance(containerId) {
+    return {
+        containerId,
+        map: null,
+        dataSource: null,
+        markers: new Map(), // Track markers by location ID
+        currentPopup: null, // Track the currently open popup
+        dotNetHelper: null, // Reference to .NET component for callbacks
+        mapStyle: 'road', // Style currently drawn
+        baseStyle: 'road', // Style the map was configured with, drawn (or its dark counterpart) until the member picks one
+        stylePreference: AUTO_MAP_STYLE, // Style picked through setMapStyle, or 'auto' to follow the site theme
+        stopObservingTheme: null, // Stops watching <html> for theme switches
+        showTraffic: false, // Whether the traffic flow and incident layers are drawn; kept with the style
+        syncWithUrl: false, // Whether the selected location, directions destination and style are kept in the page URL
+        boundsChangeTimeout: null, // Timeout for debouncing bounds changes
+        lastLocationHash: null, // Hash of last locations to detect changes
+        markerClickInProgress: false, // Flag to track if a marker/cluster was just clicked
+        hoveredLocationId: null, // Marker currently under the pointer, reported to .NET on change
+        symbolLayer: null, // Layer drawing individual location markers
+        markerCategories: null, // Normalized category config, or null when all markers share one icon
+        hiddenCategories: new Set(), // Category keys toggled off in the legend
+        legendControl: null, // Legend control listing the marker categories
+        popupTemplate: normalizePopupTemplate(null), // Fields and action buttons shown in marker popups
+        clusterOptions: normalizeClusterOptions(null), // Cluster radius, max zoom, bubble colours and spiderfy setting
+        spiderSource: null, // Data source holding the fanned-out members of a cluster and their legs
+        spiderfiedClusterId: null, // Cluster currently fanned out, or null
+        clusterLayers: [], // Bubble and count layers drawing clusters, hidden with the markers in heatmap mode
+        displayMode: 'markers', // 'markers' or 'heatmap'
+        heatmapOptions: null, // Normalized heatmap config { weightField, seasons, radius }, or null when not configured
+        heatmapSeasonIndex: 0, // Season whose weights the heatmap draws
+        heatmapSource: null, // Unclustered data source holding one weighted point per visible marker
+        heatmapLayer: null, // Heat map layer, added the first time heatmap mode is turned on
+        tour: null, // Active tour { stops, arcs, stepIndex, playing, options, stepTimeout, animationFrame }, or null
+        tourSource: null, // Data source holding the tour's arcs and the current stop
+        locationNoun: { one: 'location', other: 'locations' }, // What the markers are, for screen-reader text
+        keyboardOverlay: null, // Keyboard and screen-reader overlay { element, surface, list, status, activeLocationId }
+        proximity: null, // Active "near me" search { origin, radiusMiles }, or null
+        proximitySource: null, // Data source holding the radius ring and origin point
+        reachableRange: null, // Active drive-time area { ring, timeBudgetMinutes, locationIds }, or null
+        reachableSource: null, // Data source holding the drive-time polygon
+        directionsPreviewId: null, // Destination the directions preview focuses on until directions mode exits, or null
+        routeOptions: null, // Route options drawn in directions mode { selectedIndex }, or null
+        routeSource: null, // Data source holding one line per route option
+        selectedRouteLayer: null, // Line layer drawing the selected route option
+        alternativeRouteLayer: null, // Faded line layer drawing the other route options
+        routeCacheTtlMinutes: DEFAULT_ROUTE_CACHE_TTL_MINUTES, // How long a cached route is served without refetching
+        routingConfig: null, // { provider, routingUrl, geocodingUrl, tileUrl } from the MapRouting settings; null for Azure Maps
+        keyless: false // Drawn without Azure Maps credentials (OSRM provider): blank style, no style switching or traffic
+    };
+}
 
-// NOTE: Module-level state means only one NebaMap instance per page is supported.
-// Multi-instance support (Map<containerId, state>) is deferred until needed.
+/**
+ * Gets the state for a map container, if it has been initialized
+ * @param {string} containerId - DOM id of the map container
+ * @returns {Object|null} Instance state or null when unknown
+ */
+function getInstance(containerId) {
+    return instances.get(containerId) ?? null;
+}
 
 /**
  * Waits for the Azure Maps SDK to be loaded
@@ -46,88 +145,120 @@ function waitForAtlas() {
 }
 
 /**
- * Initializes the Azure Maps instance with authentication and initial markers
+ * Initializes an Azure Maps instance with authentication and initial markers.
+ * Each container id gets its own state, so several maps can live on one page.
  * @param {Object} authConfig - Authentication configuration { accountId?, subscriptionKey? }
- * @param {Object} mapConfig - Map configuration { containerId, center, zoom, enableClustering, style }
+ * @param {Object} mapConfig - Map configuration { containerId, center, zoom, enableClustering, clustering?, locationNoun?, style, showTraffic?, syncStateWithUrl?, routeCacheTtlMinutes?, routing?, markerCategories?, popupTemplate? }
  * @param {Array} locations - Array of location objects with coordinates and metadata
  * @param {Object} dotNetRef - Reference to .NET component for callbacks
  */
 export async function initializeMap(authConfig, mapConfig, locations, dotNetRef) {
-    console.log('[NebaMap] Initializing Azure Maps...');
+    console.log('[NebaMap] Initializing Azure Maps...', mapConfig.containerId);
     console.log('[NebaMap] Auth config:', { hasAccountId: !!authConfig.accountId, hasSubscriptionKey: !!authConfig.subscriptionKey });
     console.log('[NebaMap] Locations count:', locations.length);
 
     await waitForAtlas();
     console.log('[NebaMap] Azure Maps SDK loaded');
 
-    dotNetHelper = dotNetRef;
+    // Re-initializing the same container replaces its previous instance
+    if (instances.has(mapConfig.containerId)) {
+        dispose(mapConfig.containerId);
+    }
 
     globalThis.azureMapsAuthConfig = authConfig;
 
-    let authOptions;
-    if (authConfig.subscriptionKey) {
+    const rendering = resolveMapRendering(authConfig, mapConfig.routing ?? null);
+    if (!rendering) {
+        console.error('[NebaMap] No authentication configured for Azure Maps - configure Azure Maps credentials or the OSRM routing provider');
+        return;
+    }
+
+    const { authOptions } = rendering;
+    if (rendering.keyless) {
+        console.log('[NebaMap] No Azure Maps credentials; drawing a keyless map for the OSRM routing provider');
+    } else if (authOptions.authType === 'subscriptionKey') {
         console.log('[NebaMap] Using subscription key authentication');
-        subscriptionKey = authConfig.subscriptionKey;
-        globalThis.azureMapsSubscriptionKey = subscriptionKey;
-        authOptions = {
-            authType: 'subscriptionKey',
-            subscriptionKey: authConfig.subscriptionKey
-        };
-    } else if (authConfig.accountId) {
-        console.log('[NebaMap] Using Azure AD authentication with account:', authConfig.accountId);
-        authOptions = {
-            authType: 'aad',
-            clientId: authConfig.accountId,
-            getToken: async function(resolve, reject) {
-                try {
-                    const response = await fetch('/.auth/me');
-                    const data = await response.json();
-                    if (data?.[0]?.access_token) {
-                        resolve(data[0].access_token);
-                    } else {
-                        reject(new Error('No access token available'));
-                    }
-                } catch (error) {
-                    reject(error);
-                }
-            }
-        };
+        globalThis.azureMapsSubscriptionKey = authConfig.subscriptionKey;
     } else {
-        console.error('[NebaMap] No authentication configured for Azure Maps');
-        return;
+        console.log('[NebaMap] Using Azure AD authentication with account:', authConfig.accountId);
+    }
+
+    const instance = createInstance(mapConfig.containerId);
+    instance.dotNetHelper = dotNetRef;
+    instance.syncWithUrl = mapConfig.syncStateWithUrl === true;
+    const urlState = instance.syncWithUrl ? readMapStateFromUrl() : null;
+    // A style or traffic setting the member picked before wins over the configured defaults.
+    // A style in the URL wins over both, for this visit only.
+    const preferences = readMapViewPreferences();
+    instance.baseStyle = isMapStyle(mapConfig.style) ? mapConfig.style : 'road';
+    instance.stylePreference = urlState?.style ?? preferences.style;
+    instance.mapStyle = resolveMapStyle(instance.stylePreference, instance.baseStyle);
+    instance.showTraffic = preferences.showTraffic ?? mapConfig.showTraffic === true;
+    instance.routingConfig = mapConfig.routing ?? null;
+    instance.keyless = rendering.keyless;
+    if (Number.isFinite(mapConfig.routeCacheTtlMinutes)) {
+        instance.routeCacheTtlMinutes = mapConfig.routeCacheTtlMinutes;
     }
+    instance.markerCategories = normalizeMarkerCategories(mapConfig.markerCategories);
+    instance.popupTemplate = normalizePopupTemplate(mapConfig.popupTemplate);
+    instance.clusterOptions = normalizeClusterOptions(mapConfig.clustering);
+    instance.heatmapOptions = normalizeHeatmapOptions(mapConfig.heatmap);
+    // Open on the latest season
+    instance.heatmapSeasonIndex = Math.max((instance.heatmapOptions?.seasons.length ?? 0) - 1, 0);
+    instance.locationNoun = {
+        one: mapConfig.locationNoun?.one || 'location',
+        other: mapConfig.locationNoun?.other || 'locations'
+    };
+    instances.set(mapConfig.containerId, instance);
+
+    // A bookmarked view (see saveViewToUrl) wins over the configured camera and the initial zoom to fit
+    const urlView = urlState?.view ?? null;
 
     try {
-        map = new atlas.Map(mapConfig.containerId, {
-            authOptions: authOptions,
-            center: mapConfig.center,
-            zoom: mapConfig.zoom,
+        const map = new atlas.Map(mapConfig.containerId, {
+            ...(authOptions ? { authOptions } : {}),
+            center: urlView?.center ?? mapConfig.center,
+            zoom: urlView?.zoom ?? mapConfig.zoom,
             language: 'en-US',
-            style: mapConfig.style || 'road',
+            style: instance.keyless ? KEYLESS_MAP_STYLE : instance.mapStyle,
             showLogo: false,
             showFeedbackLink: false,
             renderWorldCopies: false,
             refreshExpiredTiles: false
             // preserveDrawingBuffer removed - degrades WebGL performance
         });
+        instance.map = map;
 
         map.events.add('ready', () => {
-            console.log('[NebaMap] Map ready');
+            // The instance may have been disposed before the SDK finished loading
+            if (instance.map !== map) {
+                return;
+            }
+
+            console.log('[NebaMap] Map ready', instance.containerId);
+
+            // Keyless maps draw the configured raster tiles beneath everything else
+            if (instance.keyless && rendering.tileUrl) {
+                map.layers.add(new atlas.layer.TileLayer({ tileUrl: rendering.tileUrl, tileSize: 256 }));
+            }
 
-            dataSource = new atlas.source.DataSource(null, {
+            instance.dataSource = new atlas.source.DataSource(null, {
                 cluster: mapConfig.enableClustering,
-                clusterRadius: 50,
-                clusterMaxZoom: 14,
+                clusterRadius: instance.clusterOptions.radius,
+                clusterMaxZoom: instance.clusterOptions.maxZoom,
                 buffer: 64,
-                tolerance: 0.375
+                tolerance: 0.375,
+                ...(mapConfig.enableClustering && instance.markerCategories
+                    ? { clusterProperties: buildClusterCategoryProperties(instance.markerCategories) }
+                    : {})
             });
-            map.sources.add(dataSource);
+            map.sources.add(instance.dataSource);
 
             if (mapConfig.enableClustering) {
-                addClusterLayers();
+                addClusterLayers(instance);
             }
 
-            const symbolLayer = new atlas.layer.SymbolLayer(dataSource, null, {
+            const symbolLayer = new atlas.layer.SymbolLayer(instance.dataSource, null, {
                 iconOptions: {
                     image: 'pin-red',
                     anchor: 'center',
@@ -136,63 +267,97 @@ export async function initializeMap(authConfig, mapConfig, locations, dotNetRef)
                 filter: mapConfig.enableClustering ? ['!', ['has', 'point_count']] : null
             });
             map.layers.add(symbolLayer);
+            instance.symbolLayer = symbolLayer;
+
+            if (instance.markerCategories) {
+                registerCategoryIcons(instance);
+                addLegendControl(instance);
+            }
 
             map.events.add('click', symbolLayer, (e) => {
                 if (e.shapes && e.shapes.length > 0) {
-                    markerClickInProgress = true;
-                    const properties = e.shapes[0].getProperties();
-                    showPopup(e.shapes[0].getCoordinates(), properties);
+                    instance.markerClickInProgress = true;
+                    selectMarker(instance, e.shapes[0].getCoordinates(), e.shapes[0].getProperties());
                 }
             });
 
-            map.events.add('mouseenter', symbolLayer, () => {
+            map.events.add('mouseenter', symbolLayer, (e) => {
                 map.getCanvasContainer().style.cursor = 'pointer';
+                notifyLocationHovered(instance, e?.shapes?.[0]?.getProperties().id ?? null);
+            });
+
+            // Adjacent markers can be entered without leaving the layer, so track the shape under the pointer
+            map.events.add('mousemove', symbolLayer, (e) => {
+                notifyLocationHovered(instance, e?.shapes?.[0]?.getProperties().id ?? null);
             });
 
             map.events.add('mouseleave', symbolLayer, () => {
                 map.getCanvasContainer().style.cursor = 'grab';
+                notifyLocationHovered(instance, null);
             });
 
-            updateMarkers(locations);
-            fitBounds();
+            if (instance.showTraffic) {
+                applyTraffic(instance);
+            }
+
+            instance.stopObservingTheme = observeTheme(() => applyMapStyle(instance));
+
+            addKeyboardOverlay(instance);
+            updateMarkers(instance.containerId, locations);
+            if (!urlView) {
+                fitBounds(instance.containerId);
+            }
 
             map.events.add('moveend', () => {
-                notifyBoundsChanged();
+                notifyBoundsChanged(instance);
+            });
+
+            // Fanned-out markers are laid out in pixels, so they fold back whenever the zoom changes
+            map.events.add('zoomstart', () => {
+                unspiderfy(instance);
             });
 
             map.events.add('click', () => {
                 setTimeout(() => {
-                    if (!markerClickInProgress && currentPopup) {
-                        currentPopup.close();
-                        currentPopup = null;
+                    if (!instance.markerClickInProgress && instance.currentPopup) {
+                        instance.currentPopup.close();
+                        instance.currentPopup = null;
+                        writeUrlState(instance, { locationId: null });
+                    }
+                    if (!instance.markerClickInProgress) {
+                        unspiderfy(instance);
                     }
-                    markerClickInProgress = false;
+                    instance.markerClickInProgress = false;
                 }, 0);
             });
 
+            if (urlState) {
+                restoreUrlSelection(instance, urlState);
+            }
+
             // Notify Blazor that the map is fully initialized
-            dotNetHelper.invokeMethodAsync('NotifyMapReady')
+            instance.dotNetHelper.invokeMethodAsync('NotifyMapReady')
                 .catch(error => console.error('[NebaMap] Error notifying map ready:', error));
         });
 
     } catch (error) {
         console.error('[NebaMap] Failed to initialize map:', error);
+        instances.delete(mapConfig.containerId);
     }
 }
 
 /**
  * Adds cluster visualization layers to the map
+ * @param {Object} instance - Map instance state
  */
-function addClusterLayers() {
+function addClusterLayers(instance) {
+    const { map, dataSource } = instance;
+
     const clusterLayer = new atlas.layer.BubbleLayer(dataSource, null, {
         radius: 18,
-        color: [
-            'step',
-            ['get', 'point_count'],
-            '#0066b2',
-            5, '#004080',
-            10, '#002040'
-        ],
+        color: instance.markerCategories
+            ? buildDominantCategoryColorExpression(instance.markerCategories)
+            : buildClusterColorExpression(instance.clusterOptions.colorSteps),
         strokeWidth: 0,
         filter: ['has', 'point_count']
     });
@@ -211,6 +376,26 @@ function addClusterLayers() {
         filter: ['has', 'point_count']
     });
     map.layers.add(clusterCountLayer);
+    instance.clusterLayers = [clusterLayer, clusterCountLayer];
+
+    if (instance.markerCategories) {
+        // Coloured per-category counts under each bubble show the category mix
+        const clusterMixLayer = new atlas.layer.SymbolLayer(dataSource, null, {
+            iconOptions: {
+                image: 'none'
+            },
+            textOptions: {
+                textField: buildClusterMixTextField(instance.markerCategories),
+                offset: [0, 2.2],
+                size: 11,
+                haloColor: '#ffffff',
+                haloWidth: 1.5
+            },
+            filter: ['has', 'point_count']
+        });
+        map.layers.add(clusterMixLayer);
+        instance.clusterLayers.push(clusterMixLayer);
+    }
 
     map.events.add('click', clusterLayer, (e) => {
         if (e.shapes && e.shapes.length > 0) {
@@ -218,11 +403,16 @@ function addClusterLayers() {
             const properties = shape.getProperties ? shape.getProperties() : shape.properties;
 
             if (properties?.cluster) {
-                markerClickInProgress = true;
+                instance.markerClickInProgress = true;
                 const clusterId = properties.cluster_id;
                 const coordinates = e.position;
 
                 dataSource.getClusterExpansionZoom(clusterId).then((zoom) => {
+                    // Locations that share a spot stay clustered up to the max cluster zoom; list and fan them out instead
+                    if (zoom > instance.clusterOptions.maxZoom) {
+                        return openClusterMembers(instance, clusterId, shape.geometry?.coordinates ?? coordinates);
+                    }
+
                     map.setCamera({
                         center: coordinates,
                         zoom: zoom,
@@ -243,12 +433,174 @@ function addClusterLayers() {
     });
 }
 
+/**
+ * Lists the members of a cluster that zooming cannot split in a popup, and fans them out around it
+ * when the map is configured to spiderfy
+ * @param {Object} instance - Map instance state
+ * @param {number} clusterId - Cluster id from the data source
+ * @param {Array} coordinates - Cluster position [longitude, latitude]
+ * @returns {Promise<void>}
+ */
+async function openClusterMembers(instance, clusterId, coordinates) {
+    const { map } = instance;
+
+    let leaves;
+    try {
+        leaves = await instance.dataSource.getClusterLeaves(clusterId, Infinity, 0);
+    } catch (error) {
+        console.error('[NebaMap] Failed to load cluster members:', error);
+        return;
+    }
+
+    // The map may have been disposed while the members were loading
+    if (instance.map !== map) {
+        return;
+    }
+
+    const members = leaves
+        .map(leaf => leaf.getProperties?.() ?? leaf.properties)
+        .filter(properties => properties?.id)
+        .sort((a, b) => String(a.title ?? '').localeCompare(String(b.title ?? '')));
+
+    if (instance.clusterOptions.spiderfy) {
+        spiderfy(instance, clusterId, coordinates, members);
+    }
+
+    showClusterPopup(instance, coordinates, members);
+}
+
+/**
+ * Shows a popup listing a cluster's members; picking one opens its own popup
+ * @param {Object} instance - Map instance state
+ * @param {Array} coordinates - Cluster position [longitude, latitude]
+ * @param {Array<Object>} members - Feature properties of each member
+ */
+function showClusterPopup(instance, coordinates, members) {
+    if (instance.currentPopup) {
+        instance.currentPopup.close();
+    }
+
+    instance.currentPopup = new atlas.Popup({
+        position: coordinates,
+        content: renderClusterPopupContent(members),
+        pixelOffset: [0, -18]
+    });
+
+    instance.currentPopup.open(instance.map);
+
+    instance.currentPopup.getPopupContainer?.()?.addEventListener('click', (event) => {
+        const button = event.target.closest?.('[data-location-id]');
+        const feature = button ? instance.markers.get(button.dataset.locationId) : null;
+        if (feature) {
+            // A fanned-out member's popup opens where it is drawn
+            const position = instance.spiderSource?.getShapeById?.(feature.properties.id)?.getCoordinates()
+                ?? feature.geometry.coordinates;
+            selectMarker(instance, position, feature.properties);
+        }
+    });
+}
+
+/**
+ * Fans a cluster's members out around it, each joined to the cluster by a leg
+ * @param {Object} instance - Map instance state
+ * @param {number} clusterId - Cluster id from the data source
+ * @param {Array} center - Cluster position [longitude, latitude]
+ * @param {Array<Object>} members - Feature properties of each member
+ */
+function spiderfy(instance, clusterId, center, members) {
+    unspiderfy(instance);
+
+    if (!instance.spiderSource) {
+        addSpiderLayers(instance);
+    }
+
+    const [centerPixel] = instance.map.positionsToPixels([center]);
+    const positions = instance.map.pixelsToPositions(
+        buildSpiderOffsets(members.length).map(([x, y]) => [centerPixel[0] + x, centerPixel[1] + y]));
+
+    instance.spiderSource.add(members.flatMap((properties, i) => [
+        new atlas.data.Feature(new atlas.data.LineString([center, positions[i]]), { spiderLeg: true }),
+        new atlas.data.Feature(new atlas.data.Point(positions[i]), { ...properties }, properties.id)
+    ]));
+    instance.spiderfiedClusterId = clusterId;
+}
+
+/**
+ * Folds fanned-out cluster members back into their cluster
+ * @param {Object} instance - Map instance state
+ */
+function unspiderfy(instance) {
+    if (instance.spiderfiedClusterId === null) {
+        return;
+    }
+
+    instance.spiderSource?.clear();
+    instance.spiderfiedClusterId = null;
+}
+
+/**
+ * Adds the layers drawing fanned-out cluster members, on first use
+ * @param {Object} instance - Map instance state
+ */
+function addSpiderLayers(instance) {
+    const { map } = instance;
+
+    instance.spiderSource = new atlas.source.DataSource();
+    map.sources.add(instance.spiderSource);
+
+    map.layers.add(new atlas.layer.LineLayer(instance.spiderSource, null, {
+        strokeColor: '#4b5563',
+        strokeWidth: 1.5,
+        filter: ['has', 'spiderLeg']
+    }));
+
+    const spiderLayer = new atlas.layer.SymbolLayer(instance.spiderSource, null, {
+        iconOptions: {
+            image: instance.markerCategories ? buildCategoryIconExpression(instance.markerCategories) : 'pin-red',
+            anchor: 'center',
+            allowOverlap: true
+        },
+        filter: ['!', ['has', 'spiderLeg']]
+    });
+    map.layers.add(spiderLayer);
+
+    map.events.add('click', spiderLayer, (e) => {
+        if (e.shapes && e.shapes.length > 0) {
+            instance.markerClickInProgress = true;
+            selectMarker(instance, e.shapes[0].getCoordinates(), e.shapes[0].getProperties());
+        }
+    });
+
+    map.events.add('mouseenter', spiderLayer, () => {
+        map.getCanvasContainer().style.cursor = 'pointer';
+    });
+
+    map.events.add('mouseleave', spiderLayer, () => {
+        map.getCanvasContainer().style.cursor = 'grab';
+    });
+}
+
+/**
+ * Opens a marker's popup and reports it as selected, as when the member clicks it
+ * @param {Object} instance - Map instance state
+ * @param {Array} coordinates - Where the popup opens [longitude, latitude]
+ * @param {Object} properties - Location properties
+ */
+function selectMarker(instance, coordinates, properties) {
+    setActiveMarkerOption(instance, properties.id, false);
+    showPopup(instance, coordinates, properties);
+    writeUrlState(instance, { locationId: properties.id });
+    notifyLocationSelected(instance, properties.id);
+}
+
 /**
  * Updates the markers on the map with new location data
+ * @param {string} containerId - DOM id of the map container
  * @param {Array} locations - Array of location objects
  */
-export function updateMarkers(locations) {
-    if (!dataSource) {
+export function updateMarkers(containerId, locations) {
+    const instance = getInstance(containerId);
+    if (!instance?.dataSource) {
         console.warn('[NebaMap] Data source not initialized');
         return;
     }
@@ -257,16 +609,15 @@ export function updateMarkers(locations) {
         .map(l => l.id)
         .sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }))
         .join('|');
-    if (locationHash === lastLocationHash) {
+    if (locationHash === instance.lastLocationHash) {
         console.log('[NebaMap] Locations unchanged, skipping marker update (cached)');
         return;
     }
-    lastLocationHash = locationHash;
+    instance.lastLocationHash = locationHash;
 
     console.log('[NebaMap] Updating markers:', locations.length);
 
-    dataSource.clear();
-    markers.clear();
+    instance.markers.clear();
 
     const features = locations
         .filter(location => {
@@ -289,32 +640,186 @@ export function updateMarkers(locations) {
                     id: location.id,
                     title: location.title,
                     description: location.description,
-                    ...location.metadata
+                    ...location.metadata,
+                    ...(instance.markerCategories
+                        ? { [CATEGORY_PROPERTY]: resolveMarkerCategory(instance.markerCategories, location.metadata) }
+                        : {})
                 }
             );
-            markers.set(location.id, feature);
+            instance.markers.set(location.id, feature);
             return feature;
         });
 
     console.log(`[NebaMap] Adding ${features.length} valid markers to map`);
-    dataSource.add(features);
+    renderVisibleMarkers(instance);
+    updateLegend(instance);
+
+    if (instance.proximity) {
+        notifyDistancesCalculated(instance);
+    }
+
+    if (instance.reachableRange) {
+        notifyReachableLocationsChanged(instance, applyReachableRangeFlags(instance));
+    }
+}
+
+/**
+ * Replaces the data source contents with the markers whose category is not hidden.
+ * Hidden markers are removed from the source (not just filtered) so cluster counts stay accurate.
+ * @param {Object} instance - Map instance state
+ */
+function renderVisibleMarkers(instance) {
+    unspiderfy(instance);
+
+    const features = [...instance.markers.values()]
+        .filter(feature => !instance.hiddenCategories.has(feature.properties?.[CATEGORY_PROPERTY]));
+
+    instance.dataSource.clear();
+    instance.dataSource.add(features);
+    updateKeyboardOverlay(instance, false);
+
+    if (instance.heatmapSource) {
+        renderHeatmap(instance, features);
+    }
+}
+
+/**
+ * Registers one marker image per category and switches the symbol layer to the category icons.
+ * Until the images load the layer keeps the default pin.
+ * @param {Object} instance - Map instance state
+ * @returns {Promise<void>}
+ */
+async function registerCategoryIcons(instance) {
+    const { map, markerCategories } = instance;
+
+    try {
+        await Promise.all(markerCategories.categories.map(category => {
+            const imageId = getCategoryImageId(category.key);
+            return isIconUrl(category.icon)
+                ? map.imageSprite.add(imageId, category.icon)
+                : map.imageSprite.createFromTemplate(imageId, category.icon, category.color, '#ffffff');
+        }));
+    } catch (error) {
+        console.error('[NebaMap] Failed to register marker category icons:', error);
+        return;
+    }
+
+    // The map may have been disposed while the images were loading
+    if (instance.map !== map) {
+        return;
+    }
+
+    instance.symbolLayer.setOptions({
+        iconOptions: { image: buildCategoryIconExpression(markerCategories) }
+    });
+}
+
+/**
+ * Adds the legend control listing each marker category with a visibility toggle
+ * @param {Object} instance - Map instance state
+ */
+function addLegendControl(instance) {
+    const element = document.createElement('div');
+    element.className = 'neba-map-legend';
+    element.setAttribute('role', 'group');
+    element.setAttribute('aria-label', 'Map legend');
+    element.style.cssText = 'background: #ffffff; border-radius: 6px; box-shadow: 0 1px 4px rgba(0,0,0,0.3); ' +
+        'padding: 6px 8px; font-size: 12px; color: #1f2937;';
+
+    for (const category of instance.markerCategories.categories) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.category = category.key;
+        button.setAttribute('aria-pressed', 'true');
+        button.style.cssText = 'display: flex; align-items: center; gap: 6px; width: 100%; padding: 2px 0; ' +
+            'background: none; border: 0; cursor: pointer; text-align: left;';
+
+        const swatch = document.createElement('span');
+        swatch.setAttribute('aria-hidden', 'true');
+        swatch.style.cssText = `display: inline-block; width: 10px; height: 10px; border-radius: 9999px; background: ${category.color};`;
+
+        const label = document.createElement('span');
+        label.className = 'neba-map-legend-label';
+
+        button.append(swatch, label);
+        button.addEventListener('click', () => {
+            setMarkerCategoryVisibility(instance.containerId, category.key, instance.hiddenCategories.has(category.key));
+        });
+        element.appendChild(button);
+    }
+
+    instance.legendControl = {
+        element,
+        onAdd: () => element,
+        onRemove: () => element.remove()
+    };
+    instance.map.controls?.add(instance.legendControl, { position: 'bottom-left' });
+    updateLegend(instance);
+}
+
+/**
+ * Refreshes legend labels (with counts) and pressed states
+ * @param {Object} instance - Map instance state
+ */
+function updateLegend(instance) {
+    if (!instance.legendControl) {
+        return;
+    }
+
+    const counts = countMarkersByCategory(instance.markerCategories, instance.markers.values());
+
+    for (const button of instance.legendControl.element.querySelectorAll('button[data-category]')) {
+        const category = instance.markerCategories.categories.find(c => c.key === button.dataset.category);
+        const visible = !instance.hiddenCategories.has(category.key);
+        button.setAttribute('aria-pressed', String(visible));
+        button.style.opacity = visible ? '1' : '0.45';
+        button.querySelector('.neba-map-legend-label').textContent = `${category.label} (${counts.get(category.key)})`;
+    }
+}
+
+/**
+ * Shows or hides the markers of one category
+ * @param {string} containerId - DOM id of the map container
+ * @param {string} categoryKey - Category key
+ * @param {boolean} visible - True to show the category's markers
+ */
+export function setMarkerCategoryVisibility(containerId, categoryKey, visible) {
+    const instance = getInstance(containerId);
+    if (!instance?.dataSource || !instance.markerCategories) {
+        console.warn('[NebaMap] Cannot toggle marker category - categories not configured');
+        return;
+    }
+
+    if (visible) {
+        instance.hiddenCategories.delete(categoryKey);
+    } else {
+        instance.hiddenCategories.add(categoryKey);
+    }
+
+    closePopup(containerId);
+    renderVisibleMarkers(instance);
+    updateLegend(instance);
 }
 
 /**
  * Focuses the map on a specific location
+ * @param {string} containerId - DOM id of the map container
  * @param {string} locationId - The ID of the location to focus on
  */
-export function focusOnLocation(locationId) {
-    if (!map || !markers.has(locationId)) {
+export function focusOnLocation(containerId, locationId) {
+    const instance = getInstance(containerId);
+    if (!instance?.map || !instance.markers.has(locationId)) {
         console.warn('[NebaMap] Cannot focus on location:', locationId);
         return;
     }
 
-    const feature = markers.get(locationId);
+    const feature = instance.markers.get(locationId);
     const coordinates = feature.geometry.coordinates;
     const properties = feature.properties;
 
-    map.setCamera({
+    writeUrlState(instance, { locationId });
+
+    instance.map.setCamera({
         center: coordinates,
         zoom: 15,
         type: 'ease',
@@ -322,22 +827,26 @@ export function focusOnLocation(locationId) {
     });
 
     setTimeout(() => {
-        showPopup(coordinates, properties);
+        if (instance.map) {
+            showPopup(instance, coordinates, properties);
+        }
     }, 1100);
 }
 
 /**
  * Fits the map bounds to show all markers
+ * @param {string} containerId - DOM id of the map container
  */
-export function fitBounds() {
-    if (!map || !dataSource) {
+export function fitBounds(containerId) {
+    const instance = getInstance(containerId);
+    if (!instance?.map || !instance.dataSource) {
         return;
     }
 
-    const shapes = dataSource.getShapes();
+    const shapes = instance.dataSource.getShapes();
     if (shapes.length > 0) {
         const bounds = atlas.data.BoundingBox.fromData(shapes);
-        map.setCamera({
+        instance.map.setCamera({
             bounds: bounds,
             padding: 50
         });
@@ -346,461 +855,1874 @@ export function fitBounds() {
 
 /**
  * Closes any open popup on the map
+ * @param {string} containerId - DOM id of the map container
  */
-export function closePopup() {
-    if (currentPopup) {
-        currentPopup.close();
-        currentPopup = null;
+export function closePopup(containerId) {
+    const instance = getInstance(containerId);
+    if (instance?.currentPopup) {
+        instance.currentPopup.close();
+        instance.currentPopup = null;
+        writeUrlState(instance, { locationId: null });
     }
 }
 
 /**
  * Shows an info popup for a location
+ * @param {Object} instance - Map instance state
  * @param {Array} coordinates - [longitude, latitude]
  * @param {Object} properties - Location properties
  */
-function showPopup(coordinates, properties) {
-    if (currentPopup) {
-        currentPopup.close();
+function showPopup(instance, coordinates, properties) {
+    if (instance.currentPopup) {
+        instance.currentPopup.close();
     }
 
-    const content = `
-        <div style="padding: 12px; max-width: 280px;">
-            <div style="font-weight: 700; font-size: 16px; color: #0066b2; margin-bottom: 8px;">
-                ${properties.title}
-            </div>
-            <div style="font-size: 14px; color: #4b5563; white-space: pre-line;">
-                ${properties.description}
-            </div>
-        </div>
-    `;
-
-    currentPopup = new atlas.Popup({
+    instance.currentPopup = new atlas.Popup({
         position: coordinates,
-        content: content,
+        content: renderPopupContent(properties, instance.popupTemplate),
         pixelOffset: [0, -18]
     });
 
-    currentPopup.open(map);
+    instance.currentPopup.open(instance.map);
+
+    if (instance.popupTemplate.actions.length > 0) {
+        instance.currentPopup.getPopupContainer?.()?.addEventListener('click', (event) => {
+            const button = event.target.closest?.('[data-popup-action]');
+            if (button) {
+                handlePopupAction(instance, button.dataset.popupAction, button.dataset.locationId);
+            }
+        });
+    }
 }
 
 /**
- * Notifies the Blazor component about map bounds changes (debounced 150ms)
+ * Forwards a popup action button click to .NET.
+ * The built-in "directions" action calls NotifyDirectionsRequested; any other action calls NotifyPopupAction.
+ * @param {Object} instance - Map instance state
+ * @param {string} actionId - Action id from the popup template
+ * @param {string} locationId - Location the popup belongs to
  */
-function notifyBoundsChanged() {
-    if (!map || !dotNetHelper) {
+function handlePopupAction(instance, actionId, locationId) {
+    if (!instance.dotNetHelper) {
         return;
     }
 
-    if (boundsChangeTimeout) {
-        clearTimeout(boundsChangeTimeout);
-    }
+    const call = actionId === 'directions'
+        ? instance.dotNetHelper.invokeMethodAsync('NotifyDirectionsRequested', locationId)
+        : instance.dotNetHelper.invokeMethodAsync('NotifyPopupAction', actionId, locationId);
 
-    boundsChangeTimeout = setTimeout(() => {
-        const camera = map.getCamera();
-        const bounds = camera.bounds;
+    call.catch(error => console.error('[NebaMap] Error notifying popup action:', actionId, error));
+}
 
-        if (bounds) {
-            const mapBounds = {
-                north: bounds[3],
-                south: bounds[1],
-                east: bounds[2],
-                west: bounds[0]
-            };
+/**
+ * Notifies the Blazor component that a marker was clicked
+ * @param {Object} instance - Map instance state
+ * @param {string} locationId - The ID of the clicked location
+ */
+function notifyLocationSelected(instance, locationId) {
+    if (!instance.dotNetHelper || !locationId) {
+        return;
+    }
 
-            dotNetHelper.invokeMethodAsync('NotifyBoundsChanged', mapBounds)
-                .catch(error => console.error('[NebaMap] Error notifying bounds changed:', error));
-        }
-    }, 150);
+    instance.dotNetHelper.invokeMethodAsync('NotifyLocationSelected', locationId)
+        .catch(error => console.error('[NebaMap] Error notifying location selected:', error));
 }
 
 /**
- * Enters directions preview mode - zooms to selected location and dims other markers
- * @param {string} locationId - The ID of the destination location
+ * Notifies the Blazor component when the hovered marker changes (null when the pointer leaves all markers)
+ * @param {Object} instance - Map instance state
+ * @param {string|null} locationId - The ID of the hovered location
  */
-export function enterDirectionsPreview(locationId) {
-    if (!map || !markers.has(locationId)) {
-        console.warn('[NebaMap] Cannot enter directions preview for location:', locationId);
+function notifyLocationHovered(instance, locationId) {
+    if (!instance.dotNetHelper || instance.hoveredLocationId === locationId) {
         return;
     }
 
-    const feature = markers.get(locationId);
-    const coordinates = feature.geometry.coordinates;
+    instance.hoveredLocationId = locationId;
 
-    closePopup();
+    instance.dotNetHelper.invokeMethodAsync('NotifyLocationHovered', locationId)
+        .catch(error => console.error('[NebaMap] Error notifying location hovered:', error));
+}
 
-    map.setCamera({
-        center: coordinates,
-        zoom: 13,
-        type: 'ease',
-        duration: 1000
-    });
+/**
+ * Enlarges one marker so it stands out (e.g., while its card is hovered in a list)
+ * @param {string} containerId - DOM id of the map container
+ * @param {string|null} locationId - The ID of the location to highlight, or null to clear the highlight
+ */
+export function highlightLocation(containerId, locationId) {
+    const instance = getInstance(containerId);
+    if (!instance?.symbolLayer) {
+        return;
+    }
 
-    const symbolLayers = map.layers.getLayers().filter(l => l instanceof atlas.layer.SymbolLayer);
-    symbolLayers.forEach(layer => {
-        layer.setOptions({
-            iconOptions: {
-                opacity: ['case',
-                    ['==', ['get', 'id'], locationId],
-                    1,
-                    0.3
-                ]
-            }
-        });
+    instance.symbolLayer.setOptions({
+        iconOptions: {
+            size: locationId
+                ? ['case', ['==', ['get', 'id'], locationId], 1.4, 1]
+                : 1
+        }
     });
 }
 
 /**
- * Builds a compact, interop-safe route coordinate list.
- * Long routes can exceed SignalR message limits if every point is returned to .NET.
- * @param {Object} route - Azure Maps route object
- * @param {number} maxPoints - Maximum number of points to keep
- * @returns {Array<Array<number>>} Array of [longitude, latitude] coordinate pairs
+ * Starts a "near me" search: draws a radius ring around the origin, zooms to it and reports
+ * the straight-line distance to every marker. Distances are re-reported whenever markers change.
+ * @param {string} containerId - DOM id of the map container
+ * @param {number[]} origin - [longitude, latitude] of the user (or the ZIP code they entered)
+ * @param {number} radiusMiles - Radius of the ring in miles
  */
-function buildCompactRouteCoordinates(route, maxPoints = 220) {
-    const rawPoints = (route?.legs ?? []).flatMap(leg => leg?.points ?? []);
-
-    const coordinates = rawPoints
-        .filter(point => point?.longitude !== null && point?.longitude !== undefined)
-        .filter(point => point?.latitude !== null && point?.latitude !== undefined)
-        .map(point => [Number(point?.longitude), Number(point?.latitude)])
-        .filter(([longitude, latitude]) => Number.isFinite(longitude) && Number.isFinite(latitude))
-        .map(([longitude, latitude]) => [
-            Number(longitude.toFixed(6)),
-            Number(latitude.toFixed(6))
-        ]);
+export function showProximity(containerId, origin, radiusMiles) {
+    const instance = getInstance(containerId);
+    if (!instance?.map) {
+        console.warn('[NebaMap] Cannot show proximity - map not initialized');
+        return;
+    }
 
-    if (coordinates.length <= maxPoints) {
-        return coordinates;
+    if (!isValidPosition(origin) || !(radiusMiles > 0)) {
+        console.warn('[NebaMap] Cannot show proximity - invalid origin or radius:', origin, radiusMiles);
+        return;
     }
 
-    const sampledCoordinates = [];
-    const lastIndex = coordinates.length - 1;
-    const step = lastIndex / (maxPoints - 1);
+    instance.proximity = { origin, radiusMiles };
 
-    for (let i = 0; i < maxPoints; i += 1) {
-        sampledCoordinates.push(coordinates[Math.round(i * step)]);
+    if (!instance.proximitySource) {
+        addProximityLayers(instance);
     }
 
-    sampledCoordinates[0] = coordinates[0];
-    sampledCoordinates[sampledCoordinates.length - 1] = coordinates[lastIndex];
+    const ring = atlas.math.getRegularPolygonPath(origin, radiusMiles * METERS_PER_MILE, 72, 'meters');
 
-    return sampledCoordinates;
+    instance.proximitySource.clear();
+    instance.proximitySource.add([
+        new atlas.data.Feature(new atlas.data.Polygon([ring]), { kind: 'ring' }),
+        new atlas.data.Feature(new atlas.data.Point(origin), { kind: 'origin' })
+    ]);
+
+    instance.map.setCamera({
+        bounds: atlas.data.BoundingBox.fromPositions(ring),
+        padding: 40,
+        type: 'ease',
+        duration: 1000
+    });
+
+    notifyDistancesCalculated(instance);
 }
 
 /**
- * Builds the Azure Maps route directions URL for a driving route request.
- * @param {number[]} origin - Origin coordinates [longitude, latitude]
+ * Ends the "near me" search and removes the radius ring
+ * @param {string} containerId - DOM id of the map container
+ */
+export function clearProximity(containerId) {
+    const instance = getInstance(containerId);
+    if (!instance) {
+        return;
+    }
+
+    instance.proximity = null;
+    instance.proximitySource?.clear();
+}
+
+/**
+ * Adds the data source and layers that draw the proximity ring beneath the markers
+ * @param {Object} instance - Map instance state
+ */
+function addProximityLayers(instance) {
+    const { map } = instance;
+
+    instance.proximitySource = new atlas.source.DataSource();
+    map.sources.add(instance.proximitySource);
+
+    map.layers.add(new atlas.layer.PolygonLayer(instance.proximitySource, null, {
+        fillColor: '#0066b2',
+        fillOpacity: 0.08,
+        filter: ['==', ['get', 'kind'], 'ring']
+    }), instance.symbolLayer);
+
+    map.layers.add(new atlas.layer.LineLayer(instance.proximitySource, null, {
+        strokeColor: '#0066b2',
+        strokeWidth: 2,
+        strokeDashArray: [4, 3],
+        filter: ['==', ['get', 'kind'], 'ring']
+    }), instance.symbolLayer);
+
+    map.layers.add(new atlas.layer.BubbleLayer(instance.proximitySource, null, {
+        radius: 7,
+        color: '#2563eb',
+        strokeColor: '#ffffff',
+        strokeWidth: 2,
+        filter: ['==', ['get', 'kind'], 'origin']
+    }), instance.symbolLayer);
+}
+
+/**
+ * Reports the distance from the proximity origin to every marker, nearest first
+ * @param {Object} instance - Map instance state
+ */
+function notifyDistancesCalculated(instance) {
+    if (!instance.dotNetHelper || !instance.proximity) {
+        return;
+    }
+
+    const distances = rankByDistance(instance.proximity.origin, instance.markers.values());
+
+    instance.dotNetHelper.invokeMethodAsync('NotifyDistancesCalculated', distances)
+        .catch(error => console.error('[NebaMap] Error notifying distances calculated:', error));
+}
+
+/**
+ * Shows the area reachable by car from an origin within a drive-time budget. Markers inside the
+ * area are flagged; markers outside it are dimmed until the area is cleared.
+ * @param {string} containerId - DOM id of the map container
+ * @param {number[]} origin - [longitude, latitude] to drive from
+ * @param {number} timeBudgetMinutes - Maximum drive time in minutes
+ * @returns {Promise<Object>} { ReachableLocationIds, TimeBudgetMinutes }
+ */
+export async function showReachableRange(containerId, origin, timeBudgetMinutes) {
+    const timer = createTimer('map.reachable_range');
+
+    const instance = getInstance(containerId);
+    if (!instance?.map) {
+        const error = new Error('Map not initialized');
+        trackError(error.message, 'map.reachable_range', error.stack);
+        timer.stop(false, { error: 'map_not_initialized' });
+        throw error;
+    }
+
+    const provider = getRoutingProvider(instance.routingConfig);
+    if (!provider) {
+        const error = new Error('Authentication not configured');
+        trackError(error.message, 'map.reachable_range', error.stack);
+        timer.stop(false, { error: 'auth_not_configured' });
+        throw error;
+    }
+
+    console.log('[NebaMap] Calculating', timeBudgetMinutes, 'minute drive-time area from', origin);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 15000);
+
+    let ring;
+    try {
+        ring = await provider.reachableRange(origin, {
+            timeBudgetInSeconds: Math.round(timeBudgetMinutes * 60),
+            signal: controller.signal
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.error('[NebaMap] Drive-time area calculation timed out');
+            const timedOut = new Error('Drive-time area calculation timed out. Please try again.');
+            trackError(timedOut.message, 'map.reachable_range', timedOut.stack);
+            timer.stop(false, { error: 'timeout' });
+            throw timedOut;
+        }
+        console.error('[NebaMap] Error calculating drive-time area:', error);
+        trackError(error.message, 'map.reachable_range', error.stack);
+        timer.stop(false, { error: error.telemetryCode ?? error.message, ...error.telemetryProperties });
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    if (ring.length < 4) {
+        const error = createRoutingError('No reachable area found', 'no_reachable_range');
+        trackError(error.message, 'map.reachable_range', error.stack);
+        timer.stop(false, { error: error.telemetryCode });
+        throw error;
+    }
+
+    instance.reachableRange = { ring, timeBudgetMinutes };
+
+    if (!instance.reachableSource) {
+        addReachableRangeLayers(instance);
+    }
+
+    instance.reachableSource.clear();
+    instance.reachableSource.add(new atlas.data.Feature(new atlas.data.Polygon([ring])));
+
+    instance.map.setCamera({
+        bounds: atlas.data.BoundingBox.fromPositions(ring),
+        padding: 40,
+        type: 'ease',
+        duration: 1000
+    });
+
+    const reachableLocationIds = applyReachableRangeFlags(instance);
+
+    timer.stop(true, {
+        time_budget_minutes: timeBudgetMinutes,
+        reachable_count: reachableLocationIds.length
+    });
+
+    return {
+        ReachableLocationIds: reachableLocationIds,
+        TimeBudgetMinutes: timeBudgetMinutes
+    };
+}
+
+/**
+ * Removes the drive-time area and undims the markers it had dimmed
+ * @param {string} containerId - DOM id of the map container
+ */
+export function clearReachableRange(containerId) {
+    const instance = getInstance(containerId);
+    if (!instance) {
+        return;
+    }
+
+    instance.reachableRange = null;
+    instance.reachableSource?.clear();
+    applyMarkerOpacity(instance);
+}
+
+/**
+ * Adds the data source and layers that draw the drive-time polygon beneath the markers
+ * @param {Object} instance - Map instance state
+ */
+function addReachableRangeLayers(instance) {
+    const { map } = instance;
+
+    instance.reachableSource = new atlas.source.DataSource();
+    map.sources.add(instance.reachableSource);
+
+    map.layers.add(new atlas.layer.PolygonLayer(instance.reachableSource, null, {
+        fillColor: '#16a34a',
+        fillOpacity: 0.15
+    }), instance.symbolLayer);
+
+    map.layers.add(new atlas.layer.LineLayer(instance.reachableSource, null, {
+        strokeColor: '#15803d',
+        strokeWidth: 2
+    }), instance.symbolLayer);
+}
+
+/**
+ * Works out which locations are inside the drive-time area and dims the markers outside it
+ * @param {Object} instance - Map instance state
+ * @returns {Array<string>} IDs of the locations inside the area
+ */
+function applyReachableRangeFlags(instance) {
+    const { ring } = instance.reachableRange;
+
+    const reachableLocationIds = [...instance.markers.values()]
+        .filter(feature => isPositionInRing(feature.geometry.coordinates, ring))
+        .map(feature => feature.properties.id);
+
+    instance.reachableRange.locationIds = reachableLocationIds;
+    applyMarkerOpacity(instance);
+
+    return reachableLocationIds;
+}
+
+/**
+ * Sets the marker icon opacity from the directions preview and the drive-time area together, so
+ * neither undoes the other's dimming. The previewed destination stays at full opacity; other markers
+ * are dimmed while a preview is shown, or when they are outside the drive-time area.
+ * @param {Object} instance - Map instance state
+ */
+function applyMarkerOpacity(instance) {
+    const { directionsPreviewId, reachableRange } = instance;
+
+    let opacity = 1;
+    if (directionsPreviewId !== null) {
+        opacity = ['case', ['==', ['get', 'id'], directionsPreviewId], 1, 0.3];
+    } else if (reachableRange?.locationIds) {
+        opacity = ['case', ['in', ['get', 'id'], ['literal', reachableRange.locationIds]], 1, 0.3];
+    }
+
+    const symbolLayers = (instance.map?.layers?.getLayers?.() ?? []).filter(l => l instanceof atlas.layer.SymbolLayer);
+    symbolLayers.forEach(layer => {
+        layer.setOptions({ iconOptions: { opacity } });
+    });
+}
+
+/**
+ * Notifies the Blazor component which locations are inside the drive-time area after markers change
+ * @param {Object} instance - Map instance state
+ * @param {Array<string>} reachableLocationIds - IDs of the locations inside the area
+ */
+function notifyReachableLocationsChanged(instance, reachableLocationIds) {
+    if (!instance.dotNetHelper) {
+        return;
+    }
+
+    instance.dotNetHelper.invokeMethodAsync('NotifyReachableLocationsChanged', reachableLocationIds)
+        .catch(error => console.error('[NebaMap] Error notifying reachable locations changed:', error));
+}
+
+/**
+ * Notifies the Blazor component about map bounds changes (debounced 150ms)
+ * @param {Object} instance - Map instance state
+ */
+function notifyBoundsChanged(instance) {
+    if (!instance.map || !instance.dotNetHelper) {
+        return;
+    }
+
+    if (instance.boundsChangeTimeout) {
+        clearTimeout(instance.boundsChangeTimeout);
+    }
+
+    instance.boundsChangeTimeout = setTimeout(() => {
+        instance.boundsChangeTimeout = null;
+        const camera = instance.map.getCamera();
+        const bounds = camera.bounds;
+
+        if (bounds) {
+            const mapBounds = {
+                north: bounds[3],
+                south: bounds[1],
+                east: bounds[2],
+                west: bounds[0]
+            };
+
+            instance.dotNetHelper.invokeMethodAsync('NotifyBoundsChanged', mapBounds)
+                .catch(error => console.error('[NebaMap] Error notifying bounds changed:', error));
+        }
+
+        updateKeyboardOverlay(instance, true);
+    }, 150);
+}
+
+/**
+ * Adds the keyboard and screen-reader overlay on top of the map canvas (keys are listed in map-keyboard.js):
+ * a map surface that pans and zooms from the keyboard, a list of the markers in view with a single tab stop,
+ * and a live region announcing how many markers are in view. Both stay visually hidden until focused.
+ * @param {Object} instance - Map instance state
+ */
+function addKeyboardOverlay(instance) {
+    const container = document.getElementById(instance.containerId);
+    if (!container) {
+        return;
+    }
+
+    const element = document.createElement('div');
+    element.className = 'neba-map-keyboard';
+
+    const surface = document.createElement('div');
+    surface.className = 'neba-map-keyboard-surface';
+    surface.tabIndex = 0;
+    surface.setAttribute('role', 'application');
+    surface.setAttribute('aria-roledescription', 'map');
+    surface.setAttribute('aria-label', 'Map. Use the arrow keys to pan and plus or minus to zoom.');
+
+    const list = document.createElement('ul');
+    list.className = 'neba-map-keyboard-list';
+    list.setAttribute('role', 'listbox');
+    const { other } = instance.locationNoun;
+    list.setAttribute('aria-label', `${other.charAt(0).toUpperCase()}${other.slice(1)} in view`);
+
+    const status = document.createElement('div');
+    status.className = 'neba-map-keyboard-status';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+
+    element.append(surface, list, status);
+    element.addEventListener('keydown', (event) => handleOverlayKeydown(instance, event));
+    list.addEventListener('focusin', (event) => {
+        const option = event.target.closest?.('[role="option"]');
+        if (option) {
+            setActiveMarkerOption(instance, option.dataset.locationId, false);
+            highlightLocation(instance.containerId, option.dataset.locationId);
+        }
+    });
+    list.addEventListener('focusout', (event) => {
+        if (!list.contains(event.relatedTarget)) {
+            highlightLocation(instance.containerId, null);
+        }
+    });
+
+    container.appendChild(element);
+    instance.keyboardOverlay = { element, surface, list, status, activeLocationId: null };
+}
+
+/**
+ * Rebuilds the overlay's marker list from the markers in view, keeping the focused marker when it is still there
+ * @param {Object} instance - Map instance state
+ * @param {boolean} announce - Announce the number of markers in view to screen readers
+ */
+function updateKeyboardOverlay(instance, announce) {
+    const overlay = instance.keyboardOverlay;
+    if (!overlay || !instance.map) {
+        return;
+    }
+
+    const visible = [...instance.markers.values()]
+        .filter(feature => !instance.hiddenCategories.has(feature.properties?.[CATEGORY_PROPERTY]));
+    const markers = getMarkersInView(visible, instance.map.getCamera()?.bounds ?? null);
+    const hadFocus = overlay.list.contains(document.activeElement);
+
+    if (!markers.some(feature => feature.properties.id === overlay.activeLocationId)) {
+        overlay.activeLocationId = markers[0]?.properties.id ?? null;
+    }
+
+    overlay.list.replaceChildren(...markers.map(feature => {
+        const option = document.createElement('li');
+        option.setAttribute('role', 'option');
+        option.dataset.locationId = feature.properties.id;
+        option.textContent = feature.properties.title || feature.properties.id;
+        return option;
+    }));
+    setActiveMarkerOption(instance, overlay.activeLocationId, hadFocus);
+
+    if (hadFocus && markers.length === 0) {
+        overlay.surface.focus();
+    }
+
+    if (announce) {
+        overlay.status.textContent = describeMarkersInView(markers.length, instance.locationNoun);
+    }
+}
+
+/**
+ * Moves the marker list's single tab stop to a marker
+ * @param {Object} instance - Map instance state
+ * @param {string|null} locationId - Marker to make active
+ * @param {boolean} focus - Also move keyboard focus to it
+ */
+function setActiveMarkerOption(instance, locationId, focus) {
+    const overlay = instance.keyboardOverlay;
+    if (!overlay) {
+        return;
+    }
+
+    const options = [...overlay.list.querySelectorAll('[role="option"]')];
+    if (!options.some(option => option.dataset.locationId === locationId)) {
+        return;
+    }
+
+    overlay.activeLocationId = locationId;
+    for (const option of options) {
+        const active = option.dataset.locationId === locationId;
+        option.tabIndex = active ? 0 : -1;
+        option.setAttribute('aria-selected', String(active));
+        if (active && focus) {
+            option.focus();
+        }
+    }
+}
+
+/**
+ * Handles a key pressed on the map surface or in the marker list
+ * @param {Object} instance - Map instance state
+ * @param {KeyboardEvent} event - Key event
+ */
+function handleOverlayKeydown(instance, event) {
+    if (!instance.map || event.altKey || event.ctrlKey || event.metaKey) {
+        return;
+    }
+
+    const zoomDelta = getZoomDelta(event.key);
+    if (zoomDelta !== null) {
+        event.preventDefault();
+        instance.map.setCamera({ zoom: instance.map.getCamera().zoom + zoomDelta, type: 'ease', duration: 200 });
+        return;
+    }
+
+    const option = event.target.closest?.('[role="option"]');
+    if (!option) {
+        const offset = event.target === instance.keyboardOverlay.surface ? getPanOffset(event.key) : null;
+        if (offset) {
+            event.preventDefault();
+            panMapBy(instance, offset);
+        }
+        return;
+    }
+
+    const feature = instance.markers.get(option.dataset.locationId);
+    if ((event.key === 'Enter' || event.key === ' ') && feature) {
+        event.preventDefault();
+        selectMarker(instance, feature.geometry.coordinates, feature.properties);
+        return;
+    }
+
+    if (event.key === 'Escape') {
+        closePopup(instance.containerId);
+        return;
+    }
+
+    const options = [...instance.keyboardOverlay.list.querySelectorAll('[role="option"]')];
+    const index = getRovingIndex(event.key, options.indexOf(option), options.length);
+    if (index !== null) {
+        event.preventDefault();
+        setActiveMarkerOption(instance, options[index].dataset.locationId, true);
+    }
+}
+
+/**
+ * Pans the map by a pixel offset
+ * @param {Object} instance - Map instance state
+ * @param {Array<number>} offset - [x, y] in pixels
+ */
+function panMapBy(instance, [x, y]) {
+    const { map } = instance;
+    const [centerPixel] = map.positionsToPixels([map.getCamera().center]);
+    const [center] = map.pixelsToPositions([[centerPixel[0] + x, centerPixel[1] + y]]);
+
+    map.setCamera({ center, type: 'ease', duration: 200 });
+}
+
+/**
+ * Writes the map's current center and zoom into the page URL so the view can be bookmarked.
+ * initializeMap restores it when the map is configured with syncStateWithUrl.
+ * @param {string} containerId - DOM id of the map container
+ */
+export function saveViewToUrl(containerId) {
+    const instance = getInstance(containerId);
+    if (!instance?.map) {
+        console.warn('[NebaMap] Cannot save map view - map not initialized');
+        return;
+    }
+
+    const camera = instance.map.getCamera();
+    writeMapViewToUrl({ center: camera.center, zoom: camera.zoom });
+}
+
+/**
+ * Removes the map view written by saveViewToUrl from the page URL
+ */
+export function clearViewFromUrl() {
+    clearMapViewFromUrl();
+}
+
+/**
+ * Writes changes to the map state into the page URL, when the map is configured with syncStateWithUrl
+ * @param {Object} instance - Map instance state
+ * @param {Object} changes - { style?, locationId?, directionsTo? }; null removes that part
+ */
+function writeUrlState(instance, changes) {
+    if (instance.syncWithUrl) {
+        writeMapStateToUrl(changes);
+    }
+}
+
+/**
+ * Reopens the directions or location popup named in the page URL once the markers are drawn, and tells
+ * .NET as if the member had picked them. Ids that match no marker are removed from the URL.
+ * @param {Object} instance - Map instance state
+ * @param {Object} urlState - State read from the URL { directionsTo, locationId }
+ */
+function restoreUrlSelection(instance, urlState) {
+    const stale = {};
+    if (urlState.directionsTo && !instance.markers.has(urlState.directionsTo)) {
+        stale.directionsTo = null;
+    }
+    if (urlState.locationId && !instance.markers.has(urlState.locationId)) {
+        stale.locationId = null;
+    }
+    if (Object.keys(stale).length > 0) {
+        console.warn('[NebaMap] Location in the URL not found:', urlState);
+        writeUrlState(instance, stale);
+    }
+
+    if (urlState.directionsTo && !('directionsTo' in stale)) {
+        enterDirectionsPreview(instance.containerId, urlState.directionsTo);
+        instance.dotNetHelper.invokeMethodAsync('NotifyDirectionsRequested', urlState.directionsTo)
+            .catch(error => console.error('[NebaMap] Error notifying directions requested:', error));
+    } else if (urlState.locationId && !('locationId' in stale)) {
+        focusOnLocation(instance.containerId, urlState.locationId);
+        notifyLocationSelected(instance, urlState.locationId);
+    }
+}
+
+/**
+ * Enters directions preview mode - zooms to selected location and dims other markers
+ * @param {string} containerId - DOM id of the map container
+ * @param {string} locationId - The ID of the destination location
+ */
+export function enterDirectionsPreview(containerId, locationId) {
+    const instance = getInstance(containerId);
+    if (!instance?.map || !instance.markers.has(locationId)) {
+        console.warn('[NebaMap] Cannot enter directions preview for location:', locationId);
+        return;
+    }
+
+    const feature = instance.markers.get(locationId);
+    const coordinates = feature.geometry.coordinates;
+
+    closePopup(containerId);
+    writeUrlState(instance, { locationId: null, directionsTo: locationId });
+
+    instance.map.setCamera({
+        center: coordinates,
+        zoom: 13,
+        type: 'ease',
+        duration: 1000
+    });
+
+    instance.directionsPreviewId = locationId;
+    applyMarkerOpacity(instance);
+}
+
+/**
+ * Builds a compact, interop-safe route coordinate list.
+ * Long routes can exceed SignalR message limits if every point is returned to .NET.
+ * @param {Object} route - Azure Maps route object
+ * @param {number} maxPoints - Maximum number of points to keep
+ * @returns {Array<Array<number>>} Array of [longitude, latitude] coordinate pairs
+ */
+function buildCompactRouteCoordinates(route, maxPoints = 220) {
+    const rawPoints = (route?.legs ?? []).flatMap(leg => leg?.points ?? []);
+
+    const coordinates = rawPoints
+        .filter(point => point?.longitude !== null && point?.longitude !== undefined)
+        .filter(point => point?.latitude !== null && point?.latitude !== undefined)
+        .map(point => [Number(point?.longitude), Number(point?.latitude)])
+        .filter(([longitude, latitude]) => Number.isFinite(longitude) && Number.isFinite(latitude))
+        .map(([longitude, latitude]) => [
+            Number(longitude.toFixed(6)),
+            Number(latitude.toFixed(6))
+        ]);
+
+    if (coordinates.length <= maxPoints) {
+        return coordinates;
+    }
+
+    const sampledCoordinates = [];
+    const lastIndex = coordinates.length - 1;
+    const step = lastIndex / (maxPoints - 1);
+
+    for (let i = 0; i < maxPoints; i += 1) {
+        sampledCoordinates.push(coordinates[Math.round(i * step)]);
+    }
+
+    sampledCoordinates[0] = coordinates[0];
+    sampledCoordinates[sampledCoordinates.length - 1] = coordinates[lastIndex];
+
+    return sampledCoordinates;
+}
+
+/**
+ * Normalizes route travel time values for comparisons.
+ * @param {Object} route - Route candidate returned by Azure Maps
+ * @returns {number} Travel time in seconds or Infinity when unavailable
+ */
+function getRouteTravelTime(route) {
+    const travelTime = Number(route?.summary?.travelTimeInSeconds);
+    return Number.isFinite(travelTime) ? travelTime : Number.POSITIVE_INFINITY;
+}
+
+/**
+ * Finds which leg of a multi-stop route an instruction belongs to.
+ * OSRM instructions carry their leg; Azure Maps ones are placed by their offset along the route,
+ * with the "arrive at stop" instruction on a leg boundary kept on the leg it ends.
+ * @param {Object} instruction - Guidance instruction
+ * @param {number[]} legEndOffsets - Distance in meters from the origin to the end of each leg
+ * @returns {number} Zero-based leg index
+ */
+function getInstructionLegIndex(instruction, legEndOffsets) {
+    if (Number.isInteger(instruction.legIndex)) {
+        return instruction.legIndex;
+    }
+
+    const offset = Number(instruction.routeOffsetInMeters);
+    if (legEndOffsets.length <= 1 || !Number.isFinite(offset)) {
+        return 0;
+    }
+
+    const legIndex = legEndOffsets.findIndex(legEndOffset => offset <= legEndOffset);
+    return legIndex === -1 ? legEndOffsets.length - 1 : legIndex;
+}
+
+/**
+ * Reads where an instruction happens, so "follow me" mode can tell which one is next.
+ * @param {Object} instruction - Guidance instruction
+ * @returns {number[]|null} [longitude, latitude], or null when the provider left it out
+ */
+function getInstructionPosition(instruction) {
+    const position = [Number(instruction.point?.longitude), Number(instruction.point?.latitude)];
+    return instruction.point && isValidPosition(position) ? position : null;
+}
+
+/**
+ * Extracts human-readable guidance instructions from a route.
+ * @param {Object} route - Route object returned by Azure Maps
+ * @returns {Array<Object>} Turn-by-turn instruction objects
+ */
+function extractGuidanceInstructions(route) {
+    let legEndOffset = 0;
+    const legEndOffsets = (route.legs ?? []).map(leg => {
+        legEndOffset += Number(leg?.summary?.lengthInMeters) || 0;
+        return legEndOffset;
+    });
+
+    const toInstructionData = instruction => ({
+        Text: instruction.message || instruction.instructionType || instruction.text || 'Continue',
+        DistanceMeters: instruction.travelDistance || instruction.routeOffsetInMeters || 0,
+        LegIndex: getInstructionLegIndex(instruction, legEndOffsets),
+        Position: getInstructionPosition(instruction)
+    });
+
+    if (route.guidance?.instructions && route.guidance.instructions.length > 0) {
+        return route.guidance.instructions.map(toInstructionData);
+    }
+
+    if (route.guidance?.instructionGroups && route.guidance.instructionGroups.length > 0) {
+        const allInstructions = route.guidance.instructionGroups.flatMap(group => group.instructions || []);
+        return allInstructions.map(toInstructionData);
+    }
+
+    return [];
+}
+
+/**
+ * Builds the distance and travel time of each leg of a route - one leg per carpool stop, plus the
+ * final leg to the destination.
+ * Note: Using PascalCase to match the C# RouteLeg class for deserialization; TravelTimeSeconds is an int there
+ * and is rounded, since a fractional value cannot be deserialized
+ * @param {Object} route - Route object returned by Azure Maps
+ * @returns {Array<Object>} RouteLeg-compatible objects
+ */
+function buildRouteLegs(route) {
+    return (route?.legs ?? []).map(leg => ({
+        DistanceMeters: Number(leg?.summary?.lengthInMeters) || 0,
+        TravelTimeSeconds: Math.round(Number(leg?.summary?.travelTimeInSeconds) || 0)
+    }));
+}
+
+/**
+ * Builds the traffic incidents along a route, shown as warnings in the directions summary.
+ * Note: Using PascalCase to match the C# RouteIncident class for deserialization
+ * @param {Object} route - Route object returned by Azure Maps
+ * @returns {Array<Object>} RouteIncident-compatible objects
+ */
+function buildRouteIncidents(route) {
+    return extractTrafficIncidents(route).map(incident => ({
+        Cause: incident.cause,
+        Road: incident.road,
+        DelaySeconds: incident.delaySeconds,
+        Position: incident.position
+    }));
+}
+
+/**
+ * Builds a RouteData-compatible object for one route candidate.
+ * TravelTimeSeconds is rounded to whole seconds to match the C# int property.
+ * @param {Object} route - Route object returned by Azure Maps
+ * @returns {Object} RouteData-compatible object
+ */
+function buildRouteOptionData(route) {
+    const summary = route?.summary;
+    const instructions = extractGuidanceInstructions(route);
+
+    const routeCoordinates = buildCompactRouteCoordinates(route);
+    const originalPointCount = (route?.legs ?? []).reduce((count, leg) => count + (leg?.points?.length ?? 0), 0);
+
+    const routeGeoJson = routeCoordinates.length >= 2
+        ? JSON.stringify({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: routeCoordinates },
+            properties: {}
+        })
+        : null;
+
+    if (routeCoordinates.length < originalPointCount) {
+        console.log('[NebaMap] Compacted route geometry for interop payload:', {
+            originalPointCount,
+            compactPointCount: routeCoordinates.length,
+            routeGeoJsonLength: routeGeoJson?.length ?? 0
+        });
+    }
+
+    return {
+        DistanceMeters: Number(summary?.lengthInMeters) || 0,
+        TravelTimeSeconds: Math.round(Number(summary?.travelTimeInSeconds) || 0),
+        Instructions: instructions,
+        Legs: buildRouteLegs(route),
+        Incidents: buildRouteIncidents(route),
+        RouteGeoJson: routeGeoJson
+    };
+}
+
+/**
+ * Builds ranked route options from fastest to slower alternatives.
+ * @param {Array} routes - Route candidates returned by Azure Maps
+ * @param {number} maxOptions - Maximum options to return
+ * @returns {Array<Object>} RouteData-compatible route options
+ */
+function buildRouteOptions(routes, maxOptions = 3) {
+    if (!Array.isArray(routes) || routes.length === 0) {
+        return [];
+    }
+
+    return [...routes]
+        .sort((a, b) => getRouteTravelTime(a) - getRouteTravelTime(b))
+        .slice(0, maxOptions)
+        .map(route => buildRouteOptionData(route));
+}
+
+/**
+ * Checks whether a route request failed because the network could not be reached
+ * @param {Error} error - Error thrown by the route request
+ * @returns {boolean} True for offline, DNS or timeout failures
+ */
+function isNetworkFailure(error) {
+    return error?.name === 'AbortError' ||
+        error?.telemetryCode === 'network_error' ||
+        globalThis.navigator?.onLine === false;
+}
+
+/**
+ * Shapes the settings a routing provider applied into a RouteSettings-compatible object.
+ * Note: Using PascalCase to match the C# RouteSettings class for deserialization
+ * @param {Object} effectiveSettings - Effective route options reported by the provider
+ * @returns {Object} RouteSettings-compatible object
+ */
+function buildRouteSettingsData(effectiveSettings) {
+    return {
+        TravelMode: effectiveSettings.travelMode,
+        RouteType: effectiveSettings.routeType,
+        AvoidTolls: effectiveSettings.avoidTolls,
+        AvoidHighways: effectiveSettings.avoidHighways,
+        DepartAt: effectiveSettings.departAt,
+        ArriveAt: effectiveSettings.arriveAt,
+        OptimizeWaypoints: effectiveSettings.optimizeWaypoints
+    };
+}
+
+/**
+ * Requests routes from the configured routing provider and shapes them into RouteData.
+ * @param {number[]} origin - Origin coordinates [longitude, latitude]
+ * @param {number[]} destination - Destination coordinates [longitude, latitude]
+ * @param {Object} provider - Routing provider for the map, from getRoutingProvider
+ * @param {Object} routeSettings - Normalized route options from normalizeRouteOptions
+ * @param {Array<number[]>} waypoints - Carpool stops between origin and destination
+ * @returns {Promise<Object>} { routeData, routesReturned }
+ */
+async function requestRouteData(origin, destination, provider, routeSettings, waypoints) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 15000);
+
+    let result;
+    try {
+        result = await provider.route(origin, destination, { ...routeSettings, waypoints, signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    const routes = result.routes;
+    const routeOptions = buildRouteOptions(routes);
+
+    if (routeOptions.length === 0) {
+        throw createRoutingError('No route found', 'no_route_found');
+    }
+
+    const selectedRouteIndex = 0;
+    const selectedRoute = routeOptions[selectedRouteIndex];
+    console.log('[NebaMap] Effective route settings:', result.effectiveSettings);
+
+    return {
+        routesReturned: routes.length,
+        routeData: {
+            DistanceMeters: selectedRoute.DistanceMeters,
+            TravelTimeSeconds: selectedRoute.TravelTimeSeconds,
+            Instructions: selectedRoute.Instructions,
+            Legs: selectedRoute.Legs,
+            Incidents: selectedRoute.Incidents,
+            RouteGeoJson: selectedRoute.RouteGeoJson,
+            RouteOptions: routeOptions,
+            SelectedRouteIndex: selectedRouteIndex,
+            EffectiveSettings: buildRouteSettingsData(result.effectiveSettings),
+            WaypointOrder: result.waypointOrder ?? waypoints.map((_, index) => index),
+            CachedAt: null,
+            IsStale: false
+        }
+    };
+}
+
+/**
+ * Returns a cached route annotated with when it was calculated.
+ * @param {Object} entry - Cache entry { routeData, cachedAt }
+ * @param {boolean} isStale - True when served because the network was unavailable
+ * @returns {Object} RouteData-compatible object
+ */
+function fromCacheEntry(entry, isStale) {
+    return {
+        ...entry.routeData,
+        CachedAt: formatCachedAt(entry.cachedAt),
+        IsStale: isStale
+    };
+}
+
+/**
+ * Refetches a cached route so the next request gets fresh traffic data.
+ * Failures are only logged - the caller already has a usable cached result.
+ * @param {string} cacheKey - Route cache key
+ * @param {number[]} origin - Origin coordinates [longitude, latitude]
+ * @param {number[]} destination - Destination coordinates [longitude, latitude]
+ * @param {Object} provider - Routing provider for the map, from getRoutingProvider
+ * @param {Object} routeSettings - Normalized route options from normalizeRouteOptions
+ * @param {Array<number[]>} waypoints - Carpool stops between origin and destination
+ * @returns {Promise<void>}
+ */
+async function refreshCachedRoute(cacheKey, origin, destination, provider, routeSettings, waypoints) {
+    const timer = createTimer('map.route_refresh');
+
+    try {
+        const { routeData } = await requestRouteData(origin, destination, provider, routeSettings, waypoints);
+        await putCachedRoute(cacheKey, routeData);
+        timer.stop(true, { cache_key: cacheKey });
+    } catch (error) {
+        console.warn('[NebaMap] Background route refresh failed:', error);
+        timer.stop(false, { cache_key: cacheKey, error: error.telemetryCode ?? error.message });
+    }
+}
+
+/**
+ * Calculates a route from origin to destination using the configured routing provider.
+ * Routes are cached per rounded origin/stops/destination and options: a fresh cached route is returned immediately
+ * and refreshed in the background, and an expired one is replayed when the network is down.
+ * @param {string} containerId - DOM id of the map container
+ * @param {number[]} origin - Origin coordinates [longitude, latitude]
  * @param {number[]} destination - Destination coordinates [longitude, latitude]
- * @returns {string} Fully composed request URL
+ * @param {Object|null} options - Route options { travelMode, routeType, avoidTolls, avoidHighways, departAt?, arriveAt?, optimizeWaypoints }
+ * @param {Array<number[]>|null} waypoints - Carpool stops [longitude, latitude] to visit on the way, in order
+ * @returns {Promise<Object>} Route data with distance, time, instructions, legs and the effective settings
+ */
+export async function showRoute(containerId, origin, destination, options = null, waypoints = null) {
+    const timer = createTimer('map.route_calculation');
+
+    const instance = getInstance(containerId);
+    if (!instance?.map) {
+        const error = new Error('Map not initialized');
+        trackError(error.message, 'map.route', error.stack);
+        timer.stop(false, { error: 'map_not_initialized' });
+        throw error;
+    }
+
+    const provider = getRoutingProvider(instance.routingConfig);
+    if (!provider) {
+        const error = new Error('Authentication not configured');
+        trackError(error.message, 'map.route', error.stack);
+        timer.stop(false, { error: 'auth_not_configured' });
+        throw error;
+    }
+
+    const routeSettings = normalizeRouteOptions(options);
+    const stops = (Array.isArray(waypoints) ? waypoints : []).filter(isValidPosition);
+    if (stops.length !== (waypoints?.length ?? 0)) {
+        console.warn('[NebaMap] Ignoring invalid route waypoints:', waypoints);
+    }
+    console.log('[NebaMap] Calculating route from', origin, 'to', destination, 'via', stops, 'with settings', routeSettings);
+
+    const cacheKey = buildRouteCacheKey(origin, destination, describeRouteOptions(routeSettings), stops, provider.name);
+    const cachedEntry = await getCachedRoute(cacheKey);
+
+    if (isRouteCacheEntryFresh(cachedEntry, instance.routeCacheTtlMinutes)) {
+        const routeData = fromCacheEntry(cachedEntry, false);
+
+        timer.stop(true, {
+            cache_status: 'hit',
+            distance_meters: routeData.DistanceMeters,
+            travel_time_seconds: routeData.TravelTimeSeconds
+        });
+
+        tryDrawRouteOptions(instance, routeData);
+
+        // The refresh only updates the cache; the route drawn above is left as is
+        refreshCachedRoute(cacheKey, origin, destination, provider, routeSettings, stops);
+
+        console.log('[NebaMap] Route served from cache:', routeData);
+        return routeData;
+    }
+
+    let result;
+    try {
+        result = await requestRouteData(origin, destination, provider, routeSettings, stops);
+    } catch (error) {
+        if (cachedEntry && isNetworkFailure(error)) {
+            const routeData = fromCacheEntry(cachedEntry, true);
+            console.warn('[NebaMap] Network unavailable, replaying cached route from', routeData.CachedAt);
+            tryDrawRouteOptions(instance, routeData);
+            timer.stop(true, { cache_status: 'stale', cached_at: routeData.CachedAt });
+            return routeData;
+        }
+
+        if (error.name === 'AbortError') {
+            console.error('[NebaMap] Route calculation timed out');
+            const timedOut = new Error('Route calculation timed out. Please try again.');
+            trackError(timedOut.message, 'map.route', timedOut.stack);
+            timer.stop(false, { cache_status: 'miss', error: 'timeout' });
+            throw timedOut;
+        }
+        console.error('[NebaMap] Error calculating route:', error);
+        trackError(error.message, 'map.route', error.stack);
+        timer.stop(false, {
+            cache_status: 'miss',
+            error: error.telemetryCode ?? error.message,
+            ...error.telemetryProperties
+        });
+        throw error;
+    }
+
+    const { routeData, routesReturned } = result;
+
+    // The selected route is also rendered in the directions modal mini-map (initializeRouteMap in DirectionsModal.razor.js)
+    tryDrawRouteOptions(instance, routeData);
+
+    await putCachedRoute(cacheKey, routeData);
+
+    timer.stop(true, {
+        cache_status: 'miss',
+        distance_meters: routeData.DistanceMeters,
+        travel_time_seconds: routeData.TravelTimeSeconds,
+        selected_route_index: routeData.SelectedRouteIndex,
+        routes_returned: routesReturned,
+        route_options_returned: routeData.RouteOptions.length,
+        instruction_count: routeData.Instructions.length,
+        travel_mode: routeSettings.travelMode,
+        route_type: routeSettings.routeType,
+        waypoint_count: stops.length
+    });
+
+    console.log('[NebaMap] Route calculated:', routeData);
+    return routeData;
+}
+
+/**
+ * Draws the route options on the main map without letting a drawing failure fail the route:
+ * the member still gets directions in the modal, just without the lines on the main map.
+ * @param {Object} instance - Map instance state
+ * @param {Object} routeData - RouteData-compatible object returned by showRoute
+ */
+function tryDrawRouteOptions(instance, routeData) {
+    try {
+        drawRouteOptions(instance, routeData);
+    } catch (error) {
+        console.error('[NebaMap] Error drawing route on map:', error);
+        trackError(error.message, 'map.route_draw', error.stack);
+    }
+}
+
+/**
+ * Reads the [longitude, latitude] pairs from a route option's RouteGeoJson
+ * @param {string|null} routeGeoJson - GeoJSON LineString feature built by buildRouteOptionData
+ * @returns {Array<Array<number>>} Coordinates, or an empty array when the GeoJSON is missing or malformed
+ */
+function parseRouteCoordinates(routeGeoJson) {
+    if (!routeGeoJson) {
+        return [];
+    }
+
+    try {
+        const coordinates = JSON.parse(routeGeoJson)?.geometry?.coordinates;
+        return Array.isArray(coordinates) ? coordinates : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Draws every route option on the main map: the selected route as a solid line and the
+ * alternatives as faded lines that can be clicked to select them. Zooms to fit all options.
+ * @param {Object} instance - Map instance state
+ * @param {Object} routeData - RouteData-compatible object returned by showRoute
+ */
+function drawRouteOptions(instance, routeData) {
+    const options = routeData.RouteOptions?.length > 0 ? routeData.RouteOptions : [routeData];
+
+    const features = options
+        .map((option, routeIndex) => ({ routeIndex, coordinates: parseRouteCoordinates(option.RouteGeoJson) }))
+        .filter(({ coordinates }) => coordinates.length >= 2)
+        .map(({ routeIndex, coordinates }) =>
+            new atlas.data.Feature(new atlas.data.LineString(coordinates), { routeIndex }));
+
+    if (features.length === 0) {
+        return;
+    }
+
+    if (!instance.routeSource) {
+        addRouteLayers(instance);
+    }
+
+    instance.routeSource.clear();
+    instance.routeSource.add(features);
+    instance.routeOptions = { selectedIndex: -1 };
+    applySelectedRoute(instance, routeData.SelectedRouteIndex ?? 0);
+
+    instance.map.setCamera({
+        bounds: atlas.data.BoundingBox.fromPositions(features.flatMap(feature => feature.geometry.coordinates)),
+        padding: 60,
+        type: 'ease',
+        duration: 1000
+    });
+}
+
+/**
+ * Adds the data source and line layers for route options beneath the markers.
+ * Alternatives are drawn first so the selected route stays on top where they overlap.
+ * @param {Object} instance - Map instance state
+ */
+function addRouteLayers(instance) {
+    const { map } = instance;
+
+    instance.routeSource = new atlas.source.DataSource();
+    map.sources.add(instance.routeSource);
+
+    instance.alternativeRouteLayer = new atlas.layer.LineLayer(instance.routeSource, null, {
+        strokeColor: '#64748b',
+        strokeWidth: 5,
+        strokeOpacity: 0.5,
+        filter: ['!=', ['get', 'routeIndex'], 0]
+    });
+    map.layers.add(instance.alternativeRouteLayer, instance.symbolLayer);
+
+    instance.selectedRouteLayer = new atlas.layer.LineLayer(instance.routeSource, null, {
+        strokeColor: '#2563eb',
+        strokeWidth: 6,
+        filter: ['==', ['get', 'routeIndex'], 0]
+    });
+    map.layers.add(instance.selectedRouteLayer, instance.symbolLayer);
+
+    map.events.add('click', instance.alternativeRouteLayer, (e) => {
+        const routeIndex = e?.shapes?.[0]?.getProperties?.().routeIndex;
+        if (Number.isInteger(routeIndex) && applySelectedRoute(instance, routeIndex)) {
+            notifyRouteSelected(instance, routeIndex);
+        }
+    });
+
+    map.events.add('mouseenter', instance.alternativeRouteLayer, () => {
+        map.getCanvasContainer().style.cursor = 'pointer';
+    });
+
+    map.events.add('mouseleave', instance.alternativeRouteLayer, () => {
+        map.getCanvasContainer().style.cursor = 'grab';
+    });
+}
+
+/**
+ * Moves the solid line to a route option and fades the others
+ * @param {Object} instance - Map instance state
+ * @param {number} routeIndex - Zero-based index into RouteOptions
+ * @returns {boolean} True when the selection changed
  */
-function buildRouteDirectionsUrl(origin, destination) {
-    return `https://atlas.microsoft.com/route/directions/json?` +
-        `api-version=1.0` +
-        `&query=${origin[1]},${origin[0]}:${destination[1]},${destination[0]}` +
-        `&travelMode=car` +
-        `&routeType=fastest` +
-        `&traffic=true` +
-        `&maxAlternatives=2` +
-        `&report=effectiveSettings` +
-        `&sectionType=motorway` +
-        `&instructionsType=text` +
-        `&guidance=true`;
+function applySelectedRoute(instance, routeIndex) {
+    if (!instance.routeOptions || instance.routeOptions.selectedIndex === routeIndex) {
+        return false;
+    }
+
+    instance.routeOptions.selectedIndex = routeIndex;
+    instance.selectedRouteLayer.setOptions({ filter: ['==', ['get', 'routeIndex'], routeIndex] });
+    instance.alternativeRouteLayer.setOptions({ filter: ['!=', ['get', 'routeIndex'], routeIndex] });
+    return true;
 }
 
 /**
- * Normalizes route travel time values for comparisons.
- * @param {Object} route - Route candidate returned by Azure Maps
- * @returns {number} Travel time in seconds or Infinity when unavailable
+ * Selects a route option drawn by showRoute (e.g., when it is picked in the directions modal)
+ * @param {string} containerId - DOM id of the map container
+ * @param {number} routeIndex - Zero-based index into RouteOptions
  */
-function getRouteTravelTime(route) {
-    const travelTime = Number(route?.summary?.travelTimeInSeconds);
-    return Number.isFinite(travelTime) ? travelTime : Number.POSITIVE_INFINITY;
+export function selectRoute(containerId, routeIndex) {
+    const instance = getInstance(containerId);
+    if (!instance?.routeOptions) {
+        console.warn('[NebaMap] Cannot select route - no route is shown');
+        return;
+    }
+
+    applySelectedRoute(instance, routeIndex);
 }
 
 /**
- * Extracts human-readable guidance instructions from a route.
- * @param {Object} route - Route object returned by Azure Maps
- * @returns {Array<Object>} Turn-by-turn instruction objects
+ * Removes the route option lines
+ * @param {Object} instance - Map instance state
  */
-function extractGuidanceInstructions(route) {
-    if (route.guidance?.instructions && route.guidance.instructions.length > 0) {
-        return route.guidance.instructions.map(instruction => ({
-            Text: instruction.message || instruction.instructionType || instruction.text || 'Continue',
-            DistanceMeters: instruction.travelDistance || instruction.routeOffsetInMeters || 0
-        }));
+function clearRouteOptions(instance) {
+    instance.routeOptions = null;
+    instance.routeSource?.clear();
+}
+
+/**
+ * Notifies the Blazor component that a route option was clicked on the map
+ * @param {Object} instance - Map instance state
+ * @param {number} routeIndex - Zero-based index into RouteOptions
+ */
+function notifyRouteSelected(instance, routeIndex) {
+    if (!instance.dotNetHelper) {
+        return;
     }
 
-    if (route.guidance?.instructionGroups && route.guidance.instructionGroups.length > 0) {
-        const allInstructions = route.guidance.instructionGroups.flatMap(group => group.instructions || []);
-        return allInstructions.map(instruction => ({
-            Text: instruction.message || instruction.instructionType || instruction.text || 'Continue',
-            DistanceMeters: instruction.travelDistance || instruction.routeOffsetInMeters || 0
-        }));
+    instance.dotNetHelper.invokeMethodAsync('NotifyRouteSelected', routeIndex)
+        .catch(error => console.error('[NebaMap] Error notifying route selected:', error));
+}
+
+/**
+ * Exits directions mode and returns to overview
+ * @param {string} containerId - DOM id of the map container
+ */
+export function exitDirectionsMode(containerId) {
+    console.log('[NebaMap] Exiting directions mode');
+
+    const instance = getInstance(containerId);
+    if (!instance?.map) {
+        console.warn('[NebaMap] Cannot exit directions mode - map not initialized');
+        return;
     }
 
-    return [];
+    clearRouteOptions(instance);
+    writeUrlState(instance, { directionsTo: null });
+
+    // Markers outside an active drive-time area stay dimmed
+    instance.directionsPreviewId = null;
+    applyMarkerOpacity(instance);
+
+    fitBounds(containerId);
 }
 
 /**
- * Builds a RouteData-compatible object for one route candidate.
- * @param {Object} route - Route object returned by Azure Maps
- * @returns {Object} RouteData-compatible object
+ * Switches between drawing individual markers (with their clusters) and a heatmap of the configured weight
+ * @param {string} containerId - DOM id of the map container
+ * @param {string} mode - 'markers' or 'heatmap'
  */
-function buildRouteOptionData(route) {
-    const summary = route?.summary;
-    const instructions = extractGuidanceInstructions(route);
+export function setDisplayMode(containerId, mode) {
+    const instance = getInstance(containerId);
+    if (!instance?.map || !instance.symbolLayer) {
+        console.warn('[NebaMap] Cannot change display mode - map not initialized');
+        return;
+    }
 
-    const routeCoordinates = buildCompactRouteCoordinates(route);
-    const originalPointCount = (route?.legs ?? []).reduce((count, leg) => count + (leg?.points?.length ?? 0), 0);
+    if (mode !== 'markers' && mode !== 'heatmap') {
+        console.warn('[NebaMap] Invalid display mode:', mode);
+        return;
+    }
 
-    const routeGeoJson = routeCoordinates.length >= 2
-        ? JSON.stringify({
-            type: 'Feature',
-            geometry: { type: 'LineString', coordinates: routeCoordinates },
-            properties: {}
-        })
-        : null;
+    if (mode === 'heatmap' && !instance.heatmapOptions) {
+        console.warn('[NebaMap] Cannot show heatmap - heatmap not configured');
+        return;
+    }
 
-    if (routeCoordinates.length < originalPointCount) {
-        console.log('[NebaMap] Compacted route geometry for interop payload:', {
-            originalPointCount,
-            compactPointCount: routeCoordinates.length,
-            routeGeoJsonLength: routeGeoJson?.length ?? 0
-        });
+    if (mode === instance.displayMode) {
+        return;
     }
 
-    return {
-        DistanceMeters: Number(summary?.lengthInMeters) || 0,
-        TravelTimeSeconds: Number(summary?.travelTimeInSeconds) || 0,
-        Instructions: instructions,
-        RouteGeoJson: routeGeoJson
-    };
+    instance.displayMode = mode;
+
+    // Markers cannot be clicked while hidden, so nothing stays selected across the switch
+    closePopup(containerId);
+    unspiderfy(instance);
+
+    if (mode === 'heatmap' && !instance.heatmapLayer) {
+        addHeatmapLayer(instance);
+    }
+
+    const showMarkers = mode === 'markers';
+    [instance.symbolLayer, ...instance.clusterLayers].forEach(layer => layer.setOptions({ visible: showMarkers }));
+    instance.heatmapLayer?.setOptions({ visible: !showMarkers });
 }
 
 /**
- * Builds ranked route options from fastest to slower alternatives.
- * @param {Array} routes - Route candidates returned by Azure Maps
- * @param {number} maxOptions - Maximum options to return
- * @returns {Array<Object>} RouteData-compatible route options
+ * Changes which season's weights the heatmap draws
+ * @param {string} containerId - DOM id of the map container
+ * @param {number} seasonIndex - Index into the configured heatmap seasons
  */
-function buildRouteOptions(routes, maxOptions = 3) {
-    if (!Array.isArray(routes) || routes.length === 0) {
-        return [];
+export function setHeatmapSeason(containerId, seasonIndex) {
+    const instance = getInstance(containerId);
+    if (!instance?.heatmapOptions) {
+        console.warn('[NebaMap] Cannot change heatmap season - heatmap not configured');
+        return;
     }
 
-    return [...routes]
-        .sort((a, b) => getRouteTravelTime(a) - getRouteTravelTime(b))
-        .slice(0, maxOptions)
-        .map(route => buildRouteOptionData(route));
+    if (!Number.isInteger(seasonIndex) || seasonIndex < 0 || seasonIndex >= instance.heatmapOptions.seasons.length) {
+        console.warn('[NebaMap] Invalid heatmap season:', seasonIndex);
+        return;
+    }
+
+    instance.heatmapSeasonIndex = seasonIndex;
+
+    if (instance.heatmapSource) {
+        renderHeatmap(instance);
+    }
 }
 
 /**
- * Calculates and displays a route from origin to destination using Azure Maps Route API
- * @param {number[]} origin - Origin coordinates [longitude, latitude]
- * @param {number[]} destination - Destination coordinates [longitude, latitude]
- * @returns {Promise<Object>} Route data with distance, time, and instructions
+ * Adds the heatmap data source and layer beneath the markers, on first use
+ * @param {Object} instance - Map instance state
  */
-export async function showRoute(origin, destination) {
-    const timer = createTimer('map.route_calculation');
+function addHeatmapLayer(instance) {
+    const { map } = instance;
 
-    if (!map) {
-        const error = new Error('Map not initialized');
-        trackError(error.message, 'map.route', error.stack);
-        timer.stop(false, { error: 'map_not_initialized' });
-        throw error;
+    // Clustered points would each carry a single weight, so the heatmap reads its own unclustered source
+    instance.heatmapSource = new atlas.source.DataSource();
+    map.sources.add(instance.heatmapSource);
+
+    instance.heatmapLayer = new atlas.layer.HeatMapLayer(instance.heatmapSource, null, {
+        radius: instance.heatmapOptions.radius,
+        color: [
+            'interpolate',
+            ['linear'],
+            ['heatmap-density'],
+            0, 'rgba(0, 102, 178, 0)',
+            0.2, '#93c5fd',
+            0.5, '#0066b2',
+            0.8, '#f59e0b',
+            1, '#dc2626'
+        ],
+        visible: false
+    });
+    map.layers.add(instance.heatmapLayer, instance.clusterLayers[0] ?? instance.symbolLayer);
+
+    renderHeatmap(instance);
+}
+
+/**
+ * Replaces the heatmap points with the markers whose category is not hidden, weighted for the current season.
+ * Weights are scaled by the heaviest location across every season and category, so moving the season slider or
+ * toggling a category does not rescale the others.
+ * @param {Object} instance - Map instance state
+ * @param {Array<Object>} features - Visible marker features (defaults to every marker not hidden by the legend)
+ */
+function renderHeatmap(instance, features = null) {
+    const visible = features ?? [...instance.markers.values()]
+        .filter(feature => !instance.hiddenCategories.has(feature.properties?.[CATEGORY_PROPERTY]));
+
+    const weightsById = new Map([...instance.markers.entries()]
+        .map(([id, feature]) => [id, buildHeatWeightProperties(feature.properties, instance.heatmapOptions)]));
+    const maxWeight = Math.max(0, ...[...weightsById.values()].flatMap(weights => Object.values(weights)));
+
+    instance.heatmapSource.clear();
+    instance.heatmapSource.add(visible.map(feature => new atlas.data.Feature(
+        new atlas.data.Point(feature.geometry.coordinates),
+        weightsById.get(feature.properties.id) ?? {})));
+
+    instance.heatmapLayer.setOptions({ weight: buildHeatWeightExpression(instance.heatmapSeasonIndex, maxWeight) });
+}
+
+/**
+ * Starts a tour that visits markers in order, drawing an arc from each stop to the next. The tour opens
+ * paused on its first stop; playTour plays it and setTourStep scrubs it.
+ * @param {string} containerId - DOM id of the map container
+ * @param {Array<string>} locationIds - Location ids in the order they are visited; a location may be visited more than once
+ * @param {Object} options - { stepDurationMs } - how long the tour rests on each stop while playing
+ */
+export function showTour(containerId, locationIds, options = null) {
+    const instance = getInstance(containerId);
+    if (!instance?.map || !instance.symbolLayer) {
+        console.warn('[NebaMap] Cannot show tour - map not initialized');
+        return;
     }
 
-    const authConfig = globalThis.azureMapsAuthConfig;
-    if (!authConfig) {
-        const error = new Error('Authentication not configured');
-        trackError(error.message, 'map.route', error.stack);
-        timer.stop(false, { error: 'auth_not_configured' });
-        throw error;
+    const stops = (locationIds ?? [])
+        .filter(id => {
+            const known = instance.markers.has(id);
+            if (!known) {
+                console.warn('[NebaMap] Skipping unknown tour stop:', id);
+            }
+            return known;
+        })
+        .map(id => ({ id, coordinates: instance.markers.get(id).geometry.coordinates }));
+
+    if (stops.length === 0) {
+        console.warn('[NebaMap] Cannot show tour - no stops on the map');
+        return;
     }
 
-    console.log('[NebaMap] Calculating route from', origin, 'to', destination);
+    if (instance.tour) {
+        stopTourPlayback(instance);
+    }
 
-    try {
-        let url = buildRouteDirectionsUrl(origin, destination);
-
-        let headers = {};
-
-        if (authConfig.subscriptionKey) {
-            url += `&subscription-key=${authConfig.subscriptionKey}`;
-        } else if (authConfig.accountId) {
-            const token = await getAzureADTokenForRoute();
-            if (!token) {
-                const error = new Error('Failed to get Azure AD token for route calculation');
-                trackError(error.message, 'map.route', error.stack);
-                timer.stop(false, { error: 'token_acquisition_failed' });
-                throw error;
-            }
-            headers['Authorization'] = `Bearer ${token}`;
-            headers['x-ms-client-id'] = authConfig.accountId;
-        }
+    if (!instance.tourSource) {
+        addTourLayers(instance);
+    }
 
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 15000);
+    instance.tour = {
+        stops,
+        // arcs[i] leads into stops[i]; the first stop has none
+        arcs: stops.map((stop, i) => i === 0 ? null : buildTourArc(stops[i - 1].coordinates, stop.coordinates)),
+        stepIndex: 0,
+        playing: false,
+        options: normalizeTourOptions(options),
+        stepTimeout: null,
+        animationFrame: null
+    };
 
-        let response;
-        try {
-            response = await fetch(url, { headers, signal: controller.signal });
-        } finally {
-            clearTimeout(timeoutId);
-        }
+    goToTourStep(instance, 0, false);
+}
 
-        if (!response.ok) {
-            const error = new Error(`Route API error: ${response.status} ${response.statusText}`);
-            trackError(error.message, 'map.route', error.stack);
-            timer.stop(false, { error: 'api_error', status_code: response.status });
-            throw error;
-        }
+/**
+ * Plays the tour from its current stop, or from the start when it has reached the last stop
+ * @param {string} containerId - DOM id of the map container
+ */
+export function playTour(containerId) {
+    const instance = getInstance(containerId);
+    if (!instance?.tour) {
+        console.warn('[NebaMap] Cannot play tour - no tour shown');
+        return;
+    }
 
-        const data = await response.json();
+    const { tour } = instance;
+    if (tour.playing) {
+        return;
+    }
 
-        const routes = Array.isArray(data?.routes) ? data.routes : [];
-        const routeOptions = buildRouteOptions(routes);
+    if (tour.stepIndex === tour.stops.length - 1) {
+        goToTourStep(instance, 0, false);
+    }
 
-        if (routeOptions.length === 0) {
-            const error = new Error('No route found');
-            trackError(error.message, 'map.route', error.stack);
-            timer.stop(false, { error: 'no_route_found' });
-            throw error;
-        }
+    tour.playing = true;
+    continueTourPlayback(instance);
+    notifyTourStepChanged(instance);
+}
 
-        const selectedRouteIndex = 0;
-        const selectedRoute = routeOptions[selectedRouteIndex];
-        console.log('[NebaMap] Effective route settings:', data?.report?.effectiveSettings ?? []);
+/**
+ * Pauses the tour on its current stop
+ * @param {string} containerId - DOM id of the map container
+ */
+export function pauseTour(containerId) {
+    const instance = getInstance(containerId);
+    if (!instance?.tour) {
+        return;
+    }
 
-        const routeData = {
-            DistanceMeters: selectedRoute.DistanceMeters,
-            TravelTimeSeconds: selectedRoute.TravelTimeSeconds,
-            Instructions: selectedRoute.Instructions,
-            RouteGeoJson: selectedRoute.RouteGeoJson,
-            RouteOptions: routeOptions,
-            SelectedRouteIndex: selectedRouteIndex
+    stopTourPlayback(instance);
+}
+
+/**
+ * Moves the tour to a stop, drawing every arc up to it. A playing tour keeps playing from there.
+ * @param {string} containerId - DOM id of the map container
+ * @param {number} stepIndex - Index of the stop in the tour
+ */
+export function setTourStep(containerId, stepIndex) {
+    const instance = getInstance(containerId);
+    if (!instance?.tour) {
+        console.warn('[NebaMap] Cannot change tour step - no tour shown');
+        return;
+    }
+
+    const { tour } = instance;
+    if (!Number.isInteger(stepIndex) || stepIndex < 0 || stepIndex >= tour.stops.length) {
+        console.warn('[NebaMap] Invalid tour step:', stepIndex);
+        return;
+    }
+
+    clearTimeout(tour.stepTimeout);
+    tour.stepTimeout = null;
+    goToTourStep(instance, stepIndex, false);
+
+    // Scrubbing to the last stop ends playback, which .NET needs to hear about
+    if (tour.playing && !continueTourPlayback(instance)) {
+        notifyTourStepChanged(instance);
+    }
+}
+
+/**
+ * Ends the tour and removes its arcs
+ * @param {string} containerId - DOM id of the map container
+ */
+export function clearTour(containerId) {
+    const instance = getInstance(containerId);
+    if (!instance?.tour) {
+        return;
+    }
+
+    stopTourPlayback(instance);
+    instance.tour = null;
+    instance.tourSource?.clear();
+    highlightLocation(containerId, null);
+}
+
+/**
+ * Adds the data source and layers that draw the tour beneath the markers, on first use
+ * @param {Object} instance - Map instance state
+ */
+function addTourLayers(instance) {
+    const { map } = instance;
+
+    instance.tourSource = new atlas.source.DataSource();
+    map.sources.add(instance.tourSource);
+
+    map.layers.add(new atlas.layer.LineLayer(instance.tourSource, null, {
+        strokeColor: '#0066b2',
+        strokeWidth: 3,
+        lineCap: 'round',
+        filter: ['==', ['get', 'kind'], 'leg']
+    }), instance.symbolLayer);
+
+    map.layers.add(new atlas.layer.BubbleLayer(instance.tourSource, null, {
+        radius: 16,
+        color: 'rgba(0, 102, 178, 0.15)',
+        strokeColor: '#0066b2',
+        strokeWidth: 2,
+        filter: ['==', ['get', 'kind'], 'stop']
+    }), instance.symbolLayer);
+}
+
+/**
+ * Shows a tour stop: draws the arcs up to it, rings and enlarges its marker, and brings it into view.
+ * When animated, the arc into the stop grows from the previous stop.
+ * @param {Object} instance - Map instance state
+ * @param {number} stepIndex - Index of the stop in the tour
+ * @param {boolean} animate - Grow the arc into the stop
+ */
+function goToTourStep(instance, stepIndex, animate) {
+    const { tour, map } = instance;
+    const stop = tour.stops[stepIndex];
+    const reduceMotion = prefersReducedMotion();
+
+    cancelAnimationFrame(tour.animationFrame);
+    tour.animationFrame = null;
+    tour.stepIndex = stepIndex;
+
+    if (animate && !reduceMotion) {
+        const start = performance.now();
+        const frame = (now) => {
+            const elapsed = Math.min((now - start) / TOUR_ARC_ANIMATION_MS, 1);
+            renderTour(instance, easeInOut(elapsed));
+            tour.animationFrame = elapsed < 1 ? requestAnimationFrame(frame) : null;
         };
+        renderTour(instance, 0);
+        tour.animationFrame = requestAnimationFrame(frame);
+    } else {
+        renderTour(instance, 1);
+    }
 
-        // Route is rendered in the directions modal mini-map (initializeRouteMap in DirectionsModal.razor.js)
+    highlightLocation(instance.containerId, stop.id);
 
-        timer.stop(true, {
-            distance_meters: selectedRoute.DistanceMeters,
-            travel_time_seconds: selectedRoute.TravelTimeSeconds,
-            selected_route_index: selectedRouteIndex,
-            routes_returned: routes.length,
-            route_options_returned: routeOptions.length,
-            instruction_count: selectedRoute.Instructions.length
+    if (!isTourStopInView(stop.coordinates, map.getCamera()?.bounds ?? null)) {
+        map.setCamera({
+            center: stop.coordinates,
+            type: reduceMotion ? 'jump' : 'ease',
+            duration: TOUR_ARC_ANIMATION_MS
         });
+    }
+}
 
-        console.log('[NebaMap] Route calculated:', routeData);
-        return routeData;
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            console.error('[NebaMap] Route calculation timed out');
-            const timedOut = new Error('Route calculation timed out. Please try again.');
-            trackError(timedOut.message, 'map.route', timedOut.stack);
-            timer.stop(false, { error: 'timeout' });
-            throw timedOut;
-        }
-        console.error('[NebaMap] Error calculating route:', error);
-        trackError(error.message, 'map.route', error.stack);
-        timer.stop(false, { error: error.message });
-        throw error;
+/**
+ * Replaces the tour source contents with the arcs up to the current stop and a ring around it
+ * @param {Object} instance - Map instance state
+ * @param {number} progress - How much of the arc into the current stop is drawn, 0 to 1
+ */
+function renderTour(instance, progress) {
+    const { tour } = instance;
+    const current = tour.stops[tour.stepIndex];
+
+    const legs = tour.arcs
+        .slice(1, tour.stepIndex + 1)
+        .map((arc, i, drawn) => new atlas.data.Feature(
+            new atlas.data.LineString(i === drawn.length - 1 ? sliceTourArc(arc, progress) : arc),
+            { kind: 'leg', step: i + 1 }));
+
+    instance.tourSource.clear();
+    instance.tourSource.add([
+        ...legs,
+        new atlas.data.Feature(new atlas.data.Point(current.coordinates), { kind: 'stop', id: current.id })
+    ]);
+}
+
+/**
+ * Waits on the current stop, then moves on to the next. Playback ends on the last stop.
+ * @param {Object} instance - Map instance state
+ * @returns {boolean} False when the tour is on its last stop and has stopped playing
+ */
+function continueTourPlayback(instance) {
+    const { tour } = instance;
+
+    if (tour.stepIndex >= tour.stops.length - 1) {
+        tour.playing = false;
+        return false;
     }
+
+    tour.stepTimeout = setTimeout(() => {
+        tour.stepTimeout = null;
+        goToTourStep(instance, tour.stepIndex + 1, true);
+        continueTourPlayback(instance);
+        notifyTourStepChanged(instance);
+    }, tour.options.stepDurationMs);
+    return true;
 }
 
 /**
- * Exits directions mode and returns to overview
+ * Stops playback, leaving the tour on its current stop with the arc into it fully drawn
+ * @param {Object} instance - Map instance state
  */
-export function exitDirectionsMode() {
-    console.log('[NebaMap] Exiting directions mode');
+function stopTourPlayback(instance) {
+    const { tour } = instance;
 
-    if (!map) {
-        console.warn('[NebaMap] Cannot exit directions mode - map not initialized');
+    clearTimeout(tour.stepTimeout);
+    tour.stepTimeout = null;
+    tour.playing = false;
+
+    if (tour.animationFrame !== null) {
+        cancelAnimationFrame(tour.animationFrame);
+        tour.animationFrame = null;
+        renderTour(instance, 1);
+    }
+}
+
+/**
+ * Reports the tour's current stop and whether it is still playing to .NET
+ * @param {Object} instance - Map instance state
+ */
+function notifyTourStepChanged(instance) {
+    if (!instance.dotNetHelper) {
         return;
     }
 
-    const symbolLayers = (map.layers?.getLayers?.() ?? []).filter(l => l instanceof atlas.layer.SymbolLayer);
-    symbolLayers.forEach(layer => {
-        layer.setOptions({ iconOptions: { opacity: 1 } });
-    });
+    instance.dotNetHelper.invokeMethodAsync('NotifyTourStepChanged', instance.tour.stepIndex, instance.tour.playing)
+        .catch(error => console.error('[NebaMap] Error notifying tour step changed:', error));
+}
+
+/**
+ * Draws the style for the member's preference and the current site theme.
+ * The traffic overlay is kept across the change.
+ * @param {Object} instance - Map instance state
+ * @param {boolean} force - Set the style even when it is already drawn
+ */
+function applyMapStyle(instance, force = false) {
+    // Every Azure Maps style but the keyless one needs credentials
+    if (!instance.map || instance.keyless) {
+        return;
+    }
+
+    const style = resolveMapStyle(instance.stylePreference, instance.baseStyle);
+    if (style === instance.mapStyle && !force) {
+        return;
+    }
 
-    fitBounds();
+    instance.mapStyle = style;
+    instance.map.setStyle({ style: style });
+
+    if (instance.showTraffic) {
+        applyTraffic(instance);
+    }
 }
 
 /**
- * Changes the map style/view
- * @param {string} style - 'road', 'satellite', or 'satellite_road_labels'
+ * Changes the map style/view and remembers the choice for the member's next visit
+ * @param {string} containerId - DOM id of the map container
+ * @param {string} style - 'road', 'satellite', 'satellite_road_labels', ..., or 'auto' to follow the site theme
  */
-export function setMapStyle(style) {
-    if (!map) {
+export function setMapStyle(containerId, style) {
+    const instance = getInstance(containerId);
+    if (!instance?.map) {
         console.warn('[NebaMap] Cannot change map style - map not initialized');
         return;
     }
 
-    const validStyles = ['road', 'satellite', 'satellite_road_labels', 'grayscale_dark', 'grayscale_light', 'night', 'road_shaded_relief'];
-    if (!validStyles.includes(style)) {
+    if (style !== AUTO_MAP_STYLE && !isMapStyle(style)) {
         console.warn('[NebaMap] Invalid map style:', style);
         return;
     }
 
-    map.setStyle({ style: style });
+    instance.stylePreference = style;
+    saveMapViewPreferences({ style });
+    writeUrlState(instance, { style });
+    applyMapStyle(instance, true);
 }
 
 /**
- * Gets an Azure AD access token via App Service Easy Auth
+ * Reads the map style and traffic overlay the member picked on an earlier visit
+ * Note: Using PascalCase to match the C# MapViewPreferences class for deserialization
+ * @param {boolean} syncWithUrl - Whether a style in the page URL wins, as it does in initializeMap
+ * @returns {Object} { Style, ShowTraffic } - ShowTraffic is null until the member toggles traffic
  */
-async function getAzureADTokenForRoute() {
-    try {
-        const response = await fetch('/.auth/me');
-
-        if (!response.ok) {
-            console.warn('[NebaMap] Could not fetch auth info from /.auth/me');
-            return null;
-        }
+export function getMapViewPreferences(syncWithUrl = false) {
+    const preferences = readMapViewPreferences();
+    const urlStyle = syncWithUrl ? readMapStateFromUrl().style : null;
+    return { Style: urlStyle ?? preferences.style, ShowTraffic: preferences.showTraffic };
+}
 
-        const data = await response.json();
+/**
+ * Draws or hides the Azure Maps traffic flow and incident layers (not available on keyless maps)
+ * @param {Object} instance - Map instance state
+ */
+function applyTraffic(instance) {
+    if (instance.keyless) {
+        return;
+    }
 
-        if (data?.[0]?.access_token) {
-            return data[0].access_token;
-        }
+    instance.map.setTraffic({
+        flow: instance.showTraffic ? 'relative' : 'none',
+        incidents: instance.showTraffic
+    });
+}
 
-        console.warn('[NebaMap] No access token found in auth response');
-        return null;
-    } catch (error) {
-        console.error('[NebaMap] Error getting Azure AD token:', error);
-        return null;
+/**
+ * Turns the live traffic overlay (flow colours and incident icons) on or off
+ * @param {string} containerId - DOM id of the map container
+ * @param {boolean} enabled - True to show traffic
+ */
+export function setTraffic(containerId, enabled) {
+    const instance = getInstance(containerId);
+    if (!instance?.map) {
+        console.warn('[NebaMap] Cannot change traffic overlay - map not initialized');
+        return;
     }
+
+    instance.showTraffic = enabled === true;
+    saveMapViewPreferences({ showTraffic: instance.showTraffic });
+    applyTraffic(instance);
 }
 
 /**
- * Cleans up the map instance and removes all event listeners
+ * Cleans up one map instance and removes its event listeners.
+ * Other map instances on the page are left untouched.
+ * @param {string} containerId - DOM id of the map container
  */
-export function dispose() {
-    console.log('[NebaMap] Disposing map resources...');
+export function dispose(containerId) {
+    const instance = getInstance(containerId);
+    if (!instance) {
+        return;
+    }
+
+    console.log('[NebaMap] Disposing map resources...', containerId);
+
+    if (instance.boundsChangeTimeout) {
+        clearTimeout(instance.boundsChangeTimeout);
+        instance.boundsChangeTimeout = null;
+    }
+
+    if (instance.currentPopup) {
+        instance.currentPopup.close();
+        instance.currentPopup = null;
+    }
+
+    if (instance.stopObservingTheme) {
+        instance.stopObservingTheme();
+        instance.stopObservingTheme = null;
+    }
+
+    if (instance.legendControl) {
+        instance.map?.controls?.remove(instance.legendControl);
+        instance.legendControl = null;
+    }
 
-    if (boundsChangeTimeout) {
-        clearTimeout(boundsChangeTimeout);
-        boundsChangeTimeout = null;
+    if (instance.keyboardOverlay) {
+        instance.keyboardOverlay.element.remove();
+        instance.keyboardOverlay = null;
     }
 
-    if (currentPopup) {
-        currentPopup.close();
-        currentPopup = null;
+    if (instance.tour) {
+        stopTourPlayback(instance);
+        instance.tour = null;
     }
 
-    if (map) {
-        map.dispose();
-        map = null;
+    if (instance.map) {
+        instance.map.dispose();
+        instance.map = null;
     }
 
-    dataSource = null;
-    markers.clear();
-    dotNetHelper = null;
-    lastLocationHash = null;
-    markerClickInProgress = false;
-    subscriptionKey = null;
+    instance.dataSource = null;
+    instance.symbolLayer = null;
+    instance.spiderSource = null;
+    instance.spiderfiedClusterId = null;
+    instance.clusterLayers = [];
+    instance.heatmapSource = null;
+    instance.heatmapLayer = null;
+    instance.tourSource = null;
+    instance.proximitySource = null;
+    instance.proximity = null;
+    instance.reachableSource = null;
+    instance.reachableRange = null;
+    instance.directionsPreviewId = null;
+    instance.routeSource = null;
+    instance.routeOptions = null;
+    instance.selectedRouteLayer = null;
+    instance.alternativeRouteLayer = null;
+    instance.markers.clear();
+    instance.hiddenCategories.clear();
+    instance.dotNetHelper = null;
+    instance.lastLocationHash = null;
+    instance.markerClickInProgress = false;
+    instance.hoveredLocationId = null;
+
+    instances.delete(containerId);
 
     console.log('[NebaMap] Map disposed successfully');
-}
\ No newline at end of file
+}
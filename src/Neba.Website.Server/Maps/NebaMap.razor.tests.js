@@ -1,5 +1,5 @@
 // Tests for NebaMap.razor.js
-// Note: NebaMap uses module-level state; dispose() resets it between tests.
+// Note: NebaMap keeps state per container id; dispose(containerId) resets it between tests.
 
 import {
   initializeMap,
@@ -11,8 +11,29 @@ import {
   showRoute,
   exitDirectionsMode,
   setMapStyle,
+  setTraffic,
+  getMapViewPreferences,
+  saveViewToUrl,
+  clearViewFromUrl,
+  setMarkerCategoryVisibility,
+  highlightLocation,
+  showProximity,
+  clearProximity,
+  showReachableRange,
+  clearReachableRange,
+  selectRoute,
+  setDisplayMode,
+  setHeatmapSeason,
+  showTour,
+  playTour,
+  pauseTour,
+  setTourStep,
+  clearTour,
   dispose,
 } from './NebaMap.razor.js';
+import { resetRouteCacheConnection } from '../js/route-cache.js';
+import { initializeTelemetry } from '../js/telemetry-helper.js';
+import { resetMapViewPreferences } from '../js/map-style.js';
 
 // ---------------------------------------------------------------------------
 // Test helpers
@@ -25,6 +46,10 @@ import {
 function createAtlasMock() {
   class SymbolLayerMock {
     setOptions = jest.fn();
+
+    constructor(source, id, options) {
+      this.options = options;
+    }
   }
 
   const dataSources = [];
@@ -34,6 +59,7 @@ function createAtlasMock() {
       clear: jest.fn(),
       getShapes: jest.fn(() => []),
       getClusterExpansionZoom: jest.fn(() => Promise.resolve(15)),
+      getClusterLeaves: jest.fn(() => Promise.resolve([])),
     };
     dataSources.push(ds);
     return ds;
@@ -58,10 +84,21 @@ function createAtlasMock() {
       add: jest.fn(),
       remove: jest.fn(),
     },
+    imageSprite: {
+      add: jest.fn(() => Promise.resolve()),
+      createFromTemplate: jest.fn(() => Promise.resolve()),
+    },
+    controls: {
+      add: jest.fn(),
+      remove: jest.fn(),
+    },
     setCamera: jest.fn(),
     setStyle: jest.fn(),
+    setTraffic: jest.fn(),
     getCamera: jest.fn(() => ({ bounds: [-72, 41, -70, 43] })),
     getCanvasContainer: jest.fn(() => ({ style: {} })),
+    positionsToPixels: jest.fn((positions) => positions.map(() => [100, 100])),
+    pixelsToPositions: jest.fn((pixels) => pixels.map(([x, y]) => [x / 1000, y / 1000])),
     dispose: jest.fn(),
   };
 
@@ -71,8 +108,17 @@ function createAtlasMock() {
     source: { DataSource: jest.fn(makeDataSource) },
     layer: {
       SymbolLayer: SymbolLayerMock,
-      BubbleLayer: jest.fn(),
-      LineLayer: jest.fn(),
+      BubbleLayer: jest.fn(function () { this.setOptions = jest.fn(); }),
+      HeatMapLayer: jest.fn(function (source, id, options) {
+        this.options = options;
+        this.setOptions = jest.fn();
+      }),
+      LineLayer: jest.fn((source, id, options) => ({ options, setOptions: jest.fn() })),
+      PolygonLayer: jest.fn(),
+      TileLayer: jest.fn(function (options) { this.options = options; }),
+    },
+    math: {
+      getRegularPolygonPath: jest.fn((center) => [center, [center[0] + 0.1, center[1]], center]),
     },
     data: {
       Feature: jest.fn((geometry, props) => ({
@@ -83,7 +129,11 @@ function createAtlasMock() {
       })),
       Point: jest.fn((coords) => ({ type: 'Point', coordinates: coords })),
       LineString: jest.fn((coords) => ({ type: 'LineString', coordinates: coords })),
-      BoundingBox: { fromData: jest.fn(() => [-72, 41, -70, 43]) },
+      Polygon: jest.fn((rings) => ({ type: 'Polygon', coordinates: rings })),
+      BoundingBox: {
+        fromData: jest.fn(() => [-72, 41, -70, 43]),
+        fromPositions: jest.fn(() => [-71.5, 42, -70.5, 42.7]),
+      },
     },
   };
 
@@ -91,8 +141,10 @@ function createAtlasMock() {
 }
 
 const defaultAuthConfig = { subscriptionKey: 'test-key-123' };
+const MAP_ID = 'test-map';
+const SECOND_MAP_ID = 'second-map';
 const defaultMapConfig = {
-  containerId: 'test-map',
+  containerId: MAP_ID,
   center: [-71, 42],
   zoom: 10,
   enableClustering: false,
@@ -161,6 +213,24 @@ async function createInitializedMap(mapConfig = defaultMapConfig, locations = []
   };
 }
 
+/**
+ * Initializes a second map instance that shares the current atlas mock but gets its own Map object.
+ */
+async function createSecondMap(atlasMock, locations = []) {
+  const { mockMap } = createAtlasMock();
+  atlasMock.Map.mockImplementationOnce(() => mockMap);
+
+  const dotNetHelper = { invokeMethodAsync: jest.fn().mockResolvedValue(undefined) };
+  await initializeMap(
+    defaultAuthConfig,
+    { ...defaultMapConfig, containerId: SECOND_MAP_ID },
+    locations,
+    dotNetHelper,
+  );
+
+  return { mockMap, dotNetHelper };
+}
+
 // ---------------------------------------------------------------------------
 
 describe('NebaMap', () => {
@@ -169,7 +239,12 @@ describe('NebaMap', () => {
     jest.spyOn(console, 'warn').mockImplementation(() => {});
     jest.spyOn(console, 'error').mockImplementation(() => {});
 
-    dispose(); // reset all module-level state between tests
+    dispose(MAP_ID); // reset per-container state between tests
+    dispose(SECOND_MAP_ID);
+    resetRouteCacheConnection(); // routes cached by one test must not answer the next
+    localStorage.clear(); // map styles picked by one test must not carry into the next
+    resetMapViewPreferences();
+    document.documentElement.className = '';
     delete globalThis.azureMapsAuthConfig;
     delete globalThis.azureMapsSubscriptionKey;
   });
@@ -190,11 +265,66 @@ describe('NebaMap', () => {
       await initializeMap({}, defaultMapConfig, [], { invokeMethodAsync: jest.fn() });
 
       expect(console.error).toHaveBeenCalledWith(
-        '[NebaMap] No authentication configured for Azure Maps',
+        '[NebaMap] No authentication configured for Azure Maps - configure Azure Maps credentials or the OSRM routing provider',
       );
       expect(atlasMock.Map).not.toHaveBeenCalled();
     });
 
+    describe('keyless with the OSRM provider', () => {
+      const keylessConfig = {
+        ...defaultMapConfig,
+        routing: {
+          provider: 'osrm',
+          routingUrl: 'http://localhost:5151/osrm',
+          geocodingUrl: 'http://localhost:5151/nominatim',
+          tileUrl: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        },
+      };
+
+      async function createKeylessMap(mapConfig = keylessConfig) {
+        const { atlasMock, mockMap } = createAtlasMock();
+        globalThis.atlas = atlasMock;
+        const dotNetHelper = { invokeMethodAsync: jest.fn().mockResolvedValue(undefined) };
+        await initializeMap({}, mapConfig, [], dotNetHelper);
+        return { atlasMock, mockMap, dotNetHelper };
+      }
+
+      test('creates the map on the blank style without Azure Maps credentials', async () => {
+        const { atlasMock, dotNetHelper } = await createKeylessMap();
+
+        const options = atlasMock.Map.mock.calls[0][1];
+        expect(options.authOptions).toBeUndefined();
+        expect(options.style).toBe('blank');
+        expect(dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith('NotifyMapReady');
+      });
+
+      test('draws the configured raster tiles beneath the markers', async () => {
+        const { atlasMock, mockMap } = await createKeylessMap();
+
+        expect(atlasMock.layer.TileLayer).toHaveBeenCalledWith({
+          tileUrl: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+          tileSize: 256,
+        });
+        expect(mockMap.layers.add.mock.calls[0][0]).toBeInstanceOf(atlasMock.layer.TileLayer);
+      });
+
+      test('draws no tiles when no tile URL is configured', async () => {
+        const { atlasMock } = await createKeylessMap({ ...keylessConfig, routing: { ...keylessConfig.routing, tileUrl: null } });
+
+        expect(atlasMock.layer.TileLayer).not.toHaveBeenCalled();
+      });
+
+      test('keeps the blank style and skips traffic, which need Azure Maps credentials', async () => {
+        const { mockMap } = await createKeylessMap();
+
+        setMapStyle(MAP_ID, 'satellite');
+        setTraffic(MAP_ID, true);
+
+        expect(mockMap.setStyle).not.toHaveBeenCalled();
+        expect(mockMap.setTraffic).not.toHaveBeenCalled();
+      });
+    });
+
     test('stores subscription key globally when using subscription key auth', async () => {
       await createInitializedMap();
 
@@ -392,21 +522,110 @@ describe('NebaMap', () => {
     });
   });
 
+  // -------------------------------------------------------------------------
+  describe('multiple instances', () => {
+    test('creates a separate atlas Map for each container id', async () => {
+      const { atlasMock } = await createInitializedMap();
+      await createSecondMap(atlasMock);
+
+      expect(atlasMock.Map).toHaveBeenCalledWith(MAP_ID, expect.any(Object));
+      expect(atlasMock.Map).toHaveBeenCalledWith(SECOND_MAP_ID, expect.any(Object));
+    });
+
+    test('keeps markers separate per container', async () => {
+      const { atlasMock } = await createInitializedMap(defaultMapConfig, [
+        makeLocation({ id: 'venue' }),
+      ]);
+      await createSecondMap(atlasMock, [makeLocation({ id: 'nearby' })]);
+
+      focusOnLocation(SECOND_MAP_ID, 'venue');
+
+      expect(console.warn).toHaveBeenCalledWith('[NebaMap] Cannot focus on location:', 'venue');
+    });
+
+    test('moves only the camera of the targeted map', async () => {
+      const { atlasMock, mockMap } = await createInitializedMap(defaultMapConfig, [
+        makeLocation({ id: 'venue' }),
+      ]);
+      const second = await createSecondMap(atlasMock, [makeLocation({ id: 'venue' })]);
+      mockMap.setCamera.mockClear();
+      second.mockMap.setCamera.mockClear();
+
+      focusOnLocation(SECOND_MAP_ID, 'venue');
+
+      expect(second.mockMap.setCamera).toHaveBeenCalled();
+      expect(mockMap.setCamera).not.toHaveBeenCalled();
+    });
+
+    test('disposing one map does not dispose or reset another', async () => {
+      const { atlasMock, mockMap, mockDataSource } = await createInitializedMap();
+      const second = await createSecondMap(atlasMock);
+
+      dispose(SECOND_MAP_ID);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'still-here' })]);
+
+      expect(second.mockMap.dispose).toHaveBeenCalled();
+      expect(mockMap.dispose).not.toHaveBeenCalled();
+      expect(mockDataSource.add.mock.calls.at(-1)[0]).toHaveLength(1);
+    });
+
+    test('sends bounds changes to the .NET reference of the map that moved', async () => {
+      jest.useFakeTimers();
+      const { atlasMock, dotNetHelper } = await createInitializedMap();
+      const second = await createSecondMap(atlasMock);
+
+      const moveendHandler = second.mockMap.events.add.mock.calls
+        .find(([evt]) => evt === 'moveend')?.[1];
+      moveendHandler();
+      jest.advanceTimersByTime(150);
+
+      expect(second.dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith(
+        'NotifyBoundsChanged',
+        expect.any(Object),
+      );
+      expect(dotNetHelper.invokeMethodAsync).not.toHaveBeenCalledWith(
+        'NotifyBoundsChanged',
+        expect.any(Object),
+      );
+    });
+
+    test('disposes the previous map when the same container is initialized again', async () => {
+      const { mockMap } = await createInitializedMap();
+
+      await initializeMap(
+        defaultAuthConfig,
+        defaultMapConfig,
+        [],
+        { invokeMethodAsync: jest.fn().mockResolvedValue(undefined) },
+      );
+
+      expect(mockMap.dispose).toHaveBeenCalled();
+    });
+
+    test('treats an unknown container id as not initialized', async () => {
+      await createInitializedMap();
+
+      await expect(showRoute('unknown-map', [-71, 42], [-70, 43])).rejects.toThrow(
+        'Map not initialized',
+      );
+    });
+  });
+
   // -------------------------------------------------------------------------
   describe('closePopup', () => {
     test('does nothing when no popup is open', () => {
-      expect(() => closePopup()).not.toThrow();
+      expect(() => closePopup(MAP_ID)).not.toThrow();
     });
 
     test('closes the popup when one is open', async () => {
       jest.useFakeTimers();
       await createInitializedMap(defaultMapConfig, [makeLocation({ id: 'target' })]);
 
-      focusOnLocation('target');
+      focusOnLocation(MAP_ID, 'target');
       jest.advanceTimersByTime(1100);
 
       const popup = globalThis.atlas.Popup.mock.results.at(-1).value;
-      closePopup();
+      closePopup(MAP_ID);
 
       expect(popup.close).toHaveBeenCalled();
     });
@@ -415,7 +634,7 @@ describe('NebaMap', () => {
   // -------------------------------------------------------------------------
   describe('setMapStyle', () => {
     test('warns when map is not initialized', () => {
-      setMapStyle('road');
+      setMapStyle(MAP_ID, 'road');
 
       expect(console.warn).toHaveBeenCalledWith(
         '[NebaMap] Cannot change map style - map not initialized',
@@ -425,7 +644,7 @@ describe('NebaMap', () => {
     test('warns and skips setStyle for unrecognised style names', async () => {
       const { mockMap } = await createInitializedMap();
 
-      setMapStyle('hand-drawn');
+      setMapStyle(MAP_ID, 'hand-drawn');
 
       expect(console.warn).toHaveBeenCalledWith('[NebaMap] Invalid map style:', 'hand-drawn');
       expect(mockMap.setStyle).not.toHaveBeenCalled();
@@ -443,16 +662,265 @@ describe('NebaMap', () => {
       const { mockMap } = await createInitializedMap();
       mockMap.setStyle.mockClear();
 
-      setMapStyle(style);
+      setMapStyle(MAP_ID, style);
 
       expect(mockMap.setStyle).toHaveBeenCalledWith({ style });
     });
+
+    test('keeps the traffic overlay when the style changes', async () => {
+      const { mockMap } = await createInitializedMap();
+      setTraffic(MAP_ID, true);
+      mockMap.setTraffic.mockClear();
+
+      setMapStyle(MAP_ID, 'night');
+
+      expect(mockMap.setTraffic).toHaveBeenCalledWith({ flow: 'relative', incidents: true });
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('map view preferences', () => {
+    test('draws the style the member picked on an earlier visit', async () => {
+      await createInitializedMap();
+      setMapStyle(MAP_ID, 'satellite');
+      dispose(MAP_ID);
+
+      const { atlasMock } = await createInitializedMap();
+
+      expect(atlasMock.Map).toHaveBeenCalledWith(MAP_ID, expect.objectContaining({ style: 'satellite' }));
+    });
+
+    test('switches to a dark style when the site is dark and no style was picked', async () => {
+      document.documentElement.classList.add('dark');
+
+      const { atlasMock } = await createInitializedMap();
+
+      expect(atlasMock.Map).toHaveBeenCalledWith(MAP_ID, expect.objectContaining({ style: 'night' }));
+    });
+
+    test('follows the site theme as it changes', async () => {
+      const { mockMap } = await createInitializedMap({ ...defaultMapConfig, style: 'grayscale_light' });
+
+      document.documentElement.classList.add('dark');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(mockMap.setStyle).toHaveBeenLastCalledWith({ style: 'grayscale_dark' });
+    });
+
+    test('keeps a picked style when the site theme changes', async () => {
+      const { mockMap } = await createInitializedMap();
+      setMapStyle(MAP_ID, 'road');
+      mockMap.setStyle.mockClear();
+
+      document.documentElement.classList.add('dark');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(mockMap.setStyle).not.toHaveBeenCalled();
+    });
+
+    test('goes back to following the theme when auto is picked', async () => {
+      document.documentElement.classList.add('dark');
+      const { mockMap } = await createInitializedMap();
+      setMapStyle(MAP_ID, 'satellite');
+
+      setMapStyle(MAP_ID, 'auto');
+
+      expect(mockMap.setStyle).toHaveBeenLastCalledWith({ style: 'night' });
+      expect(getMapViewPreferences()).toEqual({ Style: 'auto', ShowTraffic: null });
+    });
+
+    test('remembers the traffic overlay with the style', async () => {
+      await createInitializedMap();
+      setMapStyle(MAP_ID, 'night');
+      setTraffic(MAP_ID, true);
+      dispose(MAP_ID);
+
+      const { mockMap } = await createInitializedMap();
+
+      expect(getMapViewPreferences()).toEqual({ Style: 'night', ShowTraffic: true });
+      expect(mockMap.setTraffic).toHaveBeenCalledWith({ flow: 'relative', incidents: true });
+    });
+
+    test('stops following the site theme once disposed', async () => {
+      const { mockMap } = await createInitializedMap();
+      dispose(MAP_ID);
+
+      document.documentElement.classList.add('dark');
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(mockMap.setStyle).not.toHaveBeenCalled();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('map state in the URL', () => {
+    afterEach(() => {
+      history.replaceState(null, '', '/');
+    });
+
+    test('restores a bookmarked view instead of zooming to fit the markers', async () => {
+      history.replaceState(null, '', '/bowling-centers?center=-71.8,42.26&zoom=11');
+
+      const { atlasMock, mockMap } = await createInitializedMap(
+        { ...defaultMapConfig, syncStateWithUrl: true },
+        [makeLocation()],
+      );
+
+      expect(atlasMock.Map).toHaveBeenCalledWith(MAP_ID, expect.objectContaining({ center: [-71.8, 42.26], zoom: 11 }));
+      expect(mockMap.setCamera).not.toHaveBeenCalled();
+    });
+
+    test('ignores the URL unless the map is configured to sync with it', async () => {
+      history.replaceState(null, '', '/bowling-centers?center=-71.8,42.26&zoom=11');
+
+      const { atlasMock } = await createInitializedMap();
+
+      expect(atlasMock.Map).toHaveBeenCalledWith(MAP_ID, expect.objectContaining({ center: [-71, 42], zoom: 10 }));
+    });
+
+    test('saves the current center and zoom and clears them again', async () => {
+      history.replaceState(null, '', '/bowling-centers?state=MA');
+      const { mockMap } = await createInitializedMap();
+      mockMap.getCamera.mockReturnValue({ center: [-71.06, 42.36], zoom: 9.5, bounds: [-72, 41, -70, 43] });
+
+      saveViewToUrl(MAP_ID);
+      expect(globalThis.location.search).toBe('?state=MA&center=-71.06%2C42.36&zoom=9.5');
+
+      clearViewFromUrl();
+      expect(globalThis.location.search).toBe('?state=MA');
+    });
+
+    test('warns when saving the view of a map that is not initialized', () => {
+      saveViewToUrl(MAP_ID);
+
+      expect(console.warn).toHaveBeenCalledWith('[NebaMap] Cannot save map view - map not initialized');
+    });
+
+    test('opens the popup of the location in the URL and tells .NET it is selected', async () => {
+      jest.useFakeTimers();
+      history.replaceState(null, '', '/bowling-centers?location=loc-1');
+
+      const { atlasMock, mockMap, dotNetHelper } = await createInitializedMap(
+        { ...defaultMapConfig, syncStateWithUrl: true },
+        [makeLocation()],
+      );
+      jest.advanceTimersByTime(1100);
+
+      expect(mockMap.setCamera).toHaveBeenLastCalledWith(expect.objectContaining({ center: [-71.06, 42.36], zoom: 15 }));
+      expect(atlasMock.Popup).toHaveBeenCalledTimes(1);
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith('NotifyLocationSelected', 'loc-1');
+      jest.useRealTimers();
+    });
+
+    test('starts directions to the destination in the URL', async () => {
+      history.replaceState(null, '', '/bowling-centers?location=loc-1&directions=loc-2');
+
+      const { mockMap, dotNetHelper } = await createInitializedMap(
+        { ...defaultMapConfig, syncStateWithUrl: true },
+        [makeLocation(), makeLocation({ id: 'loc-2', latitude: 42.5, longitude: -71.5 })],
+      );
+
+      expect(mockMap.setCamera).toHaveBeenLastCalledWith(expect.objectContaining({ center: [-71.5, 42.5], zoom: 13 }));
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith('NotifyDirectionsRequested', 'loc-2');
+      expect(dotNetHelper.invokeMethodAsync).not.toHaveBeenCalledWith('NotifyLocationSelected', expect.anything());
+      expect(globalThis.location.search).toBe('?directions=loc-2');
+    });
+
+    test('drops ids in the URL that match no location', async () => {
+      history.replaceState(null, '', '/bowling-centers?location=ghost&directions=ghost&from=42.1,-71.2&state=MA');
+
+      const { dotNetHelper } = await createInitializedMap(
+        { ...defaultMapConfig, syncStateWithUrl: true },
+        [makeLocation()],
+      );
+
+      expect(globalThis.location.search).toBe('?state=MA');
+      expect(dotNetHelper.invokeMethodAsync).not.toHaveBeenCalledWith('NotifyDirectionsRequested', expect.anything());
+    });
+
+    test('keeps the selected location and directions destination in the URL', async () => {
+      history.replaceState(null, '', '/bowling-centers?state=MA');
+      await createInitializedMap({ ...defaultMapConfig, syncStateWithUrl: true }, [makeLocation()]);
+
+      focusOnLocation(MAP_ID, 'loc-1');
+      expect(globalThis.location.search).toBe('?state=MA&location=loc-1');
+
+      enterDirectionsPreview(MAP_ID, 'loc-1');
+      expect(globalThis.location.search).toBe('?state=MA&directions=loc-1');
+
+      exitDirectionsMode(MAP_ID);
+      expect(globalThis.location.search).toBe('?state=MA');
+    });
+
+    test('shows the style in the URL for this visit without saving it', async () => {
+      history.replaceState(null, '', '/bowling-centers?style=satellite');
+
+      const { atlasMock } = await createInitializedMap({ ...defaultMapConfig, syncStateWithUrl: true });
+
+      expect(atlasMock.Map).toHaveBeenCalledWith(MAP_ID, expect.objectContaining({ style: 'satellite' }));
+      expect(getMapViewPreferences(true).Style).toBe('satellite');
+      expect(getMapViewPreferences().Style).toBe('auto');
+    });
+
+    test('writes the picked style into the URL and removes it for auto', async () => {
+      history.replaceState(null, '', '/bowling-centers');
+      await createInitializedMap({ ...defaultMapConfig, syncStateWithUrl: true });
+
+      setMapStyle(MAP_ID, 'night');
+      expect(globalThis.location.search).toBe('?style=night');
+
+      setMapStyle(MAP_ID, 'auto');
+      expect(globalThis.location.search).toBe('');
+    });
+
+    test('leaves the URL alone unless the map is configured to sync with it', async () => {
+      history.replaceState(null, '', '/bowling-centers');
+      await createInitializedMap(defaultMapConfig, [makeLocation()]);
+
+      focusOnLocation(MAP_ID, 'loc-1');
+      setMapStyle(MAP_ID, 'night');
+
+      expect(globalThis.location.search).toBe('');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('setTraffic', () => {
+    test('warns when map is not initialized', () => {
+      setTraffic(MAP_ID, true);
+
+      expect(console.warn).toHaveBeenCalledWith(
+        '[NebaMap] Cannot change traffic overlay - map not initialized',
+      );
+    });
+
+    test('turns the traffic flow and incident layers on and off', async () => {
+      const { mockMap } = await createInitializedMap();
+
+      setTraffic(MAP_ID, true);
+      expect(mockMap.setTraffic).toHaveBeenLastCalledWith({ flow: 'relative', incidents: true });
+
+      setTraffic(MAP_ID, false);
+      expect(mockMap.setTraffic).toHaveBeenLastCalledWith({ flow: 'none', incidents: false });
+    });
+
+    test('draws traffic from the start when the map config asks for it', async () => {
+      const { mockMap } = await createInitializedMap({ ...defaultMapConfig, showTraffic: true });
+
+      expect(mockMap.setTraffic).toHaveBeenCalledWith({ flow: 'relative', incidents: true });
+    });
+
+    test('leaves traffic off by default', async () => {
+      const { mockMap } = await createInitializedMap();
+
+      expect(mockMap.setTraffic).not.toHaveBeenCalled();
+    });
   });
 
   // -------------------------------------------------------------------------
   describe('updateMarkers', () => {
     test('warns when data source is not initialized', () => {
-      updateMarkers([makeLocation()]);
+      updateMarkers(MAP_ID, [makeLocation()]);
 
       expect(console.warn).toHaveBeenCalledWith('[NebaMap] Data source not initialized');
     });
@@ -461,10 +929,10 @@ describe('NebaMap', () => {
       const { mockDataSource } = await createInitializedMap();
       const locations = [makeLocation({ id: 'abc' })];
 
-      updateMarkers(locations);
+      updateMarkers(MAP_ID, locations);
       const addCount = mockDataSource.add.mock.calls.length;
 
-      updateMarkers(locations); // same IDs → same hash
+      updateMarkers(MAP_ID, locations); // same IDs → same hash
 
       expect(mockDataSource.add.mock.calls.length).toBe(addCount);
       expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Locations unchanged'));
@@ -473,10 +941,10 @@ describe('NebaMap', () => {
     test('re-renders when the location ID set changes', async () => {
       const { mockDataSource } = await createInitializedMap();
 
-      updateMarkers([makeLocation({ id: 'x' })]);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'x' })]);
       const addCountAfterFirst = mockDataSource.add.mock.calls.length;
 
-      updateMarkers([makeLocation({ id: 'y' })]); // different IDs → different hash
+      updateMarkers(MAP_ID, [makeLocation({ id: 'y' })]); // different IDs → different hash
 
       expect(mockDataSource.add.mock.calls.length).toBeGreaterThan(addCountAfterFirst);
     });
@@ -484,7 +952,7 @@ describe('NebaMap', () => {
     test('filters out locations with NaN latitude', async () => {
       await createInitializedMap();
 
-      updateMarkers([makeLocation({ id: 'bad', latitude: Number.NaN })]);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'bad', latitude: Number.NaN })]);
 
       expect(console.warn).toHaveBeenCalledWith(
         expect.stringContaining('Skipping location with invalid coordinates'),
@@ -497,7 +965,7 @@ describe('NebaMap', () => {
     test('filters out locations with Infinity longitude', async () => {
       await createInitializedMap();
 
-      updateMarkers([makeLocation({ id: 'bad', longitude: Infinity })]);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'bad', longitude: Infinity })]);
 
       expect(console.warn).toHaveBeenCalledWith(
         expect.stringContaining('Skipping location with invalid coordinates'),
@@ -510,7 +978,7 @@ describe('NebaMap', () => {
     test('filters out locations with null coordinates', async () => {
       await createInitializedMap();
 
-      updateMarkers([makeLocation({ id: 'bad', latitude: null })]);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'bad', latitude: null })]);
 
       expect(console.warn).toHaveBeenCalledWith(
         expect.stringContaining('Skipping location with invalid coordinates'),
@@ -523,7 +991,7 @@ describe('NebaMap', () => {
     test('adds only valid features to the data source', async () => {
       const { mockDataSource } = await createInitializedMap();
 
-      updateMarkers([
+      updateMarkers(MAP_ID, [
         makeLocation({ id: 'valid' }),
         makeLocation({ id: 'bad-nan', latitude: Number.NaN }),
         makeLocation({ id: 'bad-inf', longitude: Infinity }),
@@ -536,7 +1004,7 @@ describe('NebaMap', () => {
     test('spreads location metadata into feature properties', async () => {
       await createInitializedMap();
 
-      updateMarkers([makeLocation({ id: 'a', metadata: { league: 'mens', lanes: 32 } })]);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'a', metadata: { league: 'mens', lanes: 32 } })]);
 
       const featureCalls = globalThis.atlas.data.Feature.mock.calls;
       const props = featureCalls.at(-1)[1];
@@ -547,7 +1015,7 @@ describe('NebaMap', () => {
       const { mockDataSource } = await createInitializedMap();
       mockDataSource.clear.mockClear();
 
-      updateMarkers([makeLocation({ id: 'new' })]);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'new' })]);
 
       expect(mockDataSource.clear).toHaveBeenCalled();
     });
@@ -555,10 +1023,10 @@ describe('NebaMap', () => {
     test('treats the same location IDs as identical regardless of their order', async () => {
       const { mockDataSource } = await createInitializedMap();
 
-      updateMarkers([makeLocation({ id: 'b' }), makeLocation({ id: 'a' })]);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'b' }), makeLocation({ id: 'a' })]);
       const addCount = mockDataSource.add.mock.calls.length;
 
-      updateMarkers([makeLocation({ id: 'a' }), makeLocation({ id: 'b' })]);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'a' }), makeLocation({ id: 'b' })]);
 
       expect(mockDataSource.add.mock.calls.length).toBe(addCount);
     });
@@ -566,7 +1034,7 @@ describe('NebaMap', () => {
     test('filters out locations where latitude is a string rather than a number', async () => {
       const { mockDataSource } = await createInitializedMap();
 
-      updateMarkers([makeLocation({ id: 'str-lat', latitude: '42.36' })]);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'str-lat', latitude: '42.36' })]);
 
       const features = mockDataSource.add.mock.calls.at(-1)[0];
       expect(features).toHaveLength(0);
@@ -575,7 +1043,7 @@ describe('NebaMap', () => {
     test('filters out locations where longitude is a string rather than a number', async () => {
       const { mockDataSource } = await createInitializedMap();
 
-      updateMarkers([makeLocation({ id: 'str-lng', longitude: '-71.06' })]);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'str-lng', longitude: '-71.06' })]);
 
       const features = mockDataSource.add.mock.calls.at(-1)[0];
       expect(features).toHaveLength(0);
@@ -584,7 +1052,7 @@ describe('NebaMap', () => {
     test('filters out locations with NaN longitude', async () => {
       const { mockDataSource } = await createInitializedMap();
 
-      updateMarkers([makeLocation({ id: 'bad-nan-lon', longitude: Number.NaN })]);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'bad-nan-lon', longitude: Number.NaN })]);
 
       const features = mockDataSource.add.mock.calls.at(-1)[0];
       expect(features).toHaveLength(0);
@@ -593,7 +1061,7 @@ describe('NebaMap', () => {
     test('filters out locations with Infinity latitude', async () => {
       const { mockDataSource } = await createInitializedMap();
 
-      updateMarkers([makeLocation({ id: 'bad-inf-lat', latitude: Infinity })]);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'bad-inf-lat', latitude: Infinity })]);
 
       const features = mockDataSource.add.mock.calls.at(-1)[0];
       expect(features).toHaveLength(0);
@@ -602,7 +1070,7 @@ describe('NebaMap', () => {
     test('filters out locations with null longitude', async () => {
       const { mockDataSource } = await createInitializedMap();
 
-      updateMarkers([makeLocation({ id: 'bad-null-lon', longitude: null })]);
+      updateMarkers(MAP_ID, [makeLocation({ id: 'bad-null-lon', longitude: null })]);
 
       const features = mockDataSource.add.mock.calls.at(-1)[0];
       expect(features).toHaveLength(0);
@@ -614,7 +1082,7 @@ describe('NebaMap', () => {
     test('warns when the location id is not in the marker registry', async () => {
       await createInitializedMap();
 
-      focusOnLocation('no-such-id');
+      focusOnLocation(MAP_ID, 'no-such-id');
 
       expect(console.warn).toHaveBeenCalledWith(
         '[NebaMap] Cannot focus on location:',
@@ -629,7 +1097,7 @@ describe('NebaMap', () => {
       ]);
       mockMap.setCamera.mockClear();
 
-      focusOnLocation('target');
+      focusOnLocation(MAP_ID, 'target');
 
       expect(mockMap.setCamera).toHaveBeenCalledWith(
         expect.objectContaining({ zoom: 15, type: 'ease', duration: 1000 }),
@@ -640,29 +1108,29 @@ describe('NebaMap', () => {
       jest.useFakeTimers();
       await createInitializedMap(defaultMapConfig, [makeLocation({ id: 'target' })]);
 
-      focusOnLocation('target');
+      focusOnLocation(MAP_ID, 'target');
 
       expect(globalThis.atlas.Popup).not.toHaveBeenCalled();
       jest.advanceTimersByTime(1100);
       expect(globalThis.atlas.Popup).toHaveBeenCalled();
     });
 
-    test('popup content applies white-space: pre-line to the description element', async () => {
+    test('popup content renders the description in the pre-line description element', async () => {
       jest.useFakeTimers();
       await createInitializedMap(defaultMapConfig, [makeLocation({ id: 'target' })]);
 
-      focusOnLocation('target');
+      focusOnLocation(MAP_ID, 'target');
       jest.advanceTimersByTime(1100);
 
       const [[popupOptions]] = globalThis.atlas.Popup.mock.calls;
-      expect(popupOptions.content).toContain('white-space: pre-line');
+      expect(popupOptions.content).toContain('<div class="neba-map-popup-description">A test bowling center</div>');
     });
 
     test('positions the popup with a pixel offset of [0, -18]', async () => {
       jest.useFakeTimers();
       await createInitializedMap(defaultMapConfig, [makeLocation({ id: 'target' })]);
 
-      focusOnLocation('target');
+      focusOnLocation(MAP_ID, 'target');
       jest.advanceTimersByTime(1100);
 
       const [[popupOptions]] = globalThis.atlas.Popup.mock.calls;
@@ -676,7 +1144,7 @@ describe('NebaMap', () => {
         makeLocation({ id: 'target', description }),
       ]);
 
-      focusOnLocation('target');
+      focusOnLocation(MAP_ID, 'target');
       jest.advanceTimersByTime(1100);
 
       const [[popupOptions]] = globalThis.atlas.Popup.mock.calls;
@@ -688,7 +1156,7 @@ describe('NebaMap', () => {
   // -------------------------------------------------------------------------
   describe('fitBounds', () => {
     test('does nothing when map is not initialized', () => {
-      expect(() => fitBounds()).not.toThrow();
+      expect(() => fitBounds(MAP_ID)).not.toThrow();
     });
 
     test('does nothing when the data source has no shapes', async () => {
@@ -696,7 +1164,7 @@ describe('NebaMap', () => {
       mockDataSource.getShapes.mockReturnValue([]);
       atlasMock.data.BoundingBox.fromData.mockClear();
 
-      fitBounds();
+      fitBounds(MAP_ID);
 
       expect(atlasMock.data.BoundingBox.fromData).not.toHaveBeenCalled();
     });
@@ -707,7 +1175,7 @@ describe('NebaMap', () => {
       mockDataSource.getShapes.mockReturnValue([shape]);
       mockMap.setCamera.mockClear();
 
-      fitBounds();
+      fitBounds(MAP_ID);
 
       expect(globalThis.atlas.data.BoundingBox.fromData).toHaveBeenCalledWith([shape]);
       expect(mockMap.setCamera).toHaveBeenCalledWith(
@@ -721,7 +1189,7 @@ describe('NebaMap', () => {
     test('warns when the location is not in the marker registry', async () => {
       await createInitializedMap();
 
-      enterDirectionsPreview('ghost-id');
+      enterDirectionsPreview(MAP_ID, 'ghost-id');
 
       expect(console.warn).toHaveBeenCalledWith(
         '[NebaMap] Cannot enter directions preview for location:',
@@ -735,7 +1203,7 @@ describe('NebaMap', () => {
       ]);
       mockMap.setCamera.mockClear();
 
-      enterDirectionsPreview('dest');
+      enterDirectionsPreview(MAP_ID, 'dest');
 
       expect(mockMap.setCamera).toHaveBeenCalledWith(
         expect.objectContaining({ zoom: 13, type: 'ease' }),
@@ -753,7 +1221,7 @@ describe('NebaMap', () => {
         .filter((l) => l instanceof atlasMock.layer.SymbolLayer);
       expect(symbolLayers.length).toBeGreaterThan(0);
 
-      enterDirectionsPreview('dest');
+      enterDirectionsPreview(MAP_ID, 'dest');
 
       symbolLayers.forEach((layer) => {
         expect(layer.setOptions).toHaveBeenCalledWith(
@@ -768,7 +1236,7 @@ describe('NebaMap', () => {
         makeLocation({ id: locationId }),
       ]);
 
-      enterDirectionsPreview(locationId);
+      enterDirectionsPreview(MAP_ID, locationId);
 
       const symbolLayers = mockMap.layers
         .getLayers()
@@ -788,22 +1256,22 @@ describe('NebaMap', () => {
         [makeLocation({ id: 'dest' })],
       );
 
-      expect(() => enterDirectionsPreview('dest')).not.toThrow();
+      expect(() => enterDirectionsPreview(MAP_ID, 'dest')).not.toThrow();
     });
   });
 
   // -------------------------------------------------------------------------
   describe('showRoute', () => {
     test('throws when map is not initialized', async () => {
-      // dispose() in beforeEach leaves map null
-      await expect(showRoute([-71, 42], [-70, 43])).rejects.toThrow('Map not initialized');
+      // dispose(MAP_ID) in beforeEach leaves map null
+      await expect(showRoute(MAP_ID, [-71, 42], [-70, 43])).rejects.toThrow('Map not initialized');
     });
 
     test('throws when auth config is not set', async () => {
       await createInitializedMap();
       delete globalThis.azureMapsAuthConfig;
 
-      await expect(showRoute([-71, 42], [-70, 43])).rejects.toThrow(
+      await expect(showRoute(MAP_ID, [-71, 42], [-70, 43])).rejects.toThrow(
         'Authentication not configured',
       );
     });
@@ -814,7 +1282,7 @@ describe('NebaMap', () => {
         .fn()
         .mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' });
 
-      await expect(showRoute([-71, 42], [-70, 43])).rejects.toThrow('Route API error: 503');
+      await expect(showRoute(MAP_ID, [-71, 42], [-70, 43])).rejects.toThrow('Route API error: 503');
     });
 
     test('throws when the API response contains no routes', async () => {
@@ -824,14 +1292,14 @@ describe('NebaMap', () => {
         json: () => Promise.resolve({ routes: [] }),
       });
 
-      await expect(showRoute([-71, 42], [-70, 43])).rejects.toThrow('No route found');
+      await expect(showRoute(MAP_ID, [-71, 42], [-70, 43])).rejects.toThrow('No route found');
     });
 
     test('returns distance and travel time from the route summary', async () => {
       await createInitializedMap();
       globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
 
       expect(result.DistanceMeters).toBe(5000);
       expect(result.TravelTimeSeconds).toBe(300);
@@ -841,7 +1309,7 @@ describe('NebaMap', () => {
       await createInitializedMap();
       globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
 
       expect(result.Instructions).toHaveLength(2);
       expect(result.Instructions[0]).toMatchObject({ Text: 'Head north', DistanceMeters: 100 });
@@ -867,7 +1335,7 @@ describe('NebaMap', () => {
           }),
       });
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
 
       expect(result.Instructions).toHaveLength(1);
       expect(result.Instructions[0].Text).toBe('Follow the road');
@@ -877,7 +1345,7 @@ describe('NebaMap', () => {
       await createInitializedMap();
       globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
 
-      await showRoute([-71, 42], [-70, 43]);
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
 
       expect(globalThis.fetch.mock.calls[0][0]).toContain('subscription-key=test-key-123');
     });
@@ -887,7 +1355,7 @@ describe('NebaMap', () => {
       globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
 
       // origin: [-71, 42] → lat=42, lon=-71  |  destination: [-70, 43] → lat=43, lon=-70
-      await showRoute([-71, 42], [-70, 43]);
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
 
       expect(globalThis.fetch.mock.calls[0][0]).toContain('query=42,-71:43,-70');
     });
@@ -896,7 +1364,7 @@ describe('NebaMap', () => {
       await createInitializedMap();
       globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
 
-      await showRoute([-71, 42], [-70, 43]);
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
 
       const routeUrl = globalThis.fetch.mock.calls[0][0];
       expect(routeUrl).toContain('routeType=fastest');
@@ -945,7 +1413,7 @@ describe('NebaMap', () => {
         }),
       });
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
 
       expect(result.DistanceMeters).toBe(6100);
       expect(result.TravelTimeSeconds).toBe(300);
@@ -972,7 +1440,7 @@ describe('NebaMap', () => {
         json: () => Promise.resolve({ routes }),
       });
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
 
       expect(result.RouteOptions).toHaveLength(3);
       expect(result.RouteOptions[0].TravelTimeSeconds).toBe(460);
@@ -984,7 +1452,7 @@ describe('NebaMap', () => {
       await createInitializedMap();
       globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
 
       expect(result.RouteGeoJson).not.toBeNull();
       const geoJson = JSON.parse(result.RouteGeoJson);
@@ -1013,7 +1481,7 @@ describe('NebaMap', () => {
         }),
       });
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
       const geoJson = JSON.parse(result.RouteGeoJson);
       const coordinates = geoJson.geometry.coordinates;
 
@@ -1061,7 +1529,7 @@ describe('NebaMap', () => {
           }),
       });
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
       const geoJson = JSON.parse(result.RouteGeoJson);
 
       expect(geoJson.geometry.coordinates).toHaveLength(220);
@@ -1084,7 +1552,7 @@ describe('NebaMap', () => {
           }),
       });
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
 
       expect(result.RouteGeoJson).toBeNull();
     });
@@ -1095,7 +1563,7 @@ describe('NebaMap', () => {
       abortError.name = 'AbortError';
       globalThis.fetch = jest.fn().mockRejectedValue(abortError);
 
-      await expect(showRoute([-71, 42], [-70, 43])).rejects.toThrow('timed out');
+      await expect(showRoute(MAP_ID, [-71, 42], [-70, 43])).rejects.toThrow('timed out');
     });
 
     test('falls through to instructionGroups when the instructions array is empty', async () => {
@@ -1119,7 +1587,7 @@ describe('NebaMap', () => {
           }),
       });
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
 
       expect(result.Instructions[0].Text).toBe('Via the bridge');
     });
@@ -1140,7 +1608,7 @@ describe('NebaMap', () => {
           }),
       });
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
 
       expect(result.Instructions).toHaveLength(0);
     });
@@ -1169,7 +1637,7 @@ describe('NebaMap', () => {
         }),
       });
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
       const geoJson = JSON.parse(result.RouteGeoJson);
 
       expect(geoJson.geometry.coordinates).toEqual([[-71, 42], [-70, 43]]);
@@ -1195,7 +1663,7 @@ describe('NebaMap', () => {
         }),
       });
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
       const geoJson = JSON.parse(result.RouteGeoJson);
       expect(geoJson.geometry.coordinates).toEqual([[-71, 42], [-70, 43]]);
     });
@@ -1220,63 +1688,1820 @@ describe('NebaMap', () => {
         }),
       });
 
-      const result = await showRoute([-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
       const geoJson = JSON.parse(result.RouteGeoJson);
       expect(geoJson.geometry.coordinates).toEqual([[-71, 42], [-70, 43]]);
     });
   });
 
   // -------------------------------------------------------------------------
-  describe('exitDirectionsMode', () => {
-    test('warns and no-ops when map is not initialized', () => {
-      dispose();
+  describe('popup template', () => {
+    /**
+     * Makes atlas.Popup render its content into a real element so action clicks can be simulated.
+     */
+    function renderPopupsIntoDom() {
+      const container = document.createElement('div');
+      globalThis.atlas.Popup.mockImplementation((options) => {
+        container.innerHTML = options.content;
+        return { open: jest.fn(), close: jest.fn(), getPopupContainer: () => container };
+      });
+      return container;
+    }
+
+    const templateMapConfig = {
+      ...defaultMapConfig,
+      popupTemplate: {
+        fields: [
+          { key: 'phoneDisplay', label: 'Phone', type: 'phone' },
+          { key: 'website', label: 'Website', type: 'url' },
+        ],
+        actions: [
+          { id: 'directions', label: 'Get directions' },
+          { id: 'leagues', label: 'Leagues' },
+        ],
+      },
+    };
 
-      expect(() => exitDirectionsMode()).not.toThrow();
-      expect(console.warn).toHaveBeenCalledWith(
-        '[NebaMap] Cannot exit directions mode - map not initialized',
-      );
+    const templateLocation = makeLocation({
+      id: 'target',
+      metadata: { phoneDisplay: '(617) 555-0100', website: 'https://lanes.example.com' },
     });
 
-    test('is safe to call when no route is active', async () => {
-      await createInitializedMap();
+    test('escapes title and description markup', async () => {
+      jest.useFakeTimers();
+      await createInitializedMap(defaultMapConfig, [
+        makeLocation({ id: 'target', title: '<script>alert(1)</script>', description: '<b>bold</b>' }),
+      ]);
 
-      expect(() => exitDirectionsMode()).not.toThrow();
+      focusOnLocation(MAP_ID, 'target');
+      jest.advanceTimersByTime(1100);
+
+      const [[popupOptions]] = globalThis.atlas.Popup.mock.calls;
+      expect(popupOptions.content).not.toContain('<script>');
+      expect(popupOptions.content).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(popupOptions.content).toContain('&lt;b&gt;bold&lt;/b&gt;');
     });
 
-    test('does not remove map layers or sources after showRoute', async () => {
-      const { mockMap } = await createInitializedMap();
-      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
-      await showRoute([-71, 42], [-70, 43]);
+    test('renders configured metadata fields', async () => {
+      jest.useFakeTimers();
+      await createInitializedMap(templateMapConfig, [templateLocation]);
 
-      mockMap.layers.remove.mockClear();
-      mockMap.sources.remove.mockClear();
+      focusOnLocation(MAP_ID, 'target');
+      jest.advanceTimersByTime(1100);
+
+      const [[popupOptions]] = globalThis.atlas.Popup.mock.calls;
+      expect(popupOptions.content).toContain('href="tel:6175550100"');
+      expect(popupOptions.content).toContain('href="https://lanes.example.com/"');
+    });
 
-      exitDirectionsMode();
+    test('directions action calls NotifyDirectionsRequested with the location id', async () => {
+      jest.useFakeTimers();
+      const { dotNetHelper } = await createInitializedMap(templateMapConfig, [templateLocation]);
+      const container = renderPopupsIntoDom();
 
-      expect(mockMap.layers.remove).not.toHaveBeenCalled();
-      expect(mockMap.sources.remove).not.toHaveBeenCalled();
+      focusOnLocation(MAP_ID, 'target');
+      jest.advanceTimersByTime(1100);
+      container.querySelector('[data-popup-action="directions"]').click();
+
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith('NotifyDirectionsRequested', 'target');
     });
 
-    test('restores full opacity on all symbol layers', async () => {
-      const { mockMap, atlasMock } = await createInitializedMap(defaultMapConfig, [
-        makeLocation({ id: 'dest' }),
-      ]);
-      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
-      await showRoute([-71, 42], [-70, 43]);
+    test('custom actions call NotifyPopupAction with the action and location ids', async () => {
+      jest.useFakeTimers();
+      const { dotNetHelper } = await createInitializedMap(templateMapConfig, [templateLocation]);
+      const container = renderPopupsIntoDom();
 
-      const symbolLayers = mockMap.layers
-        .getLayers()
-        .filter((l) => l instanceof atlasMock.layer.SymbolLayer);
+      focusOnLocation(MAP_ID, 'target');
+      jest.advanceTimersByTime(1100);
+      container.querySelector('[data-popup-action="leagues"]').click();
 
-      symbolLayers.forEach((l) => l.setOptions.mockClear());
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith('NotifyPopupAction', 'leagues', 'target');
+    });
 
-      exitDirectionsMode();
+    test('logs an error when the .NET callback fails', async () => {
+      jest.useFakeTimers();
+      const { dotNetHelper } = await createInitializedMap(templateMapConfig, [templateLocation]);
+      const container = renderPopupsIntoDom();
+      dotNetHelper.invokeMethodAsync.mockRejectedValueOnce(new Error('circuit gone'));
 
-      symbolLayers.forEach((layer) => {
-        expect(layer.setOptions).toHaveBeenCalledWith(
-          expect.objectContaining({ iconOptions: { opacity: 1 } }),
-        );
-      });
+      focusOnLocation(MAP_ID, 'target');
+      jest.advanceTimersByTime(1100);
+      container.querySelector('[data-popup-action="directions"]').click();
+      await Promise.resolve();
+
+      expect(console.error).toHaveBeenCalledWith(
+        '[NebaMap] Error notifying popup action:',
+        'directions',
+        expect.any(Error),
+      );
+    });
+
+    test('clicks outside action buttons do not call .NET', async () => {
+      jest.useFakeTimers();
+      const { dotNetHelper } = await createInitializedMap(templateMapConfig, [templateLocation]);
+      const container = renderPopupsIntoDom();
+      dotNetHelper.invokeMethodAsync.mockClear();
+
+      focusOnLocation(MAP_ID, 'target');
+      jest.advanceTimersByTime(1100);
+      container.querySelector('.neba-map-popup-title').click();
+
+      expect(dotNetHelper.invokeMethodAsync).not.toHaveBeenCalled();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('marker categories', () => {
+    const categoryMapConfig = {
+      ...defaultMapConfig,
+      enableClustering: true,
+      markerCategories: {
+        field: 'category',
+        defaultCategory: 'usbc',
+        categories: [
+          { key: 'tournament', label: 'Upcoming tournament', color: '#dc2626', icon: 'flag' },
+          { key: 'sponsor', label: 'Sponsor', color: '#f59e0b', icon: '/images/sponsor-pin.png' },
+          { key: 'usbc', label: 'USBC center', color: '#0066b2' },
+        ],
+      },
+    };
+
+    const categoryLocations = [
+      makeLocation({ id: 'a', metadata: { category: 'tournament' } }),
+      makeLocation({ id: 'b', metadata: { category: 'sponsor' } }),
+      makeLocation({ id: 'c', metadata: { category: 'sponsor' } }),
+      makeLocation({ id: 'd', metadata: {} }),
+    ];
+
+    function getLegendControl(mockMap) {
+      return mockMap.controls.add.mock.calls[0][0];
+    }
+
+    function addedFeatureIds(mockDataSource) {
+      return mockDataSource.add.mock.calls.at(-1)[0].map(f => f.properties.id);
+    }
+
+    test('tags each marker with its category, defaulting unknown values', async () => {
+      const { mockDataSource } = await createInitializedMap(categoryMapConfig, categoryLocations);
+
+      const features = mockDataSource.add.mock.calls.at(-1)[0];
+      expect(features.map(f => f.properties.markerCategory)).toEqual(['tournament', 'sponsor', 'sponsor', 'usbc']);
+    });
+
+    test('does not tag markers when categories are not configured', async () => {
+      const { mockDataSource } = await createInitializedMap(defaultMapConfig, categoryLocations);
+
+      const features = mockDataSource.add.mock.calls.at(-1)[0];
+      expect(features[0].properties).not.toHaveProperty('markerCategory');
+      expect(globalThis.atlas.Map.mock.results[0].value.controls.add).not.toHaveBeenCalled();
+    });
+
+    test('registers template and URL icons per category', async () => {
+      const { mockMap } = await createInitializedMap(categoryMapConfig, categoryLocations);
+
+      expect(mockMap.imageSprite.createFromTemplate).toHaveBeenCalledWith(
+        'neba-marker-tournament', 'flag', '#dc2626', '#ffffff',
+      );
+      expect(mockMap.imageSprite.createFromTemplate).toHaveBeenCalledWith(
+        'neba-marker-usbc', 'marker', '#0066b2', '#ffffff',
+      );
+      expect(mockMap.imageSprite.add).toHaveBeenCalledWith('neba-marker-sponsor', '/images/sponsor-pin.png');
+    });
+
+    test('switches the marker layer to category icons once the images load', async () => {
+      const { addedLayers } = await createInitializedMap(categoryMapConfig, categoryLocations);
+      await Promise.resolve();
+      await Promise.resolve();
+
+      const markerLayer = addedLayers.find(
+        layer => layer instanceof globalThis.atlas.layer.SymbolLayer && layer.options?.iconOptions?.image === 'pin-red',
+      );
+      expect(markerLayer.setOptions).toHaveBeenCalledWith({
+        iconOptions: { image: expect.arrayContaining(['match', 'neba-marker-tournament']) },
+      });
+    });
+
+    test('logs an error and keeps the default pin when icons fail to load', async () => {
+      const { atlasMock, mockMap } = createAtlasMock();
+      mockMap.imageSprite.createFromTemplate.mockRejectedValue(new Error('sprite failed'));
+      atlasMock.Map.mockImplementation(() => mockMap);
+      globalThis.atlas = atlasMock;
+
+      await initializeMap(defaultAuthConfig, categoryMapConfig, categoryLocations, {
+        invokeMethodAsync: jest.fn().mockResolvedValue(undefined),
+      });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(console.error).toHaveBeenCalledWith(
+        '[NebaMap] Failed to register marker category icons:',
+        expect.any(Error),
+      );
+    });
+
+    test('aggregates per-category counts into clusters', async () => {
+      await createInitializedMap(categoryMapConfig, categoryLocations);
+
+      const options = globalThis.atlas.source.DataSource.mock.calls[0][1];
+      expect(Object.keys(options.clusterProperties)).toEqual([
+        'categoryCount_tournament',
+        'categoryCount_sponsor',
+        'categoryCount_usbc',
+      ]);
+    });
+
+    test('colours cluster bubbles by the dominant category and adds a category mix label', async () => {
+      const { addedLayers } = await createInitializedMap(categoryMapConfig, categoryLocations);
+
+      const bubbleOptions = globalThis.atlas.layer.BubbleLayer.mock.calls[0][2];
+      expect(bubbleOptions.color[0]).toBe('case');
+
+      const mixLayer = addedLayers.find(layer => layer.options?.textOptions?.textField?.[0] === 'format');
+      expect(mixLayer).toBeDefined();
+      expect(mixLayer.options.filter).toEqual(['has', 'point_count']);
+    });
+
+    test('adds a legend with a toggle and count per category', async () => {
+      const { mockMap } = await createInitializedMap(categoryMapConfig, categoryLocations);
+
+      const legend = getLegendControl(mockMap);
+      const buttons = [...legend.onAdd().querySelectorAll('button')];
+
+      expect(mockMap.controls.add).toHaveBeenCalledWith(legend, { position: 'bottom-left' });
+      expect(buttons.map(b => b.textContent)).toEqual([
+        'Upcoming tournament (1)',
+        'Sponsor (2)',
+        'USBC center (1)',
+      ]);
+      expect(buttons.every(b => b.getAttribute('aria-pressed') === 'true')).toBe(true);
+    });
+
+    test('clicking a legend entry removes that category from the map', async () => {
+      const { mockMap, mockDataSource } = await createInitializedMap(categoryMapConfig, categoryLocations);
+      const sponsorButton = getLegendControl(mockMap).element.querySelector('[data-category="sponsor"]');
+
+      sponsorButton.click();
+
+      expect(addedFeatureIds(mockDataSource)).toEqual(['a', 'd']);
+      expect(sponsorButton.getAttribute('aria-pressed')).toBe('false');
+    });
+
+    test('clicking a hidden legend entry shows the category again', async () => {
+      const { mockMap, mockDataSource } = await createInitializedMap(categoryMapConfig, categoryLocations);
+      const sponsorButton = getLegendControl(mockMap).element.querySelector('[data-category="sponsor"]');
+
+      sponsorButton.click();
+      sponsorButton.click();
+
+      expect(addedFeatureIds(mockDataSource)).toEqual(['a', 'b', 'c', 'd']);
+      expect(sponsorButton.getAttribute('aria-pressed')).toBe('true');
+    });
+
+    test('keeps hidden categories hidden when markers are updated', async () => {
+      const { mockDataSource } = await createInitializedMap(categoryMapConfig, categoryLocations);
+      setMarkerCategoryVisibility(MAP_ID, 'tournament', false);
+
+      updateMarkers(MAP_ID, [...categoryLocations, makeLocation({ id: 'e', metadata: { category: 'tournament' } })]);
+
+      expect(addedFeatureIds(mockDataSource)).toEqual(['b', 'c', 'd']);
+    });
+
+    test('setMarkerCategoryVisibility warns when categories are not configured', async () => {
+      await createInitializedMap();
+
+      setMarkerCategoryVisibility(MAP_ID, 'sponsor', false);
+
+      expect(console.warn).toHaveBeenCalledWith(
+        '[NebaMap] Cannot toggle marker category - categories not configured',
+      );
+    });
+
+    test('removes the legend on dispose', async () => {
+      const { mockMap } = await createInitializedMap(categoryMapConfig, categoryLocations);
+      const legend = getLegendControl(mockMap);
+
+      dispose(MAP_ID);
+
+      expect(mockMap.controls.remove).toHaveBeenCalledWith(legend);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('showRoute routing provider', () => {
+    const routingConfig = {
+      provider: 'osrm',
+      routingUrl: 'http://localhost:5151/osrm',
+      geocodingUrl: 'http://localhost:5151/nominatim',
+    };
+
+    test('keeps each map on its own routing provider', async () => {
+      const { atlasMock } = await createInitializedMap({ ...defaultMapConfig, routing: routingConfig });
+      await createSecondMap(atlasMock);
+      globalThis.fetch = jest.fn().mockImplementation((url) => Promise.resolve(url.startsWith('http://localhost:5151/osrm')
+        ? { ok: true, json: jest.fn().mockResolvedValue({ code: 'NoRoute', routes: [] }) }
+        : makeSuccessfulRouteResponse()));
+
+      await expect(showRoute(MAP_ID, [-71, 42], [-70, 43])).rejects.toThrow('No route found');
+      await showRoute(SECOND_MAP_ID, [-71, 42], [-70, 43]);
+
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('http://localhost:5151/osrm/route/v1/driving/');
+      expect(globalThis.fetch.mock.calls[1][0]).toContain('atlas.microsoft.com/route/directions');
+    });
+
+    test('routes through OSRM when the OSRM provider is configured', async () => {
+      await createInitializedMap({ ...defaultMapConfig, routing: routingConfig });
+      globalThis.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          code: 'Ok',
+          routes: [{
+            distance: 2500,
+            duration: 240,
+            geometry: { coordinates: [[-71, 42], [-70.5, 42.5], [-70, 43]] },
+            legs: [{ steps: [{ distance: 2500, name: 'Main Street', maneuver: { type: 'depart', modifier: 'east' } }] }],
+          }],
+        }),
+      });
+
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('http://localhost:5151/osrm/route/v1/driving/-71,42;-70,43');
+      expect(result.DistanceMeters).toBe(2500);
+      expect(result.TravelTimeSeconds).toBe(240);
+      expect(result.Instructions).toEqual([{ Text: 'Head east on Main Street', DistanceMeters: 2500, LegIndex: 0, Position: null }]);
+      expect(JSON.parse(result.RouteGeoJson).geometry.coordinates).toHaveLength(3);
+    });
+
+    test('returns whole-second travel times for fractional OSRM durations', async () => {
+      await createInitializedMap({ ...defaultMapConfig, routing: routingConfig });
+      globalThis.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          code: 'Ok',
+          routes: [{
+            distance: 2500.7,
+            duration: 1234.5,
+            legs: [
+              { distance: 1000.3, duration: 500.4, steps: [{ distance: 1000.3, maneuver: { type: 'depart' }, geometry: { coordinates: [[-71, 42], [-70.5, 42.5]] } }] },
+              { distance: 1500.4, duration: 734.1, steps: [{ distance: 1500.4, maneuver: { type: 'arrive' }, geometry: { coordinates: [[-70.5, 42.5], [-70, 43]] } }] },
+            ],
+          }],
+        }),
+      });
+
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43], null, [[-70.5, 42.5]]);
+
+      expect(result.TravelTimeSeconds).toBe(1235);
+      expect(result.RouteOptions[0].TravelTimeSeconds).toBe(1235);
+      expect(result.Legs.map(leg => leg.TravelTimeSeconds)).toEqual([500, 734]);
+      expect(result.DistanceMeters).toBe(2500.7);
+    });
+
+    test('does not serve a route cached from another routing provider', async () => {
+      const { atlasMock } = await createInitializedMap({ ...defaultMapConfig, routing: routingConfig });
+      await createSecondMap(atlasMock);
+      globalThis.fetch = jest.fn().mockImplementation((url) => Promise.resolve(url.startsWith('http://localhost:5151/osrm')
+        ? { ok: true, json: jest.fn().mockResolvedValue({ code: 'NoRoute', routes: [] }) }
+        : makeSuccessfulRouteResponse()));
+
+      await showRoute(SECOND_MAP_ID, [-71, 42], [-70, 43]);
+      await expect(showRoute(MAP_ID, [-71, 42], [-70, 43])).rejects.toThrow('No route found');
+
+      expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not need Azure credentials to route through OSRM', async () => {
+      await createInitializedMap({ ...defaultMapConfig, routing: routingConfig });
+      delete globalThis.azureMapsAuthConfig;
+      globalThis.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ code: 'NoRoute', routes: [] }),
+      });
+
+      await expect(showRoute(MAP_ID, [-71, 42], [-70, 43])).rejects.toThrow('No route found');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('showRoute options', () => {
+    test('sends the route options to the routing provider', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
+
+      await showRoute(MAP_ID, [-71, 42], [-70, 43], {
+        travelMode: 'car',
+        routeType: 'shortest',
+        avoidTolls: true,
+        avoidHighways: false,
+        departAt: '2026-10-24T07:00:00',
+        arriveAt: null,
+      });
+
+      const url = decodeURIComponent(globalThis.fetch.mock.calls[0][0]);
+      expect(url).toContain('routeType=shortest');
+      expect(url).toContain('avoid=tollRoads');
+      expect(url).toContain('departAt=2026-10-24T07:00:00');
+    });
+
+    test('echoes the effective settings in the route data', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse({
+        report: { effectiveSettings: [{ key: 'routeType', value: 'eco' }, { key: 'avoid', value: 'motorways' }] },
+      }));
+
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43], { routeType: 'eco', avoidHighways: true });
+
+      expect(result.EffectiveSettings).toEqual({
+        TravelMode: 'car',
+        RouteType: 'eco',
+        AvoidTolls: false,
+        AvoidHighways: true,
+        DepartAt: null,
+        ArriveAt: null,
+        OptimizeWaypoints: false,
+      });
+    });
+
+    test('uses the default options when none are given', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
+
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      expect(result.EffectiveSettings).toMatchObject({ TravelMode: 'car', RouteType: 'fastest' });
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('showRoute waypoints', () => {
+    function makeMultiStopRouteResponse(overrides = {}) {
+      return makeSuccessfulRouteResponse({
+        routes: [{
+          summary: { lengthInMeters: 5000, travelTimeInSeconds: 300 },
+          legs: [
+            {
+              summary: { lengthInMeters: 2000, travelTimeInSeconds: 120 },
+              points: [{ longitude: -71, latitude: 42 }, { longitude: -70.5, latitude: 42.5 }],
+            },
+            {
+              summary: { lengthInMeters: 3000, travelTimeInSeconds: 180 },
+              points: [{ longitude: -70.5, latitude: 42.5 }, { longitude: -70, latitude: 43 }],
+            },
+          ],
+          guidance: {
+            instructions: [
+              { message: 'Head north', travelDistance: 0, routeOffsetInMeters: 0 },
+              { message: 'Arrive at stop', travelDistance: 2000, routeOffsetInMeters: 2000 },
+              { message: 'Turn right', travelDistance: 2500, routeOffsetInMeters: 4500 },
+              { message: 'Arrive', travelDistance: 3000, routeOffsetInMeters: 5000 },
+            ],
+          },
+        }],
+        ...overrides,
+      });
+    }
+
+    test('routes through the stops in the order given', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeMultiStopRouteResponse());
+
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43], null, [[-70.5, 42.5]]);
+
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('query=42,-71:42.5,-70.5:43,-70');
+      expect(result.WaypointOrder).toEqual([0]);
+    });
+
+    test('returns the distance and travel time of each leg', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeMultiStopRouteResponse());
+
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43], null, [[-70.5, 42.5]]);
+
+      expect(result.Legs).toEqual([
+        { DistanceMeters: 2000, TravelTimeSeconds: 120 },
+        { DistanceMeters: 3000, TravelTimeSeconds: 180 },
+      ]);
+      expect(result.RouteOptions[0].Legs).toEqual(result.Legs);
+    });
+
+    test('assigns each instruction to the leg it falls on', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeMultiStopRouteResponse());
+
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43], null, [[-70.5, 42.5]]);
+
+      expect(result.Instructions.map(instruction => instruction.LegIndex)).toEqual([0, 0, 1, 1]);
+    });
+
+    test('keeps where each instruction happens when the provider gives it', async () => {
+      await createInitializedMap();
+      const response = makeMultiStopRouteResponse();
+      const body = await response.json();
+      body.routes[0].guidance.instructions[2].point = { latitude: 42.7, longitude: -70.3 };
+      globalThis.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => body });
+
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43], null, [[-70.5, 42.5]]);
+
+      expect(result.Instructions.map(instruction => instruction.Position)).toEqual([null, null, [-70.3, 42.7], null]);
+    });
+
+    test('returns the traffic incidents on each route option', async () => {
+      await createInitializedMap();
+      const response = makeSuccessfulRouteResponse();
+      const body = await response.json();
+      body.routes[0].guidance.instructions[1].pointIndex = 0;
+      body.routes[0].guidance.instructions[1].roadNumbers = ['I-495'];
+      body.routes[0].sections = [
+        { sectionType: 'TRAFFIC', startPointIndex: 1, delayInSeconds: 720, tec: { causes: [{ mainCauseCode: 2 }] } },
+      ];
+      globalThis.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => body });
+
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      const incidents = [{ Cause: 'Accident', Road: 'I-495', DelaySeconds: 720, Position: [-70, 43] }];
+      expect(result.Incidents).toEqual(incidents);
+      expect(result.RouteOptions[0].Incidents).toEqual(incidents);
+    });
+
+    test('puts every instruction on the first leg of a route without stops', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
+
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      expect(result.Instructions.map(instruction => instruction.LegIndex)).toEqual([0, 0]);
+      expect(result.WaypointOrder).toEqual([]);
+    });
+
+    test('returns the optimized stop order', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeMultiStopRouteResponse({
+        optimizedWaypoints: [{ providedIndex: 0, optimizedIndex: 1 }, { providedIndex: 1, optimizedIndex: 0 }],
+      }));
+
+      const result = await showRoute(
+        MAP_ID, [-71, 42], [-70, 43], { optimizeWaypoints: true }, [[-70.2, 42.8], [-70.5, 42.5]]);
+
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('computeBestOrder=true');
+      expect(result.WaypointOrder).toEqual([1, 0]);
+      expect(result.EffectiveSettings.OptimizeWaypoints).toBe(true);
+    });
+
+    test('ignores invalid stops', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
+
+      await showRoute(MAP_ID, [-71, 42], [-70, 43], null, [[-70.5, 42.5], [200, 95], null]);
+
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('query=42,-71:42.5,-70.5:43,-70');
+      expect(console.warn).toHaveBeenCalledWith('[NebaMap] Ignoring invalid route waypoints:', expect.any(Array));
+    });
+
+    test('caches routes with different stops separately', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
+
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43], null, [[-70.5, 42.5]]);
+
+      expect(result.CachedAt).toBeNull();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('showRoute caching', () => {
+    afterEach(() => {
+      initializeTelemetry(null);
+    });
+
+    test('serves a repeat request from the cache and refreshes it in the background', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
+
+      const first = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+      const second = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      expect(first.CachedAt).toBeNull();
+      expect(second.CachedAt).toEqual(expect.any(String));
+      expect(second.IsStale).toBe(false);
+      expect(second.DistanceMeters).toBe(5000);
+      // Second fetch is the background refresh, not a blocking request
+      expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('treats origins within the rounding precision as the same route', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
+
+      await showRoute(MAP_ID, [-71.0001, 42.0001], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71.0002, 42.0002], [-70, 43]);
+
+      expect(result.CachedAt).not.toBeNull();
+    });
+
+    test('caches routes with different options separately', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
+
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43], { avoidTolls: true });
+
+      expect(result.CachedAt).toBeNull();
+      expect(globalThis.fetch.mock.calls.at(-1)[0]).toContain('avoid=tollRoads');
+    });
+
+    test('does not fail the request when the background refresh fails', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn()
+        .mockResolvedValueOnce(makeSuccessfulRouteResponse())
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      await expect(showRoute(MAP_ID, [-71, 42], [-70, 43])).resolves.toMatchObject({
+        DistanceMeters: 5000,
+      });
+    });
+
+    test('refetches once the configured time-to-live has elapsed', async () => {
+      await createInitializedMap({ ...defaultMapConfig, routeCacheTtlMinutes: 0 });
+      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
+
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      expect(result.CachedAt).toBeNull();
+      expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('replays an expired cached route with its timestamp when the network is down', async () => {
+      await createInitializedMap({ ...defaultMapConfig, routeCacheTtlMinutes: 0 });
+      globalThis.fetch = jest.fn()
+        .mockResolvedValueOnce(makeSuccessfulRouteResponse())
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+      const result = await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      expect(result.IsStale).toBe(true);
+      expect(Number.isNaN(Date.parse(result.CachedAt))).toBe(false);
+      expect(result.DistanceMeters).toBe(5000);
+    });
+
+    test('does not replay a cached route when the API returns an error', async () => {
+      await createInitializedMap({ ...defaultMapConfig, routeCacheTtlMinutes: 0 });
+      globalThis.fetch = jest.fn()
+        .mockResolvedValueOnce(makeSuccessfulRouteResponse())
+        .mockResolvedValueOnce({ ok: false, status: 400, statusText: 'Bad Request' });
+
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      await expect(showRoute(MAP_ID, [-71, 42], [-70, 43])).rejects.toThrow('Route API error: 400');
+    });
+
+    test('does not replay a cached route when reading the response fails', async () => {
+      await createInitializedMap({ ...defaultMapConfig, routeCacheTtlMinutes: 0 });
+      globalThis.fetch = jest.fn()
+        .mockResolvedValueOnce(makeSuccessfulRouteResponse())
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ routes: [null] }) });
+
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      await expect(showRoute(MAP_ID, [-71, 42], [-70, 43])).rejects.toThrow(TypeError);
+    });
+
+    test('throws when the network is down and nothing is cached', async () => {
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+      await expect(showRoute(MAP_ID, [-71, 42], [-70, 43])).rejects.toThrow('Failed to fetch');
+    });
+
+    test('reports cache misses and hits through route calculation telemetry', async () => {
+      const telemetryBridge = { invokeMethodAsync: jest.fn().mockResolvedValue(undefined) };
+      initializeTelemetry(telemetryBridge);
+      await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
+
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      const cacheStatuses = telemetryBridge.invokeMethodAsync.mock.calls
+        .filter(([method, eventName]) => method === 'TrackEvent' && eventName === 'map.route_calculation')
+        .map(([, , properties]) => properties.cache_status);
+      expect(cacheStatuses).toEqual(['miss', 'hit']);
+    });
+
+    test('reports a stale replay through route calculation telemetry', async () => {
+      const telemetryBridge = { invokeMethodAsync: jest.fn().mockResolvedValue(undefined) };
+      initializeTelemetry(telemetryBridge);
+      await createInitializedMap({ ...defaultMapConfig, routeCacheTtlMinutes: 0 });
+      globalThis.fetch = jest.fn()
+        .mockResolvedValueOnce(makeSuccessfulRouteResponse())
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      expect(telemetryBridge.invokeMethodAsync).toHaveBeenCalledWith(
+        'TrackEvent',
+        'map.route_calculation',
+        expect.objectContaining({ cache_status: 'stale', success: true }),
+      );
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('route options on the main map', () => {
+    function makeRoute(travelTimeInSeconds, points) {
+      return {
+        summary: { lengthInMeters: 5000, travelTimeInSeconds },
+        guidance: { instructions: [{ message: 'Head north', travelDistance: 100 }] },
+        legs: [{ points }],
+      };
+    }
+
+    function mockRoutesResponse() {
+      globalThis.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            routes: [
+              makeRoute(400, [{ longitude: -71, latitude: 42 }, { longitude: -70.8, latitude: 42.6 }]),
+              makeRoute(300, [{ longitude: -71, latitude: 42 }, { longitude: -70.5, latitude: 42.5 }]),
+            ],
+          }),
+      });
+    }
+
+    function getRouteLayers(atlasMock) {
+      const [alternative, selected] = atlasMock.layer.LineLayer.mock.results.map((r) => r.value);
+      return { alternative, selected };
+    }
+
+    test('draws one line per route option beneath the markers', async () => {
+      const { atlasMock, mockMap, dataSources } = await createInitializedMap();
+      mockRoutesResponse();
+
+      await showRoute(MAP_ID, [-71, 42], [-70.5, 42.5]);
+
+      const routeSource = dataSources.at(-1);
+      const [features] = routeSource.add.mock.calls.at(-1);
+      expect(features.map((f) => f.properties.routeIndex)).toEqual([0, 1]);
+      // Options are ranked fastest first
+      expect(features[0].geometry.coordinates.at(-1)).toEqual([-70.5, 42.5]);
+
+      const symbolLayer = mockMap.layers.getLayers().find((l) => l instanceof atlasMock.layer.SymbolLayer);
+      const { alternative, selected } = getRouteLayers(atlasMock);
+      expect(mockMap.layers.add).toHaveBeenCalledWith(alternative, symbolLayer);
+      expect(mockMap.layers.add).toHaveBeenCalledWith(selected, symbolLayer);
+    });
+
+    test('shows the selected route solid and fades the alternatives', async () => {
+      const { atlasMock } = await createInitializedMap();
+      mockRoutesResponse();
+
+      await showRoute(MAP_ID, [-71, 42], [-70.5, 42.5]);
+
+      const { alternative, selected } = getRouteLayers(atlasMock);
+      expect(alternative.options.strokeOpacity).toBe(0.5);
+      expect(selected.setOptions).toHaveBeenLastCalledWith({ filter: ['==', ['get', 'routeIndex'], 0] });
+      expect(alternative.setOptions).toHaveBeenLastCalledWith({ filter: ['!=', ['get', 'routeIndex'], 0] });
+    });
+
+    test('zooms to fit every route option', async () => {
+      const { atlasMock, mockMap } = await createInitializedMap();
+      mockRoutesResponse();
+
+      await showRoute(MAP_ID, [-71, 42], [-70.5, 42.5]);
+
+      expect(atlasMock.data.BoundingBox.fromPositions.mock.calls.at(-1)[0]).toHaveLength(4);
+      expect(mockMap.setCamera).toHaveBeenLastCalledWith(
+        expect.objectContaining({ bounds: [-71.5, 42, -70.5, 42.7], padding: 60 }),
+      );
+    });
+
+    test('selects an alternative and notifies .NET when its line is clicked', async () => {
+      const { atlasMock, mockMap, dotNetHelper } = await createInitializedMap();
+      mockRoutesResponse();
+      await showRoute(MAP_ID, [-71, 42], [-70.5, 42.5]);
+
+      const { alternative, selected } = getRouteLayers(atlasMock);
+      const clickHandler = mockMap.events.add.mock.calls.find(
+        ([event, target]) => event === 'click' && target === alternative,
+      )[2];
+
+      clickHandler({ shapes: [{ getProperties: () => ({ routeIndex: 1 }) }] });
+
+      expect(selected.setOptions).toHaveBeenLastCalledWith({ filter: ['==', ['get', 'routeIndex'], 1] });
+      expect(alternative.setOptions).toHaveBeenLastCalledWith({ filter: ['!=', ['get', 'routeIndex'], 1] });
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith('NotifyRouteSelected', 1);
+    });
+
+    test('selectRoute moves the selection without notifying .NET', async () => {
+      const { atlasMock, dotNetHelper } = await createInitializedMap();
+      mockRoutesResponse();
+      await showRoute(MAP_ID, [-71, 42], [-70.5, 42.5]);
+
+      selectRoute(MAP_ID, 1);
+
+      expect(getRouteLayers(atlasMock).selected.setOptions).toHaveBeenLastCalledWith({
+        filter: ['==', ['get', 'routeIndex'], 1],
+      });
+      expect(dotNetHelper.invokeMethodAsync).not.toHaveBeenCalledWith('NotifyRouteSelected', expect.anything());
+    });
+
+    test('selectRoute warns when no route is shown', async () => {
+      await createInitializedMap();
+
+      selectRoute(MAP_ID, 1);
+
+      expect(console.warn).toHaveBeenCalledWith('[NebaMap] Cannot select route - no route is shown');
+    });
+
+    test('draws a cached route when it is served from the cache', async () => {
+      const { dataSources } = await createInitializedMap();
+      mockRoutesResponse();
+      await showRoute(MAP_ID, [-71, 42], [-70.5, 42.5]);
+      const routeSource = dataSources.at(-1);
+      routeSource.add.mockClear();
+
+      await showRoute(MAP_ID, [-71, 42], [-70.5, 42.5]);
+
+      expect(routeSource.add).toHaveBeenCalledTimes(1);
+    });
+
+    test('returns the route when drawing it on the map fails', async () => {
+      const { mockMap } = await createInitializedMap({ ...defaultMapConfig, routeCacheTtlMinutes: 0 });
+      mockRoutesResponse();
+      await showRoute(MAP_ID, [-71, 42], [-70.5, 42.5]);
+      mockMap.setCamera.mockImplementation(() => {
+        throw new TypeError('Cannot read properties of undefined');
+      });
+
+      const result = await showRoute(MAP_ID, [-71, 42], [-70.5, 42.5]);
+
+      // A fresh route, not the cached one replayed as if offline
+      expect(result.IsStale).toBe(false);
+      expect(result.CachedAt).toBeNull();
+      expect(console.error).toHaveBeenCalledWith('[NebaMap] Error drawing route on map:', expect.any(TypeError));
+    });
+
+    test('exitDirectionsMode removes the route lines', async () => {
+      const { dataSources } = await createInitializedMap();
+      mockRoutesResponse();
+      await showRoute(MAP_ID, [-71, 42], [-70.5, 42.5]);
+      const routeSource = dataSources.at(-1);
+
+      exitDirectionsMode(MAP_ID);
+      selectRoute(MAP_ID, 1);
+
+      expect(routeSource.clear).toHaveBeenCalled();
+      expect(console.warn).toHaveBeenCalledWith('[NebaMap] Cannot select route - no route is shown');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('exitDirectionsMode', () => {
+    test('warns and no-ops when map is not initialized', () => {
+      dispose(MAP_ID);
+
+      expect(() => exitDirectionsMode(MAP_ID)).not.toThrow();
+      expect(console.warn).toHaveBeenCalledWith(
+        '[NebaMap] Cannot exit directions mode - map not initialized',
+      );
+    });
+
+    test('is safe to call when no route is active', async () => {
+      await createInitializedMap();
+
+      expect(() => exitDirectionsMode(MAP_ID)).not.toThrow();
+    });
+
+    test('does not remove map layers or sources after showRoute', async () => {
+      const { mockMap } = await createInitializedMap();
+      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      mockMap.layers.remove.mockClear();
+      mockMap.sources.remove.mockClear();
+
+      exitDirectionsMode(MAP_ID);
+
+      expect(mockMap.layers.remove).not.toHaveBeenCalled();
+      expect(mockMap.sources.remove).not.toHaveBeenCalled();
+    });
+
+    test('restores full opacity on all symbol layers', async () => {
+      const { mockMap, atlasMock } = await createInitializedMap(defaultMapConfig, [
+        makeLocation({ id: 'dest' }),
+      ]);
+      globalThis.fetch = jest.fn().mockResolvedValue(makeSuccessfulRouteResponse());
+      await showRoute(MAP_ID, [-71, 42], [-70, 43]);
+
+      const symbolLayers = mockMap.layers
+        .getLayers()
+        .filter((l) => l instanceof atlasMock.layer.SymbolLayer);
+
+      symbolLayers.forEach((l) => l.setOptions.mockClear());
+
+      exitDirectionsMode(MAP_ID);
+
+      symbolLayers.forEach((layer) => {
+        expect(layer.setOptions).toHaveBeenCalledWith(
+          expect.objectContaining({ iconOptions: { opacity: 1 } }),
+        );
+      });
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('clustering', () => {
+    const clusterMapConfig = { ...defaultMapConfig, enableClustering: true };
+
+    /**
+     * Finds the click handler registered on the cluster bubble layer.
+     */
+    function getClusterClickHandler(mockMap, atlasMock) {
+      const bubbleLayer = atlasMock.layer.BubbleLayer.mock.instances[0];
+      return mockMap.events.add.mock.calls.find(([event, target]) => event === 'click' && target === bubbleLayer)[2];
+    }
+
+    function makeClusterEvent() {
+      const properties = { cluster: true, cluster_id: 7, point_count: 2 };
+      return {
+        position: [-71.06, 42.36],
+        shapes: [{ getProperties: () => properties, geometry: { coordinates: [-71.06, 42.36] } }],
+      };
+    }
+
+    function makeLeaf(id, title) {
+      const properties = { id, title };
+      return { getProperties: () => properties };
+    }
+
+    /**
+     * Clicks a cluster and lets its expansion zoom and leaves resolve.
+     */
+    async function clickCluster(mapConfig, expansionZoom, leaves) {
+      const map = await createInitializedMap(mapConfig, [
+        makeLocation({ id: 'a', title: 'Lucky Strike' }),
+        makeLocation({ id: 'b', title: 'Boston Bowl' }),
+      ]);
+      map.mockDataSource.getClusterExpansionZoom.mockResolvedValue(expansionZoom);
+      map.mockDataSource.getClusterLeaves.mockResolvedValue(leaves);
+
+      getClusterClickHandler(map.mockMap, map.atlasMock)(makeClusterEvent());
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      return map;
+    }
+
+    test('passes the configured radius and max zoom to the data source', async () => {
+      const { atlasMock } = await createInitializedMap({
+        ...clusterMapConfig,
+        clustering: { radius: 30, maxZoom: 12 },
+      });
+
+      expect(atlasMock.source.DataSource).toHaveBeenCalledWith(
+        null,
+        expect.objectContaining({ clusterRadius: 30, clusterMaxZoom: 12 }),
+      );
+    });
+
+    test('colours cluster bubbles with the configured steps', async () => {
+      const { atlasMock } = await createInitializedMap({
+        ...clusterMapConfig,
+        clustering: { colorSteps: [{ minCount: 0, color: '#111111' }, { minCount: 20, color: '#222222' }] },
+      });
+
+      expect(atlasMock.layer.BubbleLayer).toHaveBeenCalledWith(
+        expect.anything(),
+        null,
+        expect.objectContaining({ color: ['step', ['get', 'point_count'], '#111111', 20, '#222222'] }),
+      );
+    });
+
+    test('zooms into a cluster that splits further in', async () => {
+      const { mockMap, mockDataSource } = await clickCluster(clusterMapConfig, 12, []);
+
+      expect(mockMap.setCamera).toHaveBeenLastCalledWith(expect.objectContaining({ center: [-71.06, 42.36], zoom: 12 }));
+      expect(mockDataSource.getClusterLeaves).not.toHaveBeenCalled();
+    });
+
+    test('lists the members of a cluster that never splits in a popup', async () => {
+      const { atlasMock, mockMap, mockDataSource, dotNetHelper } = await createInitializedMap(clusterMapConfig, [
+        makeLocation({ id: 'a', title: 'Lucky Strike' }),
+        makeLocation({ id: 'b', title: 'Boston Bowl' }),
+      ]);
+      const container = document.createElement('div');
+      atlasMock.Popup.mockImplementation((options) => {
+        container.innerHTML = options.content;
+        return { open: jest.fn(), close: jest.fn(), getPopupContainer: () => container };
+      });
+      mockDataSource.getClusterLeaves.mockResolvedValue([makeLeaf('a', 'Lucky Strike'), makeLeaf('b', 'Boston Bowl')]);
+      mockMap.setCamera.mockClear();
+
+      getClusterClickHandler(mockMap, atlasMock)(makeClusterEvent());
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(mockDataSource.getClusterLeaves).toHaveBeenCalledWith(7, Infinity, 0);
+      expect(mockMap.setCamera).not.toHaveBeenCalled();
+      expect([...container.querySelectorAll('.neba-map-popup-cluster-item')].map(item => item.textContent))
+        .toEqual(['Boston Bowl', 'Lucky Strike']);
+
+      container.querySelector('[data-location-id="a"]').click();
+
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith('NotifyLocationSelected', 'a');
+    });
+
+    test('fans the members of a cluster that never splits out around it', async () => {
+      const { atlasMock, dataSources } = await clickCluster(clusterMapConfig, 15, [
+        makeLeaf('a', 'Lucky Strike'),
+        makeLeaf('b', 'Boston Bowl'),
+      ]);
+
+      const spiderSource = dataSources.at(-1);
+      const shapes = spiderSource.add.mock.calls[0][0];
+      const points = shapes.filter(shape => shape.geometry.type === 'Point');
+      const legs = shapes.filter(shape => shape.geometry.type === 'LineString');
+
+      expect(points.map(point => point.properties.id)).toEqual(['b', 'a']);
+      expect(legs).toHaveLength(2);
+      legs.forEach(leg => expect(leg.geometry.coordinates[0]).toEqual([-71.06, 42.36]));
+      expect(atlasMock.layer.LineLayer).toHaveBeenCalledWith(spiderSource, null, expect.objectContaining({ filter: ['has', 'spiderLeg'] }));
+    });
+
+    test('folds fanned-out members back when the map zooms', async () => {
+      const { mockMap, dataSources } = await clickCluster(clusterMapConfig, 15, [makeLeaf('a', 'Lucky Strike'), makeLeaf('b', 'Boston Bowl')]);
+      const spiderSource = dataSources.at(-1);
+
+      const zoomstart = mockMap.events.add.mock.calls.find(([event]) => event === 'zoomstart')[1];
+      zoomstart();
+
+      expect(spiderSource.clear).toHaveBeenCalled();
+    });
+
+    test('only lists the members when spiderfy is turned off', async () => {
+      const { atlasMock, dataSources } = await clickCluster(
+        { ...clusterMapConfig, clustering: { spiderfy: false } },
+        15,
+        [makeLeaf('a', 'Lucky Strike'), makeLeaf('b', 'Boston Bowl')],
+      );
+
+      expect(dataSources).toHaveLength(1);
+      expect(atlasMock.Popup).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringContaining('2 locations here') }));
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('heatmap', () => {
+    const heatmapMapConfig = {
+      ...defaultMapConfig,
+      enableClustering: true,
+      heatmap: { weightField: 'tournaments', seasons: ['2024-25', '2025-26'], radius: 40 },
+    };
+    const heatmapLocations = [
+      makeLocation({ id: 'w', metadata: { tournaments: { '2024-25': 2, '2025-26': 8 } } }),
+      makeLocation({ id: 'b', metadata: { tournaments: { '2024-25': 4 } } }),
+    ];
+
+    async function showHeatmap(mapConfig = heatmapMapConfig) {
+      const map = await createInitializedMap(mapConfig, heatmapLocations);
+      setDisplayMode(MAP_ID, 'heatmap');
+      return { ...map, heatmapLayer: map.atlasMock.layer.HeatMapLayer.mock.instances[0], heatmapSource: map.dataSources[1] };
+    }
+
+    test('does not add the heatmap until heatmap mode is turned on', async () => {
+      const { atlasMock } = await createInitializedMap(heatmapMapConfig, heatmapLocations);
+
+      expect(atlasMock.layer.HeatMapLayer).not.toHaveBeenCalled();
+    });
+
+    test('hides the markers and clusters and shows the heatmap beneath them', async () => {
+      const { mockMap, addedLayers, heatmapLayer, atlasMock } = await showHeatmap();
+      const symbolLayer = addedLayers.filter(layer => layer instanceof atlasMock.layer.SymbolLayer).at(-1);
+      const bubbleLayer = atlasMock.layer.BubbleLayer.mock.instances[0];
+
+      expect(heatmapLayer.options).toEqual(expect.objectContaining({ radius: 40, visible: false }));
+      expect(mockMap.layers.add).toHaveBeenCalledWith(heatmapLayer, bubbleLayer);
+      expect(heatmapLayer.setOptions).toHaveBeenLastCalledWith({ visible: true });
+      expect(symbolLayer.setOptions).toHaveBeenCalledWith({ visible: false });
+      expect(bubbleLayer.setOptions).toHaveBeenCalledWith({ visible: false });
+    });
+
+    test('weights each location for the latest season, scaled by the heaviest weight in any season', async () => {
+      const { heatmapLayer, heatmapSource } = await showHeatmap();
+
+      expect(heatmapSource.add).toHaveBeenLastCalledWith([
+        expect.objectContaining({ properties: { nebaHeat0: 2, nebaHeat1: 8 } }),
+        expect.objectContaining({ properties: { nebaHeat0: 4, nebaHeat1: 0 } }),
+      ]);
+      expect(heatmapLayer.setOptions).toHaveBeenCalledWith({ weight: ['/', ['get', 'nebaHeat1'], 8] });
+    });
+
+    test('switches the weighting when the season changes', async () => {
+      const { heatmapLayer } = await showHeatmap();
+
+      setHeatmapSeason(MAP_ID, 0);
+
+      expect(heatmapLayer.setOptions).toHaveBeenLastCalledWith({ weight: ['/', ['get', 'nebaHeat0'], 8] });
+    });
+
+    test('ignores a season outside the configured seasons', async () => {
+      const { heatmapLayer } = await showHeatmap();
+      heatmapLayer.setOptions.mockClear();
+
+      setHeatmapSeason(MAP_ID, 2);
+
+      expect(heatmapLayer.setOptions).not.toHaveBeenCalled();
+      expect(console.warn).toHaveBeenCalledWith('[NebaMap] Invalid heatmap season:', 2);
+    });
+
+    test('shows the markers again and hides the heatmap', async () => {
+      const { heatmapLayer, atlasMock } = await showHeatmap();
+      const bubbleLayer = atlasMock.layer.BubbleLayer.mock.instances[0];
+
+      setDisplayMode(MAP_ID, 'markers');
+
+      expect(heatmapLayer.setOptions).toHaveBeenLastCalledWith({ visible: false });
+      expect(bubbleLayer.setOptions).toHaveBeenLastCalledWith({ visible: true });
+      expect(atlasMock.layer.HeatMapLayer).toHaveBeenCalledTimes(1);
+    });
+
+    test('closes the open popup when switching', async () => {
+      jest.useFakeTimers();
+      const { atlasMock } = await createInitializedMap(heatmapMapConfig, heatmapLocations);
+      focusOnLocation(MAP_ID, 'w');
+      jest.advanceTimersByTime(1100);
+      const popup = atlasMock.Popup.mock.results.at(-1).value;
+
+      setDisplayMode(MAP_ID, 'heatmap');
+
+      expect(popup.close).toHaveBeenCalled();
+    });
+
+    test('refreshes the heatmap when the locations change', async () => {
+      const { heatmapSource } = await showHeatmap();
+
+      updateMarkers(MAP_ID, [makeLocation({ id: 'p', metadata: { tournaments: { '2025-26': 3 } } })]);
+
+      expect(heatmapSource.add).toHaveBeenLastCalledWith([
+        expect.objectContaining({ properties: { nebaHeat0: 0, nebaHeat1: 3 } }),
+      ]);
+    });
+
+    test('refuses heatmap mode when no weight field is configured', async () => {
+      const { atlasMock } = await createInitializedMap(defaultMapConfig, heatmapLocations);
+
+      setDisplayMode(MAP_ID, 'heatmap');
+
+      expect(atlasMock.layer.HeatMapLayer).not.toHaveBeenCalled();
+      expect(console.warn).toHaveBeenCalledWith('[NebaMap] Cannot show heatmap - heatmap not configured');
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('tour', () => {
+    const tourLocations = [
+      makeLocation({ id: 'spring', title: 'Spring Open', latitude: 42.1, longitude: -72.6 }),
+      makeLocation({ id: 'summer', title: 'Summer Classic', latitude: 42.36, longitude: -71.06 }),
+      makeLocation({ id: 'fall', title: 'Fall Finale', latitude: 43.66, longitude: -69.9 }),
+    ];
+    const tourIds = ['spring', 'summer', 'fall'];
+
+    async function startTour(options = { stepDurationMs: 1000 }) {
+      jest.useFakeTimers();
+      const map = await createInitializedMap(defaultMapConfig, tourLocations);
+      showTour(MAP_ID, tourIds, options);
+      return { ...map, tourSource: map.dataSources[1] };
+    }
+
+    /** Features last drawn by the tour, split into arcs and the current stop ring. */
+    function drawnTour(tourSource) {
+      const features = tourSource.add.mock.calls.at(-1)[0];
+      return {
+        legs: features.filter(f => f.properties.kind === 'leg'),
+        stop: features.find(f => f.properties.kind === 'stop'),
+      };
+    }
+
+    function highlightedSize(addedLayers, atlasMock) {
+      const symbolLayer = addedLayers.find(layer => layer instanceof atlasMock.layer.SymbolLayer);
+      return symbolLayer.setOptions.mock.calls.at(-1)[0].iconOptions.size;
+    }
+
+    test('opens paused on the first stop, drawn beneath the markers', async () => {
+      const { tourSource, mockMap, addedLayers, atlasMock, dotNetHelper } = await startTour();
+      const symbolLayer = addedLayers.find(layer => layer instanceof atlasMock.layer.SymbolLayer);
+
+      expect(mockMap.layers.add).toHaveBeenCalledWith(
+        expect.objectContaining({ options: expect.objectContaining({ filter: ['==', ['get', 'kind'], 'leg'] }) }),
+        symbolLayer,
+      );
+      expect(drawnTour(tourSource)).toEqual({
+        legs: [],
+        stop: expect.objectContaining({ properties: { kind: 'stop', id: 'spring' } }),
+      });
+      expect(highlightedSize(addedLayers, atlasMock)).toEqual(['case', ['==', ['get', 'id'], 'spring'], 1.4, 1]);
+      expect(dotNetHelper.invokeMethodAsync).not.toHaveBeenCalledWith('NotifyTourStepChanged', expect.anything(), expect.anything());
+    });
+
+    test('skips stops that are not on the map', async () => {
+      jest.useFakeTimers();
+      const { dataSources } = await createInitializedMap(defaultMapConfig, tourLocations);
+
+      showTour(MAP_ID, ['spring', 'gone', 'fall']);
+      setTourStep(MAP_ID, 1);
+
+      expect(console.warn).toHaveBeenCalledWith('[NebaMap] Skipping unknown tour stop:', 'gone');
+      expect(drawnTour(dataSources[1]).stop.properties.id).toBe('fall');
+    });
+
+    test('does not start a tour without stops on the map', async () => {
+      const { dataSources } = await createInitializedMap(defaultMapConfig, tourLocations);
+
+      showTour(MAP_ID, ['gone']);
+
+      expect(dataSources).toHaveLength(1);
+      expect(console.warn).toHaveBeenCalledWith('[NebaMap] Cannot show tour - no stops on the map');
+    });
+
+    test('plays on to the next stop, growing the arc into it, and reports the step', async () => {
+      const { tourSource, dotNetHelper } = await startTour();
+
+      playTour(MAP_ID);
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith('NotifyTourStepChanged', 0, true);
+
+      jest.advanceTimersByTime(1000);
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith('NotifyTourStepChanged', 1, true);
+      expect(drawnTour(tourSource).legs[0].geometry.coordinates.length).toBeLessThan(33);
+
+      jest.advanceTimersByTime(900);
+      const { legs, stop } = drawnTour(tourSource);
+      expect(legs).toHaveLength(1);
+      expect(legs[0].geometry.coordinates).toHaveLength(33);
+      expect(legs[0].geometry.coordinates.at(-1)).toEqual([-71.06, 42.36]);
+      expect(stop.properties.id).toBe('summer');
+    });
+
+    test('stops playing on the last stop', async () => {
+      const { dotNetHelper } = await startTour();
+
+      playTour(MAP_ID);
+      jest.advanceTimersByTime(2000);
+
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenLastCalledWith('NotifyTourStepChanged', 2, false);
+      dotNetHelper.invokeMethodAsync.mockClear();
+      jest.advanceTimersByTime(5000);
+      expect(dotNetHelper.invokeMethodAsync).not.toHaveBeenCalled();
+    });
+
+    test('restarts from the first stop when played from the last', async () => {
+      const { tourSource, dotNetHelper } = await startTour();
+      setTourStep(MAP_ID, 2);
+
+      playTour(MAP_ID);
+
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenLastCalledWith('NotifyTourStepChanged', 0, true);
+      expect(drawnTour(tourSource).legs).toHaveLength(0);
+    });
+
+    test('stays on the current stop when paused', async () => {
+      const { tourSource, dotNetHelper } = await startTour();
+      playTour(MAP_ID);
+      jest.advanceTimersByTime(1100);
+
+      pauseTour(MAP_ID);
+      dotNetHelper.invokeMethodAsync.mockClear();
+      jest.advanceTimersByTime(5000);
+
+      expect(dotNetHelper.invokeMethodAsync).not.toHaveBeenCalled();
+      const { legs, stop } = drawnTour(tourSource);
+      expect(stop.properties.id).toBe('summer');
+      expect(legs[0].geometry.coordinates).toHaveLength(33);
+    });
+
+    test('scrubs to a stop, drawing every arc up to it and bringing it into view', async () => {
+      const { tourSource, mockMap } = await startTour();
+
+      setTourStep(MAP_ID, 2);
+
+      const { legs, stop } = drawnTour(tourSource);
+      expect(legs.map(leg => leg.properties.step)).toEqual([1, 2]);
+      expect(legs[1].geometry.coordinates.at(-1)).toEqual([-69.9, 43.66]);
+      expect(stop.properties.id).toBe('fall');
+      expect(mockMap.setCamera).toHaveBeenLastCalledWith(expect.objectContaining({ center: [-69.9, 43.66] }));
+    });
+
+    test('ends playback when scrubbed to the last stop while playing', async () => {
+      const { dotNetHelper } = await startTour();
+      playTour(MAP_ID);
+
+      setTourStep(MAP_ID, 2);
+
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenLastCalledWith('NotifyTourStepChanged', 2, false);
+    });
+
+    test('ignores a step outside the tour', async () => {
+      const { tourSource } = await startTour();
+      tourSource.add.mockClear();
+
+      setTourStep(MAP_ID, 3);
+
+      expect(tourSource.add).not.toHaveBeenCalled();
+      expect(console.warn).toHaveBeenCalledWith('[NebaMap] Invalid tour step:', 3);
+    });
+
+    test('removes the arcs and the highlight when cleared', async () => {
+      const { tourSource, addedLayers, atlasMock, dotNetHelper } = await startTour();
+      playTour(MAP_ID);
+
+      clearTour(MAP_ID);
+      jest.advanceTimersByTime(5000);
+
+      expect(tourSource.clear).toHaveBeenCalled();
+      expect(highlightedSize(addedLayers, atlasMock)).toBe(1);
+      expect(dotNetHelper.invokeMethodAsync).not.toHaveBeenCalledWith('NotifyTourStepChanged', 1, true);
+    });
+
+    test('stops playing when the map is disposed', async () => {
+      const { dotNetHelper } = await startTour();
+      playTour(MAP_ID);
+
+      dispose(MAP_ID);
+      jest.advanceTimersByTime(5000);
+
+      expect(dotNetHelper.invokeMethodAsync).not.toHaveBeenCalledWith('NotifyTourStepChanged', 1, true);
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('keyboard overlay', () => {
+    const keyboardLocations = [
+      makeLocation({ id: 'w', title: 'Worcester Lanes', latitude: 42.26, longitude: -71.8 }),
+      makeLocation({ id: 'b', title: 'Boston Bowl', latitude: 42.36, longitude: -71.06 }),
+      makeLocation({ id: 'p', title: 'Portland Lanes', latitude: 43.66, longitude: -69.9 }),
+    ];
+
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.id = MAP_ID;
+      document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    function getOptions() {
+      return [...container.querySelectorAll('.neba-map-keyboard-list [role="option"]')];
+    }
+
+    function pressKey(target, key) {
+      target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+    }
+
+    test('lists the markers in view with a single tab stop', async () => {
+      await createInitializedMap(defaultMapConfig, keyboardLocations);
+
+      const options = getOptions();
+      expect(options.map(option => option.textContent)).toEqual(['Boston Bowl', 'Worcester Lanes']);
+      expect(options.map(option => option.tabIndex)).toEqual([0, -1]);
+      expect(container.querySelector('.neba-map-keyboard-surface').tabIndex).toBe(0);
+    });
+
+    test('announces how many markers are in view when the map moves', async () => {
+      jest.useFakeTimers();
+      const { mockMap } = await createInitializedMap(
+        { ...defaultMapConfig, locationNoun: { one: 'center', other: 'centers' } },
+        keyboardLocations,
+      );
+      const moveend = mockMap.events.add.mock.calls.find(([event]) => event === 'moveend')[1];
+
+      moveend();
+      jest.advanceTimersByTime(150);
+
+      const status = container.querySelector('[role="status"]');
+      expect(status.getAttribute('aria-live')).toBe('polite');
+      expect(status.textContent).toBe('Showing 2 centers in view');
+      expect(container.querySelector('[role="listbox"]').getAttribute('aria-label')).toBe('Centers in view');
+      jest.useRealTimers();
+    });
+
+    test('moves between markers with the arrow keys and highlights the focused one', async () => {
+      const { atlasMock, addedLayers } = await createInitializedMap(defaultMapConfig, keyboardLocations);
+      const symbolLayer = addedLayers.find(layer => layer instanceof atlasMock.layer.SymbolLayer);
+      const [boston, worcester] = getOptions();
+      boston.focus();
+
+      pressKey(boston, 'ArrowDown');
+
+      expect(document.activeElement).toBe(worcester);
+      expect(getOptions().map(option => option.tabIndex)).toEqual([-1, 0]);
+      expect(worcester.getAttribute('aria-selected')).toBe('true');
+      expect(symbolLayer.setOptions).toHaveBeenLastCalledWith({
+        iconOptions: { size: ['case', ['==', ['get', 'id'], 'w'], 1.4, 1] },
+      });
+    });
+
+    test('opens the popup of the focused marker with Enter', async () => {
+      const { atlasMock, dotNetHelper } = await createInitializedMap(defaultMapConfig, keyboardLocations);
+      const [boston] = getOptions();
+      boston.focus();
+
+      pressKey(boston, 'Enter');
+
+      expect(atlasMock.Popup).toHaveBeenCalledWith(expect.objectContaining({ position: [-71.06, 42.36] }));
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith('NotifyLocationSelected', 'b');
+    });
+
+    test('pans with the arrow keys and zooms with plus and minus on the map surface', async () => {
+      const { mockMap } = await createInitializedMap(defaultMapConfig, keyboardLocations);
+      mockMap.getCamera.mockReturnValue({ center: [-71, 42], zoom: 10, bounds: [-72, 41, -70, 43] });
+      const surface = container.querySelector('.neba-map-keyboard-surface');
+
+      pressKey(surface, 'ArrowRight');
+      expect(mockMap.setCamera).toHaveBeenLastCalledWith(expect.objectContaining({ center: [0.2, 0.1] }));
+
+      pressKey(surface, '+');
+      expect(mockMap.setCamera).toHaveBeenLastCalledWith(expect.objectContaining({ zoom: 11 }));
+
+      pressKey(surface, '-');
+      expect(mockMap.setCamera).toHaveBeenLastCalledWith(expect.objectContaining({ zoom: 9 }));
+    });
+
+    test('removes the overlay when the map is disposed', async () => {
+      await createInitializedMap(defaultMapConfig, keyboardLocations);
+
+      dispose(MAP_ID);
+
+      expect(container.querySelector('.neba-map-keyboard')).toBeNull();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('location selection', () => {
+    /**
+     * Finds the handler registered for a mouse event on the marker symbol layer.
+     */
+    function getSymbolLayerHandler(mockMap, atlasMock, eventName) {
+      return mockMap.events.add.mock.calls
+        .find(([evt, target]) => evt === eventName && target instanceof atlasMock.layer.SymbolLayer)?.[2];
+    }
+
+    function makeShapeEvent(id) {
+      const properties = { id, title: 'Test Location', description: '' };
+      return { shapes: [{ getProperties: () => properties, getCoordinates: () => [-71.06, 42.36] }] };
+    }
+
+    test('marker click calls NotifyLocationSelected with the location id', async () => {
+      const { mockMap, atlasMock, dotNetHelper } = await createInitializedMap(defaultMapConfig, [makeLocation()]);
+
+      getSymbolLayerHandler(mockMap, atlasMock, 'click')(makeShapeEvent('loc-1'));
+
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith('NotifyLocationSelected', 'loc-1');
+      expect(atlasMock.Popup).toHaveBeenCalled();
+    });
+
+    test('marker click without shapes does not notify', async () => {
+      const { mockMap, atlasMock, dotNetHelper } = await createInitializedMap();
+      dotNetHelper.invokeMethodAsync.mockClear();
+
+      getSymbolLayerHandler(mockMap, atlasMock, 'click')({ shapes: [] });
+
+      expect(dotNetHelper.invokeMethodAsync).not.toHaveBeenCalled();
+    });
+
+    test('mouseenter calls NotifyLocationHovered with the hovered location id', async () => {
+      const { mockMap, atlasMock, dotNetHelper } = await createInitializedMap();
+
+      getSymbolLayerHandler(mockMap, atlasMock, 'mouseenter')(makeShapeEvent('loc-1'));
+
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith('NotifyLocationHovered', 'loc-1');
+    });
+
+    test('mousemove only notifies when the hovered marker changes', async () => {
+      const { mockMap, atlasMock, dotNetHelper } = await createInitializedMap();
+      const mousemove = getSymbolLayerHandler(mockMap, atlasMock, 'mousemove');
+
+      mousemove(makeShapeEvent('loc-1'));
+      mousemove(makeShapeEvent('loc-1'));
+      mousemove(makeShapeEvent('loc-2'));
+
+      const hoverCalls = dotNetHelper.invokeMethodAsync.mock.calls
+        .filter(([method]) => method === 'NotifyLocationHovered');
+      expect(hoverCalls).toEqual([
+        ['NotifyLocationHovered', 'loc-1'],
+        ['NotifyLocationHovered', 'loc-2'],
+      ]);
+    });
+
+    test('mouseleave calls NotifyLocationHovered with null', async () => {
+      const { mockMap, atlasMock, dotNetHelper } = await createInitializedMap();
+      getSymbolLayerHandler(mockMap, atlasMock, 'mouseenter')(makeShapeEvent('loc-1'));
+
+      getSymbolLayerHandler(mockMap, atlasMock, 'mouseleave')();
+
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenLastCalledWith('NotifyLocationHovered', null);
+    });
+
+    test('logs an error when NotifyLocationSelected rejects', async () => {
+      const { mockMap, atlasMock, dotNetHelper } = await createInitializedMap();
+      dotNetHelper.invokeMethodAsync.mockRejectedValueOnce(new Error('circuit gone'));
+
+      getSymbolLayerHandler(mockMap, atlasMock, 'click')(makeShapeEvent('loc-1'));
+      await Promise.resolve();
+
+      expect(console.error).toHaveBeenCalledWith(
+        '[NebaMap] Error notifying location selected:',
+        expect.any(Error),
+      );
+    });
+
+    test('highlightLocation enlarges the matching marker', async () => {
+      const { mockMap, atlasMock } = await createInitializedMap();
+      const symbolLayer = mockMap.layers.getLayers().find((l) => l instanceof atlasMock.layer.SymbolLayer);
+
+      highlightLocation(MAP_ID, 'loc-1');
+
+      expect(symbolLayer.setOptions).toHaveBeenCalledWith({
+        iconOptions: { size: ['case', ['==', ['get', 'id'], 'loc-1'], 1.4, 1] },
+      });
+    });
+
+    test('highlightLocation with null restores the default marker size', async () => {
+      const { mockMap, atlasMock } = await createInitializedMap();
+      const symbolLayer = mockMap.layers.getLayers().find((l) => l instanceof atlasMock.layer.SymbolLayer);
+
+      highlightLocation(MAP_ID, null);
+
+      expect(symbolLayer.setOptions).toHaveBeenCalledWith({ iconOptions: { size: 1 } });
+    });
+
+    test('highlightLocation does nothing for an unknown container', () => {
+      expect(() => highlightLocation('missing-map', 'loc-1')).not.toThrow();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('proximity', () => {
+    const ORIGIN = [-71.0589, 42.3601];
+
+    const nearLocation = makeLocation({ id: 'near', latitude: 42.37, longitude: -71.06 });
+    const farLocation = makeLocation({ id: 'far', latitude: 42.2626, longitude: -71.8023 });
+
+    function getDistanceCalls(dotNetHelper) {
+      return dotNetHelper.invokeMethodAsync.mock.calls
+        .filter(([method]) => method === 'NotifyDistancesCalculated');
+    }
+
+    test('reports distances to every marker, nearest first', async () => {
+      const { dotNetHelper } = await createInitializedMap(defaultMapConfig, [farLocation, nearLocation]);
+
+      showProximity(MAP_ID, ORIGIN, 25);
+
+      const [[, distances]] = getDistanceCalls(dotNetHelper);
+      expect(distances.map(d => d.LocationId)).toEqual(['near', 'far']);
+      expect(distances[0].DistanceMiles).toBeLessThan(1);
+      expect(distances[1].DistanceMiles).toBeCloseTo(38.5, 0);
+    });
+
+    test('draws the radius ring in meters and zooms to it', async () => {
+      const { atlasMock, mockMap } = await createInitializedMap();
+
+      showProximity(MAP_ID, ORIGIN, 10);
+
+      expect(atlasMock.math.getRegularPolygonPath).toHaveBeenCalledWith(ORIGIN, 16093.44, 72, 'meters');
+      expect(mockMap.setCamera).toHaveBeenLastCalledWith(
+        expect.objectContaining({ bounds: [-71.5, 42, -70.5, 42.7] }),
+      );
+    });
+
+    test('adds the ring layers beneath the markers only once', async () => {
+      const { atlasMock, mockMap, dataSources } = await createInitializedMap();
+      const symbolLayer = mockMap.layers.getLayers().find((l) => l instanceof atlasMock.layer.SymbolLayer);
+
+      showProximity(MAP_ID, ORIGIN, 10);
+      showProximity(MAP_ID, ORIGIN, 20);
+
+      expect(atlasMock.layer.PolygonLayer).toHaveBeenCalledTimes(1);
+      expect(mockMap.layers.add).toHaveBeenCalledWith(expect.any(atlasMock.layer.PolygonLayer), symbolLayer);
+      expect(dataSources).toHaveLength(2);
+      expect(dataSources[1].add).toHaveBeenCalledTimes(2);
+    });
+
+    test('re-reports distances when markers change', async () => {
+      const { dotNetHelper } = await createInitializedMap(defaultMapConfig, [nearLocation]);
+      showProximity(MAP_ID, ORIGIN, 25);
+
+      updateMarkers(MAP_ID, [nearLocation, farLocation]);
+
+      const calls = getDistanceCalls(dotNetHelper);
+      expect(calls).toHaveLength(2);
+      expect(calls[1][1].map(d => d.LocationId)).toEqual(['near', 'far']);
+    });
+
+    test('clearProximity removes the ring and stops reporting distances', async () => {
+      const { dotNetHelper, dataSources } = await createInitializedMap(defaultMapConfig, [nearLocation]);
+      showProximity(MAP_ID, ORIGIN, 25);
+
+      clearProximity(MAP_ID);
+      updateMarkers(MAP_ID, [nearLocation, farLocation]);
+
+      expect(dataSources[1].clear).toHaveBeenCalledTimes(2);
+      expect(getDistanceCalls(dotNetHelper)).toHaveLength(1);
+    });
+
+    test.each([
+      [[Number.NaN, 42], 25],
+      [ORIGIN, 0],
+      [ORIGIN, -5],
+    ])('ignores invalid origin %j or radius %s', async (origin, radius) => {
+      const { dotNetHelper } = await createInitializedMap(defaultMapConfig, [nearLocation]);
+
+      showProximity(MAP_ID, origin, radius);
+
+      expect(getDistanceCalls(dotNetHelper)).toHaveLength(0);
+      expect(console.warn).toHaveBeenCalled();
+    });
+
+    test('does nothing for an unknown container', () => {
+      expect(() => showProximity('missing-map', ORIGIN, 25)).not.toThrow();
+      expect(() => clearProximity('missing-map')).not.toThrow();
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  describe('reachable range', () => {
+    const ORIGIN = [-71.0589, 42.3601];
+
+    // Square around Boston: roughly 42.0-42.7N, 71.5-70.5W
+    const boundary = [
+      { latitude: 42, longitude: -71.5 },
+      { latitude: 42, longitude: -70.5 },
+      { latitude: 42.7, longitude: -70.5 },
+      { latitude: 42.7, longitude: -71.5 },
+    ];
+
+    const insideLocation = makeLocation({ id: 'inside', latitude: 42.36, longitude: -71.06 });
+    const outsideLocation = makeLocation({ id: 'outside', latitude: 42.2626, longitude: -71.8023 });
+
+    function mockRangeResponse(rangeBoundary = boundary) {
+      globalThis.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ reachableRange: { boundary: rangeBoundary } }),
+      });
+    }
+
+    function getSymbolLayer(mockMap, atlasMock) {
+      return mockMap.layers.getLayers().find((l) => l instanceof atlasMock.layer.SymbolLayer);
+    }
+
+    test('requests the time budget in seconds and returns the locations inside the area', async () => {
+      await createInitializedMap(defaultMapConfig, [insideLocation, outsideLocation]);
+      mockRangeResponse();
+
+      const result = await showReachableRange(MAP_ID, ORIGIN, 60);
+
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('timeBudgetInSec=3600');
+      expect(result).toEqual({ ReachableLocationIds: ['inside'], TimeBudgetMinutes: 60 });
+    });
+
+    test('dims markers outside the area with an opacity expression', async () => {
+      const { mockMap, atlasMock } = await createInitializedMap(defaultMapConfig, [insideLocation, outsideLocation]);
+      mockRangeResponse();
+
+      await showReachableRange(MAP_ID, ORIGIN, 60);
+
+      expect(getSymbolLayer(mockMap, atlasMock).setOptions).toHaveBeenLastCalledWith({
+        iconOptions: {
+          opacity: ['case', ['in', ['get', 'id'], ['literal', ['inside']]], 1, 0.3],
+        },
+      });
+    });
+
+    test('draws the polygon beneath the markers and zooms to it', async () => {
+      const { mockMap, atlasMock, dataSources } = await createInitializedMap();
+      mockRangeResponse();
+
+      await showReachableRange(MAP_ID, ORIGIN, 45);
+
+      expect(mockMap.layers.add).toHaveBeenCalledWith(
+        expect.any(atlasMock.layer.PolygonLayer),
+        getSymbolLayer(mockMap, atlasMock),
+      );
+      expect(atlasMock.data.Polygon).toHaveBeenCalledWith([[
+        [-71.5, 42], [-70.5, 42], [-70.5, 42.7], [-71.5, 42.7], [-71.5, 42],
+      ]]);
+      expect(dataSources[1].add).toHaveBeenCalledTimes(1);
+      expect(mockMap.setCamera).toHaveBeenLastCalledWith(expect.objectContaining({ padding: 40 }));
+    });
+
+    test('re-flags markers and notifies .NET when markers change', async () => {
+      const { dotNetHelper } = await createInitializedMap(defaultMapConfig, [outsideLocation]);
+      mockRangeResponse();
+      await showReachableRange(MAP_ID, ORIGIN, 60);
+
+      updateMarkers(MAP_ID, [insideLocation, outsideLocation]);
+
+      expect(dotNetHelper.invokeMethodAsync).toHaveBeenCalledWith('NotifyReachableLocationsChanged', ['inside']);
+    });
+
+    test('keeps markers outside the area dimmed after exiting directions mode', async () => {
+      const { mockMap, atlasMock } = await createInitializedMap(defaultMapConfig, [insideLocation]);
+      mockRangeResponse();
+      await showReachableRange(MAP_ID, ORIGIN, 60);
+
+      exitDirectionsMode(MAP_ID);
+
+      expect(getSymbolLayer(mockMap, atlasMock).setOptions).toHaveBeenLastCalledWith({
+        iconOptions: {
+          opacity: ['case', ['in', ['get', 'id'], ['literal', ['inside']]], 1, 0.3],
+        },
+      });
+    });
+
+    test('keeps the directions preview dimming when the area is shown or cleared', async () => {
+      const { mockMap, atlasMock } = await createInitializedMap(defaultMapConfig, [insideLocation, outsideLocation]);
+      const previewOpacity = { iconOptions: { opacity: ['case', ['==', ['get', 'id'], 'outside'], 1, 0.3] } };
+      enterDirectionsPreview(MAP_ID, 'outside');
+      mockRangeResponse();
+
+      await showReachableRange(MAP_ID, ORIGIN, 60);
+      expect(getSymbolLayer(mockMap, atlasMock).setOptions).toHaveBeenLastCalledWith(previewOpacity);
+
+      clearReachableRange(MAP_ID);
+      expect(getSymbolLayer(mockMap, atlasMock).setOptions).toHaveBeenLastCalledWith(previewOpacity);
+    });
+
+    test('dims markers outside the area again once a directions preview exits', async () => {
+      const { mockMap, atlasMock } = await createInitializedMap(defaultMapConfig, [insideLocation, outsideLocation]);
+      mockRangeResponse();
+      await showReachableRange(MAP_ID, ORIGIN, 60);
+      enterDirectionsPreview(MAP_ID, 'outside');
+
+      exitDirectionsMode(MAP_ID);
+
+      expect(getSymbolLayer(mockMap, atlasMock).setOptions).toHaveBeenLastCalledWith({
+        iconOptions: {
+          opacity: ['case', ['in', ['get', 'id'], ['literal', ['inside']]], 1, 0.3],
+        },
+      });
+    });
+
+    test('clearReachableRange removes the polygon and restores full opacity', async () => {
+      const { mockMap, atlasMock, dataSources, dotNetHelper } = await createInitializedMap(defaultMapConfig, [insideLocation]);
+      mockRangeResponse();
+      await showReachableRange(MAP_ID, ORIGIN, 60);
+
+      clearReachableRange(MAP_ID);
+      updateMarkers(MAP_ID, [insideLocation, outsideLocation]);
+
+      expect(dataSources[1].clear).toHaveBeenCalledTimes(2);
+      expect(getSymbolLayer(mockMap, atlasMock).setOptions).toHaveBeenCalledWith({ iconOptions: { opacity: 1 } });
+      expect(dotNetHelper.invokeMethodAsync).not.toHaveBeenCalledWith('NotifyReachableLocationsChanged', expect.anything());
+    });
+
+    test('throws when the provider returns no area', async () => {
+      await createInitializedMap();
+      mockRangeResponse([]);
+
+      await expect(showReachableRange(MAP_ID, ORIGIN, 60)).rejects.toThrow('No reachable area found');
+    });
+
+    test('throws a friendly message when the request times out', async () => {
+      await createInitializedMap();
+      const abortError = new Error('aborted');
+      abortError.name = 'AbortError';
+      globalThis.fetch = jest.fn().mockRejectedValue(abortError);
+
+      await expect(showReachableRange(MAP_ID, ORIGIN, 60)).rejects.toThrow(
+        'Drive-time area calculation timed out. Please try again.',
+      );
+    });
+
+    test('rejects when the OSRM provider is configured', async () => {
+      await createInitializedMap({
+        ...defaultMapConfig,
+        routing: { provider: 'osrm', routingUrl: 'http://localhost:5151/osrm', geocodingUrl: 'http://localhost:5151/nominatim' },
+      });
+
+      await expect(showReachableRange(MAP_ID, ORIGIN, 60)).rejects.toMatchObject({
+        telemetryCode: 'unsupported_by_provider',
+      });
+    });
+
+    test('throws when the map is not initialized', async () => {
+      await expect(showReachableRange('missing-map', ORIGIN, 60)).rejects.toThrow('Map not initialized');
+    });
+
+    test('throws when no routing provider is configured', async () => {
+      await createInitializedMap();
+      delete globalThis.azureMapsAuthConfig;
+
+      await expect(showReachableRange(MAP_ID, ORIGIN, 60)).rejects.toThrow('Authentication not configured');
     });
   });
 
@@ -1324,7 +3549,7 @@ describe('NebaMap', () => {
       const moveendHandler = mockMap.events.add.mock.calls
         .find(([evt]) => evt === 'moveend')?.[1];
 
-      dispose();
+      dispose(MAP_ID);
       moveendHandler();
       jest.runAllTimers();
 
@@ -1353,14 +3578,14 @@ describe('NebaMap', () => {
   // -------------------------------------------------------------------------
   describe('dispose', () => {
     test('is safe to call when map is already null', () => {
-      // beforeEach already called dispose(); call again to confirm idempotent
-      expect(() => dispose()).not.toThrow();
+      // beforeEach already called dispose(MAP_ID); call again to confirm idempotent
+      expect(() => dispose(MAP_ID)).not.toThrow();
     });
 
     test('calls map.dispose() on the underlying Atlas map', async () => {
       const { mockMap } = await createInitializedMap();
 
-      dispose();
+      dispose(MAP_ID);
 
       expect(mockMap.dispose).toHaveBeenCalled();
     });
@@ -1368,8 +3593,8 @@ describe('NebaMap', () => {
     test('resets state so updateMarkers warns after disposal', async () => {
       await createInitializedMap();
 
-      dispose();
-      updateMarkers([makeLocation()]);
+      dispose(MAP_ID);
+      updateMarkers(MAP_ID, [makeLocation()]);
 
       expect(console.warn).toHaveBeenCalledWith('[NebaMap] Data source not initialized');
     });
@@ -1377,8 +3602,8 @@ describe('NebaMap', () => {
     test('resets state so focusOnLocation warns after disposal', async () => {
       await createInitializedMap(defaultMapConfig, [makeLocation({ id: 'loc' })]);
 
-      dispose();
-      focusOnLocation('loc');
+      dispose(MAP_ID);
+      focusOnLocation(MAP_ID, 'loc');
 
       expect(console.warn).toHaveBeenCalledWith('[NebaMap] Cannot focus on location:', 'loc');
     });
@@ -1386,8 +3611,8 @@ describe('NebaMap', () => {
     test('resets state so setMapStyle warns after disposal', async () => {
       await createInitializedMap();
 
-      dispose();
-      setMapStyle('road');
+      dispose(MAP_ID);
+      setMapStyle(MAP_ID, 'road');
 
       expect(console.warn).toHaveBeenCalledWith(
         '[NebaMap] Cannot change map style - map not initialized',
@@ -1398,11 +3623,11 @@ describe('NebaMap', () => {
       jest.useFakeTimers();
       await createInitializedMap(defaultMapConfig, [makeLocation({ id: 'target' })]);
 
-      focusOnLocation('target');
+      focusOnLocation(MAP_ID, 'target');
       jest.advanceTimersByTime(1100);
 
       const popup = globalThis.atlas.Popup.mock.results.at(-1).value;
-      dispose();
+      dispose(MAP_ID);
 
       expect(popup.close).toHaveBeenCalled();
     });
@@ -1415,7 +3640,7 @@ describe('NebaMap', () => {
         .find(([evt]) => evt === 'moveend')?.[1];
       moveendHandler();
 
-      dispose();
+      dispose(MAP_ID);
 
       // If clearTimeout was skipped, the debounce fires and map.getCamera() on null throws
       expect(() => jest.runAllTimers()).not.toThrow();
@@ -0,0 +1,15 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// The result of a drive-time area request (see <see cref="NebaMap.ShowReachableRangeAsync"/>).
+/// </summary>
+/// <param name="ReachableLocationIds">
+/// The <see cref="NebaMapLocation.Id"/> of every location inside the area
+/// </param>
+/// <param name="TimeBudgetMinutes">
+/// The maximum drive time the area was calculated for
+/// </param>
+public sealed record ReachableRange(
+    IReadOnlyList<string> ReachableLocationIds,
+    int TimeBudgetMinutes
+);
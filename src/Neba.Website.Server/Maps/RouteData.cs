@@ -1,4 +1,5 @@
 using System.Collections.ObjectModel;
+using System.Globalization;
 
 using UnitsNet;
 
@@ -26,6 +27,30 @@ public sealed class RouteData
     public Collection<RouteInstruction> Instructions { get; set; } = [];
 #pragma warning restore CA2227
 
+    /// <summary>
+    /// The legs of the route, one per carpool stop plus the final leg to the destination.
+    /// A route without stops has a single leg.
+    /// </summary>
+#pragma warning disable CA2227 // Collection properties should be read only (needed for JSON deserialization)
+    public Collection<RouteLeg> Legs { get; set; } = [];
+#pragma warning restore CA2227
+
+    /// <summary>
+    /// Traffic incidents along the route, in the order they are driven through.
+    /// Only routing providers with live traffic data report them.
+    /// </summary>
+#pragma warning disable CA2227 // Collection properties should be read only (needed for JSON deserialization)
+    public Collection<RouteIncident> Incidents { get; set; } = [];
+#pragma warning restore CA2227
+
+    /// <summary>
+    /// The order the carpool stops are visited in, as indexes into the stops that were requested.
+    /// Differs from the requested order when <see cref="RouteSettings.OptimizeWaypoints"/> reordered them.
+    /// </summary>
+#pragma warning disable CA2227 // Collection properties should be read only (needed for JSON deserialization)
+    public Collection<int> WaypointOrder { get; set; } = [];
+#pragma warning restore CA2227
+
     /// <summary>
     /// Available route options, ordered from best (fastest) to alternatives.
     /// </summary>
@@ -38,11 +63,64 @@ public sealed class RouteData
     /// </summary>
     public int SelectedRouteIndex { get; set; }
 
+    /// <summary>
+    /// The route options the routing provider actually applied. A provider may ignore options it does not
+    /// support (e.g., departure times), so this can differ from the options that were requested.
+    /// </summary>
+    public RouteSettings? EffectiveSettings { get; set; }
+
     /// <summary>
     /// GeoJSON representation of the route line (for drawing on map).
     /// </summary>
     public string? RouteGeoJson { get; set; }
 
+    /// <summary>
+    /// When the route was calculated, if it was served from the browser route cache.
+    /// Carries the browser's UTC offset so it can be displayed in the user's local time.
+    /// </summary>
+    public DateTimeOffset? CachedAt { get; set; }
+
+    /// <summary>
+    /// Whether the route was replayed from the cache because the network was unavailable.
+    /// </summary>
+    public bool IsStale { get; set; }
+
+    /// <summary>
+    /// Makes one of the <see cref="RouteOptions"/> the current route, copying its distance, travel time,
+    /// instructions, legs, incidents and line onto this route.
+    /// </summary>
+    /// <param name="routeIndex">Zero-based index into <see cref="RouteOptions"/>.</param>
+    /// <returns>True when the selection changed; false when the index is out of range or already selected.</returns>
+    public bool SelectRouteOption(int routeIndex)
+    {
+        if (routeIndex < 0
+            || routeIndex >= RouteOptions.Count
+            || routeIndex == SelectedRouteIndex)
+        {
+            return false;
+        }
+
+        var selectedRoute = RouteOptions[routeIndex];
+
+        DistanceMeters = selectedRoute.DistanceMeters;
+        TravelTimeSeconds = selectedRoute.TravelTimeSeconds;
+        Instructions = selectedRoute.Instructions;
+        Legs = selectedRoute.Legs;
+        Incidents = selectedRoute.Incidents;
+        RouteGeoJson = selectedRoute.RouteGeoJson;
+        SelectedRouteIndex = routeIndex;
+
+        return true;
+    }
+
+    /// <summary>
+    /// Gets the "as of" time for a stale cached route formatted for display.
+    /// </summary>
+    public string? FormattedCachedAt
+        => CachedAt is { } cachedAt
+            ? cachedAt.ToString("MMM d, h:mm tt", CultureInfo.InvariantCulture)
+            : null;
+
     /// <summary>
     /// Gets the distance formatted for display.
     /// </summary>
@@ -0,0 +1,42 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// Represents a traffic incident along a route, such as an accident or road work, reported by the routing provider.
+/// </summary>
+#pragma warning disable CA1819 // Properties should not return arrays (arrays are needed for JavaScript interop)
+public sealed class RouteIncident
+{
+    /// <summary>
+    /// What caused the incident (e.g., "Accident", "Road work").
+    /// </summary>
+    public string Cause { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The road number or street the incident is on, or null when the routing provider did not say.
+    /// </summary>
+    public string? Road { get; set; }
+
+    /// <summary>
+    /// Extra travel time the incident adds, in seconds.
+    /// </summary>
+    public int DelaySeconds { get; set; }
+
+    /// <summary>
+    /// Where the incident starts [longitude, latitude], or null when unknown.
+    /// </summary>
+    public double[]? Position { get; set; }
+
+    /// <summary>
+    /// Gets the incident as a short warning (e.g., "Accident on I-495, +12 min").
+    /// </summary>
+    public string Description
+    {
+        get
+        {
+            string description = string.IsNullOrWhiteSpace(Road) ? Cause : $"{Cause} on {Road}";
+            int delayMinutes = (int)Math.Round(DelaySeconds / 60.0, MidpointRounding.AwayFromZero);
+            return delayMinutes > 0 ? $"{description}, +{delayMinutes} min" : description;
+        }
+    }
+}
+#pragma warning restore CA1819
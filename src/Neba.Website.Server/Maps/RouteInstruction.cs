@@ -5,6 +5,7 @@ namespace Neba.Website.Server.Maps;
 /// <summary>
 /// Represents a single turn-by-turn instruction.
 /// </summary>
+#pragma warning disable CA1819 // Properties should not return arrays (arrays are needed for JavaScript interop)
 public sealed class RouteInstruction
 {
     /// <summary>
@@ -17,6 +18,16 @@ public sealed class RouteInstruction
     /// </summary>
     public double DistanceMeters { get; set; }
 
+    /// <summary>
+    /// Zero-based index of the <see cref="RouteData.Legs">leg</see> this instruction belongs to.
+    /// </summary>
+    public int LegIndex { get; set; }
+
+    /// <summary>
+    /// Where the instruction happens [longitude, latitude], or null when the routing provider did not say.
+    /// </summary>
+    public double[]? Position { get; set; }
+
     /// <summary>
     /// Gets the distance formatted for display.
     /// </summary>
@@ -34,4 +45,5 @@ public sealed class RouteInstruction
             return $"{miles:F1} mi";
         }
     }
-}
\ No newline at end of file
+}
+#pragma warning restore CA1819
@@ -0,0 +1,51 @@
+using UnitsNet;
+
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// Represents one leg of a route: from the origin or a carpool stop to the next stop or the destination.
+/// </summary>
+public sealed class RouteLeg
+{
+    /// <summary>
+    /// Leg distance in meters.
+    /// </summary>
+    public double DistanceMeters { get; set; }
+
+    /// <summary>
+    /// Leg travel time in seconds.
+    /// </summary>
+    public int TravelTimeSeconds { get; set; }
+
+    /// <summary>
+    /// Gets the distance formatted for display.
+    /// </summary>
+    public string FormattedDistance
+    {
+        get
+        {
+            Length distance = Length.FromMeters(DistanceMeters);
+            double miles = distance.Miles;
+            return $"{miles:F1} mi";
+        }
+    }
+
+    /// <summary>
+    /// Gets the travel time formatted for display.
+    /// </summary>
+    public string FormattedTravelTime
+    {
+        get
+        {
+            int minutes = TravelTimeSeconds / 60;
+            if (minutes < 60)
+            {
+                return $"{minutes} min";
+            }
+
+            int hours = minutes / 60;
+            int remainingMinutes = minutes % 60;
+            return $"{hours} hr {remainingMinutes} min";
+        }
+    }
+}
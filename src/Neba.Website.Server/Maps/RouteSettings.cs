@@ -0,0 +1,88 @@
+using System.Globalization;
+
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// Options for calculating a route: how the member travels, what the route is optimized for,
+/// roads to avoid, and when they leave or need to arrive. Also used to report the settings
+/// the routing provider actually applied (<see cref="RouteData.EffectiveSettings"/>).
+/// </summary>
+public sealed class RouteSettings
+{
+    /// <summary>
+    /// How the member is travelling.
+    /// </summary>
+    public RouteTravelMode TravelMode { get; set; } = RouteTravelMode.Car;
+
+    /// <summary>
+    /// What the route is optimized for.
+    /// </summary>
+    public RouteType RouteType { get; set; } = RouteType.Fastest;
+
+    /// <summary>
+    /// Whether to avoid toll roads (e.g., the Mass Pike).
+    /// </summary>
+    public bool AvoidTolls { get; set; }
+
+    /// <summary>
+    /// Whether to avoid highways.
+    /// </summary>
+    public bool AvoidHighways { get; set; }
+
+    /// <summary>
+    /// When the member plans to leave, in the browser's local time. Null to leave now.
+    /// </summary>
+    public DateTime? DepartAt { get; set; }
+
+    /// <summary>
+    /// When the member needs to arrive, in the browser's local time. Ignored when <see cref="DepartAt"/> is set.
+    /// </summary>
+    public DateTime? ArriveAt { get; set; }
+
+    /// <summary>
+    /// Whether the routing provider may reorder the carpool stops for the quickest trip.
+    /// Only applies with two or more stops, so it is left out of <see cref="Summary"/>.
+    /// </summary>
+    public bool OptimizeWaypoints { get; set; }
+
+    /// <summary>
+    /// Gets a short description of the settings for display (e.g., "Fastest · Driving · Avoiding tolls · Leave Sat 7:00 AM").
+    /// </summary>
+    public string Summary
+    {
+        get
+        {
+            List<string> parts =
+            [
+                RouteType.ToString(),
+                TravelMode switch
+                {
+                    RouteTravelMode.Bicycle => "Cycling",
+                    RouteTravelMode.Pedestrian => "Walking",
+                    _ => "Driving"
+                }
+            ];
+
+            if (AvoidTolls)
+            {
+                parts.Add("Avoiding tolls");
+            }
+
+            if (AvoidHighways)
+            {
+                parts.Add("Avoiding highways");
+            }
+
+            if (DepartAt is { } departAt)
+            {
+                parts.Add($"Leave {departAt.ToString("ddd h:mm tt", CultureInfo.InvariantCulture)}");
+            }
+            else if (ArriveAt is { } arriveAt)
+            {
+                parts.Add($"Arrive by {arriveAt.ToString("ddd h:mm tt", CultureInfo.InvariantCulture)}");
+            }
+
+            return string.Join(" · ", parts);
+        }
+    }
+}
@@ -0,0 +1,25 @@
+using System.Text.Json.Serialization;
+
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// How the member is travelling to the destination.
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter<RouteTravelMode>))]
+public enum RouteTravelMode
+{
+    /// <summary>
+    /// Driving.
+    /// </summary>
+    Car,
+
+    /// <summary>
+    /// Cycling.
+    /// </summary>
+    Bicycle,
+
+    /// <summary>
+    /// Walking.
+    /// </summary>
+    Pedestrian
+}
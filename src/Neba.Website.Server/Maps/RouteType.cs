@@ -0,0 +1,25 @@
+using System.Text.Json.Serialization;
+
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// What a calculated route is optimized for.
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter<RouteType>))]
+public enum RouteType
+{
+    /// <summary>
+    /// The shortest travel time.
+    /// </summary>
+    Fastest,
+
+    /// <summary>
+    /// The shortest distance.
+    /// </summary>
+    Shortest,
+
+    /// <summary>
+    /// A balance of fuel economy and travel time.
+    /// </summary>
+    Eco
+}
@@ -0,0 +1,21 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// A carpool stop to visit on the way to the destination (e.g., picking up a doubles partner).
+/// </summary>
+/// <param name="name">The address or name shown for the stop.</param>
+/// <param name="location">The stop coordinates [longitude, latitude].</param>
+#pragma warning disable CA1819 // Properties should not return arrays (arrays are needed for JavaScript interop)
+public sealed class RouteWaypoint(string name, double[] location)
+{
+    /// <summary>
+    /// The address or name shown for the stop.
+    /// </summary>
+    public string Name { get; } = name;
+
+    /// <summary>
+    /// The stop coordinates [longitude, latitude].
+    /// </summary>
+    public double[] Location { get; } = location;
+}
+#pragma warning restore CA1819
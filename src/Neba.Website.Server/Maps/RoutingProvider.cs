@@ -0,0 +1,18 @@
+namespace Neba.Website.Server.Maps;
+
+/// <summary>
+/// The service used for geocoding, reverse geocoding and route calculation.
+/// </summary>
+public enum RoutingProvider
+{
+    /// <summary>
+    /// Azure Maps Search and Route APIs, authenticated with <see cref="AzureMapsSettings"/>.
+    /// </summary>
+    AzureMaps,
+
+    /// <summary>
+    /// An OSRM routing server with a Nominatim geocoder, either self-hosted or the local e2e stub server.
+    /// No API key is required; without <see cref="AzureMapsSettings"/> credentials the maps are drawn keyless.
+    /// </summary>
+    Osrm
+}
@@ -64,6 +64,16 @@ public sealed record SeasonTournamentViewModel
     /// </summary>
     public string? BowlingCenterCity { get; init; }
 
+    /// <summary>
+    /// Latitude of the host bowling center; null when the host is unknown or not geocoded.
+    /// </summary>
+    public double? BowlingCenterLatitude { get; init; }
+
+    /// <summary>
+    /// Longitude of the host bowling center; null when the host is unknown or not geocoded.
+    /// </summary>
+    public double? BowlingCenterLongitude { get; init; }
+
     /// <summary>
     /// Primary sponsor name.
     /// </summary>
@@ -135,6 +145,11 @@ public sealed record SeasonTournamentViewModel
     /// </summary>
     public bool HasHost => BowlingCenterName is not null;
 
+    /// <summary>
+    /// True when the host bowling center can be placed on a map.
+    /// </summary>
+    public bool HasHostCoordinates => BowlingCenterLatitude.HasValue && BowlingCenterLongitude.HasValue;
+
     /// <summary>
     /// True when a sponsor is assigned.
     /// </summary>
@@ -83,6 +83,8 @@ internal sealed class TournamentApiService(
             TournamentLogoUrl = response.LogoUrl,
             BowlingCenterName = response.BowlingCenter?.Name,
             BowlingCenterCity = response.BowlingCenter?.City,
+            BowlingCenterLatitude = response.BowlingCenter?.Latitude,
+            BowlingCenterLongitude = response.BowlingCenter?.Longitude,
             Sponsor = response.Sponsors.FirstOrDefault()?.Name,
             Winners = response.Winners,
             PatternName = firstOilPattern?.Name,
@@ -0,0 +1,156 @@
+/**
+ * Address Autocomplete
+ * Typeahead engine behind the DirectionsModal address inputs. Each keystroke restarts a short
+ * debounce; once it settles, any request still in flight is aborted and the query runs against
+ * the routing provider. Earlier answers are kept in a small LRU cache. The provider is asked to favour
+ * results near a bias point (the destination center, or the middle of New England), and its relevance
+ * order is kept: an exact match far from the bias point still beats a partial match next to it.
+ *
+ * Suggestion: { address, locality, latitude, longitude, name? }   (name is set for points of interest)
+ */
+
+// Roughly central Massachusetts; keeps results in NEBA territory when there is no destination yet
+export const NEW_ENGLAND_CENTER = Object.freeze([-71.8, 42.6]);
+
+export const DEFAULT_AUTOCOMPLETE_OPTIONS = Object.freeze({
+    debounceMs: 250,
+    cacheSize: 20,
+    minLength: 3,
+    limit: 5
+});
+
+/**
+ * Creates a least-recently-used cache
+ * @param {number} capacity - Maximum number of entries kept
+ * @returns {Object} { get(key), set(key, value), clear(), size }
+ */
+export function createLruCache(capacity) {
+    const entries = new Map();
+
+    return {
+        get(key) {
+            if (!entries.has(key)) {
+                return undefined;
+            }
+
+            // Re-insert so the entry becomes the most recently used
+            const value = entries.get(key);
+            entries.delete(key);
+            entries.set(key, value);
+            return value;
+        },
+
+        set(key, value) {
+            entries.delete(key);
+            entries.set(key, value);
+
+            while (entries.size > capacity) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        clear() {
+            entries.clear();
+        },
+
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+/**
+ * Builds the cache key for a query; nearby bias points share answers
+ * @param {string} query - Trimmed query
+ * @param {number[]} bias - [longitude, latitude]
+ * @returns {string} Cache key
+ */
+function buildCacheKey(query, bias) {
+    return `${query.toLowerCase()}|${bias[1].toFixed(1)},${bias[0].toFixed(1)}`;
+}
+
+/**
+ * Creates a typeahead engine around a geocoding function
+ * @param {Function} search - (query, { limit, signal, bias }) => Promise<Array<Object>>, e.g. a routing provider's geocode
+ * @param {Object} options - Overrides for DEFAULT_AUTOCOMPLETE_OPTIONS
+ * @returns {Object} { suggest(query, bias?), cancel(), clearCache() }
+ */
+export function createAddressAutocomplete(search, options = {}) {
+    const { debounceMs, cacheSize, minLength, limit } = { ...DEFAULT_AUTOCOMPLETE_OPTIONS, ...options };
+    const cache = createLruCache(cacheSize);
+
+    let debounceTimer = null;
+    let pendingResolve = null;
+    let controller = null;
+
+    /**
+     * Drops the waiting keystroke (resolving it as superseded) and aborts the request in flight
+     */
+    function cancel() {
+        clearTimeout(debounceTimer);
+        debounceTimer = null;
+
+        pendingResolve?.(null);
+        pendingResolve = null;
+
+        controller?.abort();
+        controller = null;
+    }
+
+    /**
+     * Runs the query once typing pauses
+     * @param {string} query - Text typed so far
+     * @param {number[]|null} bias - [longitude, latitude] to favour results around
+     * @returns {Promise<Array<Object>|null>} Suggestions in the provider's order, or null when a newer query superseded this one
+     */
+    function suggest(query, bias = null) {
+        cancel();
+
+        const trimmed = String(query ?? '').trim();
+        if (trimmed.length < minLength) {
+            return Promise.resolve([]);
+        }
+
+        const center = Array.isArray(bias) && bias.length === 2 ? bias : NEW_ENGLAND_CENTER;
+        const key = buildCacheKey(trimmed, center);
+
+        const cached = cache.get(key);
+        if (cached) {
+            return Promise.resolve(cached);
+        }
+
+        return new Promise((resolve, reject) => {
+            pendingResolve = resolve;
+
+            debounceTimer = setTimeout(async () => {
+                pendingResolve = null;
+                const requestController = new AbortController();
+                controller = requestController;
+
+                try {
+                    const results = await search(trimmed, { limit, signal: requestController.signal, bias: center });
+                    const suggestions = Array.isArray(results) ? results : [];
+
+                    cache.set(key, suggestions);
+                    resolve(requestController.signal.aborted ? null : suggestions);
+                } catch (error) {
+                    if (error?.name === 'AbortError' || requestController.signal.aborted) {
+                        resolve(null);
+                    } else {
+                        reject(error);
+                    }
+                } finally {
+                    if (controller === requestController) {
+                        controller = null;
+                    }
+                }
+            }, debounceMs);
+        });
+    }
+
+    return {
+        suggest,
+        cancel,
+        clearCache: () => cache.clear()
+    };
+}
@@ -0,0 +1,174 @@
+// Tests for address-autocomplete.js
+// Covers: createLruCache, createAddressAutocomplete (debounce, cancellation,
+//         caching, bias, minimum length, errors)
+
+import {
+  createLruCache,
+  createAddressAutocomplete,
+  NEW_ENGLAND_CENTER,
+} from './address-autocomplete.js';
+
+const worcester = { address: 'Main St, Worcester, MA', latitude: 42.26, longitude: -71.8 };
+const boston = { address: 'Main St, Boston, MA', latitude: 42.36, longitude: -71.06 };
+const portland = { address: 'Main St, Portland, ME', latitude: 43.66, longitude: -70.26 };
+
+describe('address-autocomplete', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('createLruCache', () => {
+    test('returns stored values and undefined for unknown keys', () => {
+      const cache = createLruCache(2);
+      cache.set('a', 1);
+
+      expect(cache.get('a')).toBe(1);
+      expect(cache.get('b')).toBeUndefined();
+    });
+
+    test('evicts the least recently used entry when full', () => {
+      const cache = createLruCache(2);
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.get('a');
+
+      cache.set('c', 3);
+
+      expect(cache.get('b')).toBeUndefined();
+      expect(cache.get('a')).toBe(1);
+      expect(cache.get('c')).toBe(3);
+      expect(cache.size).toBe(2);
+    });
+
+    test('clear removes every entry', () => {
+      const cache = createLruCache(2);
+      cache.set('a', 1);
+
+      cache.clear();
+
+      expect(cache.size).toBe(0);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('createAddressAutocomplete', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    test('waits for typing to pause before searching', async () => {
+      const search = jest.fn().mockResolvedValue([boston]);
+      const engine = createAddressAutocomplete(search, { debounceMs: 250 });
+
+      const pending = engine.suggest('Main St');
+      await jest.advanceTimersByTimeAsync(249);
+      expect(search).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1);
+      await expect(pending).resolves.toEqual([boston]);
+      expect(search).toHaveBeenCalledWith('Main St', expect.objectContaining({ limit: 5, bias: NEW_ENGLAND_CENTER }));
+    });
+
+    test('resolves superseded keystrokes with null and only searches the latest text', async () => {
+      const search = jest.fn().mockResolvedValue([]);
+      const engine = createAddressAutocomplete(search);
+
+      const first = engine.suggest('Mai');
+      const second = engine.suggest('Main');
+      await jest.runAllTimersAsync();
+
+      await expect(first).resolves.toBeNull();
+      await expect(second).resolves.toEqual([]);
+      expect(search).toHaveBeenCalledTimes(1);
+      expect(search.mock.calls[0][0]).toBe('Main');
+    });
+
+    test('aborts the request in flight when the user keeps typing', async () => {
+      let signal;
+      const search = jest.fn((query, options) => {
+        signal = options.signal;
+        return new Promise((resolve, reject) => {
+          options.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+        });
+      });
+      const engine = createAddressAutocomplete(search);
+
+      const first = engine.suggest('Main');
+      await jest.runAllTimersAsync();
+      engine.suggest('Main St');
+
+      expect(signal.aborted).toBe(true);
+      await expect(first).resolves.toBeNull();
+    });
+
+    test('answers repeated queries from the cache without searching again', async () => {
+      const search = jest.fn().mockResolvedValue([boston]);
+      const engine = createAddressAutocomplete(search);
+
+      const first = engine.suggest('Main St');
+      await jest.runAllTimersAsync();
+      await first;
+
+      await expect(engine.suggest('  main st ')).resolves.toEqual([boston]);
+      expect(search).toHaveBeenCalledTimes(1);
+    });
+
+    test('sends the bias point to the provider and caches per area', async () => {
+      const search = jest.fn().mockResolvedValue([portland, boston, worcester]);
+      const engine = createAddressAutocomplete(search);
+
+      const nearWorcester = engine.suggest('Main St', [-71.8, 42.3]);
+      await jest.runAllTimersAsync();
+      await expect(nearWorcester).resolves.toEqual([portland, boston, worcester]);
+
+      const nearPortland = engine.suggest('Main St', [-70.3, 43.7]);
+      await jest.runAllTimersAsync();
+      await expect(nearPortland).resolves.toEqual([portland, boston, worcester]);
+      expect(search).toHaveBeenCalledTimes(2);
+      expect(search.mock.calls[0][1].bias).toEqual([-71.8, 42.3]);
+      expect(search.mock.calls[1][1].bias).toEqual([-70.3, 43.7]);
+    });
+
+    test('keeps the provider relevance order rather than sorting by distance from the bias point', async () => {
+      // An exact Boston match ranked first by the provider stays ahead of a nearer partial match
+      const search = jest.fn().mockResolvedValue([boston, worcester]);
+      const engine = createAddressAutocomplete(search);
+
+      const pending = engine.suggest('12 Main St Boston', [-71.8, 42.26]);
+      await jest.runAllTimersAsync();
+
+      await expect(pending).resolves.toEqual([boston, worcester]);
+    });
+
+    test('returns no suggestions for short queries without searching', async () => {
+      const search = jest.fn();
+      const engine = createAddressAutocomplete(search);
+
+      await expect(engine.suggest('Ma')).resolves.toEqual([]);
+      expect(search).not.toHaveBeenCalled();
+    });
+
+    test('cancel drops the pending keystroke', async () => {
+      const search = jest.fn();
+      const engine = createAddressAutocomplete(search);
+
+      const pending = engine.suggest('Main St');
+      engine.cancel();
+      await jest.runAllTimersAsync();
+
+      await expect(pending).resolves.toBeNull();
+      expect(search).not.toHaveBeenCalled();
+    });
+
+    test('rejects when the search fails', async () => {
+      const engine = createAddressAutocomplete(jest.fn().mockRejectedValue(new Error('Search API error: 500')));
+
+      const pending = engine.suggest('Main St');
+      const assertion = expect(pending).rejects.toThrow('Search API error: 500');
+      await jest.runAllTimersAsync();
+
+      await assertion;
+    });
+  });
+});
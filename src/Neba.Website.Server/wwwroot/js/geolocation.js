@@ -0,0 +1,99 @@
+/**
+ * Geolocation
+ * Finds where the user is, from the browser's Geolocation API or, when that is denied or
+ * unavailable, from a ZIP code geocoded with the configured routing provider.
+ */
+
+import { getRoutingProvider } from "./routing-providers.js";
+
+const POSTAL_CODE_PATTERN = /^\d{5}(-\d{4})?$/;
+
+/**
+ * Turns a Geolocation API error into a message for the user
+ * @param {GeolocationPositionError} error - Error passed to a Geolocation API error callback
+ * @returns {string} User-facing message
+ */
+export function describeGeolocationError(error) {
+    const fallback = 'Unable to retrieve your location';
+    if (!error) {
+        return fallback;
+    }
+
+    switch (error.code) {
+        case error.PERMISSION_DENIED:
+            return 'Location access denied. Please enable location services.';
+        case error.POSITION_UNAVAILABLE:
+            return 'Location information unavailable.';
+        case error.TIMEOUT:
+            return 'Location request timed out.';
+        default:
+            return fallback;
+    }
+}
+
+/**
+ * Gets the user's current location using the browser's Geolocation API
+ * @returns {Promise<number[]>} Promise that resolves to [longitude, latitude]
+ */
+export async function getCurrentLocation() {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error('Geolocation is not supported by your browser'));
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                const longitude = position.coords.longitude;
+                const latitude = position.coords.latitude;
+                console.log('[Geolocation] Got current location:', { latitude, longitude });
+                resolve([longitude, latitude]);
+            },
+            (error) => {
+                const errorMessage = describeGeolocationError(error);
+                console.error('[Geolocation] Geolocation error:', errorMessage, error);
+                reject(new Error(errorMessage));
+            },
+            {
+                enableHighAccuracy: false, // Don't require GPS, WiFi/cell tower is fine
+                timeout: 10000, // 10 second timeout
+                maximumAge: 300000 // Accept cached location up to 5 minutes old
+            }
+        );
+    });
+}
+
+/**
+ * Looks up the position of a US ZIP code with the configured routing provider
+ * @param {string} postalCode - 5-digit ZIP or ZIP+4
+ * @param {Object|null} routingConfig - { provider, routingUrl, geocodingUrl } from the MapRouting settings; null for Azure Maps
+ * @returns {Promise<number[]|null>} [longitude, latitude], or null when the ZIP is invalid or not found
+ */
+export async function locatePostalCode(postalCode, routingConfig = null) {
+    const value = String(postalCode ?? '').trim();
+
+    if (!POSTAL_CODE_PATTERN.test(value)) {
+        console.warn('[Geolocation] Invalid ZIP code:', value);
+        return null;
+    }
+
+    const provider = getRoutingProvider(routingConfig);
+    if (!provider) {
+        console.error('[Geolocation] No routing provider configured for ZIP code lookup');
+        return null;
+    }
+
+    try {
+        const [result] = await provider.geocode(value, { limit: 1 });
+
+        if (!result) {
+            console.log('[Geolocation] No results found for ZIP code:', value);
+            return null;
+        }
+
+        return [result.longitude, result.latitude];
+    } catch (error) {
+        console.error('[Geolocation] Error locating ZIP code:', error);
+        return null;
+    }
+}
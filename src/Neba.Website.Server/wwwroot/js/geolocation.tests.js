@@ -0,0 +1,92 @@
+// Tests for geolocation.js
+// Covers: locatePostalCode (ZIP code fallback when geolocation is unavailable)
+// getCurrentLocation is covered through its re-export in DirectionsModal.razor.tests.js
+
+import { locatePostalCode } from './geolocation.js';
+
+function mockJsonResponse(body) {
+  return { ok: true, json: jest.fn().mockResolvedValue(body) };
+}
+
+describe('geolocation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    globalThis.fetch = jest.fn();
+    delete globalThis.azureMapsAuthConfig;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete globalThis.fetch;
+    delete globalThis.azureMapsAuthConfig;
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('locatePostalCode', () => {
+    test.each(['', 'abcde', '0213', '021345', '02134-12'])('returns null without a lookup for invalid ZIP "%s"', async (zip) => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'key' };
+
+      await expect(locatePostalCode(zip)).resolves.toBeNull();
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    test('returns [longitude, latitude] of the first Azure Maps result', async () => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'key' };
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({
+        results: [{
+          address: { freeformAddress: 'Boston, MA 02134', municipality: 'Boston' },
+          position: { lat: 42.3539, lon: -71.1337 },
+        }],
+      }));
+
+      await expect(locatePostalCode(' 02134 ')).resolves.toEqual([-71.1337, 42.3539]);
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('query=02134');
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('limit=1');
+    });
+
+    test('accepts ZIP+4 codes', async () => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'key' };
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ results: [] }));
+
+      await locatePostalCode('02134-1234');
+
+      expect(globalThis.fetch).toHaveBeenCalled();
+    });
+
+    test('returns null when the ZIP code is not found', async () => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'key' };
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ results: [] }));
+
+      await expect(locatePostalCode('00000')).resolves.toBeNull();
+    });
+
+    test('returns null when no routing provider is configured', async () => {
+      await expect(locatePostalCode('02134')).resolves.toBeNull();
+      expect(console.error).toHaveBeenCalledWith('[Geolocation] No routing provider configured for ZIP code lookup');
+    });
+
+    test('returns null and logs when the lookup fails', async () => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'key' };
+      globalThis.fetch.mockRejectedValue(new Error('offline'));
+
+      await expect(locatePostalCode('02134')).resolves.toBeNull();
+      expect(console.error).toHaveBeenCalledWith('[Geolocation] Error locating ZIP code:', expect.any(Error));
+    });
+
+    test('uses Nominatim when the OSRM provider is configured', async () => {
+      const routingConfig = {
+        provider: 'osrm',
+        routingUrl: 'http://localhost:5151/osrm',
+        geocodingUrl: 'http://localhost:5151/nominatim',
+      };
+      globalThis.fetch.mockResolvedValue(mockJsonResponse([
+        { display_name: 'Boston, MA 02134', lat: '42.3539', lon: '-71.1337', address: { city: 'Boston' } },
+      ]));
+
+      await expect(locatePostalCode('02134', routingConfig)).resolves.toEqual([-71.1337, 42.3539]);
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('/nominatim/search');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Map Clustering
+ * Clustering options for NebaMap, and the layout used to fan out ("spiderfy") the members of a cluster that
+ * never splits however far the map zooms in - centers in the same plaza share a spot at every zoom level.
+ *
+ * Clustering config: { radius, maxZoom, colorSteps: [{ minCount, color }], spiderfy }
+ * where colorSteps colour cluster bubbles by how many locations they hold.
+ */
+
+export const DEFAULT_CLUSTER_OPTIONS = Object.freeze({
+    radius: 50,
+    maxZoom: 14,
+    colorSteps: Object.freeze([
+        Object.freeze({ minCount: 0, color: '#0066b2' }),
+        Object.freeze({ minCount: 5, color: '#004080' }),
+        Object.freeze({ minCount: 10, color: '#002040' })
+    ]),
+    spiderfy: true
+});
+
+// Clustering stops past this zoom in Azure Maps data sources
+const MAX_CLUSTER_ZOOM = 24;
+
+// Fan layout in pixels, as in Leaflet.markercluster: small groups sit on a circle, larger groups on a spiral
+const CIRCLE_FOOT_SEPARATION = 25;
+const CIRCLE_SPIRAL_SWITCHOVER = 9;
+const SPIRAL_FOOT_SEPARATION = 28;
+const SPIRAL_LENGTH_START = 11;
+const SPIRAL_LENGTH_FACTOR = 5;
+
+/**
+ * Validates clustering config from .NET, using the default for anything missing or out of range
+ * @param {Object} config - Clustering config from mapConfig.clustering
+ * @returns {Object} { radius, maxZoom, colorSteps, spiderfy }
+ */
+export function normalizeClusterOptions(config) {
+    const radius = Number(config?.radius);
+    const maxZoom = Number(config?.maxZoom);
+
+    const colorSteps = (Array.isArray(config?.colorSteps) ? config.colorSteps : [])
+        .filter(step => Number.isFinite(step?.minCount) && step.minCount >= 0
+            && typeof step.color === 'string' && step.color.length > 0)
+        .map(step => ({ minCount: Math.floor(step.minCount), color: step.color }))
+        .sort((a, b) => a.minCount - b.minCount);
+
+    return {
+        radius: Number.isFinite(radius) && radius > 0 ? radius : DEFAULT_CLUSTER_OPTIONS.radius,
+        maxZoom: Number.isInteger(maxZoom) && maxZoom >= 0 && maxZoom < MAX_CLUSTER_ZOOM ? maxZoom : DEFAULT_CLUSTER_OPTIONS.maxZoom,
+        colorSteps: colorSteps.length > 0 ? colorSteps : DEFAULT_CLUSTER_OPTIONS.colorSteps.map(step => ({ ...step })),
+        spiderfy: typeof config?.spiderfy === 'boolean' ? config.spiderfy : DEFAULT_CLUSTER_OPTIONS.spiderfy
+    };
+}
+
+/**
+ * Builds the bubble colour expression for clusters by their location count
+ * @param {Array} colorSteps - Normalized steps, ordered by minCount
+ * @returns {Array|string} Azure Maps 'step' expression, or a plain colour for a single step
+ */
+export function buildClusterColorExpression(colorSteps) {
+    if (colorSteps.length === 1) {
+        return colorSteps[0].color;
+    }
+
+    // The first step colours every cluster below the second step's count, whatever its own minCount
+    return [
+        'step',
+        ['get', 'point_count'],
+        colorSteps[0].color,
+        ...colorSteps.slice(1).flatMap(step => [step.minCount, step.color])
+    ];
+}
+
+/**
+ * Works out where each member of a fanned-out cluster is drawn, relative to the cluster
+ * @param {number} count - Number of members
+ * @returns {Array<Array<number>>} [x, y] pixel offsets, one per member
+ */
+export function buildSpiderOffsets(count) {
+    if (!Number.isInteger(count) || count <= 0) {
+        return [];
+    }
+
+    if (count < CIRCLE_SPIRAL_SWITCHOVER) {
+        const legLength = CIRCLE_FOOT_SEPARATION * (2 + count) / (2 * Math.PI);
+        const angleStep = 2 * Math.PI / count;
+
+        // Start straight above the cluster and go clockwise
+        return Array.from({ length: count }, (_, i) => {
+            const angle = i * angleStep - Math.PI / 2;
+            return [legLength * Math.cos(angle), legLength * Math.sin(angle)];
+        });
+    }
+
+    const offsets = [];
+    let legLength = SPIRAL_LENGTH_START;
+    let angle = 0;
+    for (let i = 0; i < count; i++) {
+        angle += SPIRAL_FOOT_SEPARATION / legLength + i * 0.0005;
+        offsets.push([legLength * Math.cos(angle), legLength * Math.sin(angle)]);
+        legLength += 2 * Math.PI * SPIRAL_LENGTH_FACTOR / angle;
+    }
+    return offsets;
+}
@@ -0,0 +1,101 @@
+// Tests for map-clustering.js
+// Covers: normalizeClusterOptions, buildClusterColorExpression, buildSpiderOffsets (circle, spiral, spacing)
+
+import {
+  DEFAULT_CLUSTER_OPTIONS,
+  normalizeClusterOptions,
+  buildClusterColorExpression,
+  buildSpiderOffsets,
+} from './map-clustering.js';
+
+function distance([x1, y1], [x2, y2]) {
+  return Math.hypot(x2 - x1, y2 - y1);
+}
+
+describe('map-clustering', () => {
+  // ---------------------------------------------------------------------------
+  describe('normalizeClusterOptions', () => {
+    test('uses the defaults when nothing is configured', () => {
+      expect(normalizeClusterOptions(null)).toEqual({
+        radius: 50,
+        maxZoom: 14,
+        colorSteps: [
+          { minCount: 0, color: '#0066b2' },
+          { minCount: 5, color: '#004080' },
+          { minCount: 10, color: '#002040' },
+        ],
+        spiderfy: true,
+      });
+    });
+
+    test('keeps configured values and orders colour steps by count', () => {
+      const options = normalizeClusterOptions({
+        radius: 30,
+        maxZoom: 12,
+        colorSteps: [{ minCount: 20, color: 'red' }, { minCount: 0, color: 'blue' }],
+        spiderfy: false,
+      });
+
+      expect(options).toEqual({
+        radius: 30,
+        maxZoom: 12,
+        colorSteps: [{ minCount: 0, color: 'blue' }, { minCount: 20, color: 'red' }],
+        spiderfy: false,
+      });
+    });
+
+    test('falls back to the default for values out of range', () => {
+      const options = normalizeClusterOptions({
+        radius: -5,
+        maxZoom: 30,
+        colorSteps: [{ minCount: 'many', color: 'red' }, { minCount: 3 }],
+        spiderfy: 'yes',
+      });
+
+      expect(options.radius).toBe(50);
+      expect(options.maxZoom).toBe(14);
+      expect(options.colorSteps).toEqual(DEFAULT_CLUSTER_OPTIONS.colorSteps);
+      expect(options.spiderfy).toBe(true);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('buildClusterColorExpression', () => {
+    test('steps through the colours by location count', () => {
+      expect(buildClusterColorExpression(DEFAULT_CLUSTER_OPTIONS.colorSteps))
+        .toEqual(['step', ['get', 'point_count'], '#0066b2', 5, '#004080', 10, '#002040']);
+    });
+
+    test('uses a plain colour for a single step', () => {
+      expect(buildClusterColorExpression([{ minCount: 0, color: '#123456' }])).toBe('#123456');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('buildSpiderOffsets', () => {
+    test('places small groups on a circle starting above the cluster', () => {
+      const offsets = buildSpiderOffsets(4);
+      const radius = distance([0, 0], offsets[0]);
+
+      expect(offsets).toHaveLength(4);
+      expect(offsets[0][0]).toBeCloseTo(0);
+      expect(offsets[0][1]).toBeLessThan(0);
+      offsets.forEach(offset => expect(distance([0, 0], offset)).toBeCloseTo(radius));
+    });
+
+    test('places larger groups on a spiral without overlapping markers', () => {
+      const offsets = buildSpiderOffsets(12);
+
+      expect(offsets).toHaveLength(12);
+      expect(distance([0, 0], offsets[11])).toBeGreaterThan(distance([0, 0], offsets[0]));
+      for (let i = 1; i < offsets.length; i++) {
+        expect(distance(offsets[i - 1], offsets[i])).toBeGreaterThan(20);
+      }
+    });
+
+    test('returns no offsets for an empty group', () => {
+      expect(buildSpiderOffsets(0)).toEqual([]);
+      expect(buildSpiderOffsets(Number.NaN)).toEqual([]);
+    });
+  });
+});
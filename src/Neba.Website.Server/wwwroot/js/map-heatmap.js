@@ -0,0 +1,80 @@
+/**
+ * Map Heatmap
+ * Weights for NebaMap's heatmap display mode (e.g., where tournaments are concentrated). Each location is
+ * weighted by a metadata field holding either one number or numbers keyed by season
+ * ({ "2024-25": 3, "2025-26": 5 }); the season slider picks which weighting is drawn.
+ *
+ * Heatmap config: { weightField, seasons: ['2024-25', ...], radius }
+ *
+ * Nested objects do not survive in map feature properties, so each season's weight is copied into its own
+ * numeric property (nebaHeat0, nebaHeat1, ...) when the heatmap features are built.
+ */
+
+const WEIGHT_PROPERTY_PREFIX = 'nebaHeat';
+const DEFAULT_RADIUS = 30;
+
+/**
+ * Validates heatmap config from .NET
+ * @param {Object} config - Heatmap config from mapConfig.heatmap
+ * @returns {Object|null} { weightField, seasons, radius }, or null when no weight field is configured
+ */
+export function normalizeHeatmapOptions(config) {
+    if (typeof config?.weightField !== 'string' || config.weightField.length === 0) {
+        return null;
+    }
+
+    const radius = Number(config.radius);
+
+    return {
+        weightField: config.weightField,
+        seasons: (Array.isArray(config.seasons) ? config.seasons : [])
+            .filter(season => typeof season === 'string' && season.length > 0),
+        radius: Number.isFinite(radius) && radius > 0 ? radius : DEFAULT_RADIUS
+    };
+}
+
+/**
+ * Reads a location's weight for one season
+ * @param {Object} properties - Location properties (metadata included)
+ * @param {string} weightField - Metadata field holding the weight
+ * @param {string|null} season - Season label, or null when the map has no seasons
+ * @returns {number} Weight, 0 when missing or not a positive number
+ */
+export function readHeatWeight(properties, weightField, season) {
+    const value = properties?.[weightField];
+    const weight = Number(value !== null && typeof value === 'object' ? value[season] : value);
+    return Number.isFinite(weight) && weight > 0 ? weight : 0;
+}
+
+/**
+ * Gets the feature property holding a season's weight
+ * @param {number} seasonIndex - Index into the configured seasons (0 when there are none)
+ * @returns {string}
+ */
+export function getHeatWeightProperty(seasonIndex) {
+    return `${WEIGHT_PROPERTY_PREFIX}${seasonIndex}`;
+}
+
+/**
+ * Builds the weight properties for one location, one per season
+ * @param {Object} properties - Location properties (metadata included)
+ * @param {Object} options - Normalized heatmap options
+ * @returns {Object} { nebaHeat0, nebaHeat1, ... }
+ */
+export function buildHeatWeightProperties(properties, options) {
+    const seasons = options.seasons.length > 0 ? options.seasons : [null];
+
+    return Object.fromEntries(seasons.map((season, index) =>
+        [getHeatWeightProperty(index), readHeatWeight(properties, options.weightField, season)]));
+}
+
+/**
+ * Builds the heatmap weight expression for a season, scaled so the heaviest location in any season weighs 1.
+ * Sharing one scale across seasons keeps them comparable as the slider moves.
+ * @param {number} seasonIndex - Index into the configured seasons
+ * @param {number} maxWeight - Heaviest weight across all seasons
+ * @returns {Array} Azure Maps expression
+ */
+export function buildHeatWeightExpression(seasonIndex, maxWeight) {
+    return ['/', ['get', getHeatWeightProperty(seasonIndex)], maxWeight > 0 ? maxWeight : 1];
+}
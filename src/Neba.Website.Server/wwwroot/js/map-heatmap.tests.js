@@ -0,0 +1,84 @@
+// Tests for map-heatmap.js
+// Covers: normalizeHeatmapOptions, readHeatWeight, getHeatWeightProperty, buildHeatWeightProperties,
+//         buildHeatWeightExpression
+
+import {
+  normalizeHeatmapOptions,
+  readHeatWeight,
+  getHeatWeightProperty,
+  buildHeatWeightProperties,
+  buildHeatWeightExpression,
+} from './map-heatmap.js';
+
+describe('map-heatmap', () => {
+  // ---------------------------------------------------------------------------
+  describe('normalizeHeatmapOptions', () => {
+    test('returns null without a weight field', () => {
+      expect(normalizeHeatmapOptions(null)).toBeNull();
+      expect(normalizeHeatmapOptions({})).toBeNull();
+      expect(normalizeHeatmapOptions({ weightField: '' })).toBeNull();
+    });
+
+    test('keeps the weight field, seasons and radius', () => {
+      expect(normalizeHeatmapOptions({ weightField: 'tournaments', seasons: ['2024-25', '2025-26'], radius: 40 }))
+        .toEqual({ weightField: 'tournaments', seasons: ['2024-25', '2025-26'], radius: 40 });
+    });
+
+    test('drops blank seasons and falls back to the default radius', () => {
+      expect(normalizeHeatmapOptions({ weightField: 'entries', seasons: ['2025-26', '', null], radius: -5 }))
+        .toEqual({ weightField: 'entries', seasons: ['2025-26'], radius: 30 });
+      expect(normalizeHeatmapOptions({ weightField: 'entries' }).seasons).toEqual([]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('readHeatWeight', () => {
+    test('reads a single number whatever the season', () => {
+      expect(readHeatWeight({ tournaments: 4 }, 'tournaments', null)).toBe(4);
+      expect(readHeatWeight({ tournaments: '4' }, 'tournaments', '2025-26')).toBe(4);
+    });
+
+    test('reads the season from a per-season weight', () => {
+      const properties = { tournaments: { '2024-25': 3, '2025-26': 5 } };
+
+      expect(readHeatWeight(properties, 'tournaments', '2024-25')).toBe(3);
+      expect(readHeatWeight(properties, 'tournaments', '2025-26')).toBe(5);
+    });
+
+    test('returns 0 for missing, negative or non-numeric weights', () => {
+      expect(readHeatWeight({}, 'tournaments', null)).toBe(0);
+      expect(readHeatWeight({ tournaments: null }, 'tournaments', null)).toBe(0);
+      expect(readHeatWeight({ tournaments: -2 }, 'tournaments', null)).toBe(0);
+      expect(readHeatWeight({ tournaments: 'many' }, 'tournaments', null)).toBe(0);
+      expect(readHeatWeight({ tournaments: { '2024-25': 3 } }, 'tournaments', '2023-24')).toBe(0);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('buildHeatWeightProperties', () => {
+    test('copies each season into its own property', () => {
+      const options = normalizeHeatmapOptions({ weightField: 'tournaments', seasons: ['2024-25', '2025-26'] });
+
+      expect(buildHeatWeightProperties({ tournaments: { '2024-25': 3, '2025-26': 5 } }, options))
+        .toEqual({ nebaHeat0: 3, nebaHeat1: 5 });
+    });
+
+    test('builds a single property when there are no seasons', () => {
+      const options = normalizeHeatmapOptions({ weightField: 'entries' });
+
+      expect(buildHeatWeightProperties({ entries: 120 }, options)).toEqual({ nebaHeat0: 120 });
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('buildHeatWeightExpression', () => {
+    test('scales the season by the heaviest weight', () => {
+      expect(getHeatWeightProperty(2)).toBe('nebaHeat2');
+      expect(buildHeatWeightExpression(1, 8)).toEqual(['/', ['get', 'nebaHeat1'], 8]);
+    });
+
+    test('does not divide by zero when every weight is 0', () => {
+      expect(buildHeatWeightExpression(0, 0)).toEqual(['/', ['get', 'nebaHeat0'], 1]);
+    });
+  });
+});
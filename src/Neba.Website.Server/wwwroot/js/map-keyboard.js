@@ -0,0 +1,113 @@
+/**
+ * Map Keyboard
+ * Key handling and text for NebaMap's keyboard and screen-reader overlay: a list of the markers in view
+ * with a single tab stop (roving tabindex), arrow-key panning and +/- zoom on the map surface, and an
+ * announcement of how many markers are in view.
+ *
+ * Keys:
+ *   Map surface   ←/↑/→/↓ pan, + / - zoom
+ *   Marker list   ↑/↓ (or ←/→) previous/next marker, Home/End first/last, Enter/Space open its popup,
+ *                 Escape close the popup, + / - zoom
+ */
+
+// How far one arrow key press pans the map, in pixels
+export const PAN_STEP_PIXELS = 100;
+
+const PAN_OFFSETS = Object.freeze({
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1]
+});
+
+// '=' and '_' are the unshifted + and - keys on US keyboards
+const ZOOM_DELTAS = Object.freeze({
+    '+': 1,
+    '=': 1,
+    '-': -1,
+    '_': -1
+});
+
+/**
+ * Checks whether a position lies inside map bounds
+ * @param {Array<number>} position - [longitude, latitude]
+ * @param {Array<number>} bounds - [west, south, east, north]
+ * @returns {boolean}
+ */
+function isInBounds([longitude, latitude], [west, south, east, north]) {
+    return longitude >= west && longitude <= east && latitude >= south && latitude <= north;
+}
+
+/**
+ * Picks the markers drawn inside the map's current bounds, ordered by title for the marker list
+ * @param {Iterable<Object>} features - Marker features { geometry: { coordinates }, properties: { id, title } }
+ * @param {Array<number>|null} bounds - [west, south, east, north], or null when the map has no bounds yet
+ * @returns {Array<Object>} Features in view
+ */
+export function getMarkersInView(features, bounds) {
+    return [...features]
+        .filter(feature => !bounds || isInBounds(feature.geometry.coordinates, bounds))
+        .sort((a, b) => String(a.properties?.title ?? '').localeCompare(String(b.properties?.title ?? '')));
+}
+
+/**
+ * Builds the announcement read out when the map moves (e.g., "Showing 14 centers in view")
+ * @param {number} count - Markers in view
+ * @param {Object} noun - { one, other } - what the markers are (e.g., { one: 'center', other: 'centers' })
+ * @returns {string}
+ */
+export function describeMarkersInView(count, noun) {
+    if (count === 0) {
+        return `No ${noun.other} in view`;
+    }
+
+    return `Showing ${count} ${count === 1 ? noun.one : noun.other} in view`;
+}
+
+/**
+ * Works out which marker in the list a key moves to
+ * @param {string} key - KeyboardEvent.key
+ * @param {number} index - Index of the focused marker
+ * @param {number} count - Markers in the list
+ * @returns {number|null} New index, or null when the key does not move between markers
+ */
+export function getRovingIndex(key, index, count) {
+    if (count === 0) {
+        return null;
+    }
+
+    switch (key) {
+        case 'ArrowDown':
+        case 'ArrowRight':
+            return Math.min(index + 1, count - 1);
+        case 'ArrowUp':
+        case 'ArrowLeft':
+            return Math.max(index - 1, 0);
+        case 'Home':
+            return 0;
+        case 'End':
+            return count - 1;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Works out how far a key pans the map
+ * @param {string} key - KeyboardEvent.key
+ * @param {number} step - Pixels per key press
+ * @returns {Array<number>|null} [x, y] pixel offset, or null when the key does not pan
+ */
+export function getPanOffset(key, step = PAN_STEP_PIXELS) {
+    const direction = PAN_OFFSETS[key];
+    return direction ? [direction[0] * step, direction[1] * step] : null;
+}
+
+/**
+ * Works out how a key changes the zoom level
+ * @param {string} key - KeyboardEvent.key
+ * @returns {number|null} +1 or -1, or null when the key does not zoom
+ */
+export function getZoomDelta(key) {
+    return ZOOM_DELTAS[key] ?? null;
+}
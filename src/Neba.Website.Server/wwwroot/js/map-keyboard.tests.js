@@ -0,0 +1,78 @@
+// Tests for map-keyboard.js
+// Covers: getMarkersInView, describeMarkersInView, getRovingIndex, getPanOffset, getZoomDelta
+
+import {
+  PAN_STEP_PIXELS,
+  getMarkersInView,
+  describeMarkersInView,
+  getRovingIndex,
+  getPanOffset,
+  getZoomDelta,
+} from './map-keyboard.js';
+
+function makeFeature(id, title, coordinates) {
+  return { geometry: { coordinates }, properties: { id, title } };
+}
+
+const CENTERS = { one: 'center', other: 'centers' };
+
+describe('map-keyboard', () => {
+  // ---------------------------------------------------------------------------
+  describe('getMarkersInView', () => {
+    const features = [
+      makeFeature('w', 'Worcester Lanes', [-71.8, 42.26]),
+      makeFeature('b', 'Boston Bowl', [-71.06, 42.36]),
+      makeFeature('p', 'Portland Lanes', [-70.26, 43.66]),
+    ];
+
+    test('keeps markers inside the bounds, ordered by title', () => {
+      expect(getMarkersInView(features, [-72, 42, -71, 43]).map(feature => feature.properties.id)).toEqual(['b', 'w']);
+    });
+
+    test('keeps every marker while the map has no bounds', () => {
+      expect(getMarkersInView(new Set(features), null)).toHaveLength(3);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('describeMarkersInView', () => {
+    test('counts the markers in view', () => {
+      expect(describeMarkersInView(14, CENTERS)).toBe('Showing 14 centers in view');
+      expect(describeMarkersInView(1, CENTERS)).toBe('Showing 1 center in view');
+      expect(describeMarkersInView(0, CENTERS)).toBe('No centers in view');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('getRovingIndex', () => {
+    test('moves to the next and previous marker without wrapping', () => {
+      expect(getRovingIndex('ArrowDown', 0, 3)).toBe(1);
+      expect(getRovingIndex('ArrowRight', 2, 3)).toBe(2);
+      expect(getRovingIndex('ArrowUp', 1, 3)).toBe(0);
+      expect(getRovingIndex('ArrowLeft', 0, 3)).toBe(0);
+    });
+
+    test('jumps to the first and last marker', () => {
+      expect(getRovingIndex('Home', 2, 3)).toBe(0);
+      expect(getRovingIndex('End', 0, 3)).toBe(2);
+    });
+
+    test('ignores other keys and empty lists', () => {
+      expect(getRovingIndex('Enter', 0, 3)).toBeNull();
+      expect(getRovingIndex('ArrowDown', 0, 0)).toBeNull();
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('getPanOffset / getZoomDelta', () => {
+    test('pans one step per arrow key', () => {
+      expect(getPanOffset('ArrowLeft')).toEqual([-PAN_STEP_PIXELS, 0]);
+      expect(getPanOffset('ArrowDown', 50)).toEqual([0, 50]);
+      expect(getPanOffset('a')).toBeNull();
+    });
+
+    test('zooms with plus and minus, shifted or not', () => {
+      expect(['+', '=', '-', '_', 'z'].map(getZoomDelta)).toEqual([1, 1, -1, -1, null]);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Map Style
+ * Remembers the map style and traffic overlay a member picks, and works out which Azure Maps style to
+ * draw. Until the member picks a style ('auto'), maps follow the site theme: Tailwind's darkMode: 'class'
+ * puts a "dark" class on <html>, and light styles are swapped for their dark counterparts while it is there.
+ *
+ * Preferences are kept in localStorage so they survive across visits on the same browser; falls back to
+ * memory when storage is unavailable (private browsing, tests).
+ *
+ * Preferences: { style: 'auto' | map style, showTraffic: boolean | null }   (null until the member toggles traffic)
+ */
+
+const STORAGE_KEY = 'neba.map.view';
+const DARK_THEME_CLASS = 'dark';
+
+export const AUTO_MAP_STYLE = 'auto';
+
+export const MAP_STYLES = Object.freeze([
+    'road',
+    'satellite',
+    'satellite_road_labels',
+    'grayscale_dark',
+    'grayscale_light',
+    'night',
+    'road_shaded_relief'
+]);
+
+// Light styles and the style drawn instead while the site is dark; other styles look the same in both themes
+const DARK_STYLE_COUNTERPARTS = Object.freeze({
+    road: 'night',
+    road_shaded_relief: 'night',
+    grayscale_light: 'grayscale_dark'
+});
+
+let memoryStore = null;
+
+/**
+ * Checks whether a value is an Azure Maps style name this site supports
+ * @param {any} style - Candidate style
+ * @returns {boolean}
+ */
+export function isMapStyle(style) {
+    return MAP_STYLES.includes(style);
+}
+
+/**
+ * Checks whether the site is showing its dark theme
+ * @param {Element} root - Element carrying the theme class (defaults to <html>)
+ * @returns {boolean}
+ */
+export function isDarkTheme(root = globalThis.document?.documentElement) {
+    return root?.classList?.contains(DARK_THEME_CLASS) ?? false;
+}
+
+/**
+ * Works out the style to draw for a preference
+ * @param {string} preference - 'auto' or a map style the member picked
+ * @param {string} baseStyle - Style the map was configured with, used for 'auto'
+ * @param {boolean} isDark - Whether the site is showing its dark theme
+ * @returns {string} Azure Maps style name
+ */
+export function resolveMapStyle(preference, baseStyle = 'road', isDark = isDarkTheme()) {
+    if (isMapStyle(preference)) {
+        return preference;
+    }
+
+    const style = isMapStyle(baseStyle) ? baseStyle : 'road';
+    return isDark ? DARK_STYLE_COUNTERPARTS[style] ?? style : style;
+}
+
+/**
+ * Gets localStorage when the browser allows it
+ * @returns {Storage|null}
+ */
+function getStorage() {
+    try {
+        return globalThis.localStorage ?? null;
+    } catch {
+        // Accessing localStorage throws when storage is blocked for the site
+        return null;
+    }
+}
+
+/**
+ * Reads the member's map view preferences
+ * @returns {Object} { style, showTraffic }
+ */
+export function readMapViewPreferences() {
+    let stored = memoryStore;
+
+    const storage = getStorage();
+    if (storage) {
+        try {
+            stored = JSON.parse(storage.getItem(STORAGE_KEY) ?? 'null') ?? memoryStore;
+        } catch (error) {
+            console.warn('[MapStyle] Unable to read map view preferences; using this visit\'s copy:', error);
+            stored = memoryStore;
+        }
+    }
+
+    return {
+        style: isMapStyle(stored?.style) ? stored.style : AUTO_MAP_STYLE,
+        showTraffic: typeof stored?.showTraffic === 'boolean' ? stored.showTraffic : null
+    };
+}
+
+/**
+ * Saves changes to the member's map view preferences
+ * @param {Object} changes - { style?, showTraffic? }
+ * @returns {Object} Updated { style, showTraffic }
+ */
+export function saveMapViewPreferences(changes) {
+    const preferences = { ...readMapViewPreferences(), ...changes };
+    memoryStore = preferences;
+
+    const storage = getStorage();
+    if (storage) {
+        try {
+            storage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+        } catch (error) {
+            // Quota exceeded or storage disabled; the in-memory copy still lasts for this visit
+            console.warn('[MapStyle] Unable to persist map view preferences:', error);
+        }
+    }
+
+    return preferences;
+}
+
+/**
+ * Calls back whenever the site switches between its light and dark theme
+ * @param {Function} callback - Receives true when the site turned dark
+ * @param {Element} root - Element carrying the theme class (defaults to <html>)
+ * @returns {Function} Stops watching
+ */
+export function observeTheme(callback, root = globalThis.document?.documentElement) {
+    if (!root || typeof MutationObserver === 'undefined') {
+        return () => {};
+    }
+
+    let wasDark = isDarkTheme(root);
+
+    // Other classes on <html> change too; only a theme switch is reported
+    const observer = new MutationObserver(() => {
+        const isDark = isDarkTheme(root);
+        if (isDark !== wasDark) {
+            wasDark = isDark;
+            callback(isDark);
+        }
+    });
+    observer.observe(root, { attributes: true, attributeFilter: ['class'] });
+
+    return () => observer.disconnect();
+}
+
+/**
+ * Resets the in-memory fallback (for tests)
+ */
+export function resetMapViewPreferences() {
+    memoryStore = null;
+}
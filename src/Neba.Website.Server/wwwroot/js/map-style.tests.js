@@ -0,0 +1,149 @@
+// Tests for map-style.js
+// Covers: isMapStyle, isDarkTheme, resolveMapStyle, readMapViewPreferences, saveMapViewPreferences,
+//         observeTheme (theme switches, unrelated class changes, disconnect)
+
+import {
+  isMapStyle,
+  isDarkTheme,
+  resolveMapStyle,
+  readMapViewPreferences,
+  saveMapViewPreferences,
+  observeTheme,
+  resetMapViewPreferences,
+  AUTO_MAP_STYLE,
+} from './map-style.js';
+
+const STORAGE_KEY = 'neba.map.view';
+
+/**
+ * Lets MutationObserver callbacks run
+ */
+function flushMutations() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('map-style', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    resetMapViewPreferences();
+    document.documentElement.className = '';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    document.documentElement.className = '';
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('isMapStyle', () => {
+    test('accepts Azure Maps styles and rejects anything else', () => {
+      expect(isMapStyle('satellite_road_labels')).toBe(true);
+      expect(isMapStyle(AUTO_MAP_STYLE)).toBe(false);
+      expect(isMapStyle('hand-drawn')).toBe(false);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('isDarkTheme', () => {
+    test('reads the dark class on <html>', () => {
+      expect(isDarkTheme()).toBe(false);
+
+      document.documentElement.classList.add('dark');
+
+      expect(isDarkTheme()).toBe(true);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('resolveMapStyle', () => {
+    test('uses the style the member picked whatever the theme', () => {
+      expect(resolveMapStyle('road', 'road', true)).toBe('road');
+      expect(resolveMapStyle('satellite', 'road', false)).toBe('satellite');
+    });
+
+    test('follows the site theme for auto', () => {
+      expect(resolveMapStyle(AUTO_MAP_STYLE, 'road', false)).toBe('road');
+      expect(resolveMapStyle(AUTO_MAP_STYLE, 'road', true)).toBe('night');
+      expect(resolveMapStyle(AUTO_MAP_STYLE, 'grayscale_light', true)).toBe('grayscale_dark');
+    });
+
+    test('keeps styles without a dark counterpart in dark mode', () => {
+      expect(resolveMapStyle(AUTO_MAP_STYLE, 'satellite', true)).toBe('satellite');
+    });
+
+    test('falls back to road for an unknown configured style', () => {
+      expect(resolveMapStyle(AUTO_MAP_STYLE, 'hand-drawn', false)).toBe('road');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('map view preferences', () => {
+    test('default to following the theme with traffic unset', () => {
+      expect(readMapViewPreferences()).toEqual({ style: AUTO_MAP_STYLE, showTraffic: null });
+    });
+
+    test('persist the style and traffic overlay together', () => {
+      saveMapViewPreferences({ style: 'satellite' });
+      saveMapViewPreferences({ showTraffic: true });
+
+      expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toEqual({ style: 'satellite', showTraffic: true });
+      expect(readMapViewPreferences()).toEqual({ style: 'satellite', showTraffic: true });
+    });
+
+    test('ignore unreadable or unknown stored values', () => {
+      localStorage.setItem(STORAGE_KEY, '{not json');
+      expect(readMapViewPreferences()).toEqual({ style: AUTO_MAP_STYLE, showTraffic: null });
+
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ style: 'hand-drawn', showTraffic: 'yes' }));
+      expect(readMapViewPreferences()).toEqual({ style: AUTO_MAP_STYLE, showTraffic: null });
+    });
+
+    test('keep working in memory when localStorage is unavailable', () => {
+      jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => { throw new Error('QuotaExceededError'); });
+      jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => { throw new Error('SecurityError'); });
+
+      saveMapViewPreferences({ style: 'night' });
+
+      expect(readMapViewPreferences().style).toBe('night');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('observeTheme', () => {
+    test('calls back when the site switches theme', async () => {
+      const callback = jest.fn();
+      const stop = observeTheme(callback);
+
+      document.documentElement.classList.add('dark');
+      await flushMutations();
+      document.documentElement.classList.remove('dark');
+      await flushMutations();
+
+      expect(callback.mock.calls).toEqual([[true], [false]]);
+      stop();
+    });
+
+    test('ignores other class changes on <html>', async () => {
+      const callback = jest.fn();
+      const stop = observeTheme(callback);
+
+      document.documentElement.classList.add('overflow-hidden');
+      await flushMutations();
+
+      expect(callback).not.toHaveBeenCalled();
+      stop();
+    });
+
+    test('stops calling back once disconnected', async () => {
+      const callback = jest.fn();
+      const stop = observeTheme(callback);
+
+      stop();
+      document.documentElement.classList.add('dark');
+      await flushMutations();
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Map Tour
+ * Geometry and timing for NebaMap's animated tour, which visits a list of markers in order (e.g., a season's
+ * tournament venues by date), drawing a curved arc from each stop to the next.
+ *
+ * Tour options: { stepDurationMs }
+ */
+
+// How long the tour rests on each stop while playing
+export const DEFAULT_TOUR_STEP_MS = 2500;
+// How long the arc into a stop takes to draw
+export const TOUR_ARC_ANIMATION_MS = 800;
+
+const MIN_TOUR_STEP_MS = 500;
+const ARC_SEGMENTS = 32;
+// How far the arc bows out from the straight line, as a share of the distance between stops
+const ARC_BEND = 0.2;
+
+/**
+ * Validates tour options from .NET, using the default for anything missing or out of range
+ * @param {Object} options - Tour options
+ * @returns {Object} { stepDurationMs }
+ */
+export function normalizeTourOptions(options) {
+    const stepDurationMs = Number(options?.stepDurationMs);
+
+    return {
+        stepDurationMs: Number.isFinite(stepDurationMs) && stepDurationMs >= MIN_TOUR_STEP_MS
+            ? stepDurationMs
+            : DEFAULT_TOUR_STEP_MS
+    };
+}
+
+/**
+ * Builds a curved arc between two stops. Arcs bow to the left of the direction of travel, so a return trip
+ * draws a separate curve instead of retracing the outbound one.
+ * @param {Array<number>} from - [longitude, latitude]
+ * @param {Array<number>} to - [longitude, latitude]
+ * @param {number} segments - Number of straight segments the arc is drawn with
+ * @returns {Array<Array<number>>} Positions from start to end; just the two stops when they share a spot
+ */
+export function buildTourArc(from, to, segments = ARC_SEGMENTS) {
+    const dx = to[0] - from[0];
+    const dy = to[1] - from[1];
+
+    if (dx === 0 && dy === 0) {
+        return [from, to];
+    }
+
+    // Quadratic Bézier curve whose control point sits off the midpoint, perpendicular to the line between stops
+    const control = [
+        (from[0] + to[0]) / 2 - dy * ARC_BEND,
+        (from[1] + to[1]) / 2 + dx * ARC_BEND
+    ];
+
+    return Array.from({ length: segments + 1 }, (_, i) => {
+        const t = i / segments;
+        const a = (1 - t) * (1 - t);
+        const b = 2 * (1 - t) * t;
+        const c = t * t;
+        return [
+            a * from[0] + b * control[0] + c * to[0],
+            a * from[1] + b * control[1] + c * to[1]
+        ];
+    });
+}
+
+/**
+ * Cuts an arc short, for drawing it as it grows toward the next stop
+ * @param {Array<Array<number>>} arc - Positions from buildTourArc
+ * @param {number} progress - Share of the arc to keep, 0 to 1
+ * @returns {Array<Array<number>>} At least two positions, ending partway along the arc
+ */
+export function sliceTourArc(arc, progress) {
+    const clamped = Math.min(Math.max(progress, 0), 1);
+    if (clamped === 1 || arc.length < 2) {
+        return arc;
+    }
+
+    const position = clamped * (arc.length - 1);
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const [x0, y0] = arc[index];
+    const [x1, y1] = arc[index + 1];
+
+    return [...arc.slice(0, index + 1), [x0 + (x1 - x0) * fraction, y0 + (y1 - y0) * fraction]];
+}
+
+/**
+ * Checks whether a stop lies inside the map's current bounds, so the camera only moves to stops out of view
+ * @param {Array<number>} position - [longitude, latitude]
+ * @param {Array<number>|null} bounds - [west, south, east, north], or null when the map has no bounds yet
+ * @returns {boolean}
+ */
+export function isTourStopInView([longitude, latitude], bounds) {
+    if (!bounds) {
+        return false;
+    }
+
+    const [west, south, east, north] = bounds;
+    return longitude >= west && longitude <= east && latitude >= south && latitude <= north;
+}
+
+/**
+ * Eases the arc animation so it starts and ends gently
+ * @param {number} t - Elapsed share of the animation, 0 to 1
+ * @returns {number} Eased progress, 0 to 1
+ */
+export function easeInOut(t) {
+    return t < 0.5 ? 2 * t * t : 1 - ((-2 * t + 2) ** 2) / 2;
+}
+
+/**
+ * Checks whether the member has asked the system to reduce motion; the tour then jumps between stops
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+    return globalThis.matchMedia?.('(prefers-reduced-motion: reduce)').matches === true;
+}
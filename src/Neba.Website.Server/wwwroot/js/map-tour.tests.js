@@ -0,0 +1,113 @@
+// Tests for map-tour.js
+// Covers: normalizeTourOptions, buildTourArc, sliceTourArc, isTourStopInView, easeInOut, prefersReducedMotion
+
+import {
+  DEFAULT_TOUR_STEP_MS,
+  normalizeTourOptions,
+  buildTourArc,
+  sliceTourArc,
+  isTourStopInView,
+  easeInOut,
+  prefersReducedMotion,
+} from './map-tour.js';
+
+describe('map-tour', () => {
+  // ---------------------------------------------------------------------------
+  describe('normalizeTourOptions', () => {
+    test('keeps a usable step duration', () => {
+      expect(normalizeTourOptions({ stepDurationMs: 4000 })).toEqual({ stepDurationMs: 4000 });
+    });
+
+    test('falls back to the default for missing or too short durations', () => {
+      expect(normalizeTourOptions(null)).toEqual({ stepDurationMs: DEFAULT_TOUR_STEP_MS });
+      expect(normalizeTourOptions({ stepDurationMs: 100 })).toEqual({ stepDurationMs: DEFAULT_TOUR_STEP_MS });
+      expect(normalizeTourOptions({ stepDurationMs: 'slow' })).toEqual({ stepDurationMs: DEFAULT_TOUR_STEP_MS });
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('buildTourArc', () => {
+    test('runs from one stop to the next', () => {
+      const arc = buildTourArc([-71, 42], [-70, 42], 4);
+
+      expect(arc).toHaveLength(5);
+      expect(arc[0]).toEqual([-71, 42]);
+      expect(arc[4]).toEqual([-70, 42]);
+    });
+
+    test('bows to the left of the direction of travel', () => {
+      const eastbound = buildTourArc([-71, 42], [-70, 42], 4);
+      const westbound = buildTourArc([-70, 42], [-71, 42], 4);
+
+      expect(eastbound[2][1]).toBeGreaterThan(42);
+      expect(westbound[2][1]).toBeLessThan(42);
+    });
+
+    test('is just the two stops when they share a spot', () => {
+      expect(buildTourArc([-71, 42], [-71, 42])).toEqual([[-71, 42], [-71, 42]]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('sliceTourArc', () => {
+    const arc = [[0, 0], [1, 0], [2, 0], [3, 0], [4, 0]];
+
+    test('keeps the whole arc when complete', () => {
+      expect(sliceTourArc(arc, 1)).toBe(arc);
+      expect(sliceTourArc(arc, 3)).toBe(arc);
+    });
+
+    test('ends partway along the arc', () => {
+      expect(sliceTourArc(arc, 0.5)).toEqual([[0, 0], [1, 0], [2, 0], [2, 0]]);
+
+      const sliced = sliceTourArc(arc, 0.6);
+      expect(sliced).toHaveLength(4);
+      expect(sliced[3][0]).toBeCloseTo(2.4);
+    });
+
+    test('starts with at least two positions', () => {
+      expect(sliceTourArc(arc, 0)).toEqual([[0, 0], [0, 0]]);
+      expect(sliceTourArc(arc, -1)).toEqual([[0, 0], [0, 0]]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('isTourStopInView', () => {
+    test('checks the stop against the map bounds', () => {
+      expect(isTourStopInView([-71, 42], [-72, 41, -70, 43])).toBe(true);
+      expect(isTourStopInView([-69, 42], [-72, 41, -70, 43])).toBe(false);
+    });
+
+    test('is false before the map has bounds', () => {
+      expect(isTourStopInView([-71, 42], null)).toBe(false);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('easeInOut', () => {
+    test('starts at 0, passes the middle at half way and ends at 1', () => {
+      expect(easeInOut(0)).toBe(0);
+      expect(easeInOut(0.5)).toBe(0.5);
+      expect(easeInOut(1)).toBe(1);
+      expect(easeInOut(0.25)).toBeLessThan(0.25);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('prefersReducedMotion', () => {
+    afterEach(() => {
+      delete globalThis.matchMedia;
+    });
+
+    test('reads the reduced motion media query', () => {
+      globalThis.matchMedia = jest.fn(() => ({ matches: true }));
+
+      expect(prefersReducedMotion()).toBe(true);
+      expect(globalThis.matchMedia).toHaveBeenCalledWith('(prefers-reduced-motion: reduce)');
+    });
+
+    test('is false when the browser cannot tell', () => {
+      expect(prefersReducedMotion()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Map URL State
+ * Keeps the map's state in the page's query string so it can be bookmarked or shared, and reads it back
+ * when the map is initialized. The URL is updated with history.replaceState, so using the map never adds
+ * history entries or triggers a Blazor navigation.
+ *
+ * Query parameters:
+ *   center=<longitude>,<latitude>&zoom=<zoom>   camera
+ *   style=<map style>                           style picked on the map (left out while following the site theme)
+ *   location=<location id>                      location whose popup is open
+ *   directions=<location id>                    directions destination (same key as DirectionsShareLink)
+ */
+
+import { isValidPosition } from './proximity.js';
+import { isMapStyle } from './map-style.js';
+
+const CENTER_PARAM = 'center';
+const ZOOM_PARAM = 'zoom';
+const STYLE_PARAM = 'style';
+const LOCATION_PARAM = 'location';
+const DIRECTIONS_PARAM = 'directions';
+
+// The rest of a shared directions link (see DirectionsShareLink.cs); dropped with the destination so a
+// closed route does not reopen on reload
+const DIRECTIONS_LINK_PARAMS = Object.freeze([
+    'from', 'fromName', 'via', 'viaName', 'travel', 'route', 'avoid', 'depart', 'arrive', 'optimize'
+]);
+
+// About 1 m at New England latitudes; more digits only make the URL longer
+const COORDINATE_DECIMALS = 5;
+const ZOOM_DECIMALS = 2;
+
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 24;
+
+/**
+ * Parses a URL's query string
+ * @param {string} url - Page URL
+ * @returns {URLSearchParams|null} Query parameters, or null when the URL cannot be parsed
+ */
+function parseSearchParams(url) {
+    try {
+        return new URL(url).searchParams;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads the camera from query parameters
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object|null} { center: [longitude, latitude], zoom }, or null when there is no usable view
+ */
+function readView(params) {
+    const center = (params.get(CENTER_PARAM) ?? '').split(',').map(value => value.trim() === '' ? Number.NaN : Number(value));
+    const zoom = Number(params.get(ZOOM_PARAM) ?? Number.NaN);
+
+    if (center.length !== 2 || !isValidPosition(center) || !Number.isFinite(zoom) || zoom < MIN_ZOOM || zoom > MAX_ZOOM) {
+        return null;
+    }
+
+    return { center, zoom };
+}
+
+/**
+ * Reads a location id from a query parameter
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {string|null} Trimmed id, or null when missing or blank
+ */
+function readId(params, name) {
+    const value = params.get(name)?.trim();
+    return value ? value : null;
+}
+
+/**
+ * Reads the map view from a URL
+ * @param {string} url - Page URL (defaults to the current location)
+ * @returns {Object|null} { center: [longitude, latitude], zoom }, or null when the URL has no usable view
+ */
+export function readMapViewFromUrl(url = globalThis.location?.href) {
+    const params = parseSearchParams(url);
+    return params ? readView(params) : null;
+}
+
+/**
+ * Reads the whole map state from a URL. Anything missing or unusable comes back as null.
+ * @param {string} url - Page URL (defaults to the current location)
+ * @returns {Object} { view, style, locationId, directionsTo }
+ */
+export function readMapStateFromUrl(url = globalThis.location?.href) {
+    const params = parseSearchParams(url);
+    if (!params) {
+        return { view: null, style: null, locationId: null, directionsTo: null };
+    }
+
+    const style = params.get(STYLE_PARAM);
+
+    return {
+        view: readView(params),
+        style: isMapStyle(style) ? style : null,
+        locationId: readId(params, LOCATION_PARAM),
+        directionsTo: readId(params, DIRECTIONS_PARAM)
+    };
+}
+
+/**
+ * Builds a URL carrying changes to the map state, keeping its other query parameters and hash.
+ * Only the keys present in changes are touched; null removes that part of the state.
+ * @param {string} url - Page URL
+ * @param {Object} changes - { view?, style?, locationId?, directionsTo? }
+ * @returns {string} Updated URL
+ */
+export function buildMapStateUrl(url, changes) {
+    const updated = new URL(url);
+    const params = updated.searchParams;
+
+    if ('view' in changes) {
+        const view = changes.view;
+        if (view && isValidPosition(view.center) && Number.isFinite(view.zoom)) {
+            const [longitude, latitude] = view.center.map(value => Number(value.toFixed(COORDINATE_DECIMALS)));
+            params.set(CENTER_PARAM, `${longitude},${latitude}`);
+            params.set(ZOOM_PARAM, String(Number(view.zoom.toFixed(ZOOM_DECIMALS))));
+        } else {
+            params.delete(CENTER_PARAM);
+            params.delete(ZOOM_PARAM);
+        }
+    }
+
+    if ('style' in changes) {
+        if (isMapStyle(changes.style)) {
+            params.set(STYLE_PARAM, changes.style);
+        } else {
+            params.delete(STYLE_PARAM);
+        }
+    }
+
+    if ('locationId' in changes) {
+        if (changes.locationId) {
+            params.set(LOCATION_PARAM, changes.locationId);
+        } else {
+            params.delete(LOCATION_PARAM);
+        }
+    }
+
+    if ('directionsTo' in changes) {
+        if (changes.directionsTo) {
+            params.set(DIRECTIONS_PARAM, changes.directionsTo);
+        } else {
+            params.delete(DIRECTIONS_PARAM);
+            DIRECTIONS_LINK_PARAMS.forEach(name => params.delete(name));
+        }
+    }
+
+    return updated.toString();
+}
+
+/**
+ * Builds a URL carrying a map view, keeping its other query parameters and hash
+ * @param {string} url - Page URL
+ * @param {Object|null} view - { center: [longitude, latitude], zoom }, or null to remove the view
+ * @returns {string} Updated URL
+ */
+export function buildMapViewUrl(url, view) {
+    return buildMapStateUrl(url, { view });
+}
+
+/**
+ * Replaces the current URL without adding a history entry.
+ * Blazor keeps its own navigation state in history.state, so it is passed through untouched.
+ * @param {string} url - New URL
+ */
+function replaceUrl(url) {
+    if (globalThis.location?.href !== url) {
+        history.replaceState(history.state, '', url);
+    }
+}
+
+/**
+ * Writes changes to the map state into the current URL
+ * @param {Object} changes - { view?, style?, locationId?, directionsTo? }; null removes that part
+ */
+export function writeMapStateToUrl(changes) {
+    replaceUrl(buildMapStateUrl(globalThis.location.href, changes));
+}
+
+/**
+ * Writes the map view into the current URL
+ * @param {Object} view - { center: [longitude, latitude], zoom }
+ */
+export function writeMapViewToUrl(view) {
+    writeMapStateToUrl({ view });
+}
+
+/**
+ * Removes the map view from the current URL
+ */
+export function clearMapViewFromUrl() {
+    writeMapStateToUrl({ view: null });
+}
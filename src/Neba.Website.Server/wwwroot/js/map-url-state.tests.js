@@ -0,0 +1,131 @@
+// Tests for map-url-state.js
+// Covers: readMapViewFromUrl, readMapStateFromUrl, buildMapViewUrl, buildMapStateUrl,
+//         writeMapViewToUrl, writeMapStateToUrl, clearMapViewFromUrl
+
+import {
+  readMapViewFromUrl,
+  readMapStateFromUrl,
+  buildMapViewUrl,
+  buildMapStateUrl,
+  writeMapStateToUrl,
+  writeMapViewToUrl,
+  clearMapViewFromUrl,
+} from './map-url-state.js';
+
+const PAGE = 'https://neba.example/bowling-centers';
+
+describe('map-url-state', () => {
+  afterEach(() => {
+    history.replaceState(null, '', '/');
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('readMapViewFromUrl', () => {
+    test('reads the center and zoom', () => {
+      expect(readMapViewFromUrl(`${PAGE}?center=-71.8,42.26&zoom=11.5`)).toEqual({ center: [-71.8, 42.26], zoom: 11.5 });
+    });
+
+    test('returns null when the view is missing or unusable', () => {
+      expect(readMapViewFromUrl(PAGE)).toBeNull();
+      expect(readMapViewFromUrl(`${PAGE}?center=-71.8&zoom=11`)).toBeNull();
+      expect(readMapViewFromUrl(`${PAGE}?center=-71.8,95&zoom=11`)).toBeNull();
+      expect(readMapViewFromUrl(`${PAGE}?center=-71.8,42.26&zoom=abc`)).toBeNull();
+      expect(readMapViewFromUrl(`${PAGE}?center=,&zoom=11`)).toBeNull();
+      expect(readMapViewFromUrl('not a url')).toBeNull();
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('readMapStateFromUrl', () => {
+    test('reads the view, style, selected location and directions destination', () => {
+      const url = `${PAGE}?center=-71.8,42.26&zoom=12&style=satellite&location=center-7&directions=center-9`;
+
+      expect(readMapStateFromUrl(url)).toEqual({
+        view: { center: [-71.8, 42.26], zoom: 12 },
+        style: 'satellite',
+        locationId: 'center-7',
+        directionsTo: 'center-9',
+      });
+    });
+
+    test('returns null for each part that is missing or unusable', () => {
+      expect(readMapStateFromUrl(`${PAGE}?style=hand-drawn&location=%20&directions=`)).toEqual({
+        view: null, style: null, locationId: null, directionsTo: null,
+      });
+      expect(readMapStateFromUrl('not a url')).toEqual({
+        view: null, style: null, locationId: null, directionsTo: null,
+      });
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('buildMapStateUrl', () => {
+    test('only touches the parts it is given', () => {
+      const url = buildMapStateUrl(`${PAGE}?center=-71.8,42.26&zoom=11&page=2`, { style: 'night', locationId: 'center 7' });
+
+      expect(url).toBe(`${PAGE}?center=-71.8%2C42.26&zoom=11&page=2&style=night&location=center+7`);
+      expect(readMapStateFromUrl(url).locationId).toBe('center 7');
+    });
+
+    test('removes parts set to null, and an unknown style', () => {
+      const url = buildMapStateUrl(`${PAGE}?style=night&location=center-7&page=2`, { style: 'auto', locationId: null });
+
+      expect(url).toBe(`${PAGE}?page=2`);
+    });
+
+    test('drops the rest of a shared directions link with the destination', () => {
+      const shared = `${PAGE}?directions=center-9&from=42.1,-71.2&via=42.2,-71.3&viaName=Stop&travel=bicycle&page=2`;
+
+      expect(buildMapStateUrl(shared, { directionsTo: null })).toBe(`${PAGE}?page=2`);
+      expect(buildMapStateUrl(shared, { directionsTo: 'center-9' })).toContain('&travel=bicycle&');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('buildMapViewUrl', () => {
+    test('rounds the view and keeps other parameters and the hash', () => {
+      const url = buildMapViewUrl(`${PAGE}?directions=abc#map`, { center: [-71.8012345678, 42.2612345678], zoom: 11.456 });
+
+      expect(url).toBe(`${PAGE}?directions=abc&center=-71.80123%2C42.26123&zoom=11.46#map`);
+      expect(readMapViewFromUrl(url)).toEqual({ center: [-71.80123, 42.26123], zoom: 11.46 });
+    });
+
+    test('removes the view when given none', () => {
+      expect(buildMapViewUrl(`${PAGE}?center=-71.8,42.26&zoom=11&directions=abc`, null)).toBe(`${PAGE}?directions=abc`);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('writeMapViewToUrl / writeMapStateToUrl / clearMapViewFromUrl', () => {
+    test('replace the current URL without adding history entries', () => {
+      const historyLength = history.length;
+
+      writeMapViewToUrl({ center: [-71.8, 42.26], zoom: 9 });
+      expect(readMapViewFromUrl()).toEqual({ center: [-71.8, 42.26], zoom: 9 });
+
+      clearMapViewFromUrl();
+      expect(readMapViewFromUrl()).toBeNull();
+      expect(history.length).toBe(historyLength);
+    });
+
+    test('write other map state alongside the view', () => {
+      writeMapViewToUrl({ center: [-71.8, 42.26], zoom: 9 });
+      writeMapStateToUrl({ locationId: 'center-7', directionsTo: 'center-7' });
+
+      expect(readMapStateFromUrl()).toEqual({
+        view: { center: [-71.8, 42.26], zoom: 9 },
+        style: null,
+        locationId: 'center-7',
+        directionsTo: 'center-7',
+      });
+    });
+
+    test('keep the history state Blazor stored', () => {
+      history.replaceState({ userState: 'blazor' }, '', '/');
+
+      writeMapViewToUrl({ center: [-71.8, 42.26], zoom: 9 });
+
+      expect(history.state).toEqual({ userState: 'blazor' });
+    });
+  });
+});
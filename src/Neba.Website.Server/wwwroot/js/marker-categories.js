@@ -0,0 +1,168 @@
+/**
+ * Marker Categories
+ * Builds the Azure Maps expressions and cluster properties used to style NebaMap markers
+ * by a metadata field (e.g., centers hosting a tournament, sponsor centers, other USBC centers).
+ *
+ * Category config: { field, defaultCategory?, categories: [{ key, label, color, icon? }] }
+ * where icon is an atlas image template name (default 'marker') or an image URL.
+ */
+
+export const CATEGORY_PROPERTY = 'markerCategory';
+
+const DEFAULT_ICON_TEMPLATE = 'marker';
+const FALLBACK_COLOR = '#0066b2';
+
+/**
+ * Validates category config from .NET, dropping entries without a key
+ * @param {Object} config - Category config from mapConfig.markerCategories
+ * @returns {Object|null} { field, defaultCategory, categories } or null when categories are not configured
+ */
+export function normalizeMarkerCategories(config) {
+    const categories = (Array.isArray(config?.categories) ? config.categories : [])
+        .filter(category => typeof category?.key === 'string' && category.key.length > 0)
+        .map(category => ({
+            key: category.key,
+            label: category.label || category.key,
+            color: category.color || FALLBACK_COLOR,
+            icon: category.icon || DEFAULT_ICON_TEMPLATE
+        }));
+
+    if (!config?.field || categories.length === 0) {
+        return null;
+    }
+
+    const defaultCategory = categories.some(category => category.key === config.defaultCategory)
+        ? config.defaultCategory
+        : categories.at(-1).key;
+
+    return { field: config.field, defaultCategory, categories };
+}
+
+/**
+ * Resolves the category key for a location from its metadata
+ * @param {Object} categoryConfig - Normalized category config
+ * @param {Object} metadata - Location metadata
+ * @returns {string} Category key (the default category when the value is missing or unknown)
+ */
+export function resolveMarkerCategory(categoryConfig, metadata) {
+    const value = metadata?.[categoryConfig.field];
+    const match = categoryConfig.categories.find(category => category.key === String(value ?? ''));
+    return match ? match.key : categoryConfig.defaultCategory;
+}
+
+/**
+ * Gets the image sprite id registered for a category
+ * @param {string} categoryKey - Category key
+ * @returns {string} Image id
+ */
+export function getCategoryImageId(categoryKey) {
+    return `neba-marker-${categoryKey}`;
+}
+
+/**
+ * Checks whether a category icon is an image URL rather than an atlas template name
+ * @param {string} icon - Icon template name or URL
+ * @returns {boolean} True for URLs
+ */
+export function isIconUrl(icon) {
+    return /^(https?:|data:|\/)/.test(icon);
+}
+
+/**
+ * Builds the symbol layer image expression that picks each marker's category icon
+ * @param {Object} categoryConfig - Normalized category config
+ * @returns {Array} Azure Maps match expression
+ */
+export function buildCategoryIconExpression(categoryConfig) {
+    return [
+        'match',
+        ['get', CATEGORY_PROPERTY],
+        ...categoryConfig.categories.flatMap(category => [category.key, getCategoryImageId(category.key)]),
+        getCategoryImageId(categoryConfig.defaultCategory)
+    ];
+}
+
+/**
+ * Gets the cluster property name holding the count for one category
+ * @param {string} categoryKey - Category key
+ * @returns {string} Cluster property name
+ */
+export function getClusterCountProperty(categoryKey) {
+    return `categoryCount_${categoryKey}`;
+}
+
+/**
+ * Builds DataSource clusterProperties that count the points of each category inside a cluster
+ * @param {Object} categoryConfig - Normalized category config
+ * @returns {Object} clusterProperties option
+ */
+export function buildClusterCategoryProperties(categoryConfig) {
+    return Object.fromEntries(categoryConfig.categories.map(category => [
+        getClusterCountProperty(category.key),
+        ['+', ['case', ['==', ['get', CATEGORY_PROPERTY], category.key], 1, 0]]
+    ]));
+}
+
+/**
+ * Builds the cluster bubble colour: the colour of the category with the most points
+ * @param {Object} categoryConfig - Normalized category config
+ * @returns {Array|string} Azure Maps case expression (or a single colour for one category)
+ */
+export function buildDominantCategoryColorExpression(categoryConfig) {
+    const { categories } = categoryConfig;
+
+    if (categories.length === 1) {
+        return categories[0].color;
+    }
+
+    const count = category => ['get', getClusterCountProperty(category.key)];
+
+    return [
+        'case',
+        ...categories.slice(0, -1).flatMap(category => [
+            ['all', ...categories
+                .filter(other => other !== category)
+                .map(other => ['>=', count(category), count(other)])],
+            category.color
+        ]),
+        categories.at(-1).color
+    ];
+}
+
+/**
+ * Builds the text shown under a cluster bubble: one coloured count per category present
+ * (e.g., "●2 ●5" with each dot in its category colour)
+ * @param {Object} categoryConfig - Normalized category config
+ * @returns {Array} Azure Maps format expression
+ */
+export function buildClusterMixTextField(categoryConfig) {
+    return [
+        'format',
+        ...categoryConfig.categories.flatMap(category => {
+            const count = ['get', getClusterCountProperty(category.key)];
+            return [
+                ['case', ['>', count, 0], '●', ''], { 'text-color': category.color },
+                ['case', ['>', count, 0], ['concat', ['to-string', count], ' '], ''], {}
+            ];
+        })
+    ];
+}
+
+/**
+ * Counts locations per category for the legend
+ * @param {Object} categoryConfig - Normalized category config
+ * @param {Iterable<Object>} features - Marker features with the category property
+ * @returns {Map<string, number>} Count per category key
+ */
+export function countMarkersByCategory(categoryConfig, features) {
+    const counts = new Map(categoryConfig.categories.map(category => [category.key, 0]));
+
+    for (const feature of features) {
+        const key = feature?.properties?.[CATEGORY_PROPERTY];
+        if (counts.has(key)) {
+            counts.set(key, counts.get(key) + 1);
+        }
+    }
+
+    return counts;
+}
@@ -0,0 +1,169 @@
+// Tests for marker-categories.js
+// Covers: config normalization, category resolution, icon/cluster expressions and legend counts
+
+import {
+  CATEGORY_PROPERTY,
+  normalizeMarkerCategories,
+  resolveMarkerCategory,
+  getCategoryImageId,
+  isIconUrl,
+  buildCategoryIconExpression,
+  buildClusterCategoryProperties,
+  buildDominantCategoryColorExpression,
+  buildClusterMixTextField,
+  countMarkersByCategory,
+} from './marker-categories.js';
+
+const config = {
+  field: 'category',
+  defaultCategory: 'usbc',
+  categories: [
+    { key: 'tournament', label: 'Upcoming tournament', color: '#dc2626', icon: 'flag' },
+    { key: 'sponsor', label: 'Sponsor', color: '#f59e0b' },
+    { key: 'usbc', label: 'USBC center', color: '#0066b2' },
+  ],
+};
+
+describe('marker-categories', () => {
+  // ---------------------------------------------------------------------------
+  describe('normalizeMarkerCategories', () => {
+    test('returns null when no categories are configured', () => {
+      expect(normalizeMarkerCategories(null)).toBeNull();
+      expect(normalizeMarkerCategories({ field: 'category', categories: [] })).toBeNull();
+    });
+
+    test('returns null without a metadata field', () => {
+      expect(normalizeMarkerCategories({ categories: config.categories })).toBeNull();
+    });
+
+    test('fills in default label, colour and icon', () => {
+      const normalized = normalizeMarkerCategories({ field: 'category', categories: [{ key: 'usbc' }] });
+
+      expect(normalized.categories).toEqual([
+        { key: 'usbc', label: 'usbc', color: '#0066b2', icon: 'marker' },
+      ]);
+    });
+
+    test('drops categories without a key', () => {
+      const normalized = normalizeMarkerCategories({
+        field: 'category',
+        categories: [{ label: 'No key' }, { key: '' }, { key: 'usbc' }],
+      });
+
+      expect(normalized.categories.map(c => c.key)).toEqual(['usbc']);
+    });
+
+    test('keeps a known default category', () => {
+      expect(normalizeMarkerCategories({ ...config, defaultCategory: 'sponsor' }).defaultCategory).toBe('sponsor');
+    });
+
+    test('falls back to the last category when the default is unknown', () => {
+      expect(normalizeMarkerCategories({ ...config, defaultCategory: 'missing' }).defaultCategory).toBe('usbc');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('resolveMarkerCategory', () => {
+    const normalized = normalizeMarkerCategories(config);
+
+    test('returns the matching category key', () => {
+      expect(resolveMarkerCategory(normalized, { category: 'sponsor' })).toBe('sponsor');
+    });
+
+    test('returns the default category for unknown values', () => {
+      expect(resolveMarkerCategory(normalized, { category: 'other' })).toBe('usbc');
+    });
+
+    test('returns the default category when metadata is missing', () => {
+      expect(resolveMarkerCategory(normalized, undefined)).toBe('usbc');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('icons', () => {
+    test('prefixes category image ids', () => {
+      expect(getCategoryImageId('sponsor')).toBe('neba-marker-sponsor');
+    });
+
+    test.each([
+      ['https://cdn.example.com/pin.png', true],
+      ['/images/pin.svg', true],
+      ['data:image/svg+xml;base64,AAAA', true],
+      ['pin-round', false],
+    ])('isIconUrl(%s) is %s', (icon, expected) => {
+      expect(isIconUrl(icon)).toBe(expected);
+    });
+
+    test('maps each category to its image with the default category as fallback', () => {
+      expect(buildCategoryIconExpression(normalizeMarkerCategories(config))).toEqual([
+        'match',
+        ['get', CATEGORY_PROPERTY],
+        'tournament', 'neba-marker-tournament',
+        'sponsor', 'neba-marker-sponsor',
+        'usbc', 'neba-marker-usbc',
+        'neba-marker-usbc',
+      ]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('cluster expressions', () => {
+    const normalized = normalizeMarkerCategories(config);
+
+    test('counts each category with a clusterProperties aggregate', () => {
+      const properties = buildClusterCategoryProperties(normalized);
+
+      expect(Object.keys(properties)).toEqual([
+        'categoryCount_tournament',
+        'categoryCount_sponsor',
+        'categoryCount_usbc',
+      ]);
+      expect(properties.categoryCount_sponsor).toEqual([
+        '+', ['case', ['==', ['get', CATEGORY_PROPERTY], 'sponsor'], 1, 0],
+      ]);
+    });
+
+    test('uses the single category colour when only one category exists', () => {
+      const single = normalizeMarkerCategories({ field: 'category', categories: [{ key: 'usbc', color: '#123456' }] });
+
+      expect(buildDominantCategoryColorExpression(single)).toBe('#123456');
+    });
+
+    test('colours a cluster by the category with the most points', () => {
+      const expression = buildDominantCategoryColorExpression(normalized);
+
+      expect(expression[0]).toBe('case');
+      expect(expression[1]).toEqual(['all',
+        ['>=', ['get', 'categoryCount_tournament'], ['get', 'categoryCount_sponsor']],
+        ['>=', ['get', 'categoryCount_tournament'], ['get', 'categoryCount_usbc']],
+      ]);
+      expect(expression[2]).toBe('#dc2626');
+      expect(expression.at(-1)).toBe('#0066b2');
+    });
+
+    test('formats a coloured count per category', () => {
+      const textField = buildClusterMixTextField(normalized);
+
+      expect(textField[0]).toBe('format');
+      // Each category contributes a coloured dot and its count
+      expect(textField).toHaveLength(1 + normalized.categories.length * 4);
+      expect(textField[2]).toEqual({ 'text-color': '#dc2626' });
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('countMarkersByCategory', () => {
+    test('counts features per category and ignores unknown keys', () => {
+      const features = [
+        { properties: { [CATEGORY_PROPERTY]: 'sponsor' } },
+        { properties: { [CATEGORY_PROPERTY]: 'sponsor' } },
+        { properties: { [CATEGORY_PROPERTY]: 'usbc' } },
+        { properties: { [CATEGORY_PROPERTY]: 'other' } },
+      ];
+
+      const counts = countMarkersByCategory(normalizeMarkerCategories(config), features);
+
+      expect([...counts]).toEqual([['tournament', 0], ['sponsor', 2], ['usbc', 1]]);
+    });
+  });
+});
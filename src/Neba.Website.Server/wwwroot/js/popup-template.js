@@ -0,0 +1,139 @@
+/**
+ * Popup Template
+ * Renders NebaMap popup HTML from location properties. Every value is HTML-escaped and links are
+ * limited to http(s)/tel, so location data can never inject markup. Styling lives in app.css
+ * (.neba-map-popup*).
+ *
+ * Template config: {
+ *   fields: [{ key, label?, type: 'text' | 'phone' | 'url' | 'number' }],
+ *   actions: [{ id, label }]
+ * }
+ */
+
+const FIELD_TYPES = ['text', 'phone', 'url', 'number'];
+
+/**
+ * Escapes a value for use in HTML text or a double-quoted attribute
+ * @param {any} value - Value to escape
+ * @returns {string} Escaped string ('' for null/undefined)
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#39;');
+}
+
+/**
+ * Returns the URL when it is an absolute http(s) URL, otherwise null (blocks javascript:, data:, ...)
+ * @param {any} value - Candidate URL
+ * @returns {string|null} Safe URL or null
+ */
+export function toSafeHttpUrl(value) {
+    try {
+        const url = new URL(String(value ?? ''));
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Validates template config from .NET, dropping fields and actions without an id
+ * @param {Object} config - mapConfig.popupTemplate
+ * @returns {Object} { fields, actions }
+ */
+export function normalizePopupTemplate(config) {
+    const fields = (Array.isArray(config?.fields) ? config.fields : [])
+        .filter(field => typeof field?.key === 'string' && field.key.length > 0)
+        .map(field => ({
+            key: field.key,
+            label: field.label ?? null,
+            type: FIELD_TYPES.includes(field.type) ? field.type : 'text'
+        }));
+
+    const actions = (Array.isArray(config?.actions) ? config.actions : [])
+        .filter(action => typeof action?.id === 'string' && action.id.length > 0)
+        .map(action => ({ id: action.id, label: action.label || action.id }));
+
+    return { fields, actions };
+}
+
+/**
+ * Renders the value cell for one field
+ * @param {Object} field - Normalized field
+ * @param {any} value - Property value
+ * @returns {string|null} HTML, or null when the value should be skipped
+ */
+function renderFieldValue(field, value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+
+    switch (field.type) {
+        case 'phone': {
+            const digits = String(value).replaceAll(/[^\d+]/g, '');
+            return digits
+                ? `<a href="tel:${escapeHtml(digits)}">${escapeHtml(value)}</a>`
+                : escapeHtml(value);
+        }
+        case 'url': {
+            const url = toSafeHttpUrl(value);
+            if (!url) {
+                return null;
+            }
+            const display = new URL(url).hostname.replace(/^www\./, '');
+            return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(display)}</a>`;
+        }
+        case 'number': {
+            const number = Number(value);
+            return Number.isFinite(number) ? escapeHtml(number.toLocaleString('en-US')) : null;
+        }
+        default:
+            return escapeHtml(value);
+    }
+}
+
+/**
+ * Renders popup HTML for a location
+ * @param {Object} properties - Feature properties { id, title, description, ...metadata }
+ * @param {Object} template - Normalized template from normalizePopupTemplate
+ * @returns {string} Popup HTML
+ */
+export function renderPopupContent(properties, template) {
+    const rows = template.fields
+        .map(field => ({ field, html: renderFieldValue(field, properties?.[field.key]) }))
+        .filter(row => row.html !== null)
+        .map(({ field, html }) => field.label
+            ? `<dt>${escapeHtml(field.label)}</dt><dd>${html}</dd>`
+            : `<dd class="neba-map-popup-field-full">${html}</dd>`);
+
+    const actions = template.actions.map(action =>
+        `<button type="button" class="neba-map-popup-action" data-popup-action="${escapeHtml(action.id)}" ` +
+        `data-location-id="${escapeHtml(properties?.id)}">${escapeHtml(action.label)}</button>`);
+
+    return `<div class="neba-map-popup">` +
+        `<div class="neba-map-popup-title">${escapeHtml(properties?.title)}</div>` +
+        (properties?.description ? `<div class="neba-map-popup-description">${escapeHtml(properties.description)}</div>` : '') +
+        (rows.length > 0 ? `<dl class="neba-map-popup-fields">${rows.join('')}</dl>` : '') +
+        (actions.length > 0 ? `<div class="neba-map-popup-actions">${actions.join('')}</div>` : '') +
+        `</div>`;
+}
+
+/**
+ * Renders popup HTML listing the locations in a cluster, each as a button that opens its own popup
+ * @param {Array<Object>} members - Feature properties { id, title, ... } of each location in the cluster
+ * @returns {string} Popup HTML
+ */
+export function renderClusterPopupContent(members) {
+    const items = members.map(member =>
+        `<li><button type="button" class="neba-map-popup-cluster-item" data-location-id="${escapeHtml(member?.id)}">` +
+        `${escapeHtml(member?.title || member?.id)}</button></li>`);
+
+    return `<div class="neba-map-popup">` +
+        `<div class="neba-map-popup-title">${members.length} ${members.length === 1 ? 'location' : 'locations'} here</div>` +
+        `<ul class="neba-map-popup-cluster">${items.join('')}</ul>` +
+        `</div>`;
+}
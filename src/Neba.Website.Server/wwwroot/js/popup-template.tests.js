@@ -0,0 +1,202 @@
+// Tests for popup-template.js
+// Covers: escapeHtml, toSafeHttpUrl, normalizePopupTemplate, renderPopupContent, renderClusterPopupContent
+
+import {
+  escapeHtml,
+  toSafeHttpUrl,
+  normalizePopupTemplate,
+  renderPopupContent,
+  renderClusterPopupContent,
+} from './popup-template.js';
+
+function renderToElement(properties, config) {
+  const element = document.createElement('div');
+  element.innerHTML = renderPopupContent(properties, normalizePopupTemplate(config));
+  return element;
+}
+
+describe('popup-template', () => {
+  // ---------------------------------------------------------------------------
+  describe('escapeHtml', () => {
+    test('escapes markup and quote characters', () => {
+      expect(escapeHtml(`<img src=x onerror="alert('x')">&`)).toBe(
+        '&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;&amp;',
+      );
+    });
+
+    test('returns an empty string for null and undefined', () => {
+      expect(escapeHtml(null)).toBe('');
+      expect(escapeHtml(undefined)).toBe('');
+    });
+
+    test('stringifies numbers', () => {
+      expect(escapeHtml(42)).toBe('42');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('toSafeHttpUrl', () => {
+    test.each([
+      ['https://luckystrike.example.com/leagues', 'https://luckystrike.example.com/leagues'],
+      ['http://example.com', 'http://example.com/'],
+      ['javascript:alert(1)', null],
+      ['data:text/html,<b>hi</b>', null],
+      ['/relative/path', null],
+      ['', null],
+    ])('toSafeHttpUrl(%s) returns %s', (value, expected) => {
+      expect(toSafeHttpUrl(value)).toBe(expected);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('normalizePopupTemplate', () => {
+    test('returns an empty template for missing config', () => {
+      expect(normalizePopupTemplate(null)).toEqual({ fields: [], actions: [] });
+    });
+
+    test('defaults unknown field types to text and drops fields without a key', () => {
+      const template = normalizePopupTemplate({
+        fields: [{ key: 'lanes', type: 'bogus' }, { label: 'No key' }],
+      });
+
+      expect(template.fields).toEqual([{ key: 'lanes', label: null, type: 'text' }]);
+    });
+
+    test('uses the action id as its label when no label is given', () => {
+      const template = normalizePopupTemplate({ actions: [{ id: 'website' }, { label: 'No id' }] });
+
+      expect(template.actions).toEqual([{ id: 'website', label: 'website' }]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('renderPopupContent', () => {
+    test('renders the title and description as text, never as markup', () => {
+      const element = renderToElement({
+        title: '<script>alert(1)</script>Lanes',
+        description: '<img src=x onerror=alert(1)>',
+      });
+
+      expect(element.querySelector('script')).toBeNull();
+      expect(element.querySelector('img')).toBeNull();
+      expect(element.querySelector('.neba-map-popup-title').textContent).toBe('<script>alert(1)</script>Lanes');
+      expect(element.querySelector('.neba-map-popup-description').textContent).toBe('<img src=x onerror=alert(1)>');
+    });
+
+    test('keeps ampersands readable instead of double-encoding them', () => {
+      const element = renderToElement({ title: 'Pins & Needles' });
+
+      expect(element.querySelector('.neba-map-popup-title').textContent).toBe('Pins & Needles');
+    });
+
+    test('omits the description element when there is no description', () => {
+      const element = renderToElement({ title: 'Lanes', description: '' });
+
+      expect(element.querySelector('.neba-map-popup-description')).toBeNull();
+    });
+
+    test('renders labelled metadata fields and skips empty values', () => {
+      const element = renderToElement(
+        { title: 'Lanes', lanes: 32, unit: '' },
+        { fields: [{ key: 'lanes', label: 'Lanes', type: 'number' }, { key: 'unit', label: 'Unit' }] },
+      );
+
+      expect([...element.querySelectorAll('dt')].map(dt => dt.textContent)).toEqual(['Lanes']);
+      expect(element.querySelector('dd').textContent).toBe('32');
+    });
+
+    test('formats numbers with thousands separators', () => {
+      const element = renderToElement(
+        { title: 'Lanes', capacity: 1200 },
+        { fields: [{ key: 'capacity', label: 'Capacity', type: 'number' }] },
+      );
+
+      expect(element.querySelector('dd').textContent).toBe('1,200');
+    });
+
+    test('renders phone numbers as tel links', () => {
+      const element = renderToElement(
+        { title: 'Lanes', phone: '(617) 555-0100' },
+        { fields: [{ key: 'phone', label: 'Phone', type: 'phone' }] },
+      );
+
+      const link = element.querySelector('dd a');
+      expect(link.getAttribute('href')).toBe('tel:6175550100');
+      expect(link.textContent).toBe('(617) 555-0100');
+    });
+
+    test('renders http(s) URLs as external links showing the host name', () => {
+      const element = renderToElement(
+        { title: 'Lanes', website: 'https://www.luckystrike.example.com/leagues' },
+        { fields: [{ key: 'website', label: 'Website', type: 'url' }] },
+      );
+
+      const link = element.querySelector('dd a');
+      expect(link.getAttribute('href')).toBe('https://www.luckystrike.example.com/leagues');
+      expect(link.getAttribute('target')).toBe('_blank');
+      expect(link.getAttribute('rel')).toBe('noopener noreferrer');
+      expect(link.textContent).toBe('luckystrike.example.com');
+    });
+
+    test('drops URLs with unsafe schemes', () => {
+      const element = renderToElement(
+        { title: 'Lanes', website: 'javascript:alert(1)' },
+        { fields: [{ key: 'website', label: 'Website', type: 'url' }] },
+      );
+
+      expect(element.querySelector('a')).toBeNull();
+      expect(element.querySelector('.neba-map-popup-fields')).toBeNull();
+    });
+
+    test('renders unlabelled fields across the full width', () => {
+      const element = renderToElement(
+        { title: 'Lanes', note: 'Cosmic bowling Fridays' },
+        { fields: [{ key: 'note' }] },
+      );
+
+      expect(element.querySelector('dt')).toBeNull();
+      expect(element.querySelector('dd.neba-map-popup-field-full').textContent).toBe('Cosmic bowling Fridays');
+    });
+
+    test('renders action buttons tagged with the action and location ids', () => {
+      const element = renderToElement(
+        { id: 'Lucky-"Strike"', title: 'Lanes' },
+        { actions: [{ id: 'directions', label: 'Get directions' }] },
+      );
+
+      const button = element.querySelector('button.neba-map-popup-action');
+      expect(button.getAttribute('type')).toBe('button');
+      expect(button.dataset.popupAction).toBe('directions');
+      expect(button.dataset.locationId).toBe('Lucky-"Strike"');
+      expect(button.textContent).toBe('Get directions');
+    });
+
+    test('omits the actions container when there are no actions', () => {
+      const element = renderToElement({ title: 'Lanes' });
+
+      expect(element.querySelector('.neba-map-popup-actions')).toBeNull();
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('renderClusterPopupContent', () => {
+    test('lists each location as a button carrying its id', () => {
+      const element = document.createElement('div');
+      element.innerHTML = renderClusterPopupContent([
+        { id: 'a', title: 'Boston Bowl' },
+        { id: 'b', title: 'Lucky Strike' },
+      ]);
+
+      expect(element.querySelector('.neba-map-popup-title').textContent).toBe('2 locations here');
+      expect([...element.querySelectorAll('.neba-map-popup-cluster-item')].map(button => [button.dataset.locationId, button.textContent]))
+        .toEqual([['a', 'Boston Bowl'], ['b', 'Lucky Strike']]);
+    });
+
+    test('escapes titles and falls back to the id', () => {
+      const html = renderClusterPopupContent([{ id: 'x"1', title: '<b>Lanes</b>' }, { id: 'plain' }]);
+
+      expect(html).toContain('data-location-id="x&quot;1">&lt;b&gt;Lanes&lt;/b&gt;</button>');
+      expect(html).toContain('data-location-id="plain">plain</button>');
+    });
+  });
+});
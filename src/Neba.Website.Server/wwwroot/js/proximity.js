@@ -0,0 +1,92 @@
+/**
+ * Proximity
+ * Straight-line (great-circle) distances from a point to map locations, used by NebaMap's
+ * "near me" mode to rank locations and size the radius ring, and the point-in-polygon test
+ * used to flag locations inside a drive-time area.
+ */
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+export const METERS_PER_MILE = 1609.344;
+
+/**
+ * Converts degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Calculates the haversine distance between two positions
+ * @param {number[]} from - [longitude, latitude]
+ * @param {number[]} to - [longitude, latitude]
+ * @returns {number} Distance in miles
+ */
+export function getDistanceMiles(from, to) {
+    const [fromLongitude, fromLatitude] = from;
+    const [toLongitude, toLatitude] = to;
+
+    const deltaLatitude = toRadians(toLatitude - fromLatitude);
+    const deltaLongitude = toRadians(toLongitude - fromLongitude);
+
+    const a = Math.sin(deltaLatitude / 2) ** 2 +
+        Math.cos(toRadians(fromLatitude)) * Math.cos(toRadians(toLatitude)) * Math.sin(deltaLongitude / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Checks that a value is a [longitude, latitude] pair within valid ranges
+ * @param {any} position - Candidate position
+ * @returns {boolean} True for a usable position
+ */
+export function isValidPosition(position) {
+    if (!Array.isArray(position) || position.length < 2) {
+        return false;
+    }
+
+    const [longitude, latitude] = position.map(Number);
+    return Number.isFinite(longitude) && Number.isFinite(latitude) &&
+        Math.abs(longitude) <= 180 && Math.abs(latitude) <= 90;
+}
+
+/**
+ * Ranks marker features by distance from an origin, nearest first
+ * Note: Using PascalCase to match the C# MapLocationDistance record for deserialization
+ * @param {number[]} origin - [longitude, latitude]
+ * @param {Iterable<Object>} features - Marker features with properties.id and point geometry
+ * @returns {Array<Object>} [{ LocationId, DistanceMiles }] rounded to 0.01 mi
+ */
+export function rankByDistance(origin, features) {
+    return [...features]
+        .filter(feature => feature?.properties?.id && isValidPosition(feature.geometry?.coordinates))
+        .map(feature => ({
+            LocationId: feature.properties.id,
+            DistanceMiles: Math.round(getDistanceMiles(origin, feature.geometry.coordinates) * 100) / 100
+        }))
+        .sort((a, b) => a.DistanceMiles - b.DistanceMiles);
+}
+
+/**
+ * Checks whether a position lies inside a polygon ring (ray casting; points on an edge may go either way)
+ * @param {number[]} position - [longitude, latitude]
+ * @param {Array<number[]>} ring - Polygon ring of [longitude, latitude] positions
+ * @returns {boolean} True when the position is inside the ring
+ */
+export function isPositionInRing(position, ring) {
+    const [x, y] = position;
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
@@ -0,0 +1,117 @@
+// Tests for proximity.js
+// Covers: haversine distance, position validation, ranking markers by distance and point-in-polygon
+
+import {
+  METERS_PER_MILE,
+  getDistanceMiles,
+  isValidPosition,
+  rankByDistance,
+  isPositionInRing,
+} from './proximity.js';
+
+const BOSTON = [-71.0589, 42.3601];
+const WORCESTER = [-71.8023, 42.2626];
+const PROVIDENCE = [-71.4128, 41.824];
+
+function makeFeature(id, coordinates) {
+  return { properties: { id }, geometry: { type: 'Point', coordinates } };
+}
+
+describe('proximity', () => {
+  // ---------------------------------------------------------------------------
+  describe('getDistanceMiles', () => {
+    test('returns zero for the same position', () => {
+      expect(getDistanceMiles(BOSTON, BOSTON)).toBe(0);
+    });
+
+    test('matches the known straight-line distance between two cities', () => {
+      // Boston to Worcester is roughly 38.5 miles as the crow flies
+      expect(getDistanceMiles(BOSTON, WORCESTER)).toBeCloseTo(38.5, 0);
+    });
+
+    test('is symmetric', () => {
+      expect(getDistanceMiles(BOSTON, PROVIDENCE)).toBeCloseTo(getDistanceMiles(PROVIDENCE, BOSTON), 10);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('isValidPosition', () => {
+    test.each([
+      [BOSTON, true],
+      [[180, -90], true],
+      [[-181, 42], false],
+      [[-71, 91], false],
+      [[Number.NaN, 42], false],
+      [[-71], false],
+      [null, false],
+      ['-71,42', false],
+    ])('isValidPosition(%j) is %s', (position, expected) => {
+      expect(isValidPosition(position)).toBe(expected);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('rankByDistance', () => {
+    test('returns distances nearest first with PascalCase keys', () => {
+      const ranked = rankByDistance(BOSTON, [
+        makeFeature('worcester', WORCESTER),
+        makeFeature('boston', BOSTON),
+        makeFeature('providence', PROVIDENCE),
+      ]);
+
+      expect(ranked.map(r => r.LocationId)).toEqual(['boston', 'worcester', 'providence']);
+      expect(ranked[0]).toEqual({ LocationId: 'boston', DistanceMiles: 0 });
+    });
+
+    test('rounds distances to hundredths of a mile', () => {
+      const [ranked] = rankByDistance(BOSTON, [makeFeature('worcester', WORCESTER)]);
+
+      expect(ranked.DistanceMiles).toBe(Math.round(getDistanceMiles(BOSTON, WORCESTER) * 100) / 100);
+    });
+
+    test('skips features without an id or a valid position', () => {
+      const ranked = rankByDistance(BOSTON, [
+        makeFeature(null, WORCESTER),
+        makeFeature('bad', [Number.NaN, 42]),
+        makeFeature('providence', PROVIDENCE),
+      ]);
+
+      expect(ranked.map(r => r.LocationId)).toEqual(['providence']);
+    });
+
+    test('accepts any iterable of features', () => {
+      const markers = new Map([['boston', makeFeature('boston', BOSTON)]]);
+
+      expect(rankByDistance(BOSTON, markers.values())).toHaveLength(1);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('isPositionInRing', () => {
+    const square = [[-72, 41], [-70, 41], [-70, 43], [-72, 43], [-72, 41]];
+
+    test.each([
+      [BOSTON, true],
+      [[-69.5, 42], false],
+      [[-71, 43.5], false],
+    ])('isPositionInRing(%j) is %s', (position, expected) => {
+      expect(isPositionInRing(position, square)).toBe(expected);
+    });
+
+    test('handles concave rings', () => {
+      // U shape opening to the north: the notch between the arms is outside
+      const ring = [[0, 0], [3, 0], [3, 3], [2, 3], [2, 1], [1, 1], [1, 3], [0, 3], [0, 0]];
+
+      expect(isPositionInRing([0.5, 2], ring)).toBe(true);
+      expect(isPositionInRing([1.5, 2], ring)).toBe(false);
+    });
+
+    test('returns false for an empty ring', () => {
+      expect(isPositionInRing(BOSTON, [])).toBe(false);
+    });
+  });
+
+  test('converts miles to meters', () => {
+    expect(METERS_PER_MILE).toBeCloseTo(1609.344, 3);
+  });
+});
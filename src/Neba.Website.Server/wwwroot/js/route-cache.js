@@ -0,0 +1,250 @@
+/**
+ * Route Cache
+ * Stores calculated routes in IndexedDB keyed on rounded origin/destination coordinates,
+ * so repeat direction requests can be answered immediately and replayed while offline.
+ * Routes older than the maximum replay age are never replayed and are pruned on each write.
+ * Falls back to an in-memory store when IndexedDB is unavailable (private browsing, tests).
+ */
+
+const DATABASE_NAME = 'neba-maps';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'routes';
+
+export const DEFAULT_ROUTE_CACHE_TTL_MINUTES = 30;
+
+// Past a week, roads and closures have changed too much for an offline replay to be useful
+export const MAX_ROUTE_REPLAY_AGE_DAYS = 7;
+
+// Rounding to 3 decimals groups requests within roughly 100 m of each other
+const COORDINATE_PRECISION = 3;
+
+let databasePromise = null;
+const memoryStore = new Map();
+
+/**
+ * Builds the cache key for a route request
+ * @param {number[]} origin - Origin coordinates [longitude, latitude]
+ * @param {number[]} destination - Destination coordinates [longitude, latitude]
+ * @param {string} optionsKey - Non-default route options from describeRouteOptions ('' for the defaults)
+ * @param {Array<number[]>} waypoints - Stops between origin and destination, in the order requested
+ * @param {string} providerName - Routing provider that calculates the route ('azure', 'osrm'), since providers return different routes
+ * @returns {string} Cache key (e.g., "42.360,-71.059:42.500,-71.500" or "osrm|42.360,-71.059:42.400,-71.200:42.500,-71.500|no-tolls")
+ */
+export function buildRouteCacheKey(origin, destination, optionsKey = '', waypoints = [], providerName = '') {
+    const format = ([longitude, latitude]) =>
+        `${Number(latitude).toFixed(COORDINATE_PRECISION)},${Number(longitude).toFixed(COORDINATE_PRECISION)}`;
+
+    const key = [origin, ...waypoints, destination].map(format).join(':');
+    const providerKey = providerName ? `${providerName}|${key}` : key;
+    return optionsKey ? `${providerKey}|${optionsKey}` : providerKey;
+}
+
+/**
+ * Checks whether a cache entry is still within its time-to-live
+ * @param {Object} entry - Cache entry { cachedAt }
+ * @param {number} ttlMinutes - Time-to-live in minutes
+ * @returns {boolean} True when the entry can be served without a network request
+ */
+export function isRouteCacheEntryFresh(entry, ttlMinutes = DEFAULT_ROUTE_CACHE_TTL_MINUTES) {
+    if (!entry || !Number.isFinite(entry.cachedAt)) {
+        return false;
+    }
+
+    return Date.now() - entry.cachedAt < ttlMinutes * 60 * 1000;
+}
+
+/**
+ * Checks whether a cache entry is too old to replay, even while offline
+ * @param {Object} entry - Cache entry { cachedAt }
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {boolean} True when the entry should be dropped
+ */
+function isPastReplayAge(entry, now = Date.now()) {
+    const cutoff = now - MAX_ROUTE_REPLAY_AGE_DAYS * 24 * 60 * 60 * 1000;
+    return !(entry?.cachedAt >= cutoff);
+}
+
+/**
+ * Formats a cache timestamp as an ISO 8601 string in the browser's local offset
+ * (e.g., "2026-10-17T07:05:00-04:00"), so .NET can show the time the user saw it.
+ * @param {number} cachedAt - Epoch milliseconds
+ * @returns {string} ISO 8601 timestamp with offset
+ */
+export function formatCachedAt(cachedAt) {
+    const date = new Date(cachedAt);
+    const pad = value => String(Math.trunc(Math.abs(value))).padStart(2, '0');
+    const offsetMinutes = -date.getTimezoneOffset();
+    const sign = offsetMinutes >= 0 ? '+' : '-';
+
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+        `${sign}${pad(offsetMinutes / 60)}:${pad(offsetMinutes % 60)}`;
+}
+
+/**
+ * Opens (and upgrades when needed) the route cache database
+ * @returns {Promise<IDBDatabase|null>} Database handle, or null when IndexedDB cannot be used
+ */
+function openDatabase() {
+    if (databasePromise) {
+        return databasePromise;
+    }
+
+    databasePromise = new Promise((resolve) => {
+        if (!globalThis.indexedDB) {
+            resolve(null);
+            return;
+        }
+
+        try {
+            const request = globalThis.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(STORE_NAME)) {
+                    database.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('[RouteCache] IndexedDB unavailable, using in-memory cache:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.warn('[RouteCache] IndexedDB unavailable, using in-memory cache:', error);
+            resolve(null);
+        }
+    });
+
+    return databasePromise;
+}
+
+/**
+ * Runs a single request against the routes object store
+ * @param {IDBDatabase} database - Open database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+function runStoreRequest(database, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Deletes every stored route older than the maximum replay age
+ * @param {IDBDatabase} database - Open database
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {Promise<void>}
+ */
+function pruneStoredRoutes(database, now) {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(STORE_NAME, 'readwrite');
+        const request = transaction.objectStore(STORE_NAME).openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+
+            if (isPastReplayAge(cursor.value, now)) {
+                cursor.delete();
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Reads a cached route, including entries past their time-to-live (used for offline replay)
+ * but not entries past the maximum replay age
+ * @param {string} key - Cache key from buildRouteCacheKey
+ * @returns {Promise<Object|null>} Cache entry { key, routeData, cachedAt } or null
+ */
+export async function getCachedRoute(key) {
+    const database = await openDatabase();
+    let entry;
+
+    if (!database) {
+        entry = memoryStore.get(key);
+    } else {
+        try {
+            entry = await runStoreRequest(database, 'readonly', store => store.get(key));
+        } catch (error) {
+            console.warn('[RouteCache] Failed to read cached route:', error);
+            entry = memoryStore.get(key);
+        }
+    }
+
+    return entry && !isPastReplayAge(entry) ? entry : null;
+}
+
+/**
+ * Stores a route in the cache, pruning routes past the maximum replay age
+ * @param {string} key - Cache key from buildRouteCacheKey
+ * @param {Object} routeData - RouteData-compatible object
+ * @returns {Promise<Object>} The stored cache entry
+ */
+export async function putCachedRoute(key, routeData) {
+    const entry = { key, routeData, cachedAt: Date.now() };
+    const database = await openDatabase();
+
+    for (const [storedKey, storedEntry] of memoryStore) {
+        if (isPastReplayAge(storedEntry, entry.cachedAt)) {
+            memoryStore.delete(storedKey);
+        }
+    }
+
+    if (!database) {
+        memoryStore.set(key, entry);
+        return entry;
+    }
+
+    try {
+        await runStoreRequest(database, 'readwrite', store => store.put(entry));
+    } catch (error) {
+        console.warn('[RouteCache] Failed to write cached route:', error);
+        memoryStore.set(key, entry);
+    }
+
+    try {
+        await pruneStoredRoutes(database, entry.cachedAt);
+    } catch (error) {
+        console.warn('[RouteCache] Failed to prune cached routes:', error);
+    }
+
+    return entry;
+}
+
+/**
+ * Removes every cached route
+ * @returns {Promise<void>}
+ */
+export async function clearRouteCache() {
+    memoryStore.clear();
+    const database = await openDatabase();
+
+    if (!database) {
+        return;
+    }
+
+    try {
+        await runStoreRequest(database, 'readwrite', store => store.clear());
+    } catch (error) {
+        console.warn('[RouteCache] Failed to clear cached routes:', error);
+    }
+}
+
+/**
+ * Drops the cached database handle so the next call reopens it (used by tests)
+ */
+export function resetRouteCacheConnection() {
+    databasePromise = null;
+    memoryStore.clear();
+}
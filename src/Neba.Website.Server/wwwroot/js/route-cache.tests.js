@@ -0,0 +1,341 @@
+// Tests for route-cache.js
+// Covers: buildRouteCacheKey, isRouteCacheEntryFresh, getCachedRoute, putCachedRoute,
+//         formatCachedAt, clearRouteCache, pruning past the maximum replay age
+//         (in-memory fallback and IndexedDB paths)
+
+import {
+  buildRouteCacheKey,
+  isRouteCacheEntryFresh,
+  getCachedRoute,
+  putCachedRoute,
+  clearRouteCache,
+  formatCachedAt,
+  resetRouteCacheConnection,
+  DEFAULT_ROUTE_CACHE_TTL_MINUTES,
+  MAX_ROUTE_REPLAY_AGE_DAYS,
+} from './route-cache.js';
+
+/**
+ * Minimal IndexedDB stand-in: requests resolve on the next tick via onsuccess,
+ * which is all route-cache.js relies on.
+ */
+function createIndexedDbMock() {
+  const records = new Map();
+  const storeNames = new Set();
+
+  function makeRequest(resultFactory) {
+    const request = { result: undefined, error: null };
+    setTimeout(() => {
+      request.result = resultFactory();
+      request.onsuccess?.();
+    }, 0);
+    return request;
+  }
+
+  const objectStore = {
+    get: jest.fn((key) => makeRequest(() => records.get(key))),
+    put: jest.fn((value) => makeRequest(() => records.set(value.key, value) && value.key)),
+    clear: jest.fn(() => makeRequest(() => records.clear())),
+    openCursor: jest.fn(() => {
+      const request = { result: null, error: null };
+      const keys = [...records.keys()];
+      const advance = () => setTimeout(() => {
+        const key = keys.shift();
+        request.result = key === undefined
+          ? null
+          : { value: records.get(key), delete: () => records.delete(key), continue: advance };
+        request.onsuccess?.();
+      }, 0);
+      advance();
+      return request;
+    }),
+  };
+
+  const database = {
+    objectStoreNames: { contains: (name) => storeNames.has(name) },
+    createObjectStore: jest.fn((name) => storeNames.add(name)),
+    transaction: jest.fn(() => ({ objectStore: () => objectStore })),
+  };
+
+  const indexedDB = {
+    open: jest.fn(() => {
+      const request = { result: database };
+      setTimeout(() => {
+        request.onupgradeneeded?.();
+        request.onsuccess?.();
+      }, 0);
+      return request;
+    }),
+  };
+
+  return { indexedDB, database, objectStore, records };
+}
+
+const routeData = { DistanceMeters: 5000, TravelTimeSeconds: 300 };
+const MAX_REPLAY_AGE_MS = MAX_ROUTE_REPLAY_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+describe('route-cache', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    delete globalThis.indexedDB;
+    resetRouteCacheConnection();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    delete globalThis.indexedDB;
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('buildRouteCacheKey', () => {
+    test('formats origin and destination as rounded lat,lon pairs', () => {
+      expect(buildRouteCacheKey([-71.05891, 42.36012], [-71.5, 42.5])).toBe(
+        '42.360,-71.059:42.500,-71.500',
+      );
+    });
+
+    test('produces the same key for points within the rounding precision', () => {
+      const a = buildRouteCacheKey([-71.0589, 42.3601], [-71.5, 42.5]);
+      const b = buildRouteCacheKey([-71.0591, 42.3603], [-71.5001, 42.4999]);
+
+      expect(a).toBe(b);
+    });
+
+    test('distinguishes origin from destination', () => {
+      const forward = buildRouteCacheKey([-71, 42], [-70, 43]);
+      const reverse = buildRouteCacheKey([-70, 43], [-71, 42]);
+
+      expect(forward).not.toBe(reverse);
+    });
+
+    test('keeps routes with different options apart', () => {
+      const defaults = buildRouteCacheKey([-71, 42], [-70, 43], '');
+      const noTolls = buildRouteCacheKey([-71, 42], [-70, 43], 'no-tolls');
+
+      expect(defaults).toBe('42.000,-71.000:43.000,-70.000');
+      expect(noTolls).toBe('42.000,-71.000:43.000,-70.000|no-tolls');
+    });
+
+    test('includes carpool stops in the order they are visited', () => {
+      const key = buildRouteCacheKey([-71, 42], [-70, 43], '', [[-70.8, 42.2], [-70.5, 42.6]]);
+      const reordered = buildRouteCacheKey([-71, 42], [-70, 43], '', [[-70.5, 42.6], [-70.8, 42.2]]);
+
+      expect(key).toBe('42.000,-71.000:42.200,-70.800:42.600,-70.500:43.000,-70.000');
+      expect(reordered).not.toBe(key);
+    });
+
+    test('keeps routes from different routing providers apart', () => {
+      const azure = buildRouteCacheKey([-71, 42], [-70, 43], 'no-tolls', [], 'azure');
+      const osrm = buildRouteCacheKey([-71, 42], [-70, 43], 'no-tolls', [], 'osrm');
+
+      expect(azure).toBe('azure|42.000,-71.000:43.000,-70.000|no-tolls');
+      expect(osrm).not.toBe(azure);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('isRouteCacheEntryFresh', () => {
+    test('returns false for a missing entry', () => {
+      expect(isRouteCacheEntryFresh(null, 30)).toBe(false);
+    });
+
+    test('returns false when cachedAt is not a number', () => {
+      expect(isRouteCacheEntryFresh({ cachedAt: 'yesterday' }, 30)).toBe(false);
+    });
+
+    test('returns true within the time-to-live', () => {
+      const entry = { cachedAt: Date.now() - 29 * 60 * 1000 };
+
+      expect(isRouteCacheEntryFresh(entry, 30)).toBe(true);
+    });
+
+    test('returns false once the time-to-live has elapsed', () => {
+      const entry = { cachedAt: Date.now() - 30 * 60 * 1000 };
+
+      expect(isRouteCacheEntryFresh(entry, 30)).toBe(false);
+    });
+
+    test('treats a zero time-to-live as always expired', () => {
+      expect(isRouteCacheEntryFresh({ cachedAt: Date.now() }, 0)).toBe(false);
+    });
+
+    test('defaults to the module time-to-live', () => {
+      const entry = { cachedAt: Date.now() - (DEFAULT_ROUTE_CACHE_TTL_MINUTES - 1) * 60 * 1000 };
+
+      expect(isRouteCacheEntryFresh(entry)).toBe(true);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('formatCachedAt', () => {
+    test('formats the timestamp as ISO 8601 with a UTC offset', () => {
+      expect(formatCachedAt(Date.now())).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[+-]\d{2}:\d{2}$/);
+    });
+
+    test('represents the same instant as the input', () => {
+      const cachedAt = Date.UTC(2026, 9, 17, 11, 5, 0);
+
+      expect(Date.parse(formatCachedAt(cachedAt))).toBe(cachedAt);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('in-memory fallback', () => {
+    test('returns null for an unknown key', async () => {
+      await expect(getCachedRoute('missing')).resolves.toBeNull();
+    });
+
+    test('returns a stored route with its timestamp', async () => {
+      const before = Date.now();
+
+      await putCachedRoute('key', routeData);
+      const entry = await getCachedRoute('key');
+
+      expect(entry.routeData).toEqual(routeData);
+      expect(entry.cachedAt).toBeGreaterThanOrEqual(before);
+    });
+
+    test('clearRouteCache removes stored routes', async () => {
+      await putCachedRoute('key', routeData);
+
+      await clearRouteCache();
+
+      await expect(getCachedRoute('key')).resolves.toBeNull();
+    });
+
+    test('prunes routes past the maximum replay age on write', async () => {
+      const now = Date.now();
+      const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(now - MAX_REPLAY_AGE_MS - 1);
+      await putCachedRoute('old', routeData);
+      dateSpy.mockReturnValue(now - MAX_REPLAY_AGE_MS + 60 * 1000);
+      await putCachedRoute('recent', routeData);
+
+      dateSpy.mockReturnValue(now);
+      await putCachedRoute('new', routeData);
+      dateSpy.mockRestore();
+
+      await expect(getCachedRoute('old')).resolves.toBeNull();
+      await expect(getCachedRoute('recent')).resolves.not.toBeNull();
+      await expect(getCachedRoute('new')).resolves.not.toBeNull();
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('IndexedDB storage', () => {
+    test('creates the routes object store on first open', async () => {
+      const { indexedDB, database } = createIndexedDbMock();
+      globalThis.indexedDB = indexedDB;
+
+      await getCachedRoute('key');
+
+      expect(indexedDB.open).toHaveBeenCalledWith('neba-maps', 1);
+      expect(database.createObjectStore).toHaveBeenCalledWith('routes', { keyPath: 'key' });
+    });
+
+    test('round-trips a route through the object store', async () => {
+      const { indexedDB, objectStore } = createIndexedDbMock();
+      globalThis.indexedDB = indexedDB;
+
+      await putCachedRoute('key', routeData);
+      const entry = await getCachedRoute('key');
+
+      expect(objectStore.put).toHaveBeenCalledWith(expect.objectContaining({ key: 'key', routeData }));
+      expect(entry.routeData).toEqual(routeData);
+    });
+
+    test('opens the database only once', async () => {
+      const { indexedDB } = createIndexedDbMock();
+      globalThis.indexedDB = indexedDB;
+
+      await getCachedRoute('a');
+      await getCachedRoute('b');
+
+      expect(indexedDB.open).toHaveBeenCalledTimes(1);
+    });
+
+    test('deletes stored routes past the maximum replay age on write', async () => {
+      const { indexedDB, records } = createIndexedDbMock();
+      globalThis.indexedDB = indexedDB;
+      const now = Date.now();
+      records.set('old', { key: 'old', routeData, cachedAt: now - MAX_REPLAY_AGE_MS - 1 });
+      records.set('recent', { key: 'recent', routeData, cachedAt: now - MAX_REPLAY_AGE_MS + 60 * 1000 });
+      records.set('corrupt', { key: 'corrupt', routeData, cachedAt: 'yesterday' });
+
+      await putCachedRoute('new', routeData);
+
+      expect([...records.keys()].sort()).toEqual(['new', 'recent']);
+    });
+
+    test('does not replay a stored route past the maximum replay age', async () => {
+      const { indexedDB, records } = createIndexedDbMock();
+      globalThis.indexedDB = indexedDB;
+      records.set('old', { key: 'old', routeData, cachedAt: Date.now() - MAX_REPLAY_AGE_MS - 1 });
+
+      await expect(getCachedRoute('old')).resolves.toBeNull();
+    });
+
+    test('keeps the written route when pruning fails', async () => {
+      const { indexedDB, objectStore, records } = createIndexedDbMock();
+      globalThis.indexedDB = indexedDB;
+      objectStore.openCursor.mockImplementation(() => {
+        const request = { error: new Error('cursor failed') };
+        setTimeout(() => request.onerror?.(), 0);
+        return request;
+      });
+
+      await putCachedRoute('key', routeData);
+
+      expect(records.has('key')).toBe(true);
+      expect(console.warn).toHaveBeenCalledWith('[RouteCache] Failed to prune cached routes:', expect.any(Error));
+    });
+
+    test('clears the object store', async () => {
+      const { indexedDB, objectStore } = createIndexedDbMock();
+      globalThis.indexedDB = indexedDB;
+
+      await clearRouteCache();
+
+      expect(objectStore.clear).toHaveBeenCalled();
+    });
+
+    test('falls back to memory when the database cannot be opened', async () => {
+      globalThis.indexedDB = {
+        open: jest.fn(() => {
+          const request = { error: new Error('blocked') };
+          setTimeout(() => request.onerror?.(), 0);
+          return request;
+        }),
+      };
+
+      await putCachedRoute('key', routeData);
+      const entry = await getCachedRoute('key');
+
+      expect(entry.routeData).toEqual(routeData);
+      expect(console.warn).toHaveBeenCalledWith(
+        '[RouteCache] IndexedDB unavailable, using in-memory cache:',
+        expect.any(Error),
+      );
+    });
+
+    test('falls back to memory when a write fails', async () => {
+      const { indexedDB, objectStore } = createIndexedDbMock();
+      globalThis.indexedDB = indexedDB;
+      objectStore.put.mockImplementation(() => {
+        const request = { error: new Error('quota exceeded') };
+        setTimeout(() => request.onerror?.(), 0);
+        return request;
+      });
+      objectStore.get.mockImplementation(() => {
+        const request = { error: new Error('read failed') };
+        setTimeout(() => request.onerror?.(), 0);
+        return request;
+      });
+
+      await putCachedRoute('key', routeData);
+      const entry = await getCachedRoute('key');
+
+      expect(entry.routeData).toEqual(routeData);
+    });
+  });
+});
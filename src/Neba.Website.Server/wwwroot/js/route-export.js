@@ -0,0 +1,163 @@
+/**
+ * Route Export
+ * Turns a calculated route into files and documents a member can take with them: GPX and KML
+ * downloads for GPS units and mapping apps, and the printable turn-by-turn sheet opened from
+ * DirectionsModal. Every name and instruction is XML/HTML-escaped.
+ *
+ * Points: [{ name, location: [longitude, latitude] }]   (start, carpool stops, destination)
+ * Sheet: {
+ *   title, summary, settingsSummary?,
+ *   steps: [{ text, distance?, heading? }]   (heading entries start a new trip leg)
+ * }
+ */
+
+import { escapeHtml } from './popup-template.js';
+import { isValidPosition } from './proximity.js';
+
+export const ROUTE_EXPORT_FORMATS = {
+    gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+};
+
+/**
+ * Reads the route line coordinates from a RouteGeoJson string
+ * @param {string|null} routeGeoJson - GeoJSON Feature string with LineString geometry
+ * @returns {Array<number[]>} [longitude, latitude] positions ([] when missing or invalid)
+ */
+export function readRouteCoordinates(routeGeoJson) {
+    if (!routeGeoJson) {
+        return [];
+    }
+
+    try {
+        const feature = JSON.parse(routeGeoJson);
+        if (feature?.geometry?.type !== 'LineString') {
+            return [];
+        }
+
+        return feature.geometry.coordinates.filter(isValidPosition);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Drops points without a usable location
+ * @param {Array<Object>|null} points - Named route points
+ * @returns {Array<Object>} Valid points
+ */
+function validPoints(points) {
+    return (Array.isArray(points) ? points : []).filter(point => isValidPosition(point?.location));
+}
+
+/**
+ * Builds a GPX 1.1 document with the route as a track and the start, stops and destination as waypoints
+ * @param {string|null} routeGeoJson - GeoJSON Feature string for the route line
+ * @param {Object} options - { name, points }
+ * @returns {string} GPX XML
+ */
+export function buildGpx(routeGeoJson, { name = 'Route', points = [] } = {}) {
+    const waypoints = validPoints(points).map(point =>
+        `  <wpt lat="${point.location[1]}" lon="${point.location[0]}"><name>${escapeHtml(point.name)}</name></wpt>`);
+
+    const trackPoints = readRouteCoordinates(routeGeoJson).map(([longitude, latitude]) =>
+        `      <trkpt lat="${latitude}" lon="${longitude}"/>`);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="NEBA" xmlns="http://www.topografix.com/GPX/1/1">',
+        `  <metadata><name>${escapeHtml(name)}</name></metadata>`,
+        ...waypoints,
+        '  <trk>',
+        `    <name>${escapeHtml(name)}</name>`,
+        '    <trkseg>',
+        ...trackPoints,
+        '    </trkseg>',
+        '  </trk>',
+        '</gpx>'
+    ].join('\n');
+}
+
+/**
+ * Builds a KML document with the route as a line and the start, stops and destination as placemarks
+ * @param {string|null} routeGeoJson - GeoJSON Feature string for the route line
+ * @param {Object} options - { name, points }
+ * @returns {string} KML XML
+ */
+export function buildKml(routeGeoJson, { name = 'Route', points = [] } = {}) {
+    const placemarks = validPoints(points).map(point =>
+        `    <Placemark><name>${escapeHtml(point.name)}</name>` +
+        `<Point><coordinates>${point.location[0]},${point.location[1]}</coordinates></Point></Placemark>`);
+
+    const coordinates = readRouteCoordinates(routeGeoJson)
+        .map(([longitude, latitude]) => `${longitude},${latitude}`)
+        .join(' ');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeHtml(name)}</name>`,
+        ...placemarks,
+        `    <Placemark><name>${escapeHtml(name)}</name>` +
+        `<LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString></Placemark>`,
+        '  </Document>',
+        '</kml>'
+    ].join('\n');
+}
+
+/**
+ * Builds the printable turn-by-turn sheet
+ * @param {Object} sheet - { title, summary, settingsSummary?, steps }
+ * @param {string|null} snapshotUrl - Image of the route mini-map (data URL), or null to leave the map out
+ * @returns {string} Standalone HTML document
+ */
+export function buildPrintableDirections(sheet, snapshotUrl = null) {
+    const steps = Array.isArray(sheet?.steps) ? sheet.steps : [];
+    let stepNumber = 0;
+
+    const rows = steps.map(step => {
+        if (step?.heading) {
+            return `<li class="leg">${escapeHtml(step.heading)}</li>`;
+        }
+
+        stepNumber++;
+        const distance = step?.distance ? ` <span class="distance">${escapeHtml(step.distance)}</span>` : '';
+        return `<li><span class="number">${stepNumber}.</span> ${escapeHtml(step?.text)}${distance}</li>`;
+    });
+
+    // Only embed our own canvas snapshot; anything else could load remote content into the print window
+    const snapshot = typeof snapshotUrl === 'string' && snapshotUrl.startsWith('data:image/')
+        ? `<img class="map" src="${escapeHtml(snapshotUrl)}" alt="Route map">`
+        : '';
+
+    const settings = sheet?.settingsSummary ? `<p>${escapeHtml(sheet.settingsSummary)}</p>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(sheet?.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; color: #111827; margin: 24px; }
+h1 { font-size: 20px; margin: 0 0 4px; }
+p { margin: 0 0 4px; color: #374151; }
+.map { display: block; width: 100%; max-width: 640px; margin: 16px 0; border: 1px solid #d1d5db; }
+ol { list-style: none; padding: 0; }
+li { padding: 6px 0; border-bottom: 1px solid #e5e7eb; break-inside: avoid; }
+li.leg { font-weight: 600; text-transform: uppercase; font-size: 12px; color: #4b5563; padding-top: 12px; }
+.number { font-weight: 600; }
+.distance { color: #6b7280; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(sheet?.title)}</h1>
+<p>${escapeHtml(sheet?.summary)}</p>
+${settings}
+${snapshot}
+<ol>
+${rows.join('\n')}
+</ol>
+</body>
+</html>`;
+}
@@ -0,0 +1,136 @@
+// Tests for route-export.js
+// Covers: readRouteCoordinates, buildGpx, buildKml, buildPrintableDirections
+
+import {
+  readRouteCoordinates,
+  buildGpx,
+  buildKml,
+  buildPrintableDirections,
+} from './route-export.js';
+
+const routeGeoJson = JSON.stringify({
+  type: 'Feature',
+  geometry: { type: 'LineString', coordinates: [[-71.06, 42.36], [-71.3, 42.4], [-71.5, 42.5]] },
+  properties: {},
+});
+
+const points = [
+  { name: 'Start', location: [-71.06, 42.36] },
+  { name: 'Bowl & Roll <Waltham>', location: [-71.5, 42.5] },
+];
+
+function parseXml(xml) {
+  return new DOMParser().parseFromString(xml, 'application/xml');
+}
+
+describe('route-export', () => {
+  // ---------------------------------------------------------------------------
+  describe('readRouteCoordinates', () => {
+    test('returns the LineString coordinates', () => {
+      expect(readRouteCoordinates(routeGeoJson)).toEqual([[-71.06, 42.36], [-71.3, 42.4], [-71.5, 42.5]]);
+    });
+
+    test('returns an empty array for missing or invalid GeoJSON', () => {
+      expect(readRouteCoordinates(null)).toEqual([]);
+      expect(readRouteCoordinates('{not json')).toEqual([]);
+      expect(readRouteCoordinates(JSON.stringify({ geometry: { type: 'Point', coordinates: [0, 0] } }))).toEqual([]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('buildGpx', () => {
+    test('writes the route as a track with lat/lon attributes', () => {
+      const gpx = parseXml(buildGpx(routeGeoJson, { name: 'To the lanes', points }));
+      const trackPoints = [...gpx.getElementsByTagName('trkpt')];
+
+      expect(gpx.getElementsByTagName('parsererror')).toHaveLength(0);
+      expect(trackPoints).toHaveLength(3);
+      expect(trackPoints[1].getAttribute('lat')).toBe('42.4');
+      expect(trackPoints[1].getAttribute('lon')).toBe('-71.3');
+    });
+
+    test('writes each point as a waypoint with an escaped name', () => {
+      const xml = buildGpx(routeGeoJson, { name: 'To the lanes', points });
+      const waypoints = [...parseXml(xml).getElementsByTagName('wpt')];
+
+      expect(waypoints).toHaveLength(2);
+      expect(waypoints[1].textContent).toBe('Bowl & Roll <Waltham>');
+      expect(xml).toContain('Bowl &amp; Roll &lt;Waltham&gt;');
+    });
+
+    test('skips points without a usable location', () => {
+      const gpx = parseXml(buildGpx(routeGeoJson, { points: [{ name: 'Nowhere', location: null }] }));
+
+      expect(gpx.getElementsByTagName('wpt')).toHaveLength(0);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('buildKml', () => {
+    test('writes the route as a LineString in lon,lat order', () => {
+      const kml = parseXml(buildKml(routeGeoJson, { name: 'To the lanes', points }));
+      const lineCoordinates = kml.getElementsByTagName('LineString')[0]
+        .getElementsByTagName('coordinates')[0].textContent;
+
+      expect(kml.getElementsByTagName('parsererror')).toHaveLength(0);
+      expect(lineCoordinates).toBe('-71.06,42.36 -71.3,42.4 -71.5,42.5');
+    });
+
+    test('writes a placemark for each point and one for the route', () => {
+      const kml = parseXml(buildKml(routeGeoJson, { name: 'To the lanes', points }));
+
+      expect(kml.getElementsByTagName('Placemark')).toHaveLength(3);
+      expect(kml.getElementsByTagName('Point')).toHaveLength(2);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('buildPrintableDirections', () => {
+    const sheet = {
+      title: 'Directions to Bowl & Roll',
+      summary: '12.4 mi · 22 min',
+      settingsSummary: 'Fastest · Driving',
+      steps: [
+        { heading: 'Leg 1: Start → Alex' },
+        { text: 'Head north on <Main St>', distance: '0.3 mi' },
+        { heading: 'Leg 2: Alex → Bowl & Roll' },
+        { text: 'Arrive at your destination' },
+      ],
+    };
+
+    function renderSheet(snapshotUrl) {
+      return new DOMParser().parseFromString(buildPrintableDirections(sheet, snapshotUrl), 'text/html');
+    }
+
+    test('numbers the steps, skipping leg headings', () => {
+      const items = [...renderSheet(null).querySelectorAll('li:not(.leg)')];
+
+      expect(items.map(item => item.querySelector('.number').textContent)).toEqual(['1.', '2.']);
+      expect(items[0].textContent).toContain('Head north on <Main St>');
+      expect(items[0].querySelector('.distance').textContent).toBe('0.3 mi');
+    });
+
+    test('renders leg headings', () => {
+      const headings = [...renderSheet(null).querySelectorAll('li.leg')].map(item => item.textContent);
+
+      expect(headings).toEqual(['Leg 1: Start → Alex', 'Leg 2: Alex → Bowl & Roll']);
+    });
+
+    test('escapes the title and instruction text', () => {
+      const html = buildPrintableDirections(sheet, null);
+
+      expect(html).toContain('Directions to Bowl &amp; Roll');
+      expect(html).toContain('Head north on &lt;Main St&gt;');
+    });
+
+    test('includes the map snapshot when it is an image data URL', () => {
+      const image = renderSheet('data:image/png;base64,AAAA').querySelector('img.map');
+
+      expect(image.getAttribute('src')).toBe('data:image/png;base64,AAAA');
+    });
+
+    test('leaves out snapshots that are not image data URLs', () => {
+      expect(renderSheet('https://example.com/tracker.png').querySelector('img')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Route Options
+ * Validates the travel mode, route type, avoidances, departure/arrival time and carpool stop
+ * ordering a member picks in DirectionsModal before they are handed to a routing provider.
+ *
+ * Options: {
+ *   travelMode: 'car' | 'bicycle' | 'pedestrian',
+ *   routeType: 'fastest' | 'shortest' | 'eco',
+ *   avoidTolls, avoidHighways,
+ *   departAt?, arriveAt?   (browser-local wall-clock time, e.g. "2026-10-24T07:00:00"),
+ *   optimizeWaypoints      (let the provider reorder the stops between origin and destination)
+ * }
+ */
+
+export const TRAVEL_MODES = ['car', 'bicycle', 'pedestrian'];
+export const ROUTE_TYPES = ['fastest', 'shortest', 'eco'];
+
+export const DEFAULT_ROUTE_OPTIONS = Object.freeze({
+    travelMode: 'car',
+    routeType: 'fastest',
+    avoidTolls: false,
+    avoidHighways: false,
+    departAt: null,
+    arriveAt: null,
+    optimizeWaypoints: false
+});
+
+/**
+ * Pads a date part to two digits
+ * @param {number} value - Date part
+ * @returns {string} Two-digit string
+ */
+function pad(value) {
+    return String(Math.trunc(Math.abs(value))).padStart(2, '0');
+}
+
+/**
+ * Formats a date as browser-local wall-clock time without an offset (e.g., "2026-10-24T07:00:00")
+ * @param {Date} date - Date to format
+ * @returns {string} Local date-time string
+ */
+function formatLocalDateTime(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Parses a browser-local date-time string
+ * @param {any} value - Candidate date-time (strings without an offset are read as local time)
+ * @returns {string|null} Normalized local date-time string, or null when missing or invalid
+ */
+function parseLocalDateTime(value) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : formatLocalDateTime(date);
+}
+
+/**
+ * Validates route options from .NET, falling back to the defaults for missing or unknown values.
+ * Departure and arrival times are mutually exclusive; the departure time wins when both are set.
+ * @param {Object|null} options - Route options (camelCase, as serialized by Blazor)
+ * @returns {Object} Normalized route options
+ */
+export function normalizeRouteOptions(options) {
+    const travelMode = String(options?.travelMode ?? '').toLowerCase();
+    const routeType = String(options?.routeType ?? '').toLowerCase();
+    const departAt = parseLocalDateTime(options?.departAt);
+
+    return {
+        travelMode: TRAVEL_MODES.includes(travelMode) ? travelMode : DEFAULT_ROUTE_OPTIONS.travelMode,
+        routeType: ROUTE_TYPES.includes(routeType) ? routeType : DEFAULT_ROUTE_OPTIONS.routeType,
+        avoidTolls: options?.avoidTolls === true,
+        avoidHighways: options?.avoidHighways === true,
+        departAt,
+        arriveAt: departAt ? null : parseLocalDateTime(options?.arriveAt),
+        optimizeWaypoints: options?.optimizeWaypoints === true
+    };
+}
+
+/**
+ * Converts a browser-local date-time to RFC 3339 with the browser's UTC offset
+ * (e.g., "2026-10-24T07:00:00-04:00"), the format routing APIs expect
+ * @param {string} localDateTime - Local date-time from normalizeRouteOptions
+ * @returns {string} Date-time with offset
+ */
+export function toOffsetDateTime(localDateTime) {
+    const date = new Date(localDateTime);
+    const offsetMinutes = -date.getTimezoneOffset();
+    const sign = offsetMinutes >= 0 ? '+' : '-';
+
+    return `${formatLocalDateTime(date)}${sign}${pad(offsetMinutes / 60)}:${pad(offsetMinutes % 60)}`;
+}
+
+/**
+ * Describes the non-default options in a short, stable form for use in cache keys
+ * (e.g., "bicycle,shortest,no-tolls,depart=2026-10-24T07:00:00")
+ * @param {Object} routeOptions - Normalized route options
+ * @returns {string} Comma-separated description ('' for the defaults)
+ */
+export function describeRouteOptions(routeOptions) {
+    return [
+        routeOptions.travelMode !== DEFAULT_ROUTE_OPTIONS.travelMode ? routeOptions.travelMode : null,
+        routeOptions.routeType !== DEFAULT_ROUTE_OPTIONS.routeType ? routeOptions.routeType : null,
+        routeOptions.avoidTolls ? 'no-tolls' : null,
+        routeOptions.avoidHighways ? 'no-highways' : null,
+        routeOptions.departAt ? `depart=${routeOptions.departAt}` : null,
+        routeOptions.arriveAt ? `arrive=${routeOptions.arriveAt}` : null,
+        routeOptions.optimizeWaypoints ? 'optimize' : null
+    ].filter(Boolean).join(',');
+}
@@ -0,0 +1,94 @@
+// Tests for route-options.js
+// Covers: normalizeRouteOptions, toOffsetDateTime, describeRouteOptions
+
+import {
+  DEFAULT_ROUTE_OPTIONS,
+  normalizeRouteOptions,
+  toOffsetDateTime,
+  describeRouteOptions,
+} from './route-options.js';
+
+describe('route-options', () => {
+  // ---------------------------------------------------------------------------
+  describe('normalizeRouteOptions', () => {
+    test('returns the defaults for missing options', () => {
+      expect(normalizeRouteOptions(null)).toEqual(DEFAULT_ROUTE_OPTIONS);
+    });
+
+    test('accepts travel modes and route types in any case', () => {
+      const options = normalizeRouteOptions({ travelMode: 'Bicycle', routeType: 'ECO' });
+
+      expect(options.travelMode).toBe('bicycle');
+      expect(options.routeType).toBe('eco');
+    });
+
+    test('falls back to the defaults for unknown travel modes and route types', () => {
+      const options = normalizeRouteOptions({ travelMode: 'hovercraft', routeType: 'thrilling' });
+
+      expect(options.travelMode).toBe('car');
+      expect(options.routeType).toBe('fastest');
+    });
+
+    test('only treats true as an avoidance', () => {
+      const options = normalizeRouteOptions({ avoidTolls: true, avoidHighways: 'yes' });
+
+      expect(options.avoidTolls).toBe(true);
+      expect(options.avoidHighways).toBe(false);
+    });
+
+    test('only treats true as a request to optimize the stop order', () => {
+      expect(normalizeRouteOptions({ optimizeWaypoints: true }).optimizeWaypoints).toBe(true);
+      expect(normalizeRouteOptions({ optimizeWaypoints: 'true' }).optimizeWaypoints).toBe(false);
+    });
+
+    test('normalizes local date-times to seconds precision', () => {
+      expect(normalizeRouteOptions({ departAt: '2026-10-24T07:00' }).departAt).toBe('2026-10-24T07:00:00');
+    });
+
+    test('drops invalid date-times', () => {
+      expect(normalizeRouteOptions({ departAt: 'Saturday morning' }).departAt).toBeNull();
+    });
+
+    test('keeps the departure time when both departure and arrival times are set', () => {
+      const options = normalizeRouteOptions({
+        departAt: '2026-10-24T07:00:00',
+        arriveAt: '2026-10-24T09:00:00',
+      });
+
+      expect(options.departAt).toBe('2026-10-24T07:00:00');
+      expect(options.arriveAt).toBeNull();
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('toOffsetDateTime', () => {
+    test('appends the browser offset to the local time', () => {
+      const value = toOffsetDateTime('2026-10-24T07:00:00');
+
+      expect(value).toMatch(/^2026-10-24T07:00:00[+-]\d{2}:\d{2}$/);
+      expect(new Date(value).getTime()).toBe(new Date('2026-10-24T07:00:00').getTime());
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('describeRouteOptions', () => {
+    test('returns an empty string for the defaults', () => {
+      expect(describeRouteOptions(DEFAULT_ROUTE_OPTIONS)).toBe('');
+    });
+
+    test('lists every non-default option', () => {
+      const options = normalizeRouteOptions({
+        travelMode: 'bicycle',
+        routeType: 'shortest',
+        avoidTolls: true,
+        avoidHighways: true,
+        arriveAt: '2026-10-24T09:00:00',
+        optimizeWaypoints: true,
+      });
+
+      expect(describeRouteOptions(options)).toBe(
+        'bicycle,shortest,no-tolls,no-highways,arrive=2026-10-24T09:00:00,optimize',
+      );
+    });
+  });
+});
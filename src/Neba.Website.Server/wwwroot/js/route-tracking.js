@@ -0,0 +1,129 @@
+/**
+ * Route Tracking
+ * Follows a member along a calculated route for DirectionsModal's "follow me" mode. Each reported
+ * position is snapped onto the route line to work out how far along the trip the member is, which
+ * instruction comes next, and whether they have left the route and it should be recalculated.
+ *
+ * Distances along the line use a local flat-earth projection per segment; route segments are short
+ * enough that the error is well under GPS accuracy.
+ */
+
+import { isValidPosition } from './proximity.js';
+
+const METERS_PER_DEGREE_LATITUDE = 110574;
+const METERS_PER_DEGREE_LONGITUDE_AT_EQUATOR = 111320;
+
+export const DEFAULT_TRACKING_OPTIONS = Object.freeze({
+    offRouteMeters: 75,     // Wider than typical phone GPS error on a street, narrower than a parallel road
+    offRouteFixes: 3,       // Consecutive fixes off the line before rerouting, so one stray fix can't trigger it
+    passedMeters: 20        // How far past an instruction the member must be before the next one is shown
+});
+
+/**
+ * Finds the closest point on a route line to a position
+ * @param {number[]} position - [longitude, latitude]
+ * @param {Array<number[]>} coordinates - Route line [longitude, latitude] positions
+ * @returns {Object|null} { point, distanceMeters, alongMeters, segmentIndex }, or null when the line is unusable
+ */
+export function snapToRoute(position, coordinates) {
+    if (!isValidPosition(position) || !Array.isArray(coordinates) || coordinates.length < 2) {
+        return null;
+    }
+
+    let best = null;
+    let alongStart = 0;
+
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        const start = coordinates[i];
+        const end = coordinates[i + 1];
+
+        // Project onto the segment in meters, centered on its start
+        const metersPerDegreeLongitude = METERS_PER_DEGREE_LONGITUDE_AT_EQUATOR * Math.cos(start[1] * Math.PI / 180);
+        const segmentX = (end[0] - start[0]) * metersPerDegreeLongitude;
+        const segmentY = (end[1] - start[1]) * METERS_PER_DEGREE_LATITUDE;
+        const pointX = (position[0] - start[0]) * metersPerDegreeLongitude;
+        const pointY = (position[1] - start[1]) * METERS_PER_DEGREE_LATITUDE;
+
+        const segmentLengthSquared = segmentX ** 2 + segmentY ** 2;
+        const t = segmentLengthSquared === 0
+            ? 0
+            : Math.min(1, Math.max(0, (pointX * segmentX + pointY * segmentY) / segmentLengthSquared));
+
+        const distanceMeters = Math.hypot(pointX - t * segmentX, pointY - t * segmentY);
+        const segmentLengthMeters = Math.sqrt(segmentLengthSquared);
+
+        if (!best || distanceMeters < best.distanceMeters) {
+            best = {
+                point: [start[0] + t * (end[0] - start[0]), start[1] + t * (end[1] - start[1])],
+                distanceMeters,
+                alongMeters: alongStart + t * segmentLengthMeters,
+                segmentIndex: i
+            };
+        }
+
+        alongStart += segmentLengthMeters;
+    }
+
+    return best;
+}
+
+/**
+ * Creates a tracker that follows a member along one route
+ * @param {Array<number[]>} coordinates - Route line [longitude, latitude] positions
+ * @param {Array<number[]|null>} instructionPositions - Where each turn-by-turn instruction happens (null when unknown)
+ * @param {Object} options - Overrides for DEFAULT_TRACKING_OPTIONS
+ * @returns {Object} { update(position) } returning { position, nextInstructionIndex, distanceToNextMeters, offRoute }
+ */
+export function createRouteTracker(coordinates, instructionPositions = [], options = {}) {
+    const { offRouteMeters, offRouteFixes, passedMeters } = { ...DEFAULT_TRACKING_OPTIONS, ...options };
+    const line = (Array.isArray(coordinates) ? coordinates : []).filter(isValidPosition);
+
+    const instructionOffsets = (Array.isArray(instructionPositions) ? instructionPositions : [])
+        .map(position => snapToRoute(position, line)?.alongMeters ?? null);
+
+    let fixesOffRoute = 0;
+
+    /**
+     * Works out which instruction comes next for a distance along the route
+     * @param {number} alongMeters - Distance traveled along the route
+     * @returns {number} Instruction index (the last instruction once every other one is behind the member)
+     */
+    function findNextInstruction(alongMeters) {
+        const index = instructionOffsets.findIndex(offset => offset !== null && offset + passedMeters > alongMeters);
+        return index === -1 ? instructionOffsets.length - 1 : index;
+    }
+
+    /**
+     * Records a new position fix
+     * @param {number[]} position - [longitude, latitude]
+     * @returns {Object|null} Tracking update, or null for an unusable position
+     */
+    function update(position) {
+        if (!isValidPosition(position)) {
+            return null;
+        }
+
+        const snapped = snapToRoute(position, line);
+        if (!snapped) {
+            return { position, nextInstructionIndex: -1, distanceToNextMeters: null, offRoute: false };
+        }
+
+        fixesOffRoute = snapped.distanceMeters > offRouteMeters ? fixesOffRoute + 1 : 0;
+
+        const nextInstructionIndex = findNextInstruction(snapped.alongMeters);
+        const nextOffset = instructionOffsets[nextInstructionIndex];
+        const distanceToNextMeters = nextOffset === null || nextOffset === undefined
+            ? null
+            : Math.max(0, nextOffset - snapped.alongMeters);
+
+        return {
+            // Off the line, show where the member really is; on it, snap away GPS jitter
+            position: fixesOffRoute > 0 ? position : snapped.point,
+            nextInstructionIndex,
+            distanceToNextMeters,
+            offRoute: fixesOffRoute >= offRouteFixes
+        };
+    }
+
+    return { update };
+}
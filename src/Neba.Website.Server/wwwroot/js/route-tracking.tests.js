@@ -0,0 +1,106 @@
+// Tests for route-tracking.js
+// Covers: snapToRoute, createRouteTracker (next instruction, distance to it, off-route detection)
+
+import { snapToRoute, createRouteTracker } from './route-tracking.js';
+
+// A straight road heading east along 42°N, about 8.3 km per 0.1° of longitude
+const road = [[-71.3, 42], [-71.2, 42], [-71.1, 42]];
+const turnPositions = [[-71.3, 42], [-71.2, 42], [-71.1, 42]];
+
+describe('route-tracking', () => {
+  // ---------------------------------------------------------------------------
+  describe('snapToRoute', () => {
+    test('returns the closest point on the line and the distance to it', () => {
+      const snapped = snapToRoute([-71.25, 42.001], road);
+
+      expect(snapped.point[0]).toBeCloseTo(-71.25, 6);
+      expect(snapped.point[1]).toBeCloseTo(42, 6);
+      expect(snapped.distanceMeters).toBeCloseTo(110.6, 0);
+      expect(snapped.segmentIndex).toBe(0);
+    });
+
+    test('measures how far along the route the point is', () => {
+      const halfway = snapToRoute([-71.2, 42], road);
+      const end = snapToRoute([-71.1, 42], road);
+
+      expect(end.alongMeters).toBeCloseTo(halfway.alongMeters * 2, 0);
+      expect(halfway.alongMeters).toBeGreaterThan(8200);
+      expect(halfway.alongMeters).toBeLessThan(8300);
+    });
+
+    test('clamps positions beyond the ends of the line to its end points', () => {
+      const snapped = snapToRoute([-71.0, 42], road);
+
+      expect(snapped.point).toEqual([-71.1, 42]);
+    });
+
+    test('returns null for an unusable line or position', () => {
+      expect(snapToRoute([-71.2, 42], [[-71.2, 42]])).toBeNull();
+      expect(snapToRoute(null, road)).toBeNull();
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('createRouteTracker', () => {
+    test('points at the first instruction at the start of the route', () => {
+      const tracker = createRouteTracker(road, turnPositions);
+
+      expect(tracker.update([-71.3, 42]).nextInstructionIndex).toBe(0);
+    });
+
+    test('moves on once the member is past an instruction', () => {
+      const tracker = createRouteTracker(road, turnPositions);
+
+      const update = tracker.update([-71.25, 42]);
+
+      expect(update.nextInstructionIndex).toBe(1);
+      expect(update.distanceToNextMeters).toBeCloseTo(4140, -1);
+      expect(update.offRoute).toBe(false);
+    });
+
+    test('stays on the last instruction at the end of the route', () => {
+      const tracker = createRouteTracker(road, turnPositions);
+
+      expect(tracker.update([-71.1, 42]).nextInstructionIndex).toBe(2);
+    });
+
+    test('skips instructions whose position is unknown', () => {
+      const tracker = createRouteTracker(road, [[-71.3, 42], null, [-71.1, 42]]);
+
+      expect(tracker.update([-71.25, 42]).nextInstructionIndex).toBe(2);
+    });
+
+    test('snaps positions near the route onto the line', () => {
+      const tracker = createRouteTracker(road, turnPositions);
+
+      const update = tracker.update([-71.25, 42.0002]);
+
+      expect(update.position[1]).toBeCloseTo(42, 6);
+    });
+
+    test('reports the member off route only after several fixes away from the line', () => {
+      const tracker = createRouteTracker(road, turnPositions, { offRouteFixes: 3 });
+      const detour = [-71.25, 42.01];
+
+      expect(tracker.update(detour).offRoute).toBe(false);
+      expect(tracker.update(detour).offRoute).toBe(false);
+
+      const update = tracker.update(detour);
+      expect(update.offRoute).toBe(true);
+      expect(update.position).toEqual(detour);
+    });
+
+    test('forgets a stray fix once the member is back on the line', () => {
+      const tracker = createRouteTracker(road, turnPositions, { offRouteFixes: 2 });
+
+      tracker.update([-71.25, 42.01]);
+      tracker.update([-71.24, 42]);
+
+      expect(tracker.update([-71.23, 42.01]).offRoute).toBe(false);
+    });
+
+    test('ignores unusable positions', () => {
+      expect(createRouteTracker(road, turnPositions).update([Number.NaN, 42])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,593 @@
+/**
+ * Routing Providers
+ * Geocoding, reverse geocoding and routing behind one interface, so NebaMap and DirectionsModal
+ * are not tied to a single service. Every provider exposes:
+ *
+ *   geocode(query, options)             -> Promise<Array<{ address, locality, latitude, longitude, name }>>
+ *   reverseGeocode([lon, lat], options) -> Promise<{ address, locality, latitude, longitude } | null>
+ *   route(origin, destination, options) -> Promise<{ routes, effectiveSettings, waypointOrder }>
+ *   reachableRange(origin, options)     -> Promise<Array<[lon, lat]>> (closed polygon ring)
+ *
+ * Routes use the Azure Maps route shape ({ summary, legs[].summary, legs[].points, guidance.instructions }),
+ * so other providers translate their responses into it. route() takes the normalized options from
+ * route-options.js and reports the settings it actually applied in the same shape, since a
+ * provider may ignore options it does not support. options.waypoints lists carpool stops
+ * ([lon, lat]) between origin and destination; waypointOrder gives the order they are visited
+ * in as indexes into that list, which differs from the requested order when optimizeWaypoints is set.
+ * geocode() matches points of interest as well as addresses (name is the POI name, or null for an
+ * address), and options.bias ([lon, lat]) favours results near that point.
+ *
+ * Provider selection comes from a routing config ({ provider, routingUrl, geocodingUrl, tileUrl }) built from
+ * the MapRouting settings; each NebaMap keeps its own, and DirectionsModal and the ZIP lookup are handed theirs
+ * by .NET. Azure Maps credentials come from globalThis.azureMapsAuthConfig ({ accountId?, subscriptionKey? }).
+ * The OSRM provider needs no credentials, and without them the maps are drawn keyless (see resolveMapRendering).
+ */
+
+import { DEFAULT_ROUTE_OPTIONS, ROUTE_TYPES, TRAVEL_MODES, toOffsetDateTime } from './route-options.js';
+
+const AZURE_MAPS_BASE_URL = 'https://atlas.microsoft.com';
+
+// Azure Maps style that needs no credentials; keyless maps draw raster tiles (if configured) over it
+export const KEYLESS_MAP_STYLE = 'blank';
+
+// Half-width of the Nominatim viewbox around a geocoding bias point (about 35 miles)
+const NOMINATIM_BIAS_DEGREES = 0.5;
+
+export const AZURE_MAPS_PROVIDER = 'azure';
+export const OSRM_PROVIDER = 'osrm';
+
+// OSRM profile serving each travel mode
+const OSRM_PROFILES = { car: 'driving', bicycle: 'cycling', pedestrian: 'walking' };
+
+/**
+ * Creates an error tagged with the telemetry code describing why a provider request failed
+ * @param {string} message - Error message
+ * @param {string} telemetryCode - Short error code reported to telemetry
+ * @param {Object} telemetryProperties - Additional telemetry properties
+ * @returns {Error} Tagged error
+ */
+export function createRoutingError(message, telemetryCode, telemetryProperties = {}) {
+    const error = new Error(message);
+    error.telemetryCode = telemetryCode;
+    error.telemetryProperties = telemetryProperties;
+    return error;
+}
+
+/**
+ * Gets an Azure AD access token via App Service Easy Auth (/.auth/me)
+ * @returns {Promise<string|null>} The access token or null if not available
+ */
+export async function getAzureADToken() {
+    try {
+        const response = await fetch('/.auth/me');
+
+        if (!response.ok) {
+            console.warn('[RoutingProvider] Could not fetch auth info from /.auth/me');
+            return null;
+        }
+
+        const data = await response.json();
+
+        if (data?.[0]?.access_token) {
+            return data[0].access_token;
+        }
+
+        console.warn('[RoutingProvider] No access token found in auth response');
+        return null;
+    } catch (error) {
+        console.error('[RoutingProvider] Error getting Azure AD token:', error);
+        return null;
+    }
+}
+
+/**
+ * Builds the atlas.Map authOptions for the configured Azure Maps credentials
+ * @param {Object} authConfig - Authentication configuration { accountId?, subscriptionKey? }
+ * @returns {Object|null} atlas authOptions, or null when no credentials are configured
+ */
+export function buildAtlasAuthOptions(authConfig) {
+    if (authConfig?.subscriptionKey) {
+        return {
+            authType: 'subscriptionKey',
+            subscriptionKey: authConfig.subscriptionKey
+        };
+    }
+
+    if (authConfig?.accountId) {
+        return {
+            authType: 'aad',
+            clientId: authConfig.accountId,
+            getToken: async function(resolve, reject) {
+                const token = await getAzureADToken();
+                if (token) {
+                    resolve(token);
+                } else {
+                    reject(new Error('No access token available'));
+                }
+            }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Works out how a map is drawn. With Azure Maps credentials the map uses them. Without, a map whose
+ * routing goes through OSRM is drawn keyless: the blank style, under the raster tiles at
+ * routingConfig.tileUrl when one is set, so development and e2e runs need no Azure Maps keys.
+ * @param {Object} authConfig - Authentication configuration { accountId?, subscriptionKey? }
+ * @param {Object|null} routingConfig - { provider, routingUrl, geocodingUrl, tileUrl }; null for Azure Maps
+ * @returns {Object|null} { authOptions, keyless, tileUrl }, or null when the map cannot be drawn
+ */
+export function resolveMapRendering(authConfig, routingConfig = null) {
+    const authOptions = buildAtlasAuthOptions(authConfig);
+    if (authOptions) {
+        return { authOptions, keyless: false, tileUrl: null };
+    }
+
+    if (routingConfig?.provider === OSRM_PROVIDER) {
+        return { authOptions: null, keyless: true, tileUrl: routingConfig.tileUrl || null };
+    }
+
+    return null;
+}
+
+/**
+ * Adds Azure Maps credentials to a REST request
+ * @param {string} url - Request URL without credentials
+ * @param {Object} authConfig - Authentication configuration { accountId?, subscriptionKey? }
+ * @returns {Promise<Object>} { url, headers }
+ */
+async function authorizeAzureRequest(url, authConfig) {
+    if (authConfig.subscriptionKey) {
+        return { url: `${url}&subscription-key=${authConfig.subscriptionKey}`, headers: {} };
+    }
+
+    const token = await getAzureADToken();
+    if (!token) {
+        throw createRoutingError('Failed to get Azure AD token', 'token_acquisition_failed');
+    }
+
+    return {
+        url,
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'x-ms-client-id': authConfig.accountId
+        }
+    };
+}
+
+/**
+ * Fetches JSON from a provider endpoint, turning HTTP failures into tagged errors.
+ * Requests that never reach the server (offline, DNS, CORS) keep fetch's error, tagged 'network_error'.
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @param {string} apiName - API name used in the error message (e.g., 'Route API')
+ * @returns {Promise<any>} Parsed response body
+ */
+async function fetchProviderJson(url, init, apiName) {
+    let response;
+    try {
+        response = await fetch(url, init);
+    } catch (error) {
+        if (error?.name !== 'AbortError') {
+            error.telemetryCode = 'network_error';
+            error.telemetryProperties = {};
+        }
+        throw error;
+    }
+
+    if (!response.ok) {
+        throw createRoutingError(
+            `${apiName} error: ${response.status} ${response.statusText}`,
+            'api_error',
+            { status_code: response.status });
+    }
+
+    return response.json();
+}
+
+/**
+ * Creates the Azure Maps provider (Search and Route REST APIs)
+ * @param {Object} authConfig - Authentication configuration { accountId?, subscriptionKey? }
+ * @returns {Object} Routing provider
+ */
+export function createAzureMapsProvider(authConfig) {
+    return {
+        name: AZURE_MAPS_PROVIDER,
+
+        async geocode(query, { limit = 5, signal, bias = null } = {}) {
+            // Fuzzy search covers addresses, places and POIs ("Holiday Inn Worcester") in one call
+            const request = await authorizeAzureRequest(
+                `${AZURE_MAPS_BASE_URL}/search/fuzzy/json?` +
+                `api-version=1.0` +
+                `&query=${encodeURIComponent(query)}` +
+                `&limit=${limit}` +
+                `&countrySet=US` +
+                `&view=Auto` +
+                (bias ? `&lat=${bias[1]}&lon=${bias[0]}` : ''),
+                authConfig);
+
+            const data = await fetchProviderJson(request.url, { headers: request.headers, signal }, 'Search API');
+
+            return (data?.results ?? []).map(result => ({
+                address: result.address.freeformAddress,
+                locality: result.address.municipality || result.address.countrySubdivision,
+                latitude: result.position.lat,
+                longitude: result.position.lon,
+                name: result.poi?.name ?? null
+            }));
+        },
+
+        async reverseGeocode([longitude, latitude], { signal } = {}) {
+            const request = await authorizeAzureRequest(
+                `${AZURE_MAPS_BASE_URL}/search/address/reverse/json?` +
+                `api-version=1.0` +
+                `&query=${latitude},${longitude}`,
+                authConfig);
+
+            const data = await fetchProviderJson(request.url, { headers: request.headers, signal }, 'Reverse geocode API');
+            const match = data?.addresses?.[0]?.address;
+
+            if (!match) {
+                return null;
+            }
+
+            return {
+                address: match.freeformAddress,
+                locality: match.municipality || match.countrySubdivision,
+                latitude,
+                longitude
+            };
+        },
+
+        async route(origin, destination, { signal, waypoints = [], ...options } = {}) {
+            const routeOptions = { ...DEFAULT_ROUTE_OPTIONS, ...options };
+            const query = [origin, ...waypoints, destination]
+                .map(([longitude, latitude]) => `${latitude},${longitude}`)
+                .join(':');
+
+            const request = await authorizeAzureRequest(
+                `${AZURE_MAPS_BASE_URL}/route/directions/json?` +
+                `api-version=1.0` +
+                `&query=${query}` +
+                `&travelMode=${routeOptions.travelMode}` +
+                `&routeType=${routeOptions.routeType}` +
+                `&traffic=true` +
+                (routeOptions.avoidTolls ? `&avoid=tollRoads` : '') +
+                (routeOptions.avoidHighways ? `&avoid=motorways` : '') +
+                (routeOptions.departAt ? `&departAt=${encodeURIComponent(toOffsetDateTime(routeOptions.departAt))}` : '') +
+                (routeOptions.arriveAt ? `&arriveAt=${encodeURIComponent(toOffsetDateTime(routeOptions.arriveAt))}` : '') +
+                (routeOptions.optimizeWaypoints && waypoints.length > 1 ? `&computeBestOrder=true` : '') +
+                // Alternative routes are only calculated between two points
+                `&maxAlternatives=${waypoints.length > 0 ? 0 : 2}` +
+                `&report=effectiveSettings` +
+                `&sectionType=motorway` +
+                `&sectionType=traffic` +
+                `&instructionsType=text` +
+                `&guidance=true`,
+                authConfig);
+
+            const data = await fetchProviderJson(request.url, { headers: request.headers, signal }, 'Route API');
+
+            return {
+                routes: Array.isArray(data?.routes) ? data.routes : [],
+                effectiveSettings: readAzureEffectiveSettings(data?.report?.effectiveSettings, routeOptions),
+                waypointOrder: readAzureWaypointOrder(data?.optimizedWaypoints, waypoints.length)
+            };
+        },
+
+        async reachableRange(origin, { timeBudgetInSeconds, signal } = {}) {
+            const request = await authorizeAzureRequest(
+                `${AZURE_MAPS_BASE_URL}/route/range/json?` +
+                `api-version=1.0` +
+                `&query=${origin[1]},${origin[0]}` +
+                `&timeBudgetInSec=${timeBudgetInSeconds}` +
+                `&travelMode=car` +
+                `&traffic=true`,
+                authConfig);
+
+            const data = await fetchProviderJson(request.url, { headers: request.headers, signal }, 'Route Range API');
+            const ring = (data?.reachableRange?.boundary ?? [])
+                .map(point => [point.longitude, point.latitude]);
+
+            if (ring.length > 0) {
+                const [firstLongitude, firstLatitude] = ring[0];
+                const [lastLongitude, lastLatitude] = ring.at(-1);
+                if (firstLongitude !== lastLongitude || firstLatitude !== lastLatitude) {
+                    ring.push(ring[0]);
+                }
+            }
+
+            return ring;
+        }
+    };
+}
+
+/**
+ * Reads the settings Azure Maps applied from its effectiveSettings report ([{ key, value }]),
+ * falling back to the requested option when a setting is not reported
+ * @param {Array<Object>|undefined} report - report.effectiveSettings from the Route API
+ * @param {Object} requested - Normalized route options sent with the request
+ * @returns {Object} Effective route options
+ */
+function readAzureEffectiveSettings(report, requested) {
+    const settings = Array.isArray(report) ? report : [];
+    const valueOf = key => settings.find(setting => setting?.key === key)?.value;
+    const avoid = settings.filter(setting => setting?.key === 'avoid').map(setting => setting.value);
+    const travelMode = valueOf('travelMode');
+    const routeType = valueOf('routeType');
+
+    return {
+        travelMode: TRAVEL_MODES.includes(travelMode) ? travelMode : requested.travelMode,
+        routeType: ROUTE_TYPES.includes(routeType) ? routeType : requested.routeType,
+        avoidTolls: avoid.length > 0 ? avoid.includes('tollRoads') : requested.avoidTolls,
+        avoidHighways: avoid.length > 0 ? avoid.includes('motorways') : requested.avoidHighways,
+        departAt: requested.departAt,
+        arriveAt: requested.arriveAt,
+        optimizeWaypoints: requested.optimizeWaypoints
+    };
+}
+
+/**
+ * Reads the order Azure Maps visits the waypoints in from its optimizedWaypoints report
+ * ([{ providedIndex, optimizedIndex }]), which is only present when computeBestOrder was set
+ * @param {Array<Object>|undefined} optimizedWaypoints - optimizedWaypoints from the Route API
+ * @param {number} waypointCount - Number of waypoints sent with the request
+ * @returns {number[]} Indexes into the requested waypoints, in visiting order
+ */
+function readAzureWaypointOrder(optimizedWaypoints, waypointCount) {
+    const order = Array.from({ length: waypointCount }, (_, index) => index);
+
+    if (!Array.isArray(optimizedWaypoints) || optimizedWaypoints.length !== waypointCount) {
+        return order;
+    }
+
+    for (const { providedIndex, optimizedIndex } of optimizedWaypoints) {
+        if (Number.isInteger(optimizedIndex) && optimizedIndex >= 0 && optimizedIndex < waypointCount) {
+            order[optimizedIndex] = providedIndex;
+        }
+    }
+
+    return order;
+}
+
+/**
+ * Picks the locality (city/town) out of a Nominatim address breakdown
+ * @param {Object} address - Nominatim address details
+ * @returns {string|undefined} Locality name
+ */
+function getNominatimLocality(address) {
+    return address?.city || address?.town || address?.village || address?.hamlet || address?.state;
+}
+
+/**
+ * Turns an OSRM route step into a readable instruction (e.g., "Turn left onto Main Street")
+ * @param {Object} step - OSRM route step
+ * @param {boolean} isFinalLeg - False for steps on a leg that ends at a carpool stop
+ * @returns {string} Instruction text
+ */
+export function describeOsrmStep(step, isFinalLeg = true) {
+    const type = step?.maneuver?.type;
+    const modifier = step?.maneuver?.modifier;
+    const onto = step?.name ? ` onto ${step.name}` : '';
+
+    switch (type) {
+        case 'depart':
+            return `Head ${modifier ?? 'out'}${step?.name ? ` on ${step.name}` : ''}`;
+        case 'arrive':
+            return isFinalLeg ? 'Arrive at your destination' : 'Arrive at your stop';
+        case 'new name':
+        case 'continue':
+            return `Continue${onto}`;
+        case 'roundabout':
+        case 'rotary':
+            return `Enter the roundabout${step?.maneuver?.exit ? ` and take exit ${step.maneuver.exit}` : ''}${onto}`;
+        case undefined:
+            return 'Continue';
+        default: {
+            const action = modifier ? `${type} ${modifier}` : type;
+            return `${action.charAt(0).toUpperCase()}${action.slice(1)}${onto}`;
+        }
+    }
+}
+
+/**
+ * Converts [longitude, latitude] pairs into Azure Maps route points
+ * @param {Array<number[]>} coordinates - GeoJSON coordinates
+ * @returns {Array<Object>} [{ latitude, longitude }]
+ */
+function toRoutePoints(coordinates) {
+    return coordinates.map(([longitude, latitude]) => ({ latitude, longitude }));
+}
+
+/**
+ * Converts an OSRM route into the Azure Maps route shape used by NebaMap. OSRM reports fractional
+ * durations (e.g., 1234.5); they are rounded to whole seconds like Azure Maps travel times.
+ * @param {Object} route - OSRM route (requested with geometries=geojson&steps=true)
+ * @returns {Object} Azure Maps-shaped route
+ */
+export function toAzureRouteShape(route) {
+    const osrmLegs = route?.legs ?? [];
+
+    // A single leg keeps the full overview geometry; legs between carpool stops are rebuilt from their steps
+    const legs = osrmLegs.length > 1
+        ? osrmLegs.map(leg => ({
+            summary: { lengthInMeters: leg?.distance ?? 0, travelTimeInSeconds: Math.round(leg?.duration ?? 0) },
+            points: toRoutePoints((leg?.steps ?? []).flatMap(step => step?.geometry?.coordinates ?? []))
+        }))
+        : [{
+            summary: { lengthInMeters: route?.distance ?? 0, travelTimeInSeconds: Math.round(route?.duration ?? 0) },
+            points: toRoutePoints(route?.geometry?.coordinates ?? [])
+        }];
+
+    return {
+        summary: {
+            lengthInMeters: route?.distance ?? 0,
+            travelTimeInSeconds: Math.round(route?.duration ?? 0)
+        },
+        legs,
+        guidance: {
+            instructions: osrmLegs.flatMap((leg, legIndex) => (leg?.steps ?? []).map(step => ({
+                message: describeOsrmStep(step, legIndex === osrmLegs.length - 1),
+                travelDistance: step.distance ?? 0,
+                point: step.maneuver?.location
+                    ? { latitude: step.maneuver.location[1], longitude: step.maneuver.location[0] }
+                    : undefined,
+                legIndex
+            })))
+        }
+    };
+}
+
+/**
+ * Reads the order the OSRM trip service visits the waypoints in. Its waypoints array lists every
+ * input coordinate (origin first, destination last) with the position it is visited at.
+ * @param {Array<Object>|undefined} tripWaypoints - waypoints from the Trip API
+ * @param {number} waypointCount - Number of stops between origin and destination
+ * @returns {number[]} Indexes into the requested waypoints, in visiting order
+ */
+function readOsrmWaypointOrder(tripWaypoints, waypointCount) {
+    const order = Array.from({ length: waypointCount }, (_, index) => index);
+
+    if (!Array.isArray(tripWaypoints) || tripWaypoints.length !== waypointCount + 2) {
+        return order;
+    }
+
+    return order.sort((a, b) =>
+        (tripWaypoints[a + 1]?.waypoint_index ?? a) - (tripWaypoints[b + 1]?.waypoint_index ?? b));
+}
+
+/**
+ * Creates the OSRM (routing) + Nominatim (geocoding) provider.
+ * Points at a self-hosted instance or the e2e stub server (tests/e2e/mock-api) - no API key is needed.
+ * @param {Object} routingConfig - { routingUrl, geocodingUrl }
+ * @returns {Object} Routing provider
+ */
+export function createOsrmProvider(routingConfig) {
+    const routingUrl = String(routingConfig?.routingUrl ?? '').replace(/\/+$/, '');
+    const geocodingUrl = String(routingConfig?.geocodingUrl ?? '').replace(/\/+$/, '');
+
+    return {
+        name: OSRM_PROVIDER,
+
+        async geocode(query, { limit = 5, signal, bias = null } = {}) {
+            // An unbounded viewbox makes Nominatim prefer, not require, results near the bias point
+            const viewbox = bias
+                ? `&viewbox=${bias[0] - NOMINATIM_BIAS_DEGREES},${bias[1] + NOMINATIM_BIAS_DEGREES},` +
+                  `${bias[0] + NOMINATIM_BIAS_DEGREES},${bias[1] - NOMINATIM_BIAS_DEGREES}`
+                : '';
+
+            const url = `${geocodingUrl}/search?` +
+                `q=${encodeURIComponent(query)}` +
+                `&format=jsonv2` +
+                `&addressdetails=1` +
+                `&limit=${limit}` +
+                `&countrycodes=us` +
+                viewbox;
+
+            const results = await fetchProviderJson(url, { signal }, 'Search API');
+
+            return (Array.isArray(results) ? results : []).map(result => ({
+                address: result.display_name,
+                locality: getNominatimLocality(result.address),
+                latitude: Number(result.lat),
+                longitude: Number(result.lon),
+                name: result.name || null
+            }));
+        },
+
+        async reverseGeocode([longitude, latitude], { signal } = {}) {
+            const url = `${geocodingUrl}/reverse?` +
+                `lat=${latitude}` +
+                `&lon=${longitude}` +
+                `&format=jsonv2` +
+                `&addressdetails=1`;
+
+            const result = await fetchProviderJson(url, { signal }, 'Reverse geocode API');
+
+            if (!result?.display_name) {
+                return null;
+            }
+
+            return {
+                address: result.display_name,
+                locality: getNominatimLocality(result.address),
+                latitude,
+                longitude
+            };
+        },
+
+        async route(origin, destination, { signal, waypoints = [], ...options } = {}) {
+            const routeOptions = { ...DEFAULT_ROUTE_OPTIONS, ...options };
+            const exclude = [
+                routeOptions.avoidTolls ? 'toll' : null,
+                routeOptions.avoidHighways ? 'motorway' : null
+            ].filter(Boolean);
+            const profile = OSRM_PROFILES[routeOptions.travelMode] ?? OSRM_PROFILES.car;
+            const coordinates = [origin, ...waypoints, destination]
+                .map(([longitude, latitude]) => `${longitude},${latitude}`)
+                .join(';');
+
+            // Reordering stops is the trip service's job; it keeps the first and last coordinates in place
+            const optimize = routeOptions.optimizeWaypoints && waypoints.length > 1;
+            const service = optimize
+                ? `trip/v1/${profile}/${coordinates}?source=first&destination=last&roundtrip=false&`
+                : `route/v1/${profile}/${coordinates}?` +
+                    // Alternative routes are only calculated between two points
+                    `alternatives=${waypoints.length > 0 ? 'false' : '2'}&`;
+
+            const url = `${routingUrl}/${service}` +
+                `overview=full` +
+                `&geometries=geojson` +
+                `&steps=true` +
+                (exclude.length > 0 ? `&exclude=${exclude.join(',')}` : '');
+
+            const data = await fetchProviderJson(url, { signal }, optimize ? 'Trip API' : 'Route API');
+            const resultRoutes = optimize ? data?.trips : data?.routes;
+            const routes = data?.code === 'Ok' && Array.isArray(resultRoutes) ? resultRoutes : [];
+
+            // OSRM always returns its fastest routes and has no departure/arrival time planning
+            return {
+                routes: routes.map(toAzureRouteShape),
+                effectiveSettings: {
+                    ...routeOptions,
+                    routeType: 'fastest',
+                    departAt: null,
+                    arriveAt: null
+                },
+                waypointOrder: optimize
+                    ? readOsrmWaypointOrder(data?.waypoints, waypoints.length)
+                    : waypoints.map((_, index) => index)
+            };
+        },
+
+        async reachableRange() {
+            // OSRM has no isochrone service
+            throw createRoutingError('Drive-time areas are not supported by the OSRM provider', 'unsupported_by_provider');
+        }
+    };
+}
+
+/**
+ * Resolves the routing provider for a routing config
+ * @param {Object|null} routingConfig - { provider, routingUrl, geocodingUrl }; null for Azure Maps
+ * @returns {Object|null} Routing provider, or null when the configured provider is not usable
+ */
+export function getRoutingProvider(routingConfig = null) {
+    if (routingConfig?.provider === OSRM_PROVIDER) {
+        if (!routingConfig.routingUrl || !routingConfig.geocodingUrl) {
+            console.error('[RoutingProvider] OSRM provider requires routingUrl and geocodingUrl');
+            return null;
+        }
+
+        return createOsrmProvider(routingConfig);
+    }
+
+    const authConfig = globalThis.azureMapsAuthConfig;
+    if (!authConfig?.subscriptionKey && !authConfig?.accountId) {
+        return null;
+    }
+
+    return createAzureMapsProvider(authConfig);
+}
@@ -0,0 +1,768 @@
+// Tests for routing-providers.js
+// Covers: getRoutingProvider selection, buildAtlasAuthOptions, resolveMapRendering, getAzureADToken,
+//         Azure Maps provider (geocode, reverseGeocode, route) and OSRM/Nominatim provider
+
+import {
+  AZURE_MAPS_PROVIDER,
+  OSRM_PROVIDER,
+  buildAtlasAuthOptions,
+  createAzureMapsProvider,
+  createOsrmProvider,
+  createRoutingError,
+  describeOsrmStep,
+  getAzureADToken,
+  getRoutingProvider,
+  resolveMapRendering,
+  toAzureRouteShape,
+} from './routing-providers.js';
+
+const OSRM_CONFIG = {
+  provider: 'osrm',
+  routingUrl: 'http://localhost:5151/osrm/',
+  geocodingUrl: 'http://localhost:5151/nominatim',
+};
+
+function mockJsonResponse(body) {
+  return { ok: true, json: jest.fn().mockResolvedValue(body) };
+}
+
+const OSRM_ROUTE = {
+  distance: 1200,
+  duration: 180,
+  geometry: { coordinates: [[-71.06, 42.36], [-71.07, 42.37], [-71.08, 42.38]] },
+  legs: [{
+    steps: [
+      { distance: 400, name: 'Main Street', maneuver: { type: 'depart', modifier: 'north', location: [-71.06, 42.36] } },
+      { distance: 800, name: 'Elm Street', maneuver: { type: 'turn', modifier: 'left', location: [-71.07, 42.37] } },
+      { distance: 0, name: '', maneuver: { type: 'arrive', location: [-71.08, 42.38] } },
+    ],
+  }],
+};
+
+describe('routing-providers', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    globalThis.fetch = jest.fn();
+    delete globalThis.azureMapsAuthConfig;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete globalThis.fetch;
+    delete globalThis.azureMapsAuthConfig;
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('getRoutingProvider', () => {
+    test('returns null when no provider is configured and Azure credentials are missing', () => {
+      expect(getRoutingProvider()).toBeNull();
+    });
+
+    test('defaults to Azure Maps when credentials are available', () => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'key' };
+
+      expect(getRoutingProvider().name).toBe(AZURE_MAPS_PROVIDER);
+    });
+
+    test('returns null for Azure Maps when the auth config has no credentials', () => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: '', accountId: '' };
+
+      expect(getRoutingProvider()).toBeNull();
+    });
+
+    test('returns the OSRM provider without Azure credentials', () => {
+      expect(getRoutingProvider(OSRM_CONFIG).name).toBe(OSRM_PROVIDER);
+    });
+
+    test('uses Azure Maps for an Azure routing config', () => {
+      globalThis.azureMapsAuthConfig = { subscriptionKey: 'key' };
+
+      expect(getRoutingProvider({ provider: 'azure', routingUrl: null, geocodingUrl: null }).name).toBe(AZURE_MAPS_PROVIDER);
+    });
+
+    test('returns null when the OSRM provider is missing its URLs', () => {
+      expect(getRoutingProvider({ provider: 'osrm', routingUrl: 'http://localhost:5000' })).toBeNull();
+      expect(console.error).toHaveBeenCalledWith(
+        '[RoutingProvider] OSRM provider requires routingUrl and geocodingUrl',
+      );
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('resolveMapRendering', () => {
+    test('uses the Azure Maps credentials when they are configured', () => {
+      expect(resolveMapRendering({ subscriptionKey: 'key' }, OSRM_CONFIG)).toEqual({
+        authOptions: { authType: 'subscriptionKey', subscriptionKey: 'key' },
+        keyless: false,
+        tileUrl: null,
+      });
+    });
+
+    test('draws keyless with the configured tiles for the OSRM provider without credentials', () => {
+      const tileUrl = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+      expect(resolveMapRendering({}, { ...OSRM_CONFIG, tileUrl })).toEqual({ authOptions: null, keyless: true, tileUrl });
+      expect(resolveMapRendering(undefined, OSRM_CONFIG)).toEqual({ authOptions: null, keyless: true, tileUrl: null });
+    });
+
+    test('returns null for Azure Maps routing without credentials', () => {
+      expect(resolveMapRendering({}, null)).toBeNull();
+      expect(resolveMapRendering({}, { provider: 'azure', routingUrl: null, geocodingUrl: null })).toBeNull();
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('buildAtlasAuthOptions', () => {
+    test('uses the subscription key when present', () => {
+      expect(buildAtlasAuthOptions({ subscriptionKey: 'key', accountId: 'id' })).toEqual({
+        authType: 'subscriptionKey',
+        subscriptionKey: 'key',
+      });
+    });
+
+    test('uses Azure AD when only an account id is present', () => {
+      const options = buildAtlasAuthOptions({ accountId: 'client-id' });
+
+      expect(options).toEqual(expect.objectContaining({ authType: 'aad', clientId: 'client-id' }));
+      expect(typeof options.getToken).toBe('function');
+    });
+
+    test('returns null without credentials', () => {
+      expect(buildAtlasAuthOptions({})).toBeNull();
+      expect(buildAtlasAuthOptions(undefined)).toBeNull();
+    });
+
+    test('getToken resolves with the Easy Auth token', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse([{ access_token: 'token' }]));
+      const { getToken } = buildAtlasAuthOptions({ accountId: 'client-id' });
+
+      const token = await new Promise((resolve, reject) => getToken(resolve, reject));
+
+      expect(token).toBe('token');
+    });
+
+    test('getToken rejects when no token is available', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse([]));
+      const { getToken } = buildAtlasAuthOptions({ accountId: 'client-id' });
+
+      await expect(new Promise((resolve, reject) => getToken(resolve, reject))).rejects.toThrow(
+        'No access token available',
+      );
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('getAzureADToken', () => {
+    test('returns the access token from /.auth/me', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse([{ access_token: 'token' }]));
+
+      await expect(getAzureADToken()).resolves.toBe('token');
+      expect(globalThis.fetch).toHaveBeenCalledWith('/.auth/me');
+    });
+
+    test('returns null when /.auth/me is not ok', async () => {
+      globalThis.fetch.mockResolvedValue({ ok: false });
+
+      await expect(getAzureADToken()).resolves.toBeNull();
+    });
+
+    test('returns null when the request throws', async () => {
+      globalThis.fetch.mockRejectedValue(new Error('network'));
+
+      await expect(getAzureADToken()).resolves.toBeNull();
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('createRoutingError', () => {
+    test('tags the error with telemetry details', () => {
+      const error = createRoutingError('boom', 'api_error', { status_code: 500 });
+
+      expect(error.message).toBe('boom');
+      expect(error.telemetryCode).toBe('api_error');
+      expect(error.telemetryProperties).toEqual({ status_code: 500 });
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('Azure Maps provider', () => {
+    test('geocode maps search results and sends the subscription key', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({
+        results: [{
+          address: { freeformAddress: '1 Main St, Boston, MA', municipality: 'Boston' },
+          position: { lat: 42.36, lon: -71.06 },
+        }],
+      }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      const results = await provider.geocode('1 Main St');
+
+      expect(results).toEqual([
+        { address: '1 Main St, Boston, MA', locality: 'Boston', latitude: 42.36, longitude: -71.06, name: null },
+      ]);
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('https://atlas.microsoft.com/search/fuzzy/json?');
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('subscription-key=key');
+    });
+
+    test('geocode returns point of interest names and biases results toward a point', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({
+        results: [{
+          type: 'POI',
+          poi: { name: 'Holiday Inn Worcester' },
+          address: { freeformAddress: '1 Lincoln Sq, Worcester, MA', municipality: 'Worcester' },
+          position: { lat: 42.27, lon: -71.8 },
+        }],
+      }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      const [result] = await provider.geocode('Holiday Inn Worcester', { bias: [-71.5, 42.5] });
+
+      expect(result.name).toBe('Holiday Inn Worcester');
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('&lat=42.5&lon=-71.5');
+    });
+
+    test('geocode sends Azure AD headers when using an account id', async () => {
+      globalThis.fetch
+        .mockResolvedValueOnce(mockJsonResponse([{ access_token: 'token' }]))
+        .mockResolvedValueOnce(mockJsonResponse({ results: [] }));
+      const provider = createAzureMapsProvider({ accountId: 'client-id' });
+
+      await provider.geocode('Boston');
+
+      const [, init] = globalThis.fetch.mock.calls[1];
+      expect(init.headers).toEqual({ 'Authorization': 'Bearer token', 'x-ms-client-id': 'client-id' });
+    });
+
+    test('throws a tagged error when the Azure AD token cannot be acquired', async () => {
+      globalThis.fetch.mockResolvedValue({ ok: false });
+      const provider = createAzureMapsProvider({ accountId: 'client-id' });
+
+      await expect(provider.route([-71, 42], [-70, 43])).rejects.toMatchObject({
+        telemetryCode: 'token_acquisition_failed',
+      });
+    });
+
+    test('reverseGeocode returns the first address for the position', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({
+        addresses: [{ address: { freeformAddress: '1 Main St, Boston, MA', municipality: 'Boston' } }],
+      }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      const result = await provider.reverseGeocode([-71.06, 42.36]);
+
+      expect(result).toEqual({ address: '1 Main St, Boston, MA', locality: 'Boston', latitude: 42.36, longitude: -71.06 });
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('/search/address/reverse/json?');
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('query=42.36,-71.06');
+    });
+
+    test('reverseGeocode returns null when no address matches', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ addresses: [] }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      await expect(provider.reverseGeocode([-71, 42])).resolves.toBeNull();
+    });
+
+    test('route returns routes and effective settings', async () => {
+      const routes = [{ summary: { lengthInMeters: 1000, travelTimeInSeconds: 60 } }];
+      const effectiveSettings = [{ key: 'travelMode', value: 'car' }];
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ routes, report: { effectiveSettings } }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      const result = await provider.route([-71, 42], [-70, 43]);
+
+      expect(result).toEqual({
+        routes,
+        effectiveSettings: {
+          travelMode: 'car',
+          routeType: 'fastest',
+          avoidTolls: false,
+          avoidHighways: false,
+          departAt: null,
+          arriveAt: null,
+          optimizeWaypoints: false,
+        },
+        waypointOrder: [],
+      });
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('query=42,-71:43,-70');
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('&maxAlternatives=2');
+    });
+
+    test('route visits carpool stops between origin and destination without alternatives', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ routes: [] }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      const result = await provider.route([-71, 42], [-70, 43], { waypoints: [[-70.8, 42.2], [-70.5, 42.6]] });
+
+      const url = globalThis.fetch.mock.calls[0][0];
+      expect(url).toContain('query=42,-71:42.2,-70.8:42.6,-70.5:43,-70');
+      expect(url).toContain('&maxAlternatives=0');
+      expect(url).not.toContain('computeBestOrder');
+      expect(result.waypointOrder).toEqual([0, 1]);
+    });
+
+    test('route asks for the best stop order and reads it from optimizedWaypoints', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({
+        routes: [],
+        optimizedWaypoints: [
+          { providedIndex: 0, optimizedIndex: 2 },
+          { providedIndex: 1, optimizedIndex: 0 },
+          { providedIndex: 2, optimizedIndex: 1 },
+        ],
+      }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      const result = await provider.route([-71, 42], [-70, 43], {
+        waypoints: [[-70.8, 42.2], [-70.5, 42.6], [-70.6, 42.4]],
+        optimizeWaypoints: true,
+      });
+
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('&computeBestOrder=true');
+      expect(result.waypointOrder).toEqual([1, 2, 0]);
+      expect(result.effectiveSettings.optimizeWaypoints).toBe(true);
+    });
+
+    test('route does not optimize a single carpool stop', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ routes: [] }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      await provider.route([-71, 42], [-70, 43], { waypoints: [[-70.8, 42.2]], optimizeWaypoints: true });
+
+      expect(globalThis.fetch.mock.calls[0][0]).not.toContain('computeBestOrder');
+    });
+
+    test('route defaults to the fastest car route without avoidances', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ routes: [] }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      await provider.route([-71, 42], [-70, 43]);
+
+      const url = globalThis.fetch.mock.calls[0][0];
+      expect(url).toContain('travelMode=car');
+      expect(url).toContain('routeType=fastest');
+      expect(url).not.toContain('avoid=');
+      expect(url).not.toContain('departAt=');
+    });
+
+    test('route asks for traffic sections so incidents can be shown', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ routes: [] }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      await provider.route([-71, 42], [-70, 43]);
+
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('&traffic=true');
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('&sectionType=traffic');
+    });
+
+    test('route sends the travel mode, route type and avoidances', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ routes: [] }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      await provider.route([-71, 42], [-70, 43], {
+        travelMode: 'bicycle',
+        routeType: 'eco',
+        avoidTolls: true,
+        avoidHighways: true,
+      });
+
+      const url = globalThis.fetch.mock.calls[0][0];
+      expect(url).toContain('travelMode=bicycle');
+      expect(url).toContain('routeType=eco');
+      expect(url).toContain('&avoid=tollRoads&avoid=motorways');
+    });
+
+    test('route sends the departure time with the browser offset', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ routes: [] }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      await provider.route([-71, 42], [-70, 43], { departAt: '2026-10-24T07:00:00' });
+
+      const url = decodeURIComponent(globalThis.fetch.mock.calls[0][0]);
+      expect(url).toMatch(/departAt=2026-10-24T07:00:00[+-]\d{2}:\d{2}/);
+      expect(url).not.toContain('arriveAt=');
+    });
+
+    test('route reads the applied settings from the effectiveSettings report', async () => {
+      const effectiveSettings = [
+        { key: 'travelMode', value: 'car' },
+        { key: 'routeType', value: 'shortest' },
+        { key: 'avoid', value: 'tollRoads' },
+      ];
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ routes: [], report: { effectiveSettings } }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      const result = await provider.route([-71, 42], [-70, 43], {
+        travelMode: 'car',
+        routeType: 'eco',
+        avoidTolls: true,
+        avoidHighways: true,
+        arriveAt: '2026-10-24T09:00:00',
+      });
+
+      expect(result.effectiveSettings).toEqual({
+        travelMode: 'car',
+        routeType: 'shortest',
+        avoidTolls: true,
+        avoidHighways: false,
+        departAt: null,
+        arriveAt: '2026-10-24T09:00:00',
+        optimizeWaypoints: false,
+      });
+    });
+
+    test('route passes the abort signal to fetch', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ routes: [] }));
+      const controller = new AbortController();
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      await provider.route([-71, 42], [-70, 43], { signal: controller.signal });
+
+      expect(globalThis.fetch.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+
+    test('route throws an api_error with the status code on a non-ok response', async () => {
+      globalThis.fetch.mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' });
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      await expect(provider.route([-71, 42], [-70, 43])).rejects.toMatchObject({
+        message: 'Route API error: 503 Service Unavailable',
+        telemetryCode: 'api_error',
+        telemetryProperties: { status_code: 503 },
+      });
+    });
+
+    test('route tags a request that never reaches the server as a network_error', async () => {
+      globalThis.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      await expect(provider.route([-71, 42], [-70, 43])).rejects.toMatchObject({
+        name: 'TypeError',
+        message: 'Failed to fetch',
+        telemetryCode: 'network_error',
+      });
+    });
+
+    test('route leaves an aborted request untagged', async () => {
+      const abortError = new DOMException('The operation was aborted.', 'AbortError');
+      globalThis.fetch.mockRejectedValue(abortError);
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      const error = await provider.route([-71, 42], [-70, 43]).catch(caught => caught);
+
+      expect(error).toBe(abortError);
+      expect(error.telemetryCode).toBeUndefined();
+    });
+
+    test('reachableRange requests a time budget and returns a closed lon/lat ring', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({
+        reachableRange: {
+          center: { latitude: 42.36, longitude: -71.06 },
+          boundary: [
+            { latitude: 43, longitude: -71 },
+            { latitude: 42, longitude: -70 },
+            { latitude: 41, longitude: -72 },
+          ],
+        },
+      }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      const ring = await provider.reachableRange([-71.06, 42.36], { timeBudgetInSeconds: 3600 });
+
+      expect(ring).toEqual([[-71, 43], [-70, 42], [-72, 41], [-71, 43]]);
+      const url = globalThis.fetch.mock.calls[0][0];
+      expect(url).toContain('/route/range/json?');
+      expect(url).toContain('query=42.36,-71.06');
+      expect(url).toContain('timeBudgetInSec=3600');
+    });
+
+    test('reachableRange does not repeat the first point of an already closed ring', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({
+        reachableRange: {
+          boundary: [
+            { latitude: 43, longitude: -71 },
+            { latitude: 42, longitude: -70 },
+            { latitude: 43, longitude: -71 },
+          ],
+        },
+      }));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      await expect(provider.reachableRange([-71, 42], { timeBudgetInSeconds: 60 })).resolves.toHaveLength(3);
+    });
+
+    test('reachableRange returns an empty ring when the response has no boundary', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({}));
+      const provider = createAzureMapsProvider({ subscriptionKey: 'key' });
+
+      await expect(provider.reachableRange([-71, 42], { timeBudgetInSeconds: 60 })).resolves.toEqual([]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('OSRM provider', () => {
+    test('geocode queries Nominatim and maps the results', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse([
+        { display_name: '1 Main St, Boston, MA', lat: '42.36', lon: '-71.06', address: { city: 'Boston' } },
+        { display_name: '1 Main St, Acton, MA', lat: '42.48', lon: '-71.43', address: { town: 'Acton' } },
+      ]));
+      const provider = createOsrmProvider(OSRM_CONFIG);
+
+      const results = await provider.geocode('1 Main St', { limit: 3 });
+
+      expect(results).toEqual([
+        { address: '1 Main St, Boston, MA', locality: 'Boston', latitude: 42.36, longitude: -71.06, name: null },
+        { address: '1 Main St, Acton, MA', locality: 'Acton', latitude: 42.48, longitude: -71.43, name: null },
+      ]);
+      const url = globalThis.fetch.mock.calls[0][0];
+      expect(url).toMatch(/^http:\/\/localhost:5151\/nominatim\/search\?/);
+      expect(url).toContain(`q=${encodeURIComponent('1 Main St')}`);
+      expect(url).toContain('limit=3');
+      expect(url).not.toContain('viewbox');
+    });
+
+    test('geocode prefers results inside a viewbox around the bias point', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse([
+        { name: 'Holiday Inn', display_name: 'Holiday Inn, 1 Lincoln Sq, Worcester, MA', lat: '42.27', lon: '-71.8', address: { city: 'Worcester' } },
+      ]));
+      const provider = createOsrmProvider(OSRM_CONFIG);
+
+      const [result] = await provider.geocode('Holiday Inn Worcester', { bias: [-71.5, 42.5] });
+
+      expect(result.name).toBe('Holiday Inn');
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('&viewbox=-72,43,-71,42');
+      expect(globalThis.fetch.mock.calls[0][0]).not.toContain('bounded=1');
+    });
+
+    test('reverseGeocode queries Nominatim with lat/lon', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({
+        display_name: '1 Main St, Boston, MA', address: { city: 'Boston' },
+      }));
+      const provider = createOsrmProvider(OSRM_CONFIG);
+
+      const result = await provider.reverseGeocode([-71.06, 42.36]);
+
+      expect(result).toEqual({ address: '1 Main St, Boston, MA', locality: 'Boston', latitude: 42.36, longitude: -71.06 });
+      expect(globalThis.fetch.mock.calls[0][0]).toContain('/nominatim/reverse?lat=42.36&lon=-71.06');
+    });
+
+    test('reverseGeocode returns null when Nominatim finds nothing', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ error: 'Unable to geocode' }));
+      const provider = createOsrmProvider(OSRM_CONFIG);
+
+      await expect(provider.reverseGeocode([-71, 42])).resolves.toBeNull();
+    });
+
+    test('route requests lon,lat pairs and converts routes to the Azure shape', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ code: 'Ok', routes: [OSRM_ROUTE] }));
+      const provider = createOsrmProvider(OSRM_CONFIG);
+
+      const result = await provider.route([-71.06, 42.36], [-71.08, 42.38]);
+
+      expect(globalThis.fetch.mock.calls[0][0]).toMatch(
+        /^http:\/\/localhost:5151\/osrm\/route\/v1\/driving\/-71.06,42.36;-71.08,42.38\?/,
+      );
+      expect(result.routes).toHaveLength(1);
+      expect(result.routes[0].summary).toEqual({ lengthInMeters: 1200, travelTimeInSeconds: 180 });
+      expect(result.effectiveSettings).toMatchObject({ travelMode: 'car', routeType: 'fastest' });
+    });
+
+    test('route uses the OSRM profile for the travel mode and excludes avoided roads', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ code: 'Ok', routes: [OSRM_ROUTE] }));
+      const provider = createOsrmProvider(OSRM_CONFIG);
+
+      await provider.route([-71.06, 42.36], [-71.08, 42.38], {
+        travelMode: 'pedestrian',
+        avoidTolls: true,
+        avoidHighways: true,
+      });
+
+      const url = globalThis.fetch.mock.calls[0][0];
+      expect(url).toContain('/route/v1/walking/');
+      expect(url).toContain('&exclude=toll,motorway');
+    });
+
+    test('route reports that route type and timing are not applied', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ code: 'Ok', routes: [OSRM_ROUTE] }));
+      const provider = createOsrmProvider(OSRM_CONFIG);
+
+      const result = await provider.route([-71.06, 42.36], [-71.08, 42.38], {
+        routeType: 'shortest',
+        avoidTolls: true,
+        departAt: '2026-10-24T07:00:00',
+      });
+
+      expect(result.effectiveSettings).toEqual({
+        travelMode: 'car',
+        routeType: 'fastest',
+        avoidTolls: true,
+        avoidHighways: false,
+        departAt: null,
+        arriveAt: null,
+        optimizeWaypoints: false,
+      });
+    });
+
+    test('route visits carpool stops in order without alternatives', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ code: 'Ok', routes: [OSRM_ROUTE] }));
+      const provider = createOsrmProvider(OSRM_CONFIG);
+
+      const result = await provider.route([-71.06, 42.36], [-71.08, 42.38], { waypoints: [[-71.07, 42.37]] });
+
+      const url = globalThis.fetch.mock.calls[0][0];
+      expect(url).toContain('/route/v1/driving/-71.06,42.36;-71.07,42.37;-71.08,42.38?');
+      expect(url).toContain('alternatives=false');
+      expect(result.waypointOrder).toEqual([0]);
+    });
+
+    test('route uses the trip service to optimize the stop order', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({
+        code: 'Ok',
+        trips: [OSRM_ROUTE],
+        waypoints: [{ waypoint_index: 0 }, { waypoint_index: 2 }, { waypoint_index: 1 }, { waypoint_index: 3 }],
+      }));
+      const provider = createOsrmProvider(OSRM_CONFIG);
+
+      const result = await provider.route([-71.06, 42.36], [-71.08, 42.38], {
+        waypoints: [[-71.07, 42.37], [-71.065, 42.365]],
+        optimizeWaypoints: true,
+      });
+
+      const url = globalThis.fetch.mock.calls[0][0];
+      expect(url).toMatch(/\/trip\/v1\/driving\/-71.06,42.36;-71.07,42.37;-71.065,42.365;-71.08,42.38\?/);
+      expect(url).toContain('source=first&destination=last&roundtrip=false');
+      expect(result.routes).toHaveLength(1);
+      expect(result.waypointOrder).toEqual([1, 0]);
+    });
+
+    test('route returns no routes when OSRM reports an error code', async () => {
+      globalThis.fetch.mockResolvedValue(mockJsonResponse({ code: 'NoRoute', routes: [] }));
+      const provider = createOsrmProvider(OSRM_CONFIG);
+
+      const result = await provider.route([-71, 42], [-70, 43]);
+
+      expect(result.routes).toEqual([]);
+    });
+
+    test('route throws an api_error on a non-ok response', async () => {
+      globalThis.fetch.mockResolvedValue({ ok: false, status: 429, statusText: 'Too Many Requests' });
+      const provider = createOsrmProvider(OSRM_CONFIG);
+
+      await expect(provider.route([-71, 42], [-70, 43])).rejects.toMatchObject({
+        telemetryCode: 'api_error',
+        telemetryProperties: { status_code: 429 },
+      });
+    });
+
+    test('reachableRange is not supported', async () => {
+      const provider = createOsrmProvider(OSRM_CONFIG);
+
+      await expect(provider.reachableRange([-71, 42], { timeBudgetInSeconds: 3600 })).rejects.toMatchObject({
+        telemetryCode: 'unsupported_by_provider',
+      });
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('toAzureRouteShape', () => {
+    test('converts geometry into a single leg of points', () => {
+      const route = toAzureRouteShape(OSRM_ROUTE);
+
+      expect(route.legs).toEqual([{
+        summary: { lengthInMeters: 1200, travelTimeInSeconds: 180 },
+        points: [
+          { latitude: 42.36, longitude: -71.06 },
+          { latitude: 42.37, longitude: -71.07 },
+          { latitude: 42.38, longitude: -71.08 },
+        ],
+      }]);
+    });
+
+    test('converts steps into guidance instructions with maneuver points', () => {
+      const route = toAzureRouteShape(OSRM_ROUTE);
+
+      expect(route.guidance.instructions[1]).toEqual({
+        message: 'Turn left onto Elm Street',
+        travelDistance: 800,
+        point: { latitude: 42.37, longitude: -71.07 },
+        legIndex: 0,
+      });
+    });
+
+    test('builds one leg per carpool stop from the step geometries', () => {
+      const route = toAzureRouteShape({
+        distance: 1500,
+        duration: 240,
+        legs: [
+          {
+            distance: 500,
+            duration: 90,
+            steps: [
+              { distance: 500, maneuver: { type: 'depart' }, geometry: { coordinates: [[-71.06, 42.36], [-71.07, 42.37]] } },
+              { distance: 0, maneuver: { type: 'arrive' }, geometry: { coordinates: [[-71.07, 42.37]] } },
+            ],
+          },
+          {
+            distance: 1000,
+            duration: 150,
+            steps: [
+              { distance: 1000, maneuver: { type: 'depart' }, geometry: { coordinates: [[-71.07, 42.37], [-71.08, 42.38]] } },
+              { distance: 0, maneuver: { type: 'arrive' }, geometry: { coordinates: [[-71.08, 42.38]] } },
+            ],
+          },
+        ],
+      });
+
+      expect(route.legs.map(leg => leg.summary)).toEqual([
+        { lengthInMeters: 500, travelTimeInSeconds: 90 },
+        { lengthInMeters: 1000, travelTimeInSeconds: 150 },
+      ]);
+      expect(route.legs[1].points[0]).toEqual({ latitude: 42.37, longitude: -71.07 });
+      expect(route.guidance.instructions.map(instruction => [instruction.message, instruction.legIndex])).toEqual([
+        ['Head out', 0],
+        ['Arrive at your stop', 0],
+        ['Head out', 1],
+        ['Arrive at your destination', 1],
+      ]);
+    });
+
+    test('rounds fractional OSRM durations to whole seconds', () => {
+      const singleLeg = toAzureRouteShape({ ...OSRM_ROUTE, duration: 1234.5 });
+      const multiLeg = toAzureRouteShape({
+        distance: 1500.4,
+        duration: 240.6,
+        legs: [
+          { distance: 500.2, duration: 90.4, steps: [] },
+          { distance: 1000.2, duration: 150.2, steps: [] },
+        ],
+      });
+
+      expect(singleLeg.summary.travelTimeInSeconds).toBe(1235);
+      expect(singleLeg.legs[0].summary.travelTimeInSeconds).toBe(1235);
+      expect(multiLeg.summary).toEqual({ lengthInMeters: 1500.4, travelTimeInSeconds: 241 });
+      expect(multiLeg.legs.map(leg => leg.summary.travelTimeInSeconds)).toEqual([90, 150]);
+    });
+
+    test('handles a route without geometry or legs', () => {
+      const route = toAzureRouteShape({});
+
+      expect(route.summary).toEqual({ lengthInMeters: 0, travelTimeInSeconds: 0 });
+      expect(route.legs[0].points).toEqual([]);
+      expect(route.guidance.instructions).toEqual([]);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('describeOsrmStep', () => {
+    test.each([
+      [{ name: 'Main Street', maneuver: { type: 'depart', modifier: 'north' } }, 'Head north on Main Street'],
+      [{ name: '', maneuver: { type: 'arrive' } }, 'Arrive at your destination'],
+      [{ name: 'Elm Street', maneuver: { type: 'new name' } }, 'Continue onto Elm Street'],
+      [{ name: 'I-90', maneuver: { type: 'merge', modifier: 'slight right' } }, 'Merge slight right onto I-90'],
+      [{ name: 'Route 2', maneuver: { type: 'roundabout', exit: 2 } }, 'Enter the roundabout and take exit 2 onto Route 2'],
+      [{}, 'Continue'],
+    ])('describes %j as "%s"', (step, expected) => {
+      expect(describeOsrmStep(step)).toBe(expected);
+    });
+  });
+});
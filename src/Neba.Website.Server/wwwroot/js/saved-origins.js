@@ -0,0 +1,175 @@
+/**
+ * Saved Origins
+ * Starting points a member uses again and again for directions: named places they saved ("Home",
+ * "Work") and the addresses they picked most recently. Kept in localStorage so they survive across
+ * visits on the same browser; falls back to memory when storage is unavailable (private browsing, tests).
+ *
+ * Origin: { name?, address, longitude, latitude }   (name is set for saved places only)
+ */
+
+import { isValidPosition } from './proximity.js';
+
+const STORAGE_KEY = 'neba.directions.origins';
+
+export const MAX_SAVED_ORIGINS = 10;
+export const MAX_RECENT_ORIGINS = 5;
+
+// Rounding to 4 decimals treats picks within about 10 m of each other as the same place
+const COORDINATE_PRECISION = 4;
+
+let memoryStore = null;
+
+/**
+ * Gets localStorage when the browser allows it
+ * @returns {Storage|null}
+ */
+function getStorage() {
+    try {
+        return globalThis.localStorage ?? null;
+    } catch {
+        // Accessing localStorage throws when storage is blocked for the site
+        return null;
+    }
+}
+
+/**
+ * Keeps the entries that still have a usable address and position
+ * @param {any} origins - Stored origins
+ * @returns {Array<Object>} Valid origins
+ */
+function validOrigins(origins) {
+    return (Array.isArray(origins) ? origins : [])
+        .filter(origin => typeof origin?.address === 'string' && isValidPosition([origin.longitude, origin.latitude]));
+}
+
+/**
+ * Reads the saved and recent origins
+ * @returns {Object} { saved, recent }
+ */
+export function readOrigins() {
+    let stored = memoryStore;
+
+    const storage = getStorage();
+    if (storage) {
+        try {
+            stored = JSON.parse(storage.getItem(STORAGE_KEY) ?? 'null');
+        } catch (error) {
+            console.warn('[SavedOrigins] Unable to read saved origins; using this visit\'s copy:', error);
+            stored = memoryStore;
+        }
+    }
+
+    return {
+        saved: validOrigins(stored?.saved),
+        recent: validOrigins(stored?.recent)
+    };
+}
+
+/**
+ * Writes the saved and recent origins
+ * @param {Object} origins - { saved, recent }
+ * @returns {Object} The origins written
+ */
+function writeOrigins(origins) {
+    memoryStore = origins;
+
+    const storage = getStorage();
+    if (storage) {
+        try {
+            storage.setItem(STORAGE_KEY, JSON.stringify(origins));
+        } catch (error) {
+            // Quota exceeded or storage disabled; the in-memory copy still lasts for this visit
+            console.warn('[SavedOrigins] Unable to persist origins:', error);
+        }
+    }
+
+    return origins;
+}
+
+/**
+ * Checks whether two origins are the same place
+ * @param {Object} a - Origin
+ * @param {Object} b - Origin
+ * @returns {boolean}
+ */
+function isSamePlace(a, b) {
+    const round = value => Number(value).toFixed(COORDINATE_PRECISION);
+    return a.address.toLowerCase() === b.address.toLowerCase()
+        || (round(a.longitude) === round(b.longitude) && round(a.latitude) === round(b.latitude));
+}
+
+/**
+ * Saves a named starting point, replacing any saved place with the same name
+ * @param {string} name - Name shown in the modal (e.g., "Home")
+ * @param {string} address - Address of the place
+ * @param {number[]} location - [longitude, latitude]
+ * @returns {Object} Updated { saved, recent }, or the unchanged origins when the input is unusable
+ */
+export function saveOrigin(name, address, location) {
+    const origins = readOrigins();
+    const trimmedName = String(name ?? '').trim();
+
+    if (!trimmedName || !address || !isValidPosition(location)) {
+        console.warn('[SavedOrigins] Not saving an origin without a name, address and position:', { name, address, location });
+        return origins;
+    }
+
+    const origin = { name: trimmedName, address, longitude: location[0], latitude: location[1] };
+    const others = origins.saved.filter(saved => saved.name?.toLowerCase() !== trimmedName.toLowerCase());
+
+    return writeOrigins({
+        saved: [...others, origin].slice(-MAX_SAVED_ORIGINS),
+        recent: origins.recent
+    });
+}
+
+/**
+ * Removes a saved starting point
+ * @param {string} name - Name of the saved place
+ * @returns {Object} Updated { saved, recent }
+ */
+export function removeSavedOrigin(name) {
+    const origins = readOrigins();
+    const lowerName = String(name ?? '').trim().toLowerCase();
+
+    return writeOrigins({
+        saved: origins.saved.filter(saved => saved.name?.toLowerCase() !== lowerName),
+        recent: origins.recent
+    });
+}
+
+/**
+ * Records a starting point the member just picked, most recent first
+ * @param {string} address - Address of the place
+ * @param {number[]} location - [longitude, latitude]
+ * @returns {Object} Updated { saved, recent }
+ */
+export function addRecentOrigin(address, location) {
+    const origins = readOrigins();
+
+    if (!address || !isValidPosition(location)) {
+        return origins;
+    }
+
+    const origin = { address, longitude: location[0], latitude: location[1] };
+
+    return writeOrigins({
+        saved: origins.saved,
+        recent: [origin, ...origins.recent.filter(recent => !isSamePlace(recent, origin))].slice(0, MAX_RECENT_ORIGINS)
+    });
+}
+
+/**
+ * Forgets the recently used starting points
+ * @returns {Object} Updated { saved, recent }
+ */
+export function clearRecentOrigins() {
+    return writeOrigins({ saved: readOrigins().saved, recent: [] });
+}
+
+/**
+ * Resets the in-memory fallback (for tests)
+ */
+export function resetOriginStore() {
+    memoryStore = null;
+}
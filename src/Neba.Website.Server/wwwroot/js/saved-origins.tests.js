@@ -0,0 +1,141 @@
+// Tests for saved-origins.js
+// Covers: readOrigins, saveOrigin, removeSavedOrigin, addRecentOrigin, clearRecentOrigins
+//         (localStorage persistence, memory fallback, limits, unreadable data)
+
+import {
+  readOrigins,
+  saveOrigin,
+  removeSavedOrigin,
+  addRecentOrigin,
+  clearRecentOrigins,
+  resetOriginStore,
+  MAX_RECENT_ORIGINS,
+} from './saved-origins.js';
+
+const STORAGE_KEY = 'neba.directions.origins';
+
+describe('saved-origins', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    resetOriginStore();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('readOrigins', () => {
+    test('returns empty lists when nothing has been saved', () => {
+      expect(readOrigins()).toEqual({ saved: [], recent: [] });
+    });
+
+    test('ignores unreadable data and entries without a position', () => {
+      localStorage.setItem(STORAGE_KEY, '{not json');
+      expect(readOrigins()).toEqual({ saved: [], recent: [] });
+
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        saved: [{ name: 'Home', address: '1 Main St', longitude: 'x', latitude: 42 }],
+        recent: [{ address: '2 Elm St', longitude: -71.1, latitude: 42.3 }],
+      }));
+      expect(readOrigins()).toEqual({
+        saved: [],
+        recent: [{ address: '2 Elm St', longitude: -71.1, latitude: 42.3 }],
+      });
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('saveOrigin', () => {
+    test('persists a named place to localStorage', () => {
+      saveOrigin(' Home ', '1 Main St, Worcester, MA', [-71.8, 42.26]);
+
+      expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).saved).toEqual([
+        { name: 'Home', address: '1 Main St, Worcester, MA', longitude: -71.8, latitude: 42.26 },
+      ]);
+    });
+
+    test('replaces a saved place with the same name', () => {
+      saveOrigin('Home', '1 Main St', [-71.8, 42.26]);
+      saveOrigin('home', '5 Oak Ave', [-71.1, 42.4]);
+
+      expect(readOrigins().saved).toEqual([
+        { name: 'home', address: '5 Oak Ave', longitude: -71.1, latitude: 42.4 },
+      ]);
+    });
+
+    test('does not save a place without a name or position', () => {
+      saveOrigin('', '1 Main St', [-71.8, 42.26]);
+      saveOrigin('Work', '1 Main St', null);
+
+      expect(readOrigins().saved).toEqual([]);
+    });
+
+    test('keeps working in memory when localStorage is unavailable', () => {
+      jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => { throw new Error('QuotaExceededError'); });
+      jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => { throw new Error('SecurityError'); });
+
+      saveOrigin('Work', '9 Park Sq', [-71.07, 42.35]);
+
+      expect(readOrigins().saved.map(origin => origin.name)).toEqual(['Work']);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('removeSavedOrigin', () => {
+    test('removes the saved place with that name', () => {
+      saveOrigin('Home', '1 Main St', [-71.8, 42.26]);
+      saveOrigin('Work', '9 Park Sq', [-71.07, 42.35]);
+
+      expect(removeSavedOrigin('HOME').saved.map(origin => origin.name)).toEqual(['Work']);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('addRecentOrigin', () => {
+    test('puts the latest pick first', () => {
+      addRecentOrigin('1 Main St', [-71.8, 42.26]);
+      addRecentOrigin('9 Park Sq', [-71.07, 42.35]);
+
+      expect(readOrigins().recent.map(origin => origin.address)).toEqual(['9 Park Sq', '1 Main St']);
+    });
+
+    test('moves a place picked again to the front instead of listing it twice', () => {
+      addRecentOrigin('1 Main St', [-71.8, 42.26]);
+      addRecentOrigin('9 Park Sq', [-71.07, 42.35]);
+      addRecentOrigin('1 MAIN ST', [-71.8, 42.26]);
+
+      expect(readOrigins().recent.map(origin => origin.address)).toEqual(['1 MAIN ST', '9 Park Sq']);
+    });
+
+    test(`keeps only the ${MAX_RECENT_ORIGINS} most recent places`, () => {
+      for (let i = 0; i < MAX_RECENT_ORIGINS + 2; i++) {
+        addRecentOrigin(`${i} Main St`, [-71 - i / 10, 42]);
+      }
+
+      const recent = readOrigins().recent;
+      expect(recent).toHaveLength(MAX_RECENT_ORIGINS);
+      expect(recent[0].address).toBe(`${MAX_RECENT_ORIGINS + 1} Main St`);
+    });
+
+    test('leaves the saved places alone', () => {
+      saveOrigin('Home', '1 Main St', [-71.8, 42.26]);
+
+      expect(addRecentOrigin('9 Park Sq', [-71.07, 42.35]).saved).toHaveLength(1);
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('clearRecentOrigins', () => {
+    test('forgets recent places but keeps saved ones', () => {
+      saveOrigin('Home', '1 Main St', [-71.8, 42.26]);
+      addRecentOrigin('9 Park Sq', [-71.07, 42.35]);
+
+      expect(clearRecentOrigins()).toEqual({
+        saved: [{ name: 'Home', address: '1 Main St', longitude: -71.8, latitude: 42.26 }],
+        recent: [],
+      });
+    });
+  });
+});
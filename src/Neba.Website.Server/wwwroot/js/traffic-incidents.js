@@ -0,0 +1,102 @@
+/**
+ * Traffic Incidents
+ * Reads the traffic sections Azure Maps attaches to a route (requested with sectionType=traffic) and
+ * turns them into short warnings for the directions summary, e.g. "Accident" on "I-495" costing 12 minutes.
+ *
+ * Incident: { cause, road, delaySeconds, position }
+ *   cause         Plain-language cause ("Accident", "Road work", ...)
+ *   road          Road number or street the incident is on, or null when the route doesn't say
+ *   delaySeconds  Extra travel time the incident adds
+ *   position      [longitude, latitude] where it starts, or null
+ *
+ * OSRM routes carry no traffic data, so they never have incidents.
+ */
+
+import { isValidPosition } from './proximity.js';
+
+// TPEG/TEC main cause codes reported in section.tec.causes
+const TEC_CAUSES = Object.freeze({
+    1: 'Traffic jam',
+    2: 'Accident',
+    3: 'Road work',
+    4: 'Lane closure',
+    5: 'Road closure',
+    6: 'Slippery road',
+    8: 'Fire',
+    9: 'Hazardous conditions',
+    10: 'Object on the road',
+    11: 'Animals on the road',
+    13: 'Broken-down vehicle',
+    15: 'Rescue work',
+    17: 'Severe weather',
+    18: 'Poor visibility',
+    23: 'Major event',
+    26: 'Slow vehicles',
+    30: 'Police checkpoint'
+});
+
+// Fallback when a section has no TEC cause
+const SIMPLE_CATEGORY_CAUSES = Object.freeze({
+    JAM: 'Traffic jam',
+    ROAD_WORK: 'Road work',
+    ROAD_CLOSURE: 'Road closure'
+});
+
+/**
+ * Describes what caused a traffic section
+ * @param {Object} section - Route section with sectionType TRAFFIC
+ * @returns {string} Plain-language cause
+ */
+export function describeIncidentCause(section) {
+    const mainCauseCode = section?.tec?.causes?.[0]?.mainCauseCode;
+    return TEC_CAUSES[mainCauseCode]
+        ?? SIMPLE_CATEGORY_CAUSES[section?.simpleCategory]
+        ?? 'Traffic incident';
+}
+
+/**
+ * Finds the road a route point is on from the last guidance instruction at or before it
+ * @param {Array<Object>} instructions - Guidance instructions with pointIndex, roadNumbers and street
+ * @param {number} pointIndex - Index into the route points
+ * @returns {string|null} Road number or street name
+ */
+function findRoadAt(instructions, pointIndex) {
+    const instruction = instructions
+        .filter(candidate => Number.isInteger(candidate?.pointIndex) && candidate.pointIndex <= pointIndex)
+        .filter(candidate => candidate.roadNumbers?.length > 0 || candidate.street)
+        .at(-1);
+
+    return instruction?.roadNumbers?.[0] || instruction?.street || null;
+}
+
+/**
+ * Extracts the traffic incidents along a route, in the order they are driven through
+ * @param {Object} route - Route object returned by the Azure Maps Route API
+ * @returns {Array<Object>} Incidents
+ */
+export function extractTrafficIncidents(route) {
+    const sections = (route?.sections ?? [])
+        .filter(section => String(section?.sectionType).toUpperCase() === 'TRAFFIC');
+
+    if (sections.length === 0) {
+        return [];
+    }
+
+    const points = (route.legs ?? []).flatMap(leg => leg?.points ?? []);
+    const instructions = route.guidance?.instructions
+        ?? (route.guidance?.instructionGroups ?? []).flatMap(group => group.instructions ?? []);
+
+    return sections
+        .sort((a, b) => (a.startPointIndex ?? 0) - (b.startPointIndex ?? 0))
+        .map(section => {
+            const point = points[section.startPointIndex];
+            const position = [Number(point?.longitude), Number(point?.latitude)];
+
+            return {
+                cause: describeIncidentCause(section),
+                road: findRoadAt(instructions, section.startPointIndex ?? 0),
+                delaySeconds: Math.max(0, Math.round(Number(section.delayInSeconds) || 0)),
+                position: point && isValidPosition(position) ? position : null
+            };
+        });
+}
@@ -0,0 +1,77 @@
+// Tests for traffic-incidents.js
+// Covers: describeIncidentCause, extractTrafficIncidents (cause, road, delay, position, ordering)
+
+import { describeIncidentCause, extractTrafficIncidents } from './traffic-incidents.js';
+
+function makeRoute(sections, instructions = []) {
+  return {
+    legs: [
+      {
+        points: [
+          { longitude: -71.4, latitude: 42.3 },
+          { longitude: -71.3, latitude: 42.4 },
+          { longitude: -71.2, latitude: 42.5 },
+          { longitude: -71.1, latitude: 42.6 },
+        ],
+      },
+    ],
+    guidance: { instructions },
+    sections,
+  };
+}
+
+describe('traffic-incidents', () => {
+  // ---------------------------------------------------------------------------
+  describe('describeIncidentCause', () => {
+    test('names the TEC cause when the section has one', () => {
+      expect(describeIncidentCause({ simpleCategory: 'OTHER', tec: { causes: [{ mainCauseCode: 2 }] } })).toBe('Accident');
+    });
+
+    test('falls back to the simple category', () => {
+      expect(describeIncidentCause({ simpleCategory: 'ROAD_WORK' })).toBe('Road work');
+    });
+
+    test('uses a generic description for anything else', () => {
+      expect(describeIncidentCause({ simpleCategory: 'OTHER', tec: { causes: [{ mainCauseCode: 101 }] } })).toBe('Traffic incident');
+    });
+  });
+
+  // ---------------------------------------------------------------------------
+  describe('extractTrafficIncidents', () => {
+    test('returns the cause, road, delay and position of each traffic section', () => {
+      const route = makeRoute(
+        [{ sectionType: 'TRAFFIC', startPointIndex: 2, endPointIndex: 3, delayInSeconds: 720, tec: { causes: [{ mainCauseCode: 2 }] } }],
+        [
+          { pointIndex: 0, street: 'Main St' },
+          { pointIndex: 1, roadNumbers: ['I-495'], street: 'Interstate 495' },
+          { pointIndex: 3, street: 'Bowling Way' },
+        ],
+      );
+
+      expect(extractTrafficIncidents(route)).toEqual([
+        { cause: 'Accident', road: 'I-495', delaySeconds: 720, position: [-71.2, 42.5] },
+      ]);
+    });
+
+    test('ignores other section types and orders incidents along the route', () => {
+      const route = makeRoute([
+        { sectionType: 'TRAFFIC', startPointIndex: 3, simpleCategory: 'JAM', delayInSeconds: 60 },
+        { sectionType: 'MOTORWAY', startPointIndex: 1 },
+        { sectionType: 'TRAFFIC', startPointIndex: 1, simpleCategory: 'ROAD_CLOSURE' },
+      ]);
+
+      expect(extractTrafficIncidents(route).map(incident => incident.cause)).toEqual(['Road closure', 'Traffic jam']);
+    });
+
+    test('leaves the road and delay empty when the route does not give them', () => {
+      const [incident] = extractTrafficIncidents(makeRoute([{ sectionType: 'TRAFFIC', startPointIndex: 9 }]));
+
+      expect(incident).toEqual({ cause: 'Traffic incident', road: null, delaySeconds: 0, position: null });
+    });
+
+    test('returns no incidents for routes without traffic sections', () => {
+      expect(extractTrafficIncidents(makeRoute(undefined))).toEqual([]);
+      expect(extractTrafficIncidents(null)).toEqual([]);
+    });
+  });
+});
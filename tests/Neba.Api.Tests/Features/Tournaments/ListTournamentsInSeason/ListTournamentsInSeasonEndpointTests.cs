@@ -72,6 +72,60 @@ public sealed class ListTournamentsInSeasonEndpointTests
         endpoint.Response.Items.ShouldBeEmpty();
     }
 
+    [Fact(DisplayName = "HandleAsync should map bowling center coordinates when the center has coordinates")]
+    public async Task HandleAsync_ShouldMapBowlingCenterCoordinates_WhenCenterHasCoordinates()
+    {
+        // Arrange
+        var seasonId = SeasonId.New();
+        var cancellationToken = TestContext.Current.CancellationToken;
+        var dto = SeasonTournamentDtoFactory.Create(
+            bowlingCenter: SeasonTournamentBowlingCenterDtoFactory.Create(
+                latitude: SeasonTournamentBowlingCenterDtoFactory.ValidLatitude,
+                longitude: SeasonTournamentBowlingCenterDtoFactory.ValidLongitude));
+
+        var queryHandlerMock = new Mock<IQueryHandler<ListTournamentsInSeasonQuery, IReadOnlyCollection<SeasonTournamentDto>>>(MockBehavior.Strict);
+        queryHandlerMock
+            .Setup(h => h.HandleAsync(It.IsAny<ListTournamentsInSeasonQuery>(), cancellationToken))
+            .ReturnsAsync([dto]);
+
+        var endpoint = Factory.Create<ListTournamentsInSeasonEndpoint>(queryHandlerMock.Object);
+
+        // Act
+        await endpoint.HandleAsync(new ListTournamentsInSeasonRequest { SeasonId = seasonId.Value.ToString() }, cancellationToken);
+
+        // Assert
+        var bowlingCenter = endpoint.Response.Items.ShouldHaveSingleItem().BowlingCenter;
+        bowlingCenter.ShouldNotBeNull();
+        bowlingCenter.Latitude.ShouldBe(SeasonTournamentBowlingCenterDtoFactory.ValidLatitude);
+        bowlingCenter.Longitude.ShouldBe(SeasonTournamentBowlingCenterDtoFactory.ValidLongitude);
+    }
+
+    [Fact(DisplayName = "HandleAsync should map null bowling center coordinates when the center has no coordinates")]
+    public async Task HandleAsync_ShouldMapNullBowlingCenterCoordinates_WhenCenterHasNoCoordinates()
+    {
+        // Arrange
+        var seasonId = SeasonId.New();
+        var cancellationToken = TestContext.Current.CancellationToken;
+        var dto = SeasonTournamentDtoFactory.Create(
+            bowlingCenter: SeasonTournamentBowlingCenterDtoFactory.Create());
+
+        var queryHandlerMock = new Mock<IQueryHandler<ListTournamentsInSeasonQuery, IReadOnlyCollection<SeasonTournamentDto>>>(MockBehavior.Strict);
+        queryHandlerMock
+            .Setup(h => h.HandleAsync(It.IsAny<ListTournamentsInSeasonQuery>(), cancellationToken))
+            .ReturnsAsync([dto]);
+
+        var endpoint = Factory.Create<ListTournamentsInSeasonEndpoint>(queryHandlerMock.Object);
+
+        // Act
+        await endpoint.HandleAsync(new ListTournamentsInSeasonRequest { SeasonId = seasonId.Value.ToString() }, cancellationToken);
+
+        // Assert
+        var bowlingCenter = endpoint.Response.Items.ShouldHaveSingleItem().BowlingCenter;
+        bowlingCenter.ShouldNotBeNull();
+        bowlingCenter.Latitude.ShouldBeNull();
+        bowlingCenter.Longitude.ShouldBeNull();
+    }
+
     [Fact(DisplayName = "HandleAsync should pass the SeasonId from the request to the query")]
     public async Task HandleAsync_ShouldPassSeasonIdToQuery()
     {
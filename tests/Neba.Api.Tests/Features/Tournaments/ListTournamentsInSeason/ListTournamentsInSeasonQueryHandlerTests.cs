@@ -3,6 +3,8 @@ using Neba.Api.Features.Tournaments.Domain;
 using Neba.Api.Features.Tournaments.ListTournamentsInSeason;
 using Neba.Api.Storage;
 using Neba.TestFactory.Attributes;
+using Neba.TestFactory.BowlingCenters;
+using Neba.TestFactory.Contact;
 using Neba.TestFactory.Infrastructure;
 using Neba.TestFactory.Seasons;
 using Neba.TestFactory.Storage;
@@ -108,6 +110,72 @@ public sealed class ListTournamentsInSeasonQueryHandlerTests(AppDbContextFixture
         dto.Winners.ShouldBeEmpty();
     }
 
+    [Fact(DisplayName = "HandleAsync returns bowling center coordinates when the center address has coordinates")]
+    public async Task HandleAsync_ShouldReturnBowlingCenterCoordinates_WhenCenterAddressHasCoordinates()
+    {
+        // Arrange
+        var ct = TestContext.Current.CancellationToken;
+        var season = SeasonFactory.Create();
+        await _dbContext.Seasons.AddAsync(season, ct);
+
+        var center = BowlingCenterFactory.Create(
+            name: "Hartford Lanes",
+            address: AddressFactory.CreateUsAddress(coordinates: AddressFactory.ValidCoordinates));
+        await _dbContext.BowlingCenters.AddAsync(center, ct);
+
+        var tournament = TournamentFactory.Create(seasonId: season.Id, bowlingCenterId: center.CertificationNumber);
+        await _dbContext.Tournaments.AddAsync(tournament, ct);
+        await _dbContext.SaveChangesAsync(ct);
+
+        var fileStorageMock = new Mock<IFileStorageService>(MockBehavior.Loose);
+        var handler = new ListTournamentsInSeasonQueryHandler(_dbContext, fileStorageMock.Object);
+
+        // Act
+        var result = await handler.HandleAsync(
+            new ListTournamentsInSeasonQuery { SeasonId = season.Id }, ct);
+
+        // Assert
+        result.ShouldHaveSingleItem();
+        var bowlingCenter = result.Single().BowlingCenter;
+        bowlingCenter.ShouldNotBeNull();
+        bowlingCenter.Name.ShouldBe("Hartford Lanes");
+        bowlingCenter.Latitude.ShouldBe(AddressFactory.ValidCoordinates.Latitude);
+        bowlingCenter.Longitude.ShouldBe(AddressFactory.ValidCoordinates.Longitude);
+    }
+
+    [Fact(DisplayName = "HandleAsync returns null bowling center coordinates when the center address has no coordinates")]
+    public async Task HandleAsync_ShouldReturnNullBowlingCenterCoordinates_WhenCenterAddressHasNoCoordinates()
+    {
+        // Arrange
+        var ct = TestContext.Current.CancellationToken;
+        var season = SeasonFactory.Create();
+        await _dbContext.Seasons.AddAsync(season, ct);
+
+        var center = BowlingCenterFactory.Create(
+            name: "Hartford Lanes",
+            address: AddressFactory.CreateUsAddress(coordinates: null));
+        await _dbContext.BowlingCenters.AddAsync(center, ct);
+
+        var tournament = TournamentFactory.Create(seasonId: season.Id, bowlingCenterId: center.CertificationNumber);
+        await _dbContext.Tournaments.AddAsync(tournament, ct);
+        await _dbContext.SaveChangesAsync(ct);
+
+        var fileStorageMock = new Mock<IFileStorageService>(MockBehavior.Loose);
+        var handler = new ListTournamentsInSeasonQueryHandler(_dbContext, fileStorageMock.Object);
+
+        // Act
+        var result = await handler.HandleAsync(
+            new ListTournamentsInSeasonQuery { SeasonId = season.Id }, ct);
+
+        // Assert
+        result.ShouldHaveSingleItem();
+        var bowlingCenter = result.Single().BowlingCenter;
+        bowlingCenter.ShouldNotBeNull();
+        bowlingCenter.Name.ShouldBe("Hartford Lanes");
+        bowlingCenter.Latitude.ShouldBeNull();
+        bowlingCenter.Longitude.ShouldBeNull();
+    }
+
     [Fact(DisplayName = "HandleAsync sets LogoUrl when tournament has a logo")]
     public async Task HandleAsync_ShouldSetLogoUrl_WhenTournamentHasLogo()
     {
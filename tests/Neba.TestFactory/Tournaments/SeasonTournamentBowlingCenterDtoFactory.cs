@@ -7,16 +7,22 @@ public static class SeasonTournamentBowlingCenterDtoFactory
     public const string ValidName = "Test Lanes";
     public const string ValidCity = "Springfield";
     public const string ValidState = "IL";
+    public const double ValidLatitude = 39.7817;
+    public const double ValidLongitude = -89.6501;
 
     public static SeasonTournamentBowlingCenterDto Create(
         string? name = null,
         string? city = null,
-        string? state = null)
+        string? state = null,
+        double? latitude = null,
+        double? longitude = null)
         => new()
         {
             Name = name ?? ValidName,
             City = city ?? ValidCity,
             State = state ?? ValidState,
+            Latitude = latitude,
+            Longitude = longitude,
         };
 
     public static IReadOnlyCollection<SeasonTournamentBowlingCenterDto> Bogus(int count, int? seed = null)
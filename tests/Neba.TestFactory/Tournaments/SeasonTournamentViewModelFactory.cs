@@ -33,6 +33,8 @@ public static class SeasonTournamentViewModelFactory
             RegistrationUrl = new Uri("https://www.bowlneba.com/register", UriKind.Absolute),
             BowlingCenterName = "Striker Lanes",
             BowlingCenterCity = "Manchester, NH",
+            BowlingCenterLatitude = 42.9956,
+            BowlingCenterLongitude = -71.4548,
             Sponsor = "Acme Bowling",
             TournamentLogoUrl = new Uri("https://cdn.bowlneba.com/logos/granite-state-open.png", UriKind.Absolute),
             AddedMoney = 1500m,
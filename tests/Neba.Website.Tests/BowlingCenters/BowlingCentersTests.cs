@@ -1,5 +1,8 @@
+using System.Text.Json;
+
 using Bunit;
 
+using Microsoft.AspNetCore.Components;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Logging.Abstractions;
@@ -20,6 +23,7 @@ using Refit;
 using Refit.Testing;
 
 using BowlingCentersPage = Neba.Website.Server.BowlingCenters.BowlingCenters;
+using RouteData = Neba.Website.Server.Maps.RouteData;
 
 namespace Neba.Website.Tests.BowlingCenters;
 
@@ -44,6 +48,7 @@ public sealed class BowlingCentersTests : IDisposable
         _ctx.Services.AddSingleton(_mockApi.Object);
         _ctx.Services.AddSingleton(new ApiExecutor(mockStopwatch.Object, NullLogger<ApiExecutor>.Instance));
         _ctx.Services.AddSingleton(new AzureMapsSettings());
+        _ctx.Services.AddSingleton(new MapRoutingSettings());
         _ctx.Services.AddSingleton<ILogger<NebaMap>>(NullLogger<NebaMap>.Instance);
 
         _ctx.ComponentFactories.AddStub<DirectionsModal>();
@@ -305,6 +310,21 @@ public sealed class BowlingCentersTests : IDisposable
         satelliteButton.ClassList.ShouldContain("bg-[var(--neba-blue-600)]");
     }
 
+    [Fact(DisplayName = "Should turn on the traffic overlay when the Traffic button is clicked")]
+    public async Task TrafficButton_ShouldBePressed_WhenClicked()
+    {
+        // Arrange
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create()]);
+
+        // Act
+        var cut = _ctx.Render<BowlingCentersPage>();
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Trim() == "Traffic").Click());
+
+        // Assert
+        var trafficButton = cut.FindAll("button").First(b => b.TextContent.Trim() == "Traffic");
+        trafficButton.GetAttribute("aria-pressed").ShouldBe("true");
+    }
+
     [Fact(DisplayName = "Should invoke directions flow when Get Directions button is clicked")]
     public async Task HandleDirectionsClick_ShouldStartDirectionsFlow_WhenClicked()
     {
@@ -321,6 +341,200 @@ public sealed class BowlingCentersTests : IDisposable
         cut.Markup.ShouldContain("Directions Bowl");
     }
 
+    [Fact(DisplayName = "GetLocationId should join name and city with hyphens for spaces")]
+    public void GetLocationId_ShouldReplaceSpacesWithHyphens()
+    {
+        // Arrange
+        var center = BowlingCenterSummaryViewModelFactory.Create(name: "Lucky Strike Lanes", city: "East Providence");
+
+        // Act
+        var locationId = BowlingCentersPage.GetLocationId(center);
+
+        // Assert
+        locationId.ShouldBe("Lucky-Strike-Lanes-East-Providence");
+    }
+
+    [Fact(DisplayName = "Should open directions when the map popup requests directions")]
+    public async Task HandleMapDirectionsRequested_ShouldOpenDirectionsModal_WhenLocationKnown()
+    {
+        // Arrange
+        var center = BowlingCenterSummaryResponseFactory.Create(
+            name: "Popup Bowl",
+            address: AddressDtoFactory.Create(city: "Boston"));
+        SetupSuccessResponse([center]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        var nebaMap = cut.FindComponent<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyDirectionsRequested("Popup-Bowl-Boston"));
+
+        // Assert
+        var modal = cut.FindComponent<Stub<DirectionsModal>>();
+        modal.Instance.Parameters.Get(x => x.IsOpen).ShouldBeTrue();
+    }
+
+    [Fact(DisplayName = "Should switch the directions route when an alternative is clicked on the map")]
+    public async Task HandleMapRouteSelected_ShouldSelectRouteOption_WhenAlternativeClicked()
+    {
+        // Arrange
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create()]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        var state = cut.FindComponent<Stub<DirectionsModal>>().Instance.Parameters.Get(x => x.State);
+        state.Mode = MapMode.DirectionsActive;
+        state.Route = new RouteData
+        {
+            TravelTimeSeconds = 1200,
+            RouteOptions = [new RouteData { TravelTimeSeconds = 1200 }, new RouteData { TravelTimeSeconds = 1260 }]
+        };
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindComponent<NebaMap>().Instance.NotifyRouteSelected(1));
+
+        // Assert
+        state.Route.SelectedRouteIndex.ShouldBe(1);
+        state.Route.TravelTimeSeconds.ShouldBe(1260);
+    }
+
+    [Fact(DisplayName = "Should highlight the route on the map when an option is picked in the directions modal")]
+    public async Task HandleRouteOptionSelected_ShouldSelectRouteOnMap_WhenPickedInModal()
+    {
+        // Arrange
+        var mapModule = _ctx.JSInterop.SetupModule("./Maps/NebaMap.razor.js");
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create()]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        var onRouteOptionSelected = cut.FindComponent<Stub<DirectionsModal>>().Instance.Parameters.Get(x => x.OnRouteOptionSelected);
+
+        // Act
+        await cut.InvokeAsync(() => onRouteOptionSelected.InvokeAsync(1));
+
+        // Assert
+        var invocation = mapModule.VerifyInvoke("selectRoute");
+        invocation.Arguments[1].ShouldBe(1);
+    }
+
+    [Fact(DisplayName = "Should calculate the route with the route options picked in the directions modal")]
+    public async Task HandleLocationSelected_ShouldPassRouteSettings_WhenCalculatingRoute()
+    {
+        // Arrange
+        var mapModule = _ctx.JSInterop.SetupModule("./Maps/NebaMap.razor.js");
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create()]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        var modal = cut.FindComponent<Stub<DirectionsModal>>();
+        var state = modal.Instance.Parameters.Get(x => x.State);
+        state.DestinationLocation = [-71.5, 42.5];
+        state.RouteSettings.AvoidTolls = true;
+
+        // Act
+        await cut.InvokeAsync(() => modal.Instance.Parameters.Get(x => x.OnLocationSelected).InvokeAsync([-71.0589, 42.3601]));
+
+        // Assert
+        var invocation = mapModule.VerifyInvoke("showRoute");
+        JsonSerializer.Serialize(invocation.Arguments[3]).ShouldContain("\"avoidTolls\":true");
+    }
+
+    [Fact(DisplayName = "Should calculate the route through the carpool stops added in the directions modal")]
+    public async Task HandleLocationSelected_ShouldPassWaypoints_WhenCalculatingRoute()
+    {
+        // Arrange
+        var mapModule = _ctx.JSInterop.SetupModule("./Maps/NebaMap.razor.js");
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create()]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        var modal = cut.FindComponent<Stub<DirectionsModal>>();
+        var state = modal.Instance.Parameters.Get(x => x.State);
+        state.DestinationLocation = [-71.5, 42.5];
+        state.Waypoints.Add(new RouteWaypoint("45 Elm St, Worcester, MA", [-71.8, 42.26]));
+
+        // Act
+        await cut.InvokeAsync(() => modal.Instance.Parameters.Get(x => x.OnLocationSelected).InvokeAsync([-71.0589, 42.3601]));
+
+        // Assert
+        var invocation = mapModule.VerifyInvoke("showRoute");
+        JsonSerializer.Serialize(invocation.Arguments[4]).ShouldBe("[[-71.8,42.26]]");
+    }
+
+    [Fact(DisplayName = "Should rebuild the directions from a shared link once the map is ready")]
+    public async Task HandleMapReady_ShouldCalculateSharedRoute_WhenUrlHasShareLink()
+    {
+        // Arrange
+        var mapModule = _ctx.JSInterop.SetupModule("./Maps/NebaMap.razor.js");
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create(
+            name: "Popup Bowl",
+            address: AddressDtoFactory.Create(city: "Boston"))]);
+        _ctx.Services.GetRequiredService<NavigationManager>().NavigateTo(
+            "/bowling-centers?directions=Popup-Bowl-Boston&from=42.3601,-71.0589&fromName=Home&via=42.26,-71.8&viaName=Alex&avoid=tolls");
+        var cut = _ctx.Render<BowlingCentersPage>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindComponent<NebaMap>().Instance.NotifyMapReady());
+
+        // Assert
+        var modal = cut.FindComponent<Stub<DirectionsModal>>();
+        var state = modal.Instance.Parameters.Get(x => x.State);
+        modal.Instance.Parameters.Get(x => x.IsOpen).ShouldBeTrue();
+        state.SelectedCenterId.ShouldBe("Popup-Bowl-Boston");
+        state.UserAddress.ShouldBe("Home");
+        state.Waypoints.Select(waypoint => waypoint.Name).ShouldBe(["Alex"]);
+
+        var invocation = mapModule.VerifyInvoke("showRoute");
+        JsonSerializer.Serialize(invocation.Arguments[1]).ShouldBe("[-71.0589,42.3601]");
+        JsonSerializer.Serialize(invocation.Arguments[3]).ShouldContain("\"avoidTolls\":true");
+        JsonSerializer.Serialize(invocation.Arguments[4]).ShouldBe("[[-71.8,42.26]]");
+    }
+
+    [Fact(DisplayName = "Should keep directions the map restarted from the URL when the shared link is rebuilt")]
+    public async Task HandleMapReady_ShouldNotRestartDirections_WhenMapRestoredDestinationFromUrl()
+    {
+        // Arrange
+        var mapModule = _ctx.JSInterop.SetupModule("./Maps/NebaMap.razor.js");
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create(
+            name: "Popup Bowl",
+            address: AddressDtoFactory.Create(city: "Boston"))]);
+        _ctx.Services.GetRequiredService<NavigationManager>().NavigateTo(
+            "/bowling-centers?directions=Popup-Bowl-Boston&from=42.3601,-71.0589");
+        var cut = _ctx.Render<BowlingCentersPage>();
+        var nebaMap = cut.FindComponent<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyDirectionsRequested("Popup-Bowl-Boston"));
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyMapReady());
+
+        // Assert
+        mapModule.Invocations["enterDirectionsPreview"].Count.ShouldBe(1);
+        mapModule.VerifyInvoke("showRoute");
+        cut.FindComponent<Stub<DirectionsModal>>().Instance.Parameters.Get(x => x.IsOpen).ShouldBeTrue();
+    }
+
+    [Fact(DisplayName = "Should not open directions on map ready without a shared link")]
+    public async Task HandleMapReady_ShouldNotOpenDirectionsModal_WhenUrlHasNoShareLink()
+    {
+        // Arrange
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create()]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindComponent<NebaMap>().Instance.NotifyMapReady());
+
+        // Assert
+        var modal = cut.FindComponent<Stub<DirectionsModal>>();
+        modal.Instance.Parameters.Get(x => x.IsOpen).ShouldBeFalse();
+    }
+
+    [Fact(DisplayName = "Should ignore popup directions requests for unknown locations")]
+    public async Task HandleMapDirectionsRequested_ShouldNotOpenDirectionsModal_WhenLocationUnknown()
+    {
+        // Arrange
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create(name: "Popup Bowl")]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        var nebaMap = cut.FindComponent<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyDirectionsRequested("Missing-Center"));
+
+        // Assert
+        var modal = cut.FindComponent<Stub<DirectionsModal>>();
+        modal.Instance.Parameters.Get(x => x.IsOpen).ShouldBeFalse();
+    }
+
     [Fact(DisplayName = "Should focus map location when center card is clicked")]
     public async Task HandleCenterCardClick_ShouldFocusMapLocation_WhenCardClicked()
     {
@@ -336,6 +550,283 @@ public sealed class BowlingCentersTests : IDisposable
         cut.Markup.ShouldContain("Focus Bowl");
     }
 
+    [Fact(DisplayName = "Should mark center card as selected when it is clicked")]
+    public async Task HandleCenterCardClick_ShouldSelectCard_WhenCardClicked()
+    {
+        // Arrange
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create(name: "Focus Bowl")]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find(".center-card").Click());
+
+        // Assert
+        var card = cut.Find(".center-card");
+        card.ClassList.ShouldContain("selected");
+        card.GetAttribute("aria-current").ShouldBe("true");
+    }
+
+    [Fact(DisplayName = "Should select the matching center card when a map marker is clicked")]
+    public async Task HandleMapLocationSelected_ShouldSelectMatchingCard_WhenMarkerClicked()
+    {
+        // Arrange
+        SetupSuccessResponse(
+        [
+            BowlingCenterSummaryResponseFactory.Create(name: "Alpha Lanes", address: AddressDtoFactory.Create(city: "Boston")),
+            BowlingCenterSummaryResponseFactory.Create(name: "Beta Lanes", address: AddressDtoFactory.Create(city: "Worcester"))
+        ]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        var nebaMap = cut.FindComponent<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyLocationSelected("Beta-Lanes-Worcester"));
+
+        // Assert
+        var selectedCard = cut.Find(".center-card.selected");
+        selectedCard.GetAttribute("data-location-id").ShouldBe("Beta-Lanes-Worcester");
+        cut.FindAll(".center-card.selected").Count.ShouldBe(1);
+    }
+
+    [Fact(DisplayName = "Should highlight the matching center card while its marker is hovered")]
+    public async Task HandleMapLocationHovered_ShouldHighlightCard_WhileMarkerHovered()
+    {
+        // Arrange
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create(name: "Hover Bowl", address: AddressDtoFactory.Create(city: "Salem"))]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        var nebaMap = cut.FindComponent<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyLocationHovered("Hover-Bowl-Salem"));
+        var hoveredClasses = cut.Find(".center-card").ClassList.ToList();
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyLocationHovered(null));
+
+        // Assert
+        hoveredClasses.ShouldContain("hovered");
+        cut.Find(".center-card").ClassList.ShouldNotContain("hovered");
+    }
+
+    [Fact(DisplayName = "Should clear the selected center when a filter removes it")]
+    public async Task FilterByStateAsync_ShouldClearSelection_WhenSelectedCenterFilteredOut()
+    {
+        // Arrange
+        SetupSuccessResponse(
+        [
+            BowlingCenterSummaryResponseFactory.Create(name: "Mass Lanes", address: AddressDtoFactory.Create(city: "Boston", region: "MA")),
+            BowlingCenterSummaryResponseFactory.Create(name: "Conn Lanes", address: AddressDtoFactory.Create(city: "Hartford", region: "CT"))
+        ]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        var nebaMap = cut.FindComponent<NebaMap>();
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyLocationSelected("Conn-Lanes-Hartford"));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "MA").Click());
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "All States").Click());
+
+        // Assert
+        cut.FindAll(".center-card.selected").ShouldBeEmpty();
+    }
+
+    [Fact(DisplayName = "FormatDistance should show miles with one decimal place")]
+    public void FormatDistance_ShouldShowOneDecimalPlace()
+    {
+        // Act
+        var formatted = BowlingCentersPage.FormatDistance(12.43);
+
+        // Assert
+        formatted.ShouldBe("12.4 mi away");
+    }
+
+    [Fact(DisplayName = "Should sort centers by distance and show miles away when near me finds the user")]
+    public async Task HandleNearMeClick_ShouldSortByDistance_WhenLocationFound()
+    {
+        // Arrange
+        var module = _ctx.JSInterop.SetupModule("./BowlingCenters/BowlingCenters.razor.js");
+        module.Setup<double[]>("getCurrentLocation", _ => true).SetResult([-71.0589, 42.3601]);
+        SetupSuccessResponse(
+        [
+            BowlingCenterSummaryResponseFactory.Create(name: "Alpha Lanes", address: AddressDtoFactory.Create(city: "Worcester")),
+            BowlingCenterSummaryResponseFactory.Create(name: "Zeta Lanes", address: AddressDtoFactory.Create(city: "Boston"))
+        ]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        var nebaMap = cut.FindComponent<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "Near me").Click());
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyDistancesCalculated(
+        [
+            new MapLocationDistance("Zeta-Lanes-Boston", 1.2),
+            new MapLocationDistance("Alpha-Lanes-Worcester", 38.46)
+        ]));
+
+        // Assert
+        var cards = cut.FindAll(".center-card");
+        cards[0].TextContent.ShouldContain("Zeta Lanes");
+        cards[0].TextContent.ShouldContain("1.2 mi away");
+        cards[1].TextContent.ShouldContain("38.5 mi away");
+        cut.Markup.ShouldContain("Nearest to your location");
+    }
+
+    [Fact(DisplayName = "Should offer ZIP code entry when location access is denied")]
+    public async Task HandleNearMeClick_ShouldShowPostalCodeFallback_WhenPermissionDenied()
+    {
+        // Arrange
+        var module = _ctx.JSInterop.SetupModule("./BowlingCenters/BowlingCenters.razor.js");
+        module.Setup<double[]>("getCurrentLocation", _ => true)
+            .SetException(new JSException("Location access denied. Please enable location services."));
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create()]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "Near me").Click());
+
+        // Assert
+        cut.Find("#near-me-postal-code").ShouldNotBeNull();
+        cut.Markup.ShouldContain("Location access denied. Enter a ZIP code to find centers near you.");
+    }
+
+    [Fact(DisplayName = "Should start near me from a ZIP code when it is found")]
+    public async Task HandlePostalCodeSubmit_ShouldStartNearMe_WhenPostalCodeFound()
+    {
+        // Arrange
+        var module = _ctx.JSInterop.SetupModule("./BowlingCenters/BowlingCenters.razor.js");
+        module.Setup<double[]>("getCurrentLocation", _ => true)
+            .SetException(new JSException("Location access denied."));
+        module.Setup<double[]?>("locatePostalCode", invocation => (string?)invocation.Arguments[0] == "02134")
+            .SetResult([-71.1337, 42.3539]);
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create()]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "Near me").Click());
+
+        // Act
+        cut.Find("#near-me-postal-code").Change(" 02134 ");
+        await cut.InvokeAsync(() => cut.Find("form").Submit());
+
+        // Assert
+        cut.Markup.ShouldContain("Nearest to 02134");
+        cut.FindAll("#near-me-postal-code").ShouldBeEmpty();
+    }
+
+    [Fact(DisplayName = "Should explain when a ZIP code cannot be found")]
+    public async Task HandlePostalCodeSubmit_ShouldShowMessage_WhenPostalCodeNotFound()
+    {
+        // Arrange
+        var module = _ctx.JSInterop.SetupModule("./BowlingCenters/BowlingCenters.razor.js");
+        module.Setup<double[]>("getCurrentLocation", _ => true)
+            .SetException(new JSException("Location access denied."));
+        module.Setup<double[]?>("locatePostalCode", _ => true).SetResult(null);
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create()]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "Near me").Click());
+
+        // Act
+        cut.Find("#near-me-postal-code").Change("99999");
+        await cut.InvokeAsync(() => cut.Find("form").Submit());
+
+        // Assert
+        cut.Find("label[for='near-me-postal-code']").TextContent
+            .ShouldBe("We couldn't find ZIP code 99999. Check it and try again.");
+    }
+
+    [Fact(DisplayName = "Should restore alphabetical order and hide distances when near me is cleared")]
+    public async Task ClearNearMeAsync_ShouldRestoreAlphabeticalOrder_WhenCleared()
+    {
+        // Arrange
+        var module = _ctx.JSInterop.SetupModule("./BowlingCenters/BowlingCenters.razor.js");
+        module.Setup<double[]>("getCurrentLocation", _ => true).SetResult([-71.0589, 42.3601]);
+        SetupSuccessResponse(
+        [
+            BowlingCenterSummaryResponseFactory.Create(name: "Alpha Lanes", address: AddressDtoFactory.Create(city: "Worcester")),
+            BowlingCenterSummaryResponseFactory.Create(name: "Zeta Lanes", address: AddressDtoFactory.Create(city: "Boston"))
+        ]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        var nebaMap = cut.FindComponent<NebaMap>();
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "Near me").Click());
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyDistancesCalculated(
+        [
+            new MapLocationDistance("Zeta-Lanes-Boston", 1.2),
+            new MapLocationDistance("Alpha-Lanes-Worcester", 38.46)
+        ]));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "Clear").Click());
+
+        // Assert
+        var cards = cut.FindAll(".center-card");
+        cards[0].TextContent.ShouldContain("Alpha Lanes");
+        cut.Markup.ShouldNotContain("mi away");
+    }
+
+    [Fact(DisplayName = "Should flag reachable centers and dim the rest when drive time is shown")]
+    public async Task ShowDriveTimeAsync_ShouldFlagReachableCenters_WhenRangeCalculated()
+    {
+        // Arrange
+        var pageModule = _ctx.JSInterop.SetupModule("./BowlingCenters/BowlingCenters.razor.js");
+        pageModule.Setup<double[]>("getCurrentLocation", _ => true).SetResult([-71.0589, 42.3601]);
+        var mapModule = _ctx.JSInterop.SetupModule("./Maps/NebaMap.razor.js");
+        mapModule.Setup<ReachableRange>("showReachableRange", _ => true)
+            .SetResult(new ReachableRange(["Zeta-Lanes-Boston"], 60));
+        SetupSuccessResponse(
+        [
+            BowlingCenterSummaryResponseFactory.Create(name: "Alpha Lanes", address: AddressDtoFactory.Create(city: "Worcester")),
+            BowlingCenterSummaryResponseFactory.Create(name: "Zeta Lanes", address: AddressDtoFactory.Create(city: "Boston"))
+        ]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "Near me").Click());
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "Drive time").Click());
+
+        // Assert
+        var reachableCard = cut.FindAll(".center-card").Single(c => c.TextContent.Contains("Zeta Lanes", StringComparison.Ordinal));
+        reachableCard.TextContent.ShouldContain("Within 60 min drive");
+        var unreachableCard = cut.FindAll(".center-card").Single(c => c.TextContent.Contains("Alpha Lanes", StringComparison.Ordinal));
+        unreachableCard.ClassList.ShouldContain("unreachable");
+        cut.Find("[role='status']").TextContent.ShouldBe("1 center within a 60 min drive");
+    }
+
+    [Fact(DisplayName = "Should explain when the drive-time area cannot be calculated")]
+    public async Task ShowDriveTimeAsync_ShouldShowMessage_WhenRangeUnavailable()
+    {
+        // Arrange
+        var pageModule = _ctx.JSInterop.SetupModule("./BowlingCenters/BowlingCenters.razor.js");
+        pageModule.Setup<double[]>("getCurrentLocation", _ => true).SetResult([-71.0589, 42.3601]);
+        var mapModule = _ctx.JSInterop.SetupModule("./Maps/NebaMap.razor.js");
+        mapModule.Setup<ReachableRange>("showReachableRange", _ => true)
+            .SetException(new JSException("Drive-time areas are not supported by the OSRM provider"));
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create()]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "Near me").Click());
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "Drive time").Click());
+
+        // Assert
+        cut.Find("[role='status']").TextContent.ShouldContain("Drive-time areas aren't available right now.");
+        cut.FindAll(".center-card.unreachable").ShouldBeEmpty();
+    }
+
+    [Fact(DisplayName = "Should remove drive-time flags when drive time is hidden")]
+    public async Task ClearDriveTimeAsync_ShouldRemoveFlags_WhenHidden()
+    {
+        // Arrange
+        var pageModule = _ctx.JSInterop.SetupModule("./BowlingCenters/BowlingCenters.razor.js");
+        pageModule.Setup<double[]>("getCurrentLocation", _ => true).SetResult([-71.0589, 42.3601]);
+        var mapModule = _ctx.JSInterop.SetupModule("./Maps/NebaMap.razor.js");
+        mapModule.Setup<ReachableRange>("showReachableRange", _ => true).SetResult(new ReachableRange([], 60));
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create()]);
+        var cut = _ctx.Render<BowlingCentersPage>();
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "Near me").Click());
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "Drive time").Click());
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "Hide drive time").Click());
+
+        // Assert
+        cut.FindAll(".center-card.unreachable").ShouldBeEmpty();
+        cut.FindAll("[role='status']").ShouldBeEmpty();
+        mapModule.VerifyInvoke("clearReachableRange");
+    }
+
     [Fact(DisplayName = "HandleBoundsChanged should filter displayed centers to those within map bounds")]
     public async Task HandleBoundsChanged_ShouldFilterDisplayedCenters_WhenBoundsChange()
     {
@@ -359,6 +850,76 @@ public sealed class BowlingCentersTests : IDisposable
         cut.Markup.ShouldNotContain("Outside Bounds Bowl");
     }
 
+    [Fact(DisplayName = "Panning after the first view should keep the list and offer Search this area")]
+    public async Task HandleBoundsChanged_ShouldOfferAreaSearch_WhenMapPannedAfterFirstView()
+    {
+        // Arrange
+        var cut = RenderBostonAndPortlandCenters();
+        var nebaMap = cut.FindComponent<NebaMap>();
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyBoundsChanged(AroundBoston));
+
+        // Act
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyBoundsChanged(AroundPortland));
+
+        // Assert
+        cut.Markup.ShouldContain("Boston Bowl");
+        cut.Markup.ShouldNotContain("Portland Lanes");
+        cut.FindAll(".search-this-area").Count.ShouldBe(1);
+    }
+
+    [Fact(DisplayName = "Search this area should list the centers in view and bookmark the view in the URL")]
+    public async Task SearchThisArea_ShouldFilterToCurrentView_AndSaveViewToUrl()
+    {
+        // Arrange
+        var mapModule = _ctx.JSInterop.SetupModule("./Maps/NebaMap.razor.js");
+        var cut = RenderBostonAndPortlandCenters();
+        var nebaMap = cut.FindComponent<NebaMap>();
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyBoundsChanged(AroundBoston));
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyBoundsChanged(AroundPortland));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find(".search-this-area").Click());
+
+        // Assert
+        cut.Markup.ShouldContain("Portland Lanes");
+        cut.Markup.ShouldNotContain("Boston Bowl");
+        cut.FindAll(".search-this-area").ShouldBeEmpty();
+        mapModule.VerifyInvoke("saveViewToUrl");
+    }
+
+    [Fact(DisplayName = "All centers should list every center and drop the view from the URL")]
+    public async Task SetListScope_ShouldListEveryCenter_WhenAllCentersSelected()
+    {
+        // Arrange
+        var mapModule = _ctx.JSInterop.SetupModule("./Maps/NebaMap.razor.js");
+        var cut = RenderBostonAndPortlandCenters();
+        var nebaMap = cut.FindComponent<NebaMap>();
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyBoundsChanged(AroundBoston));
+        await cut.InvokeAsync(() => nebaMap.Instance.NotifyBoundsChanged(AroundPortland));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll(".state-btn").First(b => b.TextContent.Trim() == "All centers").Click());
+
+        // Assert
+        cut.Markup.ShouldContain("Boston Bowl");
+        cut.Markup.ShouldContain("Portland Lanes");
+        cut.FindAll(".search-this-area").ShouldBeEmpty();
+        mapModule.VerifyInvoke("clearViewFromUrl");
+    }
+
+    [Fact(DisplayName = "Should open the map on the view bookmarked in the URL")]
+    public void Render_ShouldSyncMapViewWithUrl()
+    {
+        // Arrange
+        SetupSuccessResponse([BowlingCenterSummaryResponseFactory.Create()]);
+
+        // Act
+        var cut = _ctx.Render<BowlingCentersPage>();
+
+        // Assert
+        cut.FindComponent<NebaMap>().Instance.SyncStateWithUrl.ShouldBeTrue();
+    }
+
     [Fact(DisplayName = "DisposeAsync should complete without throwing when JS module is loaded")]
     public async Task DisposeAsync_ShouldComplete_WhenJsModuleIsLoaded()
     {
@@ -403,4 +964,22 @@ public sealed class BowlingCentersTests : IDisposable
             .Setup(x => x.ListBowlingCentersAsync(It.IsAny<CancellationToken>()))
             .ReturnsAsync(response);
     }
-}
\ No newline at end of file
+
+    private static readonly MapBounds AroundBoston = new(North: 43.0, South: 41.0, East: -70.5, West: -72.0);
+    private static readonly MapBounds AroundPortland = new(North: 44.5, South: 43.2, East: -69.5, West: -71.0);
+
+    private IRenderedComponent<BowlingCentersPage> RenderBostonAndPortlandCenters()
+    {
+        SetupSuccessResponse(
+        [
+            BowlingCenterSummaryResponseFactory.Create(
+                name: "Boston Bowl",
+                address: AddressDtoFactory.Create(latitude: 42.3601, longitude: -71.0589)),
+            BowlingCenterSummaryResponseFactory.Create(
+                name: "Portland Lanes",
+                address: AddressDtoFactory.Create(latitude: 43.6591, longitude: -70.2568))
+        ]);
+
+        return _ctx.Render<BowlingCentersPage>();
+    }
+}
@@ -1,6 +1,9 @@
+using System.Text.Json;
+
 using Bunit;
 
 using Microsoft.AspNetCore.Components;
+using Microsoft.Extensions.DependencyInjection;
 using Microsoft.JSInterop;
 
 using Neba.TestFactory.Attributes;
@@ -17,6 +20,7 @@ public sealed class DirectionsModalTests : IDisposable
 {
     private readonly BunitContext _ctx;
     private readonly BunitJSInterop _modalModuleInterop;
+    private readonly MapRoutingSettings _routingSettings = new();
 
     public DirectionsModalTests()
     {
@@ -24,6 +28,7 @@ public sealed class DirectionsModalTests : IDisposable
         _ctx.JSInterop.Mode = JSRuntimeMode.Loose;
         _modalModuleInterop = _ctx.JSInterop.SetupModule("./BowlingCenters/DirectionsModal.razor.js");
         _ctx.JSInterop.SetupModule("./Components/NebaModal.razor.js");
+        _ctx.Services.AddSingleton(_routingSettings);
     }
 
     public void Dispose() => _ctx.Dispose();
@@ -137,7 +142,107 @@ public sealed class DirectionsModalTests : IDisposable
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
 
         // Assert
-        cut.Markup.ShouldContain("Open in Maps App");
+        cut.Markup.ShouldContain("Google Maps");
+    }
+
+    [Fact(DisplayName = "Should show offline notice with cache time when route is stale")]
+    public void Render_ShouldShowOfflineNotice_WhenRouteIsStale()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            Route = new ServerMaps.RouteData
+            {
+                DistanceMeters = 16093.4,
+                TravelTimeSeconds = 1200,
+                IsStale = true,
+                CachedAt = new DateTimeOffset(2026, 10, 17, 7, 5, 0, TimeSpan.FromHours(-4))
+            }
+        };
+
+        // Act
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Assert
+        cut.Markup.ShouldContain("Showing saved directions as of Oct 17, 7:05 AM");
+    }
+
+    [Fact(DisplayName = "Should warn about traffic incidents on the route")]
+    public void Render_ShouldShowIncidentWarnings_WhenRouteHasIncidents()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            Route = new ServerMaps.RouteData
+            {
+                DistanceMeters = 16093.4,
+                TravelTimeSeconds = 1200,
+                Incidents = [new ServerMaps.RouteIncident { Cause = "Accident", Road = "I-495", DelaySeconds = 720 }]
+            }
+        };
+
+        // Act
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Assert
+        cut.Find(".route-incidents").TextContent.ShouldContain("Accident on I-495, +12 min");
+    }
+
+    [Fact(DisplayName = "Should not show traffic warnings when the route has no incidents")]
+    public void Render_ShouldNotShowIncidentWarnings_WhenRouteHasNoIncidents()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            Route = new ServerMaps.RouteData { DistanceMeters = 16093.4, TravelTimeSeconds = 1200 }
+        };
+
+        // Act
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Assert
+        cut.FindAll(".route-incidents").ShouldBeEmpty();
+    }
+
+    [Fact(DisplayName = "Should not show offline notice when a cached route is fresh")]
+    public void Render_ShouldNotShowOfflineNotice_WhenCachedRouteIsNotStale()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            Route = new ServerMaps.RouteData
+            {
+                DistanceMeters = 16093.4,
+                TravelTimeSeconds = 1200,
+                CachedAt = DateTimeOffset.UtcNow
+            }
+        };
+
+        // Act
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Assert
+        cut.Markup.ShouldNotContain("Showing saved directions");
     }
 
     [Fact(DisplayName = "Should render best route and alternative options when route options are available")]
@@ -228,89 +333,84 @@ public sealed class DirectionsModalTests : IDisposable
         _modalModuleInterop.VerifyInvoke("disposeRouteMap", 1);
     }
 
-    [Fact(DisplayName = "Should show error message when state has an error")]
-    public void Render_ShouldShowErrorMessage_WhenStateHasError()
+    [Fact(DisplayName = "Should store the picked route options on the directions state")]
+    public void RouteOptions_ShouldUpdateRouteSettings_WhenChanged()
     {
         // Arrange
-        var state = new DirectionsState
-        {
-            Mode = MapMode.DirectionsPreview,
-            ErrorMessage = "Location access denied."
-        };
-
-        // Act
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
         var cut = _ctx.Render<DirectionsModal>(p => p
             .Add(x => x.IsOpen, true)
             .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
             .Add(x => x.State, state)
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
 
+        // Act
+        cut.Find("#route-travel-mode").Change(nameof(RouteTravelMode.Bicycle));
+        cut.Find("#route-type").Change(nameof(RouteType.Shortest));
+        cut.Find("#route-avoid-tolls").Change(true);
+        cut.Find("#route-avoid-highways").Change(true);
+
         // Assert
-        cut.Markup.ShouldContain("Location access denied.");
+        state.RouteSettings.TravelMode.ShouldBe(RouteTravelMode.Bicycle);
+        state.RouteSettings.RouteType.ShouldBe(RouteType.Shortest);
+        state.RouteSettings.AvoidTolls.ShouldBeTrue();
+        state.RouteSettings.AvoidHighways.ShouldBeTrue();
+        cut.Find("summary").TextContent.ShouldContain("Shortest · Cycling · Avoiding tolls · Avoiding highways");
     }
 
-    [Fact(DisplayName = "Should invoke OnClose when Cancel button is clicked")]
-    public async Task HandleClose_ShouldInvokeOnClose_WhenCancelButtonClicked()
+    [Fact(DisplayName = "Should set the departure time when leaving at a picked time")]
+    public void RouteTiming_ShouldSetDepartAt_WhenLeaveAtTimePicked()
     {
         // Arrange
-        var closeCalled = false;
         var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
-
         var cut = _ctx.Render<DirectionsModal>(p => p
             .Add(x => x.IsOpen, true)
-            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => closeCalled = true))
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
             .Add(x => x.State, state)
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
 
-        var cancelButton = cut.FindAll(".neba-btn-secondary").First(b => b.TextContent.Trim() == "Cancel");
-
         // Act
-        await cut.InvokeAsync(() => cancelButton.Click());
+        cut.Find("#route-timing").Change("depart");
+        cut.Find("#route-time").Change("2026-10-24T07:00");
 
         // Assert
-        closeCalled.ShouldBeTrue();
+        state.RouteSettings.DepartAt.ShouldBe(new DateTime(2026, 10, 24, 7, 0, 0, DateTimeKind.Unspecified));
+        state.RouteSettings.ArriveAt.ShouldBeNull();
     }
 
-    [Fact(DisplayName = "Should render route mini-map container when DirectionsActive and RouteGeoJson is set")]
-    public void Render_ShouldShowRouteMapContainer_WhenDirectionsActiveWithGeoJson()
+    [Fact(DisplayName = "Should move the picked time to the arrival time when switching to arrive by")]
+    public void RouteTiming_ShouldSetArriveAt_WhenSwitchedToArriveBy()
     {
         // Arrange
-        var state = new DirectionsState
-        {
-            Mode = MapMode.DirectionsActive,
-            UserLocation = [-71.0589, 42.3601],
-            DestinationLocation = [-71.5, 42.5],
-            Route = new ServerMaps.RouteData
-            {
-                DistanceMeters = 16093.4,
-                TravelTimeSeconds = 1200,
-                RouteGeoJson = "{\"type\":\"Feature\"}"
-            }
-        };
-
-        // Act
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
         var cut = _ctx.Render<DirectionsModal>(p => p
             .Add(x => x.IsOpen, true)
             .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
             .Add(x => x.State, state)
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+        cut.Find("#route-timing").Change("depart");
+        cut.Find("#route-time").Change("2026-10-24T07:00");
+
+        // Act
+        cut.Find("#route-timing").Change("arrive");
 
         // Assert
-        cut.Find("#directions-mini-map").ShouldNotBeNull();
+        state.RouteSettings.DepartAt.ShouldBeNull();
+        state.RouteSettings.ArriveAt.ShouldBe(new DateTime(2026, 10, 24, 7, 0, 0, DateTimeKind.Unspecified));
     }
 
-    [Fact(DisplayName = "Should not render route mini-map container when RouteGeoJson is null")]
-    public void Render_ShouldNotShowRouteMapContainer_WhenRouteGeoJsonIsNull()
+    [Fact(DisplayName = "Should show the effective route settings with the route summary")]
+    public void Render_ShouldShowEffectiveSettings_WhenRouteHasThem()
     {
         // Arrange
         var state = new DirectionsState
         {
             Mode = MapMode.DirectionsActive,
+            RouteSettings = new RouteSettings { AvoidTolls = true },
             Route = new ServerMaps.RouteData
             {
-                DistanceMeters = 16093.4,
                 TravelTimeSeconds = 1200,
-                RouteGeoJson = null
+                EffectiveSettings = new RouteSettings { AvoidTolls = true }
             }
         };
 
@@ -322,63 +422,69 @@ public sealed class DirectionsModalTests : IDisposable
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
 
         // Assert
-        cut.FindAll("#directions-mini-map").Count.ShouldBe(0);
+        cut.Find(".route-settings-summary").TextContent.Trim().ShouldBe("Fastest · Driving · Avoiding tolls");
+        cut.FindAll("[role='status']").ShouldBeEmpty();
     }
 
-    [Fact(DisplayName = "Should call initializeRouteMap JS function when DirectionsActive with RouteGeoJson")]
-    public void OnAfterRender_ShouldCallInitializeRouteMap_WhenDirectionsActiveWithGeoJson()
+    [Fact(DisplayName = "Should explain when the routing provider could not apply every route option")]
+    public void Render_ShouldShowNotice_WhenEffectiveSettingsDifferFromRequested()
     {
         // Arrange
         var state = new DirectionsState
         {
             Mode = MapMode.DirectionsActive,
-            UserLocation = [-71.0589, 42.3601],
-            DestinationLocation = [-71.5, 42.5],
+            RouteSettings = new RouteSettings
+            {
+                RouteType = RouteType.Shortest,
+                DepartAt = new DateTime(2026, 10, 24, 7, 0, 0, DateTimeKind.Unspecified)
+            },
             Route = new ServerMaps.RouteData
             {
-                DistanceMeters = 16093.4,
                 TravelTimeSeconds = 1200,
-                RouteGeoJson = "{\"type\":\"Feature\"}"
+                EffectiveSettings = new RouteSettings()
             }
         };
 
         // Act
-        _ctx.Render<DirectionsModal>(p => p
+        var cut = _ctx.Render<DirectionsModal>(p => p
             .Add(x => x.IsOpen, true)
             .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
             .Add(x => x.State, state)
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
 
         // Assert
-        _modalModuleInterop.VerifyInvoke("initializeRouteMap", 1);
+        cut.Find("[role='status']").TextContent.ShouldContain("this route uses: Fastest · Driving");
     }
 
-    [Fact(DisplayName = "Should call disposeRouteMap JS function when Close button is clicked")]
-    public async Task HandleClose_ShouldCallDisposeRouteMap_WhenClosed()
+    [Fact(DisplayName = "Should list carpool stops with the option to reorder them for the quickest trip")]
+    public void CarpoolStops_ShouldRenderStopsAndOptimizeOption_WhenTwoOrMoreStopsAdded()
     {
         // Arrange
         var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
+        state.Waypoints.Add(new RouteWaypoint("45 Elm St, Worcester, MA", [-71.8, 42.26]));
+        state.Waypoints.Add(new RouteWaypoint("9 Oak St, Framingham, MA", [-71.42, 42.28]));
 
+        // Act
         var cut = _ctx.Render<DirectionsModal>(p => p
             .Add(x => x.IsOpen, true)
             .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
             .Add(x => x.State, state)
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
-
-        var cancelButton = cut.FindAll(".neba-btn-secondary").First(b => b.TextContent.Trim() == "Cancel");
-
-        // Act
-        await cut.InvokeAsync(() => cancelButton.Click());
+        cut.Find("#route-optimize-stops").Change(true);
 
         // Assert
-        _modalModuleInterop.VerifyInvoke("disposeRouteMap", 1);
+        var stops = cut.FindAll(".route-waypoints li");
+        stops.Count.ShouldBe(2);
+        stops[0].TextContent.ShouldContain("45 Elm St, Worcester, MA");
+        state.RouteSettings.OptimizeWaypoints.ShouldBeTrue();
     }
 
-    [Fact(DisplayName = "Should show loading spinner when state is loading")]
-    public void Render_ShouldShowLoadingSpinner_WhenStateIsLoading()
+    [Fact(DisplayName = "Should not offer to reorder a single carpool stop")]
+    public void CarpoolStops_ShouldHideOptimizeOption_WhenOneStopAdded()
     {
         // Arrange
-        var state = new DirectionsState { Mode = MapMode.DirectionsPreview, IsLoading = true };
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
+        state.Waypoints.Add(new RouteWaypoint("45 Elm St, Worcester, MA", [-71.8, 42.26]));
 
         // Act
         var cut = _ctx.Render<DirectionsModal>(p => p
@@ -388,40 +494,37 @@ public sealed class DirectionsModalTests : IDisposable
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
 
         // Assert
-        cut.Markup.ShouldContain("Getting your location...");
+        cut.FindAll("#route-optimize-stops").ShouldBeEmpty();
     }
 
-    [Fact(DisplayName = "HandleUseCurrentLocation should invoke OnLocationSelected when geolocation succeeds")]
-    public async Task HandleUseCurrentLocation_ShouldInvokeOnLocationSelected_WhenSuccess()
+    [Fact(DisplayName = "Should move a carpool stop later when its move down button is clicked")]
+    public void CarpoolStops_ShouldSwapStops_WhenMovedLater()
     {
         // Arrange
-        double[]? receivedLocation = null;
+        var worcester = new RouteWaypoint("45 Elm St, Worcester, MA", [-71.8, 42.26]);
+        var framingham = new RouteWaypoint("9 Oak St, Framingham, MA", [-71.42, 42.28]);
         var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
-        _modalModuleInterop.Setup<double[]>("getCurrentLocation", _ => true)
-            .SetResult([-71.0589, 42.3601]);
-
+        state.Waypoints.Add(worcester);
+        state.Waypoints.Add(framingham);
         var cut = _ctx.Render<DirectionsModal>(p => p
             .Add(x => x.IsOpen, true)
             .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
             .Add(x => x.State, state)
-            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, loc => receivedLocation = loc)));
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
 
         // Act
-        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Use My Current Location", StringComparison.OrdinalIgnoreCase)).Click());
+        cut.Find("button[aria-label='Move 45 Elm St, Worcester, MA later']").Click();
 
         // Assert
-        receivedLocation.ShouldNotBeNull();
-        receivedLocation[0].ShouldBe(-71.0589);
+        state.Waypoints.ShouldBe([framingham, worcester]);
     }
 
-    [Fact(DisplayName = "HandleUseCurrentLocation should show permission denied error when browser denies geolocation")]
-    public async Task HandleUseCurrentLocation_ShouldShowPermissionDeniedError_WhenPermissionDenied()
+    [Fact(DisplayName = "Should remove a carpool stop when its remove button is clicked")]
+    public void CarpoolStops_ShouldRemoveStop_WhenRemoveClicked()
     {
         // Arrange
         var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
-        _modalModuleInterop.Setup<double[]>("getCurrentLocation", _ => true)
-            .SetException(new JSException("User denied geolocation permission"));
-
+        state.Waypoints.Add(new RouteWaypoint("45 Elm St, Worcester, MA", [-71.8, 42.26]));
         var cut = _ctx.Render<DirectionsModal>(p => p
             .Add(x => x.IsOpen, true)
             .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
@@ -429,67 +532,103 @@ public sealed class DirectionsModalTests : IDisposable
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
 
         // Act
-        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Use My Current Location", StringComparison.OrdinalIgnoreCase)).Click());
+        cut.Find("button[aria-label='Remove 45 Elm St, Worcester, MA']").Click();
 
         // Assert
-        state.ErrorMessage.ShouldNotBeNull();
-        state.ErrorMessage.ShouldContain("Location access denied");
+        state.Waypoints.ShouldBeEmpty();
+        cut.FindAll(".route-waypoints").ShouldBeEmpty();
     }
 
-    [Fact(DisplayName = "HandleUseCurrentLocation should show generic error when geolocation fails for non-permission reason")]
-    public async Task HandleUseCurrentLocation_ShouldShowGenericError_WhenJSExceptionWithoutPermission()
+    [Fact(DisplayName = "Should show each leg of a multi-stop route in visiting order")]
+    public void TripLegs_ShouldRenderEachLeg_WhenRouteHasStops()
     {
         // Arrange
-        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
-        _modalModuleInterop.Setup<double[]>("getCurrentLocation", _ => true)
-            .SetException(new JSException("Geolocation hardware unavailable"));
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            SelectedCenterName = "Spare Time Lanes",
+            UserAddress = "Current Location",
+            Route = new ServerMaps.RouteData
+            {
+                DistanceMeters = 24140.1,
+                TravelTimeSeconds = 1800,
+                Legs =
+                [
+                    new RouteLeg { DistanceMeters = 8046.7, TravelTimeSeconds = 600 },
+                    new RouteLeg { DistanceMeters = 16093.4, TravelTimeSeconds = 1200 }
+                ],
+                WaypointOrder = [0]
+            }
+        };
+        state.Waypoints.Add(new RouteWaypoint("45 Elm St, Worcester, MA", [-71.8, 42.26]));
 
+        // Act
         var cut = _ctx.Render<DirectionsModal>(p => p
             .Add(x => x.IsOpen, true)
             .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
             .Add(x => x.State, state)
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
 
-        // Act
-        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Use My Current Location", StringComparison.OrdinalIgnoreCase)).Click());
-
         // Assert
-        state.ErrorMessage.ShouldNotBeNull();
-        state.ErrorMessage.ShouldContain("Unable to get your location");
+        var legs = cut.Find(".route-legs").TextContent;
+        legs.ShouldContain("Current Location → 45 Elm St, Worcester, MA");
+        legs.ShouldContain("5.0 mi");
+        legs.ShouldContain("45 Elm St, Worcester, MA → Spare Time Lanes");
+        legs.ShouldContain("20 min");
+        legs.ShouldNotContain("reordered");
     }
 
-    [Fact(DisplayName = "HandleAddressInputChange should clear suggestions when input is fewer than 3 characters")]
-    public async Task HandleAddressInputChange_ShouldClearSuggestions_WhenInputIsTooShort()
+    [Fact(DisplayName = "Should say when the stops were reordered for the quickest trip")]
+    public void TripLegs_ShouldExplainReordering_WhenWaypointOrderChanged()
     {
         // Arrange
-        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            SelectedCenterName = "Spare Time Lanes",
+            Route = new ServerMaps.RouteData
+            {
+                Legs = [new RouteLeg(), new RouteLeg(), new RouteLeg()],
+                WaypointOrder = [1, 0]
+            }
+        };
+        state.Waypoints.Add(new RouteWaypoint("Worcester", [-71.8, 42.26]));
+        state.Waypoints.Add(new RouteWaypoint("Framingham", [-71.42, 42.28]));
 
+        // Act
         var cut = _ctx.Render<DirectionsModal>(p => p
             .Add(x => x.IsOpen, true)
             .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
             .Add(x => x.State, state)
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
 
-        // Act
-        await cut.InvokeAsync(() => cut.Find("input#address-input").Input("AB"));
-
         // Assert
-        // Only the NebaModal close button (✕) should have type="button"; no suggestion buttons should appear
-        cut.FindAll("button[type='button']").Count.ShouldBe(1);
+        var legs = cut.Find(".route-legs").TextContent;
+        legs.ShouldContain("Stops were reordered for the quickest trip.");
+        legs.ShouldContain("Start → Framingham");
+        legs.ShouldContain("Framingham → Worcester");
     }
 
-    [Fact(DisplayName = "HandleOpenInMaps should call openInNewTab JS when user and destination locations are set")]
-    public async Task HandleOpenInMaps_ShouldCallOpenInNewTab_WhenLocationsAreSet()
+    [Fact(DisplayName = "Should group turn-by-turn instructions under a heading for each leg")]
+    public async Task ToggleDirections_ShouldShowLegHeadings_WhenRouteHasStops()
     {
         // Arrange
         var state = new DirectionsState
         {
             Mode = MapMode.DirectionsActive,
-            UserLocation = [-71.0589, 42.3601],
-            DestinationLocation = [-71.5, 42.5],
-            Route = new ServerMaps.RouteData { DistanceMeters = 16093.4, TravelTimeSeconds = 1200, Instructions = [] }
+            SelectedCenterName = "Spare Time Lanes",
+            Route = new ServerMaps.RouteData
+            {
+                Legs = [new RouteLeg(), new RouteLeg()],
+                Instructions =
+                [
+                    new ServerMaps.RouteInstruction { Text = "Head north on Main St", LegIndex = 0 },
+                    new ServerMaps.RouteInstruction { Text = "Arrive at your stop", LegIndex = 0 },
+                    new ServerMaps.RouteInstruction { Text = "Turn left onto Elm St", LegIndex = 1 }
+                ]
+            }
         };
-
+        state.Waypoints.Add(new RouteWaypoint("Worcester", [-71.8, 42.26]));
         var cut = _ctx.Render<DirectionsModal>(p => p
             .Add(x => x.IsOpen, true)
             .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
@@ -497,56 +636,1115 @@ public sealed class DirectionsModalTests : IDisposable
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
 
         // Act
-        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Open in Maps App", StringComparison.OrdinalIgnoreCase)).Click());
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Turn-by-turn", StringComparison.OrdinalIgnoreCase)).Click());
 
         // Assert
-        _modalModuleInterop.VerifyInvoke("openInNewTab", 1);
+        var headings = cut.FindAll(".route-leg-heading").Select(h => h.TextContent).ToList();
+        headings.Count.ShouldBe(2);
+        headings[0].ShouldContain("Leg 1: Start → Worcester");
+        headings[1].ShouldContain("Leg 2: Worcester → Spare Time Lanes");
     }
 
-    [Fact(DisplayName = "HandleOpenInMaps should return early when UserLocation is null")]
-    public async Task HandleOpenInMaps_ShouldReturnEarly_WhenUserLocationIsNull()
+    [Fact(DisplayName = "Should show error message when state has an error")]
+    public void Render_ShouldShowErrorMessage_WhenStateHasError()
     {
         // Arrange
         var state = new DirectionsState
         {
-            Mode = MapMode.DirectionsActive,
-            UserLocation = null,
-            DestinationLocation = [-71.5, 42.5],
-            Route = new ServerMaps.RouteData { DistanceMeters = 16093.4, TravelTimeSeconds = 1200, Instructions = [] }
+            Mode = MapMode.DirectionsPreview,
+            ErrorMessage = "Location access denied."
         };
 
+        // Act
         var cut = _ctx.Render<DirectionsModal>(p => p
             .Add(x => x.IsOpen, true)
             .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
             .Add(x => x.State, state)
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
 
-        // Act
-        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Open in Maps App", StringComparison.OrdinalIgnoreCase)).Click());
-
         // Assert
-        // openInNewTab should not be called when UserLocation is null
-        cut.Instance.ShouldNotBeNull();
+        cut.Markup.ShouldContain("Location access denied.");
     }
 
-    [Fact(DisplayName = "Should show turn-by-turn instructions when toggle button is clicked")]
-    public async Task ToggleDirections_ShouldShowInstructions_WhenToggled()
+    [Fact(DisplayName = "Should invoke OnClose when Cancel button is clicked")]
+    public async Task HandleClose_ShouldInvokeOnClose_WhenCancelButtonClicked()
     {
         // Arrange
-        var state = new DirectionsState
-        {
-            Mode = MapMode.DirectionsActive,
-            Route = new ServerMaps.RouteData
-            {
-                DistanceMeters = 16093.4,
-                TravelTimeSeconds = 1200,
-                Instructions = [new ServerMaps.RouteInstruction { Text = "Head north on Main St", DistanceMeters = 500 }]
-            }
-        };
+        var closeCalled = false;
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
 
         var cut = _ctx.Render<DirectionsModal>(p => p
             .Add(x => x.IsOpen, true)
-            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => closeCalled = true))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        var cancelButton = cut.FindAll(".neba-btn-secondary").First(b => b.TextContent.Trim() == "Cancel");
+
+        // Act
+        await cut.InvokeAsync(() => cancelButton.Click());
+
+        // Assert
+        closeCalled.ShouldBeTrue();
+    }
+
+    [Fact(DisplayName = "Should render route mini-map container when DirectionsActive and RouteGeoJson is set")]
+    public void Render_ShouldShowRouteMapContainer_WhenDirectionsActiveWithGeoJson()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            UserLocation = [-71.0589, 42.3601],
+            DestinationLocation = [-71.5, 42.5],
+            Route = new ServerMaps.RouteData
+            {
+                DistanceMeters = 16093.4,
+                TravelTimeSeconds = 1200,
+                RouteGeoJson = "{\"type\":\"Feature\"}"
+            }
+        };
+
+        // Act
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Assert
+        cut.Find("#directions-mini-map").ShouldNotBeNull();
+    }
+
+    [Fact(DisplayName = "Should not render route mini-map container when RouteGeoJson is null")]
+    public void Render_ShouldNotShowRouteMapContainer_WhenRouteGeoJsonIsNull()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            Route = new ServerMaps.RouteData
+            {
+                DistanceMeters = 16093.4,
+                TravelTimeSeconds = 1200,
+                RouteGeoJson = null
+            }
+        };
+
+        // Act
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Assert
+        cut.FindAll("#directions-mini-map").Count.ShouldBe(0);
+    }
+
+    [Fact(DisplayName = "Should call initializeRouteMap JS function when DirectionsActive with RouteGeoJson")]
+    public void OnAfterRender_ShouldCallInitializeRouteMap_WhenDirectionsActiveWithGeoJson()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            UserLocation = [-71.0589, 42.3601],
+            DestinationLocation = [-71.5, 42.5],
+            Route = new ServerMaps.RouteData
+            {
+                DistanceMeters = 16093.4,
+                TravelTimeSeconds = 1200,
+                RouteGeoJson = "{\"type\":\"Feature\"}"
+            }
+        };
+
+        // Act
+        _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Assert
+        _modalModuleInterop.VerifyInvoke("initializeRouteMap", 1);
+    }
+
+    [Fact(DisplayName = "Should pass the carpool stops in visiting order to initializeRouteMap")]
+    public void OnAfterRender_ShouldPassVisitedWaypoints_WhenRouteHasStops()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            UserLocation = [-71.0589, 42.3601],
+            DestinationLocation = [-71.5, 42.5],
+            Route = new ServerMaps.RouteData { RouteGeoJson = "{\"type\":\"Feature\"}", WaypointOrder = [1, 0] }
+        };
+        state.Waypoints.Add(new RouteWaypoint("Worcester", [-71.8, 42.26]));
+        state.Waypoints.Add(new RouteWaypoint("Framingham", [-71.42, 42.28]));
+
+        // Act
+        _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Assert
+        var invocation = _modalModuleInterop.VerifyInvoke("initializeRouteMap");
+        JsonSerializer.Serialize(invocation.Arguments[4]).ShouldBe("[[-71.42,42.28],[-71.8,42.26]]");
+    }
+
+    [Fact(DisplayName = "Should invoke OnRouteOptionSelected when an alternative route option is selected")]
+    public async Task HandleRouteOptionSelected_ShouldInvokeOnRouteOptionSelected_WhenAlternativeSelected()
+    {
+        // Arrange
+        int? selectedIndex = null;
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            Route = new ServerMaps.RouteData
+            {
+                TravelTimeSeconds = 1200,
+                RouteOptions = [new ServerMaps.RouteData { TravelTimeSeconds = 1200 }, new ServerMaps.RouteData { TravelTimeSeconds = 1260 }]
+            }
+        };
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { }))
+            .Add(x => x.OnRouteOptionSelected, EventCallback.Factory.Create<int>(this, index => selectedIndex = index)));
+
+        var alternativeButton = cut.FindAll("button")
+            .First(button => button.TextContent.Contains("Alternative 1", StringComparison.OrdinalIgnoreCase));
+
+        // Act
+        await cut.InvokeAsync(() => alternativeButton.Click());
+
+        // Assert
+        selectedIndex.ShouldBe(1);
+    }
+
+    [Fact(DisplayName = "Should redraw the route mini-map when the route is switched from the main map")]
+    public void OnParametersSet_ShouldRedrawRouteMap_WhenSelectedRouteChangesExternally()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            UserLocation = [-71.0589, 42.3601],
+            DestinationLocation = [-71.5, 42.5],
+            Route = new ServerMaps.RouteData
+            {
+                RouteGeoJson = "{\"type\":\"Feature\"}",
+                RouteOptions =
+                [
+                    new ServerMaps.RouteData { RouteGeoJson = "{\"type\":\"Feature\"}" },
+                    new ServerMaps.RouteData { RouteGeoJson = "{\"type\":\"Feature\",\"properties\":{}}" }
+                ]
+            }
+        };
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        state.Route.SelectRouteOption(1);
+        cut.Render(p => p.Add(x => x.State, state));
+
+        // Assert
+        _modalModuleInterop.VerifyInvoke("disposeRouteMap", 1);
+        _modalModuleInterop.VerifyInvoke("initializeRouteMap", 2);
+    }
+
+    [Fact(DisplayName = "Follow me should watch the position along the route with each instruction's position")]
+    public async Task HandleToggleFollowMe_ShouldStartFollowMe_WithInstructionPositions()
+    {
+        // Arrange
+        _modalModuleInterop.Setup<bool>("startFollowMe", _ => true).SetResult(true);
+        var cut = RenderTripModal(CreateTripState());
+
+        // Act
+        await cut.InvokeAsync(() => FindButton(cut, "Follow me").Click());
+
+        // Assert
+        var invocation = _modalModuleInterop.VerifyInvoke("startFollowMe");
+        invocation.Arguments[1].ShouldBe("{\"type\":\"Feature\"}");
+        JsonSerializer.Serialize(invocation.Arguments[2]).ShouldBe("[[-71.1,42.4],null,[-71.5,42.5]]");
+        FindButton(cut, "Stop following").GetAttribute("aria-pressed").ShouldBe("true");
+    }
+
+    [Fact(DisplayName = "Follow me should highlight the next instruction reported by the browser")]
+    public async Task NotifyFollowProgress_ShouldHighlightNextInstruction()
+    {
+        // Arrange
+        _modalModuleInterop.Setup<bool>("startFollowMe", _ => true).SetResult(true);
+        var cut = RenderTripModal(CreateTripState());
+        await cut.InvokeAsync(() => FindButton(cut, "Follow me").Click());
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.NotifyFollowProgress(1));
+
+        // Assert
+        cut.Find("[aria-current='step']").TextContent.ShouldContain("Pick up Alex");
+        cut.Find(".route-next-instruction").TextContent.ShouldContain("Pick up Alex");
+    }
+
+    [Fact(DisplayName = "Leaving the route should recalculate from the current position without the stops already passed")]
+    public async Task NotifyFollowOffRoute_ShouldRecalculate_WithoutPassedStops()
+    {
+        // Arrange
+        _modalModuleInterop.Setup<bool>("startFollowMe", _ => true).SetResult(true);
+        var state = CreateTripState();
+        double[]? receivedLocation = null;
+        var cut = RenderTripModal(state, loc => receivedLocation = loc);
+        await cut.InvokeAsync(() => FindButton(cut, "Follow me").Click());
+        await cut.InvokeAsync(() => cut.Instance.NotifyFollowProgress(2));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.NotifyFollowOffRoute([-71.3, 42.45]));
+
+        // Assert
+        receivedLocation.ShouldBe([-71.3, 42.45]);
+        state.UserLocation.ShouldBe([-71.3, 42.45]);
+        state.Waypoints.Select(waypoint => waypoint.Name).ShouldBe(["Jordan"]);
+        cut.Find(".route-follow-status").TextContent.ShouldContain("left the route");
+    }
+
+    [Fact(DisplayName = "Leaving the route should report whether a new route was found, so the browser can ask again")]
+    public async Task NotifyFollowOffRoute_ShouldReturnFalse_WhenRecalculationFails()
+    {
+        // Arrange
+        _modalModuleInterop.Setup<bool>("startFollowMe", _ => true).SetResult(true);
+        var state = CreateTripState();
+        var cut = RenderTripModal(state, _ => state.ErrorMessage = "Unable to calculate route right now. Please try again.");
+        await cut.InvokeAsync(() => FindButton(cut, "Follow me").Click());
+
+        // Act
+        var rerouted = await cut.InvokeAsync(() => cut.Instance.NotifyFollowOffRoute([-71.3, 42.45]));
+
+        // Assert
+        rerouted.ShouldBeFalse();
+    }
+
+    [Fact(DisplayName = "Follow me should explain when the browser cannot share the location")]
+    public async Task HandleToggleFollowMe_ShouldExplain_WhenGeolocationIsUnavailable()
+    {
+        // Arrange
+        _modalModuleInterop.Setup<bool>("startFollowMe", _ => true).SetResult(false);
+        var cut = RenderTripModal(CreateTripState());
+
+        // Act
+        await cut.InvokeAsync(() => FindButton(cut, "Follow me").Click());
+
+        // Assert
+        FindButton(cut, "Follow me").GetAttribute("aria-pressed").ShouldBe("false");
+        cut.Find(".route-follow-status").TextContent.ShouldContain("can't share your location");
+    }
+
+    [Fact(DisplayName = "Stop following should stop watching the position")]
+    public async Task HandleToggleFollowMe_ShouldStopFollowMe_WhenAlreadyFollowing()
+    {
+        // Arrange
+        _modalModuleInterop.Setup<bool>("startFollowMe", _ => true).SetResult(true);
+        var cut = RenderTripModal(CreateTripState());
+        await cut.InvokeAsync(() => FindButton(cut, "Follow me").Click());
+
+        // Act
+        await cut.InvokeAsync(() => FindButton(cut, "Stop following").Click());
+
+        // Assert
+        _modalModuleInterop.VerifyInvoke("stopFollowMe");
+        cut.FindAll("[aria-current='step']").ShouldBeEmpty();
+    }
+
+    [Fact(DisplayName = "Should pass each instruction's position to initializeRouteMap for the maneuver markers")]
+    public void Render_ShouldPassManeuverPositions_ToInitializeRouteMap()
+    {
+        // Act
+        RenderTripModal(CreateTripState());
+
+        // Assert
+        var invocation = _modalModuleInterop.VerifyInvoke("initializeRouteMap");
+        JsonSerializer.Serialize(invocation.Arguments[5]).ShouldBe("[[-71.1,42.4],null,[-71.5,42.5]]");
+    }
+
+    [Fact(DisplayName = "Should pass the routing config to initializeRouteMap so the mini-map can be drawn keyless")]
+    public void Render_ShouldPassRoutingConfig_ToInitializeRouteMap()
+    {
+        // Arrange
+        _routingSettings.Provider = RoutingProvider.Osrm;
+        _routingSettings.RoutingBaseUrl = new Uri("http://localhost:5151/osrm");
+        _routingSettings.GeocodingBaseUrl = new Uri("http://localhost:5151/nominatim");
+        _routingSettings.TileUrl = "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+
+        // Act
+        RenderTripModal(CreateTripState());
+
+        // Assert
+        var invocation = _modalModuleInterop.VerifyInvoke("initializeRouteMap");
+        JsonSerializer.Serialize(invocation.Arguments[6]).ShouldContain("\"tileUrl\":\"https://tile.openstreetmap.org/{z}/{x}/{y}.png\"");
+    }
+
+    [Fact(DisplayName = "Clicking an instruction should zoom the mini-map to its maneuver")]
+    public async Task FocusInstruction_ShouldZoomRouteMap_WhenInstructionClicked()
+    {
+        // Arrange
+        var cut = RenderTripModal(CreateTripState());
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Turn-by-turn", StringComparison.OrdinalIgnoreCase)).Click());
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll(".route-instruction")[2].Click());
+
+        // Assert
+        JsonSerializer.Serialize(_modalModuleInterop.VerifyInvoke("focusRouteStep").Arguments[0]).ShouldBe("[-71.5,42.5]");
+        cut.Find(".route-instruction[aria-current='step']").TextContent.ShouldContain("Arrive at Bowl-O-Rama");
+    }
+
+    [Fact(DisplayName = "Step through should walk the instructions and zoom back out to the whole route")]
+    public async Task StepThrough_ShouldWalkInstructions_AndShowWholeRoute()
+    {
+        // Arrange
+        var cut = RenderTripModal(CreateTripState());
+
+        // Act
+        await cut.InvokeAsync(() => FindButton(cut, "Step through").Click());
+
+        // Assert
+        cut.Find(".route-step-through").TextContent.ShouldContain("Step 1 of 3: Head west on Main St");
+        _modalModuleInterop.VerifyInvoke("focusRouteStep", 1);
+
+        // Act - the second instruction has no position, so only the label moves
+        await cut.InvokeAsync(() => FindButton(cut, "Next step").Click());
+
+        // Assert
+        cut.Find(".route-step-through").TextContent.ShouldContain("Step 2 of 3: Pick up Alex");
+        _modalModuleInterop.VerifyInvoke("focusRouteStep", 1);
+        FindButton(cut, "Previous step").HasAttribute("disabled").ShouldBeFalse();
+
+        // Act
+        await cut.InvokeAsync(() => FindButton(cut, "Whole route").Click());
+
+        // Assert
+        _modalModuleInterop.VerifyInvoke("showWholeRoute");
+        cut.Find(".route-step-through").TextContent.ShouldContain("Walk the route before you leave");
+    }
+
+    [Fact(DisplayName = "Should call disposeRouteMap JS function when Close button is clicked")]
+    public async Task HandleClose_ShouldCallDisposeRouteMap_WhenClosed()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        var cancelButton = cut.FindAll(".neba-btn-secondary").First(b => b.TextContent.Trim() == "Cancel");
+
+        // Act
+        await cut.InvokeAsync(() => cancelButton.Click());
+
+        // Assert
+        _modalModuleInterop.VerifyInvoke("disposeRouteMap", 1);
+    }
+
+    [Fact(DisplayName = "Should show loading spinner when state is loading")]
+    public void Render_ShouldShowLoadingSpinner_WhenStateIsLoading()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview, IsLoading = true };
+
+        // Act
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Assert
+        cut.Markup.ShouldContain("Getting your location...");
+    }
+
+    [Fact(DisplayName = "HandleUseCurrentLocation should invoke OnLocationSelected when geolocation succeeds")]
+    public async Task HandleUseCurrentLocation_ShouldInvokeOnLocationSelected_WhenSuccess()
+    {
+        // Arrange
+        double[]? receivedLocation = null;
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
+        _modalModuleInterop.Setup<double[]>("getCurrentLocation", _ => true)
+            .SetResult([-71.0589, 42.3601]);
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, loc => receivedLocation = loc)));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Use My Current Location", StringComparison.OrdinalIgnoreCase)).Click());
+
+        // Assert
+        receivedLocation.ShouldNotBeNull();
+        receivedLocation[0].ShouldBe(-71.0589);
+    }
+
+    [Fact(DisplayName = "HandleUseCurrentLocation should show the reverse geocoded address in the origin field")]
+    public async Task HandleUseCurrentLocation_ShouldShowReverseGeocodedAddress_InOriginField()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
+        _modalModuleInterop.Setup<double[]>("getCurrentLocation", _ => true)
+            .SetResult([-71.0589, 42.3601]);
+        _modalModuleInterop.Setup<DirectionsModal.AddressSuggestion?>("reverseGeocodeLocation", _ => true)
+            .SetResult(new DirectionsModal.AddressSuggestion("1 City Hall Sq, Boston, MA 02201", 42.3601, -71.0589, "Boston"));
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Use My Current Location", StringComparison.OrdinalIgnoreCase)).Click());
+
+        // Assert
+        JsonSerializer.Serialize(_modalModuleInterop.VerifyInvoke("reverseGeocodeLocation").Arguments[0]).ShouldBe("[-71.0589,42.3601]");
+        state.UserAddress.ShouldBe("1 City Hall Sq, Boston, MA 02201");
+        cut.Find("input#address-input").GetAttribute("value").ShouldBe("1 City Hall Sq, Boston, MA 02201");
+    }
+
+    [Fact(DisplayName = "HandleUseCurrentLocation should fall back to Current Location when the address cannot be found")]
+    public async Task HandleUseCurrentLocation_ShouldFallBackToCurrentLocation_WhenReverseGeocodingFails()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
+        _modalModuleInterop.Setup<double[]>("getCurrentLocation", _ => true)
+            .SetResult([-71.0589, 42.3601]);
+        _modalModuleInterop.Setup<DirectionsModal.AddressSuggestion?>("reverseGeocodeLocation", _ => true)
+            .SetException(new JSException("Reverse geocode API error: 500"));
+        double[]? receivedLocation = null;
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, loc => receivedLocation = loc)));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Use My Current Location", StringComparison.OrdinalIgnoreCase)).Click());
+
+        // Assert
+        state.UserAddress.ShouldBe("Current Location");
+        state.ErrorMessage.ShouldBeNull();
+        receivedLocation.ShouldNotBeNull();
+    }
+
+    [Fact(DisplayName = "Change starting point should reopen the origin field with the current address")]
+    public async Task HandleChangeOrigin_ShouldReturnToPreview_WithAddressPrefilled()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            UserLocation = [-71.0589, 42.3601],
+            UserAddress = "1 City Hall Sq, Boston, MA 02201",
+            DestinationLocation = [-71.5, 42.5],
+            Route = new ServerMaps.RouteData { DistanceMeters = 16093.4, TravelTimeSeconds = 1200 }
+        };
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+        cut.Find(".route-origin").TextContent.ShouldContain("1 City Hall Sq, Boston, MA 02201");
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Change starting point", StringComparison.Ordinal)).Click());
+
+        // Assert
+        state.Mode.ShouldBe(MapMode.DirectionsPreview);
+        cut.Find("input#address-input").GetAttribute("value").ShouldBe("1 City Hall Sq, Boston, MA 02201");
+    }
+
+    [Fact(DisplayName = "HandleUseCurrentLocation should show permission denied error when browser denies geolocation")]
+    public async Task HandleUseCurrentLocation_ShouldShowPermissionDeniedError_WhenPermissionDenied()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
+        _modalModuleInterop.Setup<double[]>("getCurrentLocation", _ => true)
+            .SetException(new JSException("User denied geolocation permission"));
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Use My Current Location", StringComparison.OrdinalIgnoreCase)).Click());
+
+        // Assert
+        state.ErrorMessage.ShouldNotBeNull();
+        state.ErrorMessage.ShouldContain("Location access denied");
+    }
+
+    [Fact(DisplayName = "HandleUseCurrentLocation should show generic error when geolocation fails for non-permission reason")]
+    public async Task HandleUseCurrentLocation_ShouldShowGenericError_WhenJSExceptionWithoutPermission()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
+        _modalModuleInterop.Setup<double[]>("getCurrentLocation", _ => true)
+            .SetException(new JSException("Geolocation hardware unavailable"));
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Use My Current Location", StringComparison.OrdinalIgnoreCase)).Click());
+
+        // Assert
+        state.ErrorMessage.ShouldNotBeNull();
+        state.ErrorMessage.ShouldContain("Unable to get your location");
+    }
+
+    [Fact(DisplayName = "HandleAddressInputChange should clear suggestions when input is fewer than 3 characters")]
+    public async Task HandleAddressInputChange_ShouldClearSuggestions_WhenInputIsTooShort()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find("input#address-input").Input("AB"));
+
+        // Assert
+        // Only the NebaModal close button (✕) should have type="button"; no suggestion buttons should appear
+        cut.FindAll("button[type='button']").Count.ShouldBe(1);
+    }
+
+    [Fact(DisplayName = "Address search should be biased toward the destination and render an ARIA listbox")]
+    public async Task AddressSearch_ShouldBiasTowardDestination_AndRenderListbox()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview, DestinationLocation = [-71.5, 42.5] };
+        _modalModuleInterop.Setup<DirectionsModal.AddressSuggestion[]?>("searchAddress", _ => true)
+            .SetResult([
+                new DirectionsModal.AddressSuggestion("1 Lincoln Sq, Worcester, MA", 42.27, -71.8, "Worcester", "Holiday Inn Worcester"),
+                new DirectionsModal.AddressSuggestion("1 Main St, Boston, MA", 42.36, -71.06, "Boston")
+            ]);
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find("input#address-input").Input("Holiday Inn"));
+
+        // Assert
+        var invocation = _modalModuleInterop.VerifyInvoke("searchAddress");
+        invocation.Arguments[0].ShouldBe("Holiday Inn");
+        JsonSerializer.Serialize(invocation.Arguments[1]).ShouldBe("[-71.5,42.5]");
+        invocation.Arguments[2].ShouldBe("address");
+
+        var input = cut.Find("input#address-input");
+        input.GetAttribute("role").ShouldBe("combobox");
+        input.GetAttribute("aria-expanded").ShouldBe("true");
+        cut.FindAll("#address-suggestions [role='option']").Count.ShouldBe(2);
+        cut.Find("#address-suggestion-0").TextContent.ShouldContain("Holiday Inn Worcester");
+    }
+
+    [Fact(DisplayName = "Address search should pass the configured routing provider to JS")]
+    public async Task AddressSearch_ShouldPassRoutingConfig_FromMapRoutingSettings()
+    {
+        // Arrange
+        _routingSettings.Provider = RoutingProvider.Osrm;
+        _routingSettings.RoutingBaseUrl = new Uri("http://localhost:5151/osrm");
+        _routingSettings.GeocodingBaseUrl = new Uri("http://localhost:5151/nominatim");
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview, DestinationLocation = [-71.5, 42.5] };
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find("input#address-input").Input("100 Bowling Way"));
+
+        // Assert
+        JsonSerializer.Serialize(_modalModuleInterop.VerifyInvoke("searchAddress").Arguments[3]).ShouldBe(
+            "{\"provider\":\"osrm\",\"routingUrl\":\"http://localhost:5151/osrm\",\"geocodingUrl\":\"http://localhost:5151/nominatim\",\"tileUrl\":null}");
+    }
+
+    [Fact(DisplayName = "Arrow keys should move the highlighted suggestion and Enter should pick it")]
+    public async Task AddressSearch_ShouldNavigateWithArrowKeys_AndSelectWithEnter()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview, DestinationLocation = [-71.5, 42.5] };
+        double[]? selectedLocation = null;
+        _modalModuleInterop.Setup<DirectionsModal.AddressSuggestion[]?>("searchAddress", _ => true)
+            .SetResult([
+                new DirectionsModal.AddressSuggestion("1 Lincoln Sq, Worcester, MA", 42.27, -71.8, "Worcester", "Holiday Inn Worcester"),
+                new DirectionsModal.AddressSuggestion("1 Main St, Boston, MA", 42.36, -71.06, "Boston")
+            ]);
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, location => selectedLocation = location)));
+        await cut.InvokeAsync(() => cut.Find("input#address-input").Input("Holiday Inn"));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find("input#address-input").KeyDown("ArrowUp"));
+
+        // Assert
+        cut.Find("input#address-input").GetAttribute("aria-activedescendant").ShouldBe("address-suggestion-1");
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find("input#address-input").KeyDown("ArrowDown"));
+        await cut.InvokeAsync(() => cut.Find("input#address-input").KeyDown("Enter"));
+
+        // Assert
+        selectedLocation.ShouldBe([-71.8, 42.27]);
+        state.UserAddress.ShouldBe("Holiday Inn Worcester, 1 Lincoln Sq, Worcester, MA");
+    }
+
+    [Fact(DisplayName = "Escape should close the suggestions and cancel the pending search")]
+    public async Task AddressSearch_ShouldCloseSuggestions_WhenEscapePressed()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
+        _modalModuleInterop.Setup<DirectionsModal.AddressSuggestion[]?>("searchAddress", _ => true)
+            .SetResult([new DirectionsModal.AddressSuggestion("1 Main St, Boston, MA", 42.36, -71.06, "Boston")]);
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+        await cut.InvokeAsync(() => cut.Find("input#address-input").Input("1 Main"));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find("input#address-input").KeyDown("Escape"));
+
+        // Assert
+        cut.FindAll("#address-suggestions").Count.ShouldBe(0);
+        cut.Find("input#address-input").GetAttribute("aria-expanded").ShouldBe("false");
+        _modalModuleInterop.VerifyInvoke("cancelAddressSearch").Arguments[0].ShouldBe("address");
+    }
+
+    [Fact(DisplayName = "Saved places should load with the modal and route from the one picked")]
+    public async Task HandleSelectSavedOrigin_ShouldRouteFromSavedPlace()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview, DestinationLocation = [-71.5, 42.5] };
+        double[]? selectedLocation = null;
+        _modalModuleInterop.Setup<DirectionsModal.OriginHistory?>("getSavedOrigins", _ => true)
+            .SetResult(new DirectionsModal.OriginHistory(
+                [new DirectionsModal.SavedOrigin("Home", "1 Main St, Worcester, MA", 42.26, -71.8)],
+                [new DirectionsModal.SavedOrigin(null, "9 Park Sq, Boston, MA", 42.35, -71.07)]));
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, location => selectedLocation = location)));
+        cut.Find(".recent-origins").TextContent.ShouldContain("9 Park Sq, Boston, MA");
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll(".saved-origins button").First(b => b.TextContent.Trim() == "Home").Click());
+
+        // Assert
+        selectedLocation.ShouldBe([-71.8, 42.26]);
+        state.UserAddress.ShouldBe("1 Main St, Worcester, MA");
+    }
+
+    [Fact(DisplayName = "Saved places should be removable and recent places clearable")]
+    public async Task HandleRemoveSavedOrigin_ShouldForgetPlaces()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
+        _modalModuleInterop.Setup<DirectionsModal.OriginHistory?>("getSavedOrigins", _ => true)
+            .SetResult(new DirectionsModal.OriginHistory(
+                [new DirectionsModal.SavedOrigin("Home", "1 Main St, Worcester, MA", 42.26, -71.8)],
+                [new DirectionsModal.SavedOrigin(null, "9 Park Sq, Boston, MA", 42.35, -71.07)]));
+        _modalModuleInterop.Setup<DirectionsModal.OriginHistory?>("removeSavedOrigin", _ => true)
+            .SetResult(new DirectionsModal.OriginHistory(
+                [],
+                [new DirectionsModal.SavedOrigin(null, "9 Park Sq, Boston, MA", 42.35, -71.07)]));
+        _modalModuleInterop.Setup<DirectionsModal.OriginHistory?>("clearRecentOrigins", _ => true)
+            .SetResult(new DirectionsModal.OriginHistory([], []));
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find("button[aria-label='Remove Home']").Click());
+
+        // Assert
+        _modalModuleInterop.VerifyInvoke("removeSavedOrigin").Arguments[0].ShouldBe("Home");
+        cut.FindAll("button[aria-label='Remove Home']").ShouldBeEmpty();
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Trim() == "Clear recent").Click());
+
+        // Assert
+        cut.FindAll(".saved-origins").ShouldBeEmpty();
+    }
+
+    [Fact(DisplayName = "Picking an address suggestion should add it to the recent starting points")]
+    public async Task HandleSelectSuggestion_ShouldAddRecentOrigin()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview, DestinationLocation = [-71.5, 42.5] };
+        _modalModuleInterop.Setup<DirectionsModal.AddressSuggestion[]?>("searchAddress", _ => true)
+            .SetResult([new DirectionsModal.AddressSuggestion("1 Main St, Boston, MA", 42.36, -71.06, "Boston")]);
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+        await cut.InvokeAsync(() => cut.Find("input#address-input").Input("1 Main"));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find("#address-suggestion-0").Click());
+
+        // Assert
+        var invocation = _modalModuleInterop.VerifyInvoke("addRecentOrigin");
+        invocation.Arguments[0].ShouldBe("1 Main St, Boston, MA");
+        JsonSerializer.Serialize(invocation.Arguments[1]).ShouldBe("[-71.06,42.36]");
+    }
+
+    [Fact(DisplayName = "Picking an address that could not be routed should not add it to the recent starting points")]
+    public async Task HandleSelectSuggestion_ShouldNotAddRecentOrigin_WhenRouteFails()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview, DestinationLocation = [-71.5, 42.5] };
+        _modalModuleInterop.Setup<DirectionsModal.AddressSuggestion[]?>("searchAddress", _ => true)
+            .SetResult([new DirectionsModal.AddressSuggestion("1 Main St, Boston, MA", 42.36, -71.06, "Boston")]);
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => state.ErrorMessage = "Unable to calculate route.")));
+        await cut.InvokeAsync(() => cut.Find("input#address-input").Input("1 Main"));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find("#address-suggestion-0").Click());
+
+        // Assert
+        _modalModuleInterop.Invocations["addRecentOrigin"].ShouldBeEmpty();
+    }
+
+    [Fact(DisplayName = "Saving the starting point should store it under the name entered")]
+    public async Task HandleSaveOrigin_ShouldSaveStartingPointUnderName()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            UserLocation = [-71.8, 42.26],
+            UserAddress = "1 Main St, Worcester, MA",
+            DestinationLocation = [-71.5, 42.5],
+            Route = new ServerMaps.RouteData { DistanceMeters = 16093.4, TravelTimeSeconds = 1200 }
+        };
+        _modalModuleInterop.Setup<DirectionsModal.OriginHistory?>("saveOrigin", _ => true)
+            .SetResult(new DirectionsModal.OriginHistory(
+                [new DirectionsModal.SavedOrigin("Home", "1 Main St, Worcester, MA", 42.26, -71.8)], []));
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+        await cut.InvokeAsync(() => cut.Find("#save-origin-name").Change(" Home "));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find("form.route-save-origin").Submit());
+
+        // Assert
+        var invocation = _modalModuleInterop.VerifyInvoke("saveOrigin");
+        invocation.Arguments[0].ShouldBe("Home");
+        invocation.Arguments[1].ShouldBe("1 Main St, Worcester, MA");
+        JsonSerializer.Serialize(invocation.Arguments[2]).ShouldBe("[-71.8,42.26]");
+        cut.Find(".route-origin-status").TextContent.ShouldContain("Saved \"Home\"");
+    }
+
+    [Fact(DisplayName = "Stop search should keep the previous suggestions when a newer query supersedes it")]
+    public async Task StopSearch_ShouldKeepSuggestions_WhenSearchIsSuperseded()
+    {
+        // Arrange
+        var state = new DirectionsState { Mode = MapMode.DirectionsPreview };
+        _modalModuleInterop.Setup<DirectionsModal.AddressSuggestion[]?>("searchAddress", invocation => (string?)invocation.Arguments[0] == "45 Elm")
+            .SetResult([new DirectionsModal.AddressSuggestion("45 Elm St, Worcester, MA", 42.26, -71.8, "Worcester")]);
+        _modalModuleInterop.Setup<DirectionsModal.AddressSuggestion[]?>("searchAddress", invocation => (string?)invocation.Arguments[0] == "45 Elm S")
+            .SetResult(null);
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+        await cut.InvokeAsync(() => cut.Find("input#stop-input").Input("45 Elm"));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find("input#stop-input").Input("45 Elm S"));
+
+        // Assert
+        _modalModuleInterop.Invocations["searchAddress"].Last().Arguments[2].ShouldBe("stop");
+        cut.FindAll("#stop-suggestions [role='option']").Count.ShouldBe(1);
+    }
+
+    [Fact(DisplayName = "HandleOpenInMaps should call openInNewTab JS when user and destination locations are set")]
+    public async Task HandleOpenInMaps_ShouldCallOpenInNewTab_WhenLocationsAreSet()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            UserLocation = [-71.0589, 42.3601],
+            DestinationLocation = [-71.5, 42.5],
+            Route = new ServerMaps.RouteData { DistanceMeters = 16093.4, TravelTimeSeconds = 1200, Instructions = [] }
+        };
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Google Maps", StringComparison.OrdinalIgnoreCase)).Click());
+
+        // Assert
+        _modalModuleInterop.VerifyInvoke("openInNewTab", 1);
+    }
+
+    [Fact(DisplayName = "HandleOpenInMaps should include the carpool stops as waypoints")]
+    public async Task HandleOpenInMaps_ShouldIncludeWaypoints_WhenRouteHasStops()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            UserLocation = [-71.0589, 42.3601],
+            DestinationLocation = [-71.5, 42.5],
+            Route = new ServerMaps.RouteData { DistanceMeters = 16093.4, TravelTimeSeconds = 1200 }
+        };
+        state.Waypoints.Add(new RouteWaypoint("Worcester", [-71.8, 42.26]));
+        state.Waypoints.Add(new RouteWaypoint("Framingham", [-71.42, 42.28]));
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Google Maps", StringComparison.OrdinalIgnoreCase)).Click());
+
+        // Assert
+        var url = (string)_modalModuleInterop.VerifyInvoke("openInNewTab").Arguments[0]!;
+        url.ShouldContain("&waypoints=42.26%2C-71.8%7C42.28%2C-71.42");
+    }
+
+    [Fact(DisplayName = "HandleOpenInMaps should return early when UserLocation is null")]
+    public async Task HandleOpenInMaps_ShouldReturnEarly_WhenUserLocationIsNull()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            UserLocation = null,
+            DestinationLocation = [-71.5, 42.5],
+            Route = new ServerMaps.RouteData { DistanceMeters = 16093.4, TravelTimeSeconds = 1200, Instructions = [] }
+        };
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Google Maps", StringComparison.OrdinalIgnoreCase)).Click());
+
+        // Assert
+        // openInNewTab should not be called when UserLocation is null
+        cut.Instance.ShouldNotBeNull();
+    }
+
+    [Fact(DisplayName = "Apple Maps and Waze links should go to the first carpool stop")]
+    public async Task HandleOpenInMaps_ShouldTargetFirstStop_ForAppleMapsAndWaze()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            UserLocation = [-71.0589, 42.3601],
+            DestinationLocation = [-71.5, 42.5],
+            Route = new ServerMaps.RouteData { DistanceMeters = 16093.4, TravelTimeSeconds = 1200 }
+        };
+        state.Waypoints.Add(new RouteWaypoint("Worcester", [-71.8, 42.26]));
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Apple Maps", StringComparison.Ordinal)).Click());
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Trim() == "Waze").Click());
+
+        // Assert
+        var urls = _modalModuleInterop.VerifyInvoke("openInNewTab", 2).Select(invocation => (string)invocation.Arguments[0]!).ToList();
+        urls[0].ShouldBe("https://maps.apple.com/?saddr=42.3601,-71.0589&daddr=42.26,-71.8&dirflg=d");
+        urls[1].ShouldBe("https://waze.com/ul?ll=42.26,-71.8&navigate=yes");
+        cut.Markup.ShouldContain("Apple Maps and Waze links go to your first stop");
+    }
+
+    [Fact(DisplayName = "Download GPX should export the route with the start, stops and destination")]
+    public async Task HandleDownloadRoute_ShouldExportRoute_WithNamedPoints()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            SelectedCenterName = "Spare Time Lanes",
+            UserLocation = [-71.0589, 42.3601],
+            UserAddress = "123 Main St",
+            DestinationLocation = [-71.5, 42.5],
+            Route = new ServerMaps.RouteData { DistanceMeters = 16093.4, TravelTimeSeconds = 1200, RouteGeoJson = "{}" }
+        };
+        state.Waypoints.Add(new RouteWaypoint("Worcester", [-71.8, 42.26]));
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Download GPX", StringComparison.Ordinal)).Click());
+
+        // Assert
+        var invocation = _modalModuleInterop.VerifyInvoke("downloadRouteFile");
+        invocation.Arguments[0].ShouldBe("gpx");
+        invocation.Arguments[1].ShouldBe("directions-to-spare-time-lanes");
+        invocation.Arguments[2].ShouldBe("{}");
+        invocation.Arguments[3].ShouldBe("Directions to Spare Time Lanes");
+        JsonSerializer.Serialize(invocation.Arguments[4]).ShouldBe(
+            """[{"name":"123 Main St","location":[-71.0589,42.3601]},{"name":"Worcester","location":[-71.8,42.26]},{"name":"Spare Time Lanes","location":[-71.5,42.5]}]""");
+    }
+
+    [Fact(DisplayName = "Print should send the numbered steps and tell the user when the print window is blocked")]
+    public async Task HandlePrintDirections_ShouldSendSteps_AndReportBlockedWindow()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            SelectedCenterName = "Spare Time Lanes",
+            Route = new ServerMaps.RouteData
+            {
+                DistanceMeters = 16093.4,
+                TravelTimeSeconds = 1200,
+                Instructions = [new RouteInstruction { Text = "Head north", DistanceMeters = 321.9 }]
+            }
+        };
+        _modalModuleInterop.Setup<bool>("printRouteSheet", _ => true).SetResult(false);
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Trim() == "Print").Click());
+
+        // Assert
+        var sheet = JsonSerializer.Serialize(_modalModuleInterop.VerifyInvoke("printRouteSheet").Arguments[0]);
+        sheet.ShouldContain("\"title\":\"Directions to Spare Time Lanes\"");
+        sheet.ShouldContain("\"steps\":[{\"text\":\"Head north\",\"distance\":\"0.2 mi\"}]");
+        cut.Find(".route-export-status").TextContent.ShouldContain("blocked the print window");
+    }
+
+    [Fact(DisplayName = "Share link should rebuild the directions and be copyable")]
+    public async Task ShareLink_ShouldRebuildDirections_AndBeCopyable()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            SelectedCenterId = "center-1",
+            UserLocation = [-71.0589, 42.3601],
+            DestinationLocation = [-71.5, 42.5],
+            Route = new ServerMaps.RouteData { DistanceMeters = 16093.4, TravelTimeSeconds = 1200 }
+        };
+        _modalModuleInterop.Setup<bool>("copyToClipboard", _ => true).SetResult(true);
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll("button").First(b => b.TextContent.Contains("Copy link", StringComparison.Ordinal)).Click());
+
+        // Assert
+        var shareUrl = cut.Find("#route-share-url").GetAttribute("value");
+        shareUrl.ShouldBe("http://localhost/?directions=center-1&from=42.3601%2C-71.0589");
+        _modalModuleInterop.VerifyInvoke("copyToClipboard").Arguments[0].ShouldBe(shareUrl);
+        cut.Find(".route-export-status").TextContent.ShouldBe("Link copied.");
+    }
+
+    [Fact(DisplayName = "Should show turn-by-turn instructions when toggle button is clicked")]
+    public async Task ToggleDirections_ShouldShowInstructions_WhenToggled()
+    {
+        // Arrange
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            Route = new ServerMaps.RouteData
+            {
+                DistanceMeters = 16093.4,
+                TravelTimeSeconds = 1200,
+                Instructions = [new ServerMaps.RouteInstruction { Text = "Head north on Main St", DistanceMeters = 500 }]
+            }
+        };
+
+        var cut = _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
             .Add(x => x.State, state)
             .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, _ => { })));
 
@@ -662,4 +1860,46 @@ public sealed class DirectionsModalTests : IDisposable
         // Assert
         cut.Instance.ShouldNotBeNull();
     }
-}
\ No newline at end of file
+
+    private static DirectionsState CreateTripState()
+    {
+        var state = new DirectionsState
+        {
+            Mode = MapMode.DirectionsActive,
+            UserLocation = [-71.0589, 42.3601],
+            DestinationLocation = [-71.5, 42.5],
+            Route = new ServerMaps.RouteData
+            {
+                DistanceMeters = 16093.4,
+                TravelTimeSeconds = 1200,
+                RouteGeoJson = "{\"type\":\"Feature\"}",
+                Legs =
+                [
+                    new ServerMaps.RouteLeg { DistanceMeters = 8000, TravelTimeSeconds = 600 },
+                    new ServerMaps.RouteLeg { DistanceMeters = 8093.4, TravelTimeSeconds = 600 }
+                ],
+                Instructions =
+                [
+                    new ServerMaps.RouteInstruction { Text = "Head west on Main St", Position = [-71.1, 42.4] },
+                    new ServerMaps.RouteInstruction { Text = "Pick up Alex", LegIndex = 0 },
+                    new ServerMaps.RouteInstruction { Text = "Arrive at Bowl-O-Rama", LegIndex = 1, Position = [-71.5, 42.5] }
+                ]
+            }
+        };
+
+        state.Waypoints.Add(new RouteWaypoint("Alex", [-71.2, 42.4]));
+        state.Waypoints.Add(new RouteWaypoint("Jordan", [-71.4, 42.45]));
+
+        return state;
+    }
+
+    private IRenderedComponent<DirectionsModal> RenderTripModal(DirectionsState state, Action<double[]>? onLocationSelected = null)
+        => _ctx.Render<DirectionsModal>(p => p
+            .Add(x => x.IsOpen, true)
+            .Add(x => x.OnClose, EventCallback.Factory.Create(this, () => { }))
+            .Add(x => x.State, state)
+            .Add(x => x.OnLocationSelected, EventCallback.Factory.Create<double[]>(this, onLocationSelected ?? (_ => { }))));
+
+    private static AngleSharp.Dom.IElement FindButton(IRenderedComponent<DirectionsModal> cut, string text)
+        => cut.FindAll("button").First(b => b.TextContent.Trim() == text);
+}
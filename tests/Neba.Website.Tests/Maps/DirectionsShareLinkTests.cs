@@ -0,0 +1,132 @@
+using Neba.TestFactory.Attributes;
+using Neba.Website.Server.Maps;
+
+namespace Neba.Website.Tests.Maps;
+
+[UnitTest]
+[Component("Website.Maps.DirectionsShareLink")]
+public sealed class DirectionsShareLinkTests
+{
+    private static readonly Uri PageUri = new("https://neba.example/bowling-centers");
+
+    private static DirectionsState CreateState() => new()
+    {
+        SelectedCenterId = "center-1",
+        SelectedCenterName = "Spare Time Lanes",
+        UserLocation = [-71.0589, 42.3601],
+        UserAddress = "123 Main St, Boston, MA",
+        DestinationLocation = [-71.5, 42.5]
+    };
+
+    [Fact(DisplayName = "FromState returns null before a starting point is chosen")]
+    public void FromState_ShouldReturnNull_WhenStartingPointIsMissing()
+    {
+        // Arrange
+        var state = CreateState();
+        state.UserLocation = null;
+
+        // Act
+        var link = DirectionsShareLink.FromState(state);
+
+        // Assert
+        link.ShouldBeNull();
+    }
+
+    [Fact(DisplayName = "ToUri writes the center and starting point and leaves default options out")]
+    public void ToUri_ShouldWriteCenterAndStartingPoint_AndLeaveDefaultOptionsOut()
+    {
+        // Arrange
+        var link = DirectionsShareLink.FromState(CreateState())!;
+
+        // Act
+        var uri = link.ToUri(PageUri);
+
+        // Assert
+        uri.AbsoluteUri.ShouldBe(
+            "https://neba.example/bowling-centers?directions=center-1&from=42.3601%2C-71.0589&fromName=123%20Main%20St%2C%20Boston%2C%20MA");
+    }
+
+    [Fact(DisplayName = "ToUri replaces directions already in the page query string and keeps other parameters")]
+    public void ToUri_ShouldReplaceExistingDirections_AndKeepOtherParameters()
+    {
+        // Arrange
+        var link = DirectionsShareLink.FromState(CreateState())!;
+
+        // Act
+        var uri = link.ToUri(new Uri("https://neba.example/bowling-centers?directions=old&from=1,2&view=list"));
+
+        // Assert
+        uri.Query.ShouldStartWith("?view=list&directions=center-1&from=42.3601%2C-71.0589");
+    }
+
+    [Fact(DisplayName = "FromUri round-trips stops and route options")]
+    public void FromUri_ShouldRoundTripStopsAndRouteOptions()
+    {
+        // Arrange
+        var state = CreateState();
+        state.Waypoints.Add(new RouteWaypoint("Alex's house", [-71.2, 42.4]));
+        state.Waypoints.Add(new RouteWaypoint("Park & ride", [-71.3, 42.45]));
+        state.RouteSettings = new RouteSettings
+        {
+            TravelMode = RouteTravelMode.Bicycle,
+            RouteType = RouteType.Shortest,
+            AvoidTolls = true,
+            AvoidHighways = true,
+            ArriveAt = new DateTime(2026, 10, 24, 9, 0, 0, DateTimeKind.Unspecified),
+            OptimizeWaypoints = true
+        };
+
+        // Act
+        var link = DirectionsShareLink.FromUri(DirectionsShareLink.FromState(state)!.ToUri(PageUri));
+
+        // Assert
+        link.ShouldNotBeNull();
+        link.CenterId.ShouldBe("center-1");
+        link.Origin.ShouldBe([-71.0589, 42.3601]);
+        link.OriginName.ShouldBe("123 Main St, Boston, MA");
+        link.Waypoints.Select(waypoint => waypoint.Name).ShouldBe(["Alex's house", "Park & ride"]);
+        link.Waypoints[1].Location.ShouldBe([-71.3, 42.45]);
+        link.Settings.TravelMode.ShouldBe(RouteTravelMode.Bicycle);
+        link.Settings.RouteType.ShouldBe(RouteType.Shortest);
+        link.Settings.AvoidTolls.ShouldBeTrue();
+        link.Settings.AvoidHighways.ShouldBeTrue();
+        link.Settings.DepartAt.ShouldBeNull();
+        link.Settings.ArriveAt.ShouldBe(new DateTime(2026, 10, 24, 9, 0, 0, DateTimeKind.Unspecified));
+        link.Settings.OptimizeWaypoints.ShouldBeTrue();
+    }
+
+    [Theory(DisplayName = "FromUri returns null without a center or a valid starting point")]
+    [InlineData("")]
+    [InlineData("?from=42.36,-71.05")]
+    [InlineData("?directions=center-1")]
+    [InlineData("?directions=center-1&from=boston")]
+    [InlineData("?directions=center-1&from=142.36,-71.05")]
+    public void FromUri_ShouldReturnNull_WhenCenterOrStartingPointIsMissing(string query)
+    {
+        // Act
+        var link = DirectionsShareLink.FromUri(new Uri(PageUri + query));
+
+        // Assert
+        link.ShouldBeNull();
+    }
+
+    [Fact(DisplayName = "FromUri falls back to defaults for unknown options and skips unreadable stops")]
+    public void FromUri_ShouldFallBackToDefaults_AndSkipUnreadableStops()
+    {
+        // Arrange
+        var uri = new Uri(PageUri + "?directions=center-1&from=42.36,-71.05&travel=hovercraft&route=7" +
+            "&depart=saturday&via=nowhere&via=42.4,-71.2");
+
+        // Act
+        var link = DirectionsShareLink.FromUri(uri);
+
+        // Assert
+        link.ShouldNotBeNull();
+        link.Settings.TravelMode.ShouldBe(RouteTravelMode.Car);
+        link.Settings.RouteType.ShouldBe(RouteType.Fastest);
+        link.Settings.DepartAt.ShouldBeNull();
+        link.Waypoints.Count.ShouldBe(1);
+        link.Waypoints[0].Name.ShouldBe("Stop 2");
+        link.Waypoints[0].Location.ShouldBe([-71.2, 42.4]);
+    }
+}
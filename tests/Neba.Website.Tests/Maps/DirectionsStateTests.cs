@@ -61,6 +61,7 @@ public sealed class DirectionsStateTests
             IsLoading = true,
             ErrorMessage = "Something went wrong"
         };
+        state.Waypoints.Add(new RouteWaypoint("45 Elm St, Worcester, MA", [-71.8, 42.26]));
 
         // Act
         state.Reset();
@@ -73,10 +74,45 @@ public sealed class DirectionsStateTests
         state.UserAddress.ShouldBeNull();
         state.DestinationLocation.ShouldBeNull();
         state.Route.ShouldBeNull();
+        state.Waypoints.ShouldBeEmpty();
         state.IsLoading.ShouldBeFalse();
         state.ErrorMessage.ShouldBeNull();
     }
 
+    [Fact(DisplayName = "GetVisitedWaypoints follows the route's waypoint order")]
+    public void GetVisitedWaypoints_ShouldFollowWaypointOrder_WhenRouteReorderedStops()
+    {
+        // Arrange
+        var worcester = new RouteWaypoint("Worcester", [-71.8, 42.26]);
+        var framingham = new RouteWaypoint("Framingham", [-71.42, 42.28]);
+        var state = new DirectionsState { Route = new RouteData { WaypointOrder = [1, 0] } };
+        state.Waypoints.Add(worcester);
+        state.Waypoints.Add(framingham);
+
+        // Act
+        var visited = state.GetVisitedWaypoints();
+
+        // Assert
+        visited.ShouldBe([framingham, worcester]);
+    }
+
+    [Fact(DisplayName = "GetVisitedWaypoints keeps the requested order when the route has no usable order")]
+    public void GetVisitedWaypoints_ShouldKeepRequestedOrder_WhenWaypointOrderDoesNotMatch()
+    {
+        // Arrange
+        var worcester = new RouteWaypoint("Worcester", [-71.8, 42.26]);
+        var framingham = new RouteWaypoint("Framingham", [-71.42, 42.28]);
+        var state = new DirectionsState { Route = new RouteData { WaypointOrder = [0] } };
+        state.Waypoints.Add(worcester);
+        state.Waypoints.Add(framingham);
+
+        // Act
+        var visited = state.GetVisitedWaypoints();
+
+        // Assert
+        visited.ShouldBe([worcester, framingham]);
+    }
+
     [Fact(DisplayName = "Reset is idempotent when called on a default state")]
     public void Reset_ShouldBeIdempotent_WhenCalledOnDefaultState()
     {
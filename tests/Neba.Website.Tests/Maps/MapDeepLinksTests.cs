@@ -0,0 +1,72 @@
+using Neba.TestFactory.Attributes;
+using Neba.Website.Server.Maps;
+
+namespace Neba.Website.Tests.Maps;
+
+[UnitTest]
+[Component("Website.Maps.MapDeepLinks")]
+public sealed class MapDeepLinksTests
+{
+    private static readonly double[] Origin = [-71.0589, 42.3601];
+    private static readonly double[] Destination = [-71.5, 42.5];
+
+    [Fact(DisplayName = "Google builds a driving link with lat,lon origin and destination")]
+    public void Google_ShouldBuildDrivingLink_WithLatLonOriginAndDestination()
+    {
+        // Act
+        var uri = MapDeepLinks.Google(Origin, Destination, [], RouteTravelMode.Car);
+
+        // Assert
+        uri.AbsoluteUri.ShouldBe(
+            "https://www.google.com/maps/dir/?api=1&origin=42.3601,-71.0589&destination=42.5,-71.5&travelmode=driving");
+    }
+
+    [Theory(DisplayName = "Google maps the travel mode")]
+    [InlineData(RouteTravelMode.Bicycle, "bicycling")]
+    [InlineData(RouteTravelMode.Pedestrian, "walking")]
+    public void Google_ShouldMapTravelMode(RouteTravelMode travelMode, string expected)
+    {
+        // Act
+        var uri = MapDeepLinks.Google(Origin, Destination, [], travelMode);
+
+        // Assert
+        uri.Query.ShouldEndWith($"&travelmode={expected}");
+    }
+
+    [Fact(DisplayName = "Google adds carpool stops as escaped pipe-separated waypoints")]
+    public void Google_ShouldAddStops_AsEscapedPipeSeparatedWaypoints()
+    {
+        // Arrange
+        double[][] stops = [[-71.2, 42.4], [-71.3, 42.45]];
+
+        // Act
+        var uri = MapDeepLinks.Google(Origin, Destination, stops, RouteTravelMode.Car);
+
+        // Assert
+        uri.AbsoluteUri.ShouldEndWith("&waypoints=42.4%2C-71.2%7C42.45%2C-71.3");
+    }
+
+    [Theory(DisplayName = "Apple maps the travel mode to a direction flag")]
+    [InlineData(RouteTravelMode.Car, "&dirflg=d")]
+    [InlineData(RouteTravelMode.Pedestrian, "&dirflg=w")]
+    [InlineData(RouteTravelMode.Bicycle, "&daddr=42.5,-71.5")]
+    public void Apple_ShouldMapTravelMode_ToDirectionFlag(RouteTravelMode travelMode, string expectedEnding)
+    {
+        // Act
+        var uri = MapDeepLinks.Apple(Origin, Destination, travelMode);
+
+        // Assert
+        uri.AbsoluteUri.ShouldStartWith("https://maps.apple.com/?saddr=42.3601,-71.0589&daddr=42.5,-71.5");
+        uri.AbsoluteUri.ShouldEndWith(expectedEnding);
+    }
+
+    [Fact(DisplayName = "Waze navigates to the destination")]
+    public void Waze_ShouldNavigateToDestination()
+    {
+        // Act
+        var uri = MapDeepLinks.Waze(Destination);
+
+        // Assert
+        uri.AbsoluteUri.ShouldBe("https://waze.com/ul?ll=42.5,-71.5&navigate=yes");
+    }
+}
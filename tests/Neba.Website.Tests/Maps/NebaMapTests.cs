@@ -1,3 +1,5 @@
+using System.Text.Json;
+
 using Bunit;
 
 using Microsoft.AspNetCore.Components;
@@ -19,6 +21,7 @@ public sealed class NebaMapTests : IDisposable
 {
     private readonly BunitContext _ctx;
     private readonly BunitJSInterop _moduleInterop;
+    private readonly MapRoutingSettings _routingSettings = new();
 
     public NebaMapTests()
     {
@@ -31,6 +34,7 @@ public sealed class NebaMapTests : IDisposable
             AccountId = "test-account",
             SubscriptionKey = "test-subscription-key"
         });
+        _ctx.Services.AddSingleton(_routingSettings);
         _ctx.Services.AddSingleton<ILogger<NebaMap>>(NullLogger<NebaMap>.Instance);
     }
 
@@ -95,6 +99,208 @@ public sealed class NebaMapTests : IDisposable
         _moduleInterop.VerifyInvoke("initializeMap");
     }
 
+    [Fact(DisplayName = "Should pass Azure Maps as the routing provider by default")]
+    public void OnAfterRender_ShouldPassAzureRoutingProvider_WhenNotConfigured()
+    {
+        // Act
+        _ctx.Render<NebaMap>();
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("initializeMap");
+        var mapConfig = JsonSerializer.Serialize(invocation.Arguments[1]);
+        mapConfig.ShouldContain("\"provider\":\"azure\"");
+    }
+
+    [Fact(DisplayName = "Should pass the traffic overlay setting in the map config")]
+    public void OnAfterRender_ShouldPassShowTraffic_WhenTrafficEnabled()
+    {
+        // Act
+        _ctx.Render<NebaMap>(p => p.Add(x => x.ShowTraffic, true));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("initializeMap");
+        var mapConfig = JsonSerializer.Serialize(invocation.Arguments[1]);
+        mapConfig.ShouldContain("\"showTraffic\":true");
+    }
+
+    [Fact(DisplayName = "Should pass the URL state setting in the map config")]
+    public void OnAfterRender_ShouldPassSyncStateWithUrl_WhenEnabled()
+    {
+        // Act
+        _ctx.Render<NebaMap>(p => p.Add(x => x.SyncStateWithUrl, true));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("initializeMap");
+        var mapConfig = JsonSerializer.Serialize(invocation.Arguments[1]);
+        mapConfig.ShouldContain("\"syncStateWithUrl\":true");
+    }
+
+    [Fact(DisplayName = "Should pass OSRM routing provider and URLs when configured")]
+    public void OnAfterRender_ShouldPassOsrmRoutingConfig_WhenOsrmConfigured()
+    {
+        // Arrange
+        _routingSettings.Provider = RoutingProvider.Osrm;
+        _routingSettings.RoutingBaseUrl = new Uri("http://localhost:5151/osrm");
+        _routingSettings.GeocodingBaseUrl = new Uri("http://localhost:5151/nominatim");
+        _routingSettings.TileUrl = "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+
+        // Act
+        _ctx.Render<NebaMap>();
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("initializeMap");
+        var mapConfig = JsonSerializer.Serialize(invocation.Arguments[1]);
+        mapConfig.ShouldContain("\"provider\":\"osrm\"");
+        mapConfig.ShouldContain("\"routingUrl\":\"http://localhost:5151/osrm\"");
+        mapConfig.ShouldContain("\"geocodingUrl\":\"http://localhost:5151/nominatim\"");
+        mapConfig.ShouldContain("\"tileUrl\":\"https://tile.openstreetmap.org/{z}/{x}/{y}.png\"");
+    }
+
+    [Fact(DisplayName = "Should pass the default clustering options")]
+    public void OnAfterRender_ShouldPassDefaultClusterOptions_WhenNoneConfigured()
+    {
+        // Act
+        _ctx.Render<NebaMap>();
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("initializeMap");
+        var mapConfig = JsonSerializer.Serialize(invocation.Arguments[1]);
+        mapConfig.ShouldContain("\"clustering\":{\"radius\":50,\"maxZoom\":14,\"colorSteps\":[{\"minCount\":0,\"color\":\"#0066b2\"},{\"minCount\":5,\"color\":\"#004080\"},{\"minCount\":10,\"color\":\"#002040\"}],\"spiderfy\":true}");
+    }
+
+    [Fact(DisplayName = "Should pass configured clustering options")]
+    public void OnAfterRender_ShouldPassClusterOptions_WhenConfigured()
+    {
+        // Arrange
+        var options = new MapClusterOptions(Radius: 30, MaxZoom: 12, Spiderfy: false)
+        {
+            ColorSteps = [new(0, "#111111"), new(20, "#222222")]
+        };
+
+        // Act
+        _ctx.Render<NebaMap>(p => p.Add(x => x.ClusterOptions, options));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("initializeMap");
+        var mapConfig = JsonSerializer.Serialize(invocation.Arguments[1]);
+        mapConfig.ShouldContain("\"clustering\":{\"radius\":30,\"maxZoom\":12,\"colorSteps\":[{\"minCount\":0,\"color\":\"#111111\"},{\"minCount\":20,\"color\":\"#222222\"}],\"spiderfy\":false}");
+    }
+
+    [Fact(DisplayName = "Should pass what the markers are for screen-reader announcements")]
+    public void OnAfterRender_ShouldPassLocationNoun_WhenConfigured()
+    {
+        // Act
+        _ctx.Render<NebaMap>(p => p
+            .Add(x => x.LocationNoun, "center")
+            .Add(x => x.LocationNounPlural, "centers"));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("initializeMap");
+        var mapConfig = JsonSerializer.Serialize(invocation.Arguments[1]);
+        mapConfig.ShouldContain("\"locationNoun\":{\"one\":\"center\",\"other\":\"centers\"}");
+    }
+
+    [Fact(DisplayName = "Should not pass marker categories when none are configured")]
+    public void OnAfterRender_ShouldPassNullMarkerCategories_WhenNoneConfigured()
+    {
+        // Act
+        _ctx.Render<NebaMap>();
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("initializeMap");
+        var mapConfig = JsonSerializer.Serialize(invocation.Arguments[1]);
+        mapConfig.ShouldContain("\"markerCategories\":null");
+    }
+
+    [Fact(DisplayName = "Should pass marker categories, field and default category when configured")]
+    public void OnAfterRender_ShouldPassMarkerCategories_WhenConfigured()
+    {
+        // Arrange
+        MapMarkerCategory[] categories =
+        [
+            new("tournament", "Upcoming tournament", "#dc2626", "flag"),
+            new("usbc", "USBC center", "#0066b2")
+        ];
+
+        // Act
+        _ctx.Render<NebaMap>(parameters =>
+            parameters.Add(p => p.MarkerCategories, categories)
+                      .Add(p => p.MarkerCategoryField, "centerType")
+                      .Add(p => p.DefaultMarkerCategory, "usbc"));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("initializeMap");
+        var mapConfig = JsonSerializer.Serialize(invocation.Arguments[1]);
+        mapConfig.ShouldContain("\"field\":\"centerType\"");
+        mapConfig.ShouldContain("\"defaultCategory\":\"usbc\"");
+        mapConfig.ShouldContain("{\"key\":\"tournament\",\"label\":\"Upcoming tournament\",\"color\":\"#dc2626\",\"icon\":\"flag\"}");
+    }
+
+    [Fact(DisplayName = "Should pass popup fields and actions as the popup template")]
+    public void OnAfterRender_ShouldPassPopupTemplate_WhenFieldsAndActionsConfigured()
+    {
+        // Arrange
+        MapPopupField[] fields = [new("phoneDisplay", "Phone", MapPopupFieldType.Phone)];
+        MapPopupAction[] actions = [MapPopupAction.Directions];
+
+        // Act
+        _ctx.Render<NebaMap>(parameters =>
+            parameters.Add(p => p.PopupFields, fields)
+                      .Add(p => p.PopupActions, actions));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("initializeMap");
+        var mapConfig = JsonSerializer.Serialize(invocation.Arguments[1]);
+        mapConfig.ShouldContain("{\"key\":\"phoneDisplay\",\"label\":\"Phone\",\"type\":\"phone\"}");
+        mapConfig.ShouldContain("{\"id\":\"directions\",\"label\":\"Get directions\"}");
+    }
+
+    [Fact(DisplayName = "Should pass location titles unencoded so the popup template can escape them")]
+    public void OnAfterRender_ShouldNotHtmlEncodeLocationTitle_WhenRendered()
+    {
+        // Arrange
+        NebaMapLocation[] locations = [new("pins", "Pins & Needles", "Main St", 42.36, -71.06)];
+
+        // Act
+        _ctx.Render<NebaMap>(parameters => parameters.Add(p => p.Locations, locations));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("initializeMap");
+        var serialized = JsonSerializer.Serialize(invocation.Arguments[2]);
+        serialized.ShouldContain("Pins \\u0026 Needles");
+        serialized.ShouldNotContain("amp;");
+    }
+
+    [Fact(DisplayName = "Should invoke OnDirectionsRequested with the location id when NotifyDirectionsRequested is called")]
+    public async Task NotifyDirectionsRequested_ShouldInvokeCallback_WhenCalled()
+    {
+        // Arrange
+        string? receivedLocationId = null;
+        var cut = _ctx.Render<NebaMap>(parameters =>
+            parameters.Add(p => p.OnDirectionsRequested, EventCallback.Factory.Create<string>(this, id => receivedLocationId = id)));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.NotifyDirectionsRequested("lucky-strike"));
+
+        // Assert
+        receivedLocationId.ShouldBe("lucky-strike");
+    }
+
+    [Fact(DisplayName = "Should invoke OnPopupAction with action and location ids when NotifyPopupAction is called")]
+    public async Task NotifyPopupAction_ShouldInvokeCallback_WhenCalled()
+    {
+        // Arrange
+        MapPopupActionInvocation? received = null;
+        var cut = _ctx.Render<NebaMap>(parameters =>
+            parameters.Add(p => p.OnPopupAction, EventCallback.Factory.Create<MapPopupActionInvocation>(this, a => received = a)));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.NotifyPopupAction("schedule", "lucky-strike"));
+
+        // Assert
+        received.ShouldBe(new MapPopupActionInvocation("schedule", "lucky-strike"));
+    }
+
     [Fact(DisplayName = "Should call initializeMap exactly once across multiple renders")]
     public void OnAfterRender_ShouldNotCallInitializeMapAgain_WhenSubsequentRender()
     {
@@ -163,6 +369,156 @@ public sealed class NebaMapTests : IDisposable
         receivedBounds.ShouldBe(expectedBounds);
     }
 
+    [Fact(DisplayName = "Should invoke OnLocationSelected with the location id when NotifyLocationSelected is called")]
+    public async Task NotifyLocationSelected_ShouldInvokeCallback_WhenCalled()
+    {
+        // Arrange
+        string? receivedLocationId = null;
+        var cut = _ctx.Render<NebaMap>(parameters =>
+            parameters.Add(p => p.OnLocationSelected, EventCallback.Factory.Create<string>(this, id => receivedLocationId = id)));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.NotifyLocationSelected("loc-1"));
+
+        // Assert
+        receivedLocationId.ShouldBe("loc-1");
+    }
+
+    [Fact(DisplayName = "Should invoke OnLocationHovered with null when the pointer leaves all markers")]
+    public async Task NotifyLocationHovered_ShouldInvokeCallbackWithNull_WhenPointerLeaves()
+    {
+        // Arrange
+        var receivedLocationIds = new List<string?>();
+        var cut = _ctx.Render<NebaMap>(parameters =>
+            parameters.Add(p => p.OnLocationHovered, EventCallback.Factory.Create<string?>(this, id => receivedLocationIds.Add(id))));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.NotifyLocationHovered("loc-1"));
+        await cut.InvokeAsync(() => cut.Instance.NotifyLocationHovered(null));
+
+        // Assert
+        receivedLocationIds.ShouldBe(["loc-1", null]);
+    }
+
+    [Fact(DisplayName = "Should call highlightLocation JS function when invoked")]
+    public async Task HighlightLocationAsync_ShouldCallHighlightLocationJs_WhenInvoked()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.HighlightLocationAsync("loc-1"));
+
+        // Assert
+        _moduleInterop.VerifyInvoke("highlightLocation", 1);
+    }
+
+    [Fact(DisplayName = "Should invoke OnDistancesCalculated with distances when NotifyDistancesCalculated is called")]
+    public async Task NotifyDistancesCalculated_ShouldInvokeCallback_WhenCalled()
+    {
+        // Arrange
+        IReadOnlyList<MapLocationDistance>? received = null;
+        var cut = _ctx.Render<NebaMap>(parameters =>
+            parameters.Add(p => p.OnDistancesCalculated,
+                EventCallback.Factory.Create<IReadOnlyList<MapLocationDistance>>(this, d => received = d)));
+        MapLocationDistance[] distances = [new("loc-1", 1.25), new("loc-2", 8.5)];
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.NotifyDistancesCalculated(distances));
+
+        // Assert
+        received.ShouldBe(distances);
+    }
+
+    [Fact(DisplayName = "Should call showProximity JS function with origin and radius")]
+    public async Task ShowProximityAsync_ShouldCallShowProximityJs_WhenInvoked()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.ShowProximityAsync([-71.0589, 42.3601], 25));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("showProximity");
+        invocation.Arguments[1].ShouldBe(new[] { -71.0589, 42.3601 });
+        invocation.Arguments[2].ShouldBe(25d);
+    }
+
+    [Fact(DisplayName = "Should call clearProximity JS function when invoked")]
+    public async Task ClearProximityAsync_ShouldCallClearProximityJs_WhenInvoked()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.ClearProximityAsync());
+
+        // Assert
+        _moduleInterop.VerifyInvoke("clearProximity", 1);
+    }
+
+    [Fact(DisplayName = "Should return reachable locations from showReachableRange")]
+    public async Task ShowReachableRangeAsync_ShouldReturnReachableRange_WhenModuleLoaded()
+    {
+        // Arrange
+        var expected = new ReachableRange(["loc-1"], 60);
+        _moduleInterop.Setup<ReachableRange>("showReachableRange", _ => true).SetResult(expected);
+        var cut = _ctx.Render<NebaMap>();
+
+        // Act
+        var result = await cut.InvokeAsync(() => cut.Instance.ShowReachableRangeAsync([-71.0589, 42.3601], 60));
+
+        // Assert
+        result.ShouldBe(expected);
+        var invocation = _moduleInterop.VerifyInvoke("showReachableRange");
+        invocation.Arguments[2].ShouldBe(60);
+    }
+
+    [Fact(DisplayName = "Should return null when ShowReachableRangeAsync throws JSException")]
+    public async Task ShowReachableRangeAsync_ShouldReturnNull_WhenJsExceptionThrown()
+    {
+        // Arrange
+        _moduleInterop.Setup<ReachableRange>("showReachableRange", _ => true)
+            .SetException(new JSException("Drive-time areas are not supported by the OSRM provider"));
+        var cut = _ctx.Render<NebaMap>();
+
+        // Act
+        var result = await cut.InvokeAsync(() => cut.Instance.ShowReachableRangeAsync([-71.0589, 42.3601], 60));
+
+        // Assert
+        result.ShouldBeNull();
+    }
+
+    [Fact(DisplayName = "Should call clearReachableRange JS function when invoked")]
+    public async Task ClearReachableRangeAsync_ShouldCallClearReachableRangeJs_WhenInvoked()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.ClearReachableRangeAsync());
+
+        // Assert
+        _moduleInterop.VerifyInvoke("clearReachableRange", 1);
+    }
+
+    [Fact(DisplayName = "Should invoke OnReachableLocationsChanged when NotifyReachableLocationsChanged is called")]
+    public async Task NotifyReachableLocationsChanged_ShouldInvokeCallback_WhenCalled()
+    {
+        // Arrange
+        IReadOnlyList<string>? received = null;
+        var cut = _ctx.Render<NebaMap>(parameters =>
+            parameters.Add(p => p.OnReachableLocationsChanged,
+                EventCallback.Factory.Create<IReadOnlyList<string>>(this, ids => received = ids)));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.NotifyReachableLocationsChanged(["loc-1", "loc-2"]));
+
+        // Assert
+        received.ShouldBe(["loc-1", "loc-2"]);
+    }
+
     [Fact(DisplayName = "Should call focusOnLocation JS function when location id is provided")]
     public async Task FocusOnLocationAsync_ShouldCallFocusOnLocationJs_WhenLocationIdProvided()
     {
@@ -189,6 +545,33 @@ public sealed class NebaMapTests : IDisposable
         _moduleInterop.VerifyInvoke("fitBounds", 1);
     }
 
+    [Fact(DisplayName = "Should pass its own container id when calling JS functions")]
+    public async Task FitBoundsAsync_ShouldPassContainerId_WhenCalled()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+        var containerId = cut.Find("div[id^='neba-map-']").Id;
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.FitBoundsAsync());
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("fitBounds");
+        invocation.Arguments[0].ShouldBe(containerId);
+    }
+
+    [Fact(DisplayName = "Should give each map instance a distinct container id")]
+    public void Render_ShouldUseDistinctContainerIds_WhenMultipleMapsRendered()
+    {
+        // Act
+        var first = _ctx.Render<NebaMap>();
+        var second = _ctx.Render<NebaMap>();
+
+        // Assert
+        first.Find("div[id^='neba-map-']").Id
+            .ShouldNotBe(second.Find("div[id^='neba-map-']").Id);
+    }
+
     [Fact(DisplayName = "Should call closePopup JS function when invoked")]
     public async Task ClosePopupAsync_ShouldCallClosePopupJs_WhenCalled()
     {
@@ -215,6 +598,223 @@ public sealed class NebaMapTests : IDisposable
         _moduleInterop.VerifyInvoke("setMapStyle", 1);
     }
 
+    [Fact(DisplayName = "Should call setTraffic JS function when the overlay is toggled")]
+    public async Task SetTrafficAsync_ShouldCallSetTrafficJs_WhenToggled()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.SetTrafficAsync(true));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("setTraffic");
+        invocation.Arguments[1].ShouldBe(true);
+    }
+
+    [Fact(DisplayName = "Should not show the style picker unless asked to")]
+    public void Render_ShouldHideStylePicker_ByDefault()
+    {
+        // Act
+        var cut = _ctx.Render<NebaMap>();
+
+        // Assert
+        cut.FindAll(".neba-map-view-picker").ShouldBeEmpty();
+    }
+
+    [Fact(DisplayName = "Should show the style and traffic setting the member picked on an earlier visit")]
+    public void Render_ShouldShowSavedPreferences_WhenStylePickerShown()
+    {
+        // Arrange
+        _moduleInterop.Setup<NebaMap.MapViewPreferences?>("getMapViewPreferences", _ => true)
+            .SetResult(new NebaMap.MapViewPreferences("satellite", true));
+
+        // Act
+        var cut = _ctx.Render<NebaMap>(p => p.Add(x => x.ShowStylePicker, true));
+
+        // Assert
+        cut.FindAll(".neba-map-view-picker button").First(b => b.TextContent.Trim() == "Satellite")
+            .GetAttribute("aria-pressed").ShouldBe("true");
+        cut.FindAll(".neba-map-view-picker button").First(b => b.TextContent.Trim() == "Traffic")
+            .GetAttribute("aria-pressed").ShouldBe("true");
+    }
+
+    [Fact(DisplayName = "Should let a style in the page URL win when the map syncs its state with the URL")]
+    public void Render_ShouldAskForUrlStyle_WhenSyncStateWithUrl()
+    {
+        // Act
+        _ctx.Render<NebaMap>(p => p
+            .Add(x => x.ShowStylePicker, true)
+            .Add(x => x.SyncStateWithUrl, true));
+
+        // Assert
+        _moduleInterop.VerifyInvoke("getMapViewPreferences").Arguments[0].ShouldBe(true);
+    }
+
+    [Fact(DisplayName = "Should follow the site theme until the member picks a style")]
+    public void Render_ShouldSelectAuto_WhenNoStyleSaved()
+    {
+        // Act
+        var cut = _ctx.Render<NebaMap>(p => p.Add(x => x.ShowStylePicker, true));
+
+        // Assert
+        cut.FindAll(".neba-map-view-picker button").First(b => b.TextContent.Trim() == "Auto")
+            .GetAttribute("aria-pressed").ShouldBe("true");
+    }
+
+    [Fact(DisplayName = "Should call setMapStyle JS function when a style is picked")]
+    public async Task StylePicker_ShouldCallSetMapStyleJs_WhenStyleClicked()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>(p => p.Add(x => x.ShowStylePicker, true));
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll(".neba-map-view-picker button").First(b => b.TextContent.Trim() == "Hybrid").Click());
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("setMapStyle");
+        invocation.Arguments[1].ShouldBe("satellite_road_labels");
+        cut.FindAll(".neba-map-view-picker button").First(b => b.TextContent.Trim() == "Hybrid")
+            .GetAttribute("aria-pressed").ShouldBe("true");
+    }
+
+    [Fact(DisplayName = "Should pass the heatmap weighting in the map config")]
+    public void OnAfterRender_ShouldPassHeatmap_WhenConfigured()
+    {
+        // Arrange
+        var heatmap = new MapHeatmapOptions("tournaments", Radius: 40) { Seasons = ["2024-25", "2025-26"] };
+
+        // Act
+        _ctx.Render<NebaMap>(p => p.Add(x => x.Heatmap, heatmap));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("initializeMap");
+        var mapConfig = JsonSerializer.Serialize(invocation.Arguments[1]);
+        mapConfig.ShouldContain("\"heatmap\":{\"weightField\":\"tournaments\",\"seasons\":[\"2024-25\",\"2025-26\"],\"radius\":40}");
+    }
+
+    [Fact(DisplayName = "Should not show the display mode picker without a heatmap")]
+    public void Render_ShouldHideDisplayModePicker_WhenNoHeatmap()
+    {
+        // Act
+        var cut = _ctx.Render<NebaMap>();
+
+        // Assert
+        cut.FindAll(".neba-map-display-picker").ShouldBeEmpty();
+        JsonSerializer.Serialize(_moduleInterop.VerifyInvoke("initializeMap").Arguments[1]).ShouldContain("\"heatmap\":null");
+    }
+
+    [Fact(DisplayName = "Should call setDisplayMode JS function and show the latest season when the heatmap is picked")]
+    public async Task DisplayModePicker_ShouldCallSetDisplayModeJs_WhenHeatmapClicked()
+    {
+        // Arrange
+        var heatmap = new MapHeatmapOptions("tournaments") { Seasons = ["2024-25", "2025-26"] };
+        var cut = _ctx.Render<NebaMap>(p => p.Add(x => x.Heatmap, heatmap));
+        cut.FindAll(".neba-map-season-slider").ShouldBeEmpty();
+
+        // Act
+        await cut.InvokeAsync(() => cut.FindAll(".neba-map-display-picker button").First(b => b.TextContent.Trim() == "Heatmap").Click());
+
+        // Assert
+        _moduleInterop.VerifyInvoke("setDisplayMode").Arguments[1].ShouldBe("heatmap");
+        cut.FindAll(".neba-map-display-picker button").First(b => b.TextContent.Trim() == "Heatmap")
+            .GetAttribute("aria-pressed").ShouldBe("true");
+        var slider = cut.Find(".neba-map-season-slider");
+        slider.GetAttribute("value").ShouldBe("1");
+        slider.GetAttribute("aria-valuetext").ShouldBe("2025-26");
+    }
+
+    [Fact(DisplayName = "Should call setHeatmapSeason JS function when the season slider moves")]
+    public async Task SeasonSlider_ShouldCallSetHeatmapSeasonJs_WhenMoved()
+    {
+        // Arrange
+        var heatmap = new MapHeatmapOptions("tournaments") { Seasons = ["2023-24", "2024-25", "2025-26"] };
+        var cut = _ctx.Render<NebaMap>(p => p.Add(x => x.Heatmap, heatmap));
+        await cut.InvokeAsync(() => cut.Instance.SetDisplayModeAsync(MapDisplayMode.Heatmap));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find(".neba-map-season-slider").Input("0"));
+
+        // Assert
+        _moduleInterop.VerifyInvoke("setHeatmapSeason").Arguments[1].ShouldBe(0);
+        cut.Find(".neba-map-season-slider").GetAttribute("aria-valuetext").ShouldBe("2023-24");
+    }
+
+    [Fact(DisplayName = "Should not switch to the heatmap when none is configured")]
+    public async Task SetDisplayModeAsync_ShouldNotCallJs_WhenNoHeatmap()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.SetDisplayModeAsync(MapDisplayMode.Heatmap));
+
+        // Assert
+        _moduleInterop.Invocations["setDisplayMode"].ShouldBeEmpty();
+    }
+
+    [Fact(DisplayName = "Should call showTour JS function with the stops in order and the step duration")]
+    public async Task ShowTourAsync_ShouldCallShowTourJs_WithStopsAndStepDuration()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.ShowTourAsync(["spring", "summer", "spring"], TimeSpan.FromSeconds(4)));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("showTour");
+        invocation.Arguments[1].ShouldBe(new[] { "spring", "summer", "spring" });
+        JsonSerializer.Serialize(invocation.Arguments[2]).ShouldBe("{\"stepDurationMs\":4000}");
+    }
+
+    [Fact(DisplayName = "Should call the tour playback JS functions")]
+    public async Task TourPlayback_ShouldCallTourJs_WhenInvoked()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.PlayTourAsync());
+        await cut.InvokeAsync(() => cut.Instance.SetTourStepAsync(3));
+        await cut.InvokeAsync(() => cut.Instance.PauseTourAsync());
+        await cut.InvokeAsync(() => cut.Instance.ClearTourAsync());
+
+        // Assert
+        _moduleInterop.VerifyInvoke("playTour");
+        _moduleInterop.VerifyInvoke("setTourStep").Arguments[1].ShouldBe(3);
+        _moduleInterop.VerifyInvoke("pauseTour");
+        _moduleInterop.VerifyInvoke("clearTour");
+    }
+
+    [Fact(DisplayName = "Should invoke OnTourStepChanged with the step and playback state when NotifyTourStepChanged is called")]
+    public async Task NotifyTourStepChanged_ShouldInvokeCallback_WhenCalled()
+    {
+        // Arrange
+        MapTourProgress? received = null;
+        var cut = _ctx.Render<NebaMap>(parameters =>
+            parameters.Add(p => p.OnTourStepChanged, EventCallback.Factory.Create<MapTourProgress>(this, progress => received = progress)));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.NotifyTourStepChanged(4, false));
+
+        // Assert
+        received.ShouldBe(new MapTourProgress(4, false));
+    }
+
+    [Fact(DisplayName = "Should call saveViewToUrl JS function with the container id")]
+    public async Task SaveViewToUrlAsync_ShouldCallSaveViewToUrlJs()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.SaveViewToUrlAsync());
+
+        // Assert
+        _moduleInterop.VerifyInvoke("saveViewToUrl").Arguments[0].ShouldNotBeNull();
+    }
+
     [Fact(DisplayName = "Should call enterDirectionsPreview JS function when location id is provided")]
     public async Task EnterDirectionsPreviewAsync_ShouldCallJs_WhenLocationIdProvided()
     {
@@ -228,6 +828,35 @@ public sealed class NebaMapTests : IDisposable
         _moduleInterop.VerifyInvoke("enterDirectionsPreview", 1);
     }
 
+    [Fact(DisplayName = "Should call selectRoute JS function with the route index")]
+    public async Task SelectRouteAsync_ShouldCallSelectRouteJs_WhenInvoked()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.SelectRouteAsync(1));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("selectRoute");
+        invocation.Arguments[1].ShouldBe(1);
+    }
+
+    [Fact(DisplayName = "Should invoke OnRouteSelected with the route index when NotifyRouteSelected is called")]
+    public async Task NotifyRouteSelected_ShouldInvokeCallback_WhenCalled()
+    {
+        // Arrange
+        int? received = null;
+        var cut = _ctx.Render<NebaMap>(parameters =>
+            parameters.Add(p => p.OnRouteSelected, EventCallback.Factory.Create<int>(this, index => received = index)));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.NotifyRouteSelected(2));
+
+        // Assert
+        received.ShouldBe(2);
+    }
+
     [Fact(DisplayName = "Should call exitDirectionsMode JS function when invoked")]
     public async Task ExitDirectionsModeAsync_ShouldCallExitDirectionsModeJs_WhenCalled()
     {
@@ -261,6 +890,65 @@ public sealed class NebaMapTests : IDisposable
         result.TravelTimeSeconds.ShouldBe(1200);
     }
 
+    [Fact(DisplayName = "Should pass route settings to showRoute as lowercase options")]
+    public async Task ShowRouteAsync_ShouldPassRouteOptions_WhenSettingsProvided()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+        var settings = new RouteSettings
+        {
+            RouteType = RouteType.Shortest,
+            AvoidTolls = true,
+            DepartAt = new DateTime(2026, 10, 24, 7, 0, 0, DateTimeKind.Unspecified)
+        };
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.ShowRouteAsync([-71.0589, 42.3601], [-71.5, 42.5], settings));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("showRoute");
+        var options = JsonSerializer.Serialize(invocation.Arguments[3]);
+        options.ShouldContain("\"travelMode\":\"car\"");
+        options.ShouldContain("\"routeType\":\"shortest\"");
+        options.ShouldContain("\"avoidTolls\":true");
+        options.ShouldContain("\"departAt\":\"2026-10-24T07:00:00\"");
+        options.ShouldContain("\"arriveAt\":null");
+    }
+
+    [Fact(DisplayName = "Should pass null options to showRoute when no settings are provided")]
+    public async Task ShowRouteAsync_ShouldPassNullOptions_WhenSettingsOmitted()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.ShowRouteAsync([-71.0589, 42.3601], [-71.5, 42.5]));
+
+        // Assert
+        _moduleInterop.VerifyInvoke("showRoute").Arguments[3].ShouldBeNull();
+    }
+
+    [Fact(DisplayName = "Should pass carpool stop locations to showRoute in order")]
+    public async Task ShowRouteAsync_ShouldPassWaypointLocations_WhenWaypointsProvided()
+    {
+        // Arrange
+        var cut = _ctx.Render<NebaMap>();
+        RouteWaypoint[] waypoints =
+        [
+            new("45 Elm St, Worcester, MA", [-71.8, 42.26]),
+            new("9 Oak St, Framingham, MA", [-71.42, 42.28])
+        ];
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.ShowRouteAsync(
+            [-71.0589, 42.3601], [-71.5, 42.5], new RouteSettings { OptimizeWaypoints = true }, waypoints));
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("showRoute");
+        JsonSerializer.Serialize(invocation.Arguments[3]).ShouldContain("\"optimizeWaypoints\":true");
+        JsonSerializer.Serialize(invocation.Arguments[4]).ShouldBe("[[-71.8,42.26],[-71.42,42.28]]");
+    }
+
     [Fact(DisplayName = "Should call dispose JS function when component is disposed")]
     public async Task DisposeAsync_ShouldCallDisposeJs_WhenDisposed()
     {
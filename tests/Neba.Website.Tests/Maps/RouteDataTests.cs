@@ -1,6 +1,7 @@
 using Neba.TestFactory.Attributes;
 
 using RouteData = Neba.Website.Server.Maps.RouteData;
+using RouteInstruction = Neba.Website.Server.Maps.RouteInstruction;
 
 namespace Neba.Website.Tests.Maps;
 
@@ -67,4 +68,74 @@ public sealed class RouteDataTests
         // Assert
         route.FormattedTravelTime.ShouldBe("2 hr 30 min");
     }
-}
\ No newline at end of file
+
+    [Fact(DisplayName = "SelectRouteOption copies the chosen option onto the route")]
+    public void SelectRouteOption_ShouldCopyOption_WhenIndexIsAnAlternative()
+    {
+        // Arrange
+        var alternative = new RouteData
+        {
+            DistanceMeters = 17702.8,
+            TravelTimeSeconds = 1260,
+            Instructions = [new RouteInstruction { Text = "Alternative step" }],
+            Legs = [new RouteLeg { DistanceMeters = 17702.8, TravelTimeSeconds = 1260 }],
+            Incidents = [new RouteIncident { Cause = "Road work", DelaySeconds = 300 }],
+            RouteGeoJson = "{\"type\":\"Feature\"}"
+        };
+        var route = new RouteData { DistanceMeters = 16093.4, RouteOptions = [new RouteData(), alternative] };
+
+        // Act
+        var changed = route.SelectRouteOption(1);
+
+        // Assert
+        changed.ShouldBeTrue();
+        route.SelectedRouteIndex.ShouldBe(1);
+        route.DistanceMeters.ShouldBe(17702.8);
+        route.TravelTimeSeconds.ShouldBe(1260);
+        route.Instructions[0].Text.ShouldBe("Alternative step");
+        route.Legs.ShouldBe(alternative.Legs);
+        route.Incidents.ShouldBe(alternative.Incidents);
+        route.RouteGeoJson.ShouldBe(alternative.RouteGeoJson);
+    }
+
+    [Theory(DisplayName = "SelectRouteOption ignores out-of-range and already selected indexes")]
+    [InlineData(-1)]
+    [InlineData(0)]
+    [InlineData(2)]
+    public void SelectRouteOption_ShouldReturnFalse_WhenIndexIsNotSelectable(int routeIndex)
+    {
+        // Arrange
+        var route = new RouteData { DistanceMeters = 16093.4, RouteOptions = [new RouteData(), new RouteData()] };
+
+        // Act
+        var changed = route.SelectRouteOption(routeIndex);
+
+        // Assert
+        changed.ShouldBeFalse();
+        route.SelectedRouteIndex.ShouldBe(0);
+        route.DistanceMeters.ShouldBe(16093.4);
+    }
+
+    [Fact(DisplayName = "FormattedCachedAt returns null when the route was not served from cache")]
+    public void FormattedCachedAt_ShouldReturnNull_WhenCachedAtIsNull()
+    {
+        // Arrange
+        var route = new RouteData();
+
+        // Assert
+        route.FormattedCachedAt.ShouldBeNull();
+    }
+
+    [Fact(DisplayName = "FormattedCachedAt returns the cache time in the offset it was recorded in")]
+    public void FormattedCachedAt_ShouldReturnLocalTime_WhenCachedAtIsSet()
+    {
+        // Arrange
+        var route = new RouteData
+        {
+            CachedAt = new DateTimeOffset(2026, 10, 17, 7, 5, 0, TimeSpan.FromHours(-4))
+        };
+
+        // Assert
+        route.FormattedCachedAt.ShouldBe("Oct 17, 7:05 AM");
+    }
+}
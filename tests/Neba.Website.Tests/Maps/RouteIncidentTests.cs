@@ -0,0 +1,39 @@
+using Neba.TestFactory.Attributes;
+using Neba.Website.Server.Maps;
+
+namespace Neba.Website.Tests.Maps;
+
+[UnitTest]
+[Component("Website.Maps.RouteIncident")]
+public sealed class RouteIncidentTests
+{
+    [Fact(DisplayName = "Description names the cause, road and delay")]
+    public void Description_ShouldIncludeRoadAndDelay_WhenBothKnown()
+    {
+        // Arrange
+        var incident = new RouteIncident { Cause = "Accident", Road = "I-495", DelaySeconds = 720 };
+
+        // Assert
+        incident.Description.ShouldBe("Accident on I-495, +12 min");
+    }
+
+    [Fact(DisplayName = "Description leaves out the road when it is unknown")]
+    public void Description_ShouldOmitRoad_WhenRoadIsNull()
+    {
+        // Arrange
+        var incident = new RouteIncident { Cause = "Road work", DelaySeconds = 150 };
+
+        // Assert
+        incident.Description.ShouldBe("Road work, +3 min");
+    }
+
+    [Fact(DisplayName = "Description leaves out the delay when it is under half a minute")]
+    public void Description_ShouldOmitDelay_WhenDelayRoundsToZero()
+    {
+        // Arrange
+        var incident = new RouteIncident { Cause = "Lane closure", Road = "Route 9", DelaySeconds = 20 };
+
+        // Assert
+        incident.Description.ShouldBe("Lane closure on Route 9");
+    }
+}
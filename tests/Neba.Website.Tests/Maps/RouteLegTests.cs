@@ -0,0 +1,39 @@
+using Neba.TestFactory.Attributes;
+using Neba.Website.Server.Maps;
+
+namespace Neba.Website.Tests.Maps;
+
+[UnitTest]
+[Component("Website.Maps.RouteLeg")]
+public sealed class RouteLegTests
+{
+    [Fact(DisplayName = "FormattedDistance returns miles with one decimal place")]
+    public void FormattedDistance_ShouldReturnMiles_WithOneDecimalPlace()
+    {
+        // Arrange
+        var leg = new RouteLeg { DistanceMeters = 8046.7 }; // 5 mi
+
+        // Assert
+        leg.FormattedDistance.ShouldBe("5.0 mi");
+    }
+
+    [Fact(DisplayName = "FormattedTravelTime returns minutes when under an hour")]
+    public void FormattedTravelTime_ShouldReturnMinutes_WhenUnderOneHour()
+    {
+        // Arrange
+        var leg = new RouteLeg { TravelTimeSeconds = 720 };
+
+        // Assert
+        leg.FormattedTravelTime.ShouldBe("12 min");
+    }
+
+    [Fact(DisplayName = "FormattedTravelTime returns hours and minutes when an hour or more")]
+    public void FormattedTravelTime_ShouldReturnHoursAndMinutes_WhenOneHourOrMore()
+    {
+        // Arrange
+        var leg = new RouteLeg { TravelTimeSeconds = 4500 };
+
+        // Assert
+        leg.FormattedTravelTime.ShouldBe("1 hr 15 min");
+    }
+}
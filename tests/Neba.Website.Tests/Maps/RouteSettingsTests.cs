@@ -0,0 +1,77 @@
+using System.Text.Json;
+
+using Neba.TestFactory.Attributes;
+using Neba.Website.Server.Maps;
+
+namespace Neba.Website.Tests.Maps;
+
+[UnitTest]
+[Component("Website.Maps.RouteSettings")]
+public sealed class RouteSettingsTests
+{
+    [Fact(DisplayName = "Default settings are the fastest car route leaving now")]
+    public void DefaultSettings_ShouldBeFastestCarRouteLeavingNow()
+    {
+        // Arrange
+        var settings = new RouteSettings();
+
+        // Assert
+        settings.TravelMode.ShouldBe(RouteTravelMode.Car);
+        settings.RouteType.ShouldBe(RouteType.Fastest);
+        settings.AvoidTolls.ShouldBeFalse();
+        settings.AvoidHighways.ShouldBeFalse();
+        settings.DepartAt.ShouldBeNull();
+        settings.ArriveAt.ShouldBeNull();
+        settings.Summary.ShouldBe("Fastest · Driving");
+    }
+
+    [Fact(DisplayName = "Summary lists avoidances and the departure time")]
+    public void Summary_ShouldListAvoidancesAndDepartureTime_WhenSet()
+    {
+        // Arrange
+        var settings = new RouteSettings
+        {
+            TravelMode = RouteTravelMode.Bicycle,
+            RouteType = RouteType.Shortest,
+            AvoidTolls = true,
+            AvoidHighways = true,
+            DepartAt = new DateTime(2026, 10, 24, 7, 0, 0, DateTimeKind.Unspecified)
+        };
+
+        // Assert
+        settings.Summary.ShouldBe("Shortest · Cycling · Avoiding tolls · Avoiding highways · Leave Sat 7:00 AM");
+    }
+
+    [Fact(DisplayName = "Summary shows the arrival time when no departure time is set")]
+    public void Summary_ShouldShowArrivalTime_WhenOnlyArrivalTimeSet()
+    {
+        // Arrange
+        var settings = new RouteSettings
+        {
+            TravelMode = RouteTravelMode.Pedestrian,
+            ArriveAt = new DateTime(2026, 10, 24, 9, 30, 0, DateTimeKind.Unspecified)
+        };
+
+        // Assert
+        settings.Summary.ShouldBe("Fastest · Walking · Arrive by Sat 9:30 AM");
+    }
+
+    [Fact(DisplayName = "Effective settings echoed by JavaScript deserialize from lowercase names")]
+    public void Deserialize_ShouldReadLowercaseEnumNames_WhenEchoedFromJavaScript()
+    {
+        // Arrange
+        const string json = """
+            {"TravelMode":"bicycle","RouteType":"eco","AvoidTolls":true,"AvoidHighways":false,"DepartAt":"2026-10-24T07:00:00","ArriveAt":null}
+            """;
+
+        // Act
+        var settings = JsonSerializer.Deserialize<RouteSettings>(json);
+
+        // Assert
+        settings.ShouldNotBeNull();
+        settings.TravelMode.ShouldBe(RouteTravelMode.Bicycle);
+        settings.RouteType.ShouldBe(RouteType.Eco);
+        settings.AvoidTolls.ShouldBeTrue();
+        settings.DepartAt.ShouldBe(new DateTime(2026, 10, 24, 7, 0, 0, DateTimeKind.Unspecified));
+    }
+}
@@ -187,4 +187,75 @@ name: "Spring Open", season: currentYear, startDate: futureDate, endDate: future
         ariaLabel.ShouldContain("Spring Open");
         ariaLabel.ShouldContain("upcoming");
     }
-}
\ No newline at end of file
+
+    [Fact(DisplayName = "Should highlight the dot of the highlighted tournament")]
+    public void Render_ShouldMarkHighlightedDotActive_WhenHighlightedTournamentIdSet()
+    {
+        // Arrange
+        var currentYear = DateTime.Today.Year.ToString(System.Globalization.CultureInfo.InvariantCulture);
+        var first = SeasonTournamentViewModelFactory.Create(id: "first", name: "First Open", season: currentYear);
+        var second = SeasonTournamentViewModelFactory.Create(id: "second", name: "Second Open", season: currentYear);
+
+        // Act
+        var cut = _ctx.Render<SeasonTimeline>(parameters => parameters
+            .Add(p => p.Season, currentYear)
+            .Add(p => p.Tournaments, [first, second])
+            .Add(p => p.HighlightedTournamentId, "second"));
+
+        // Assert
+        var active = cut.Find(".season-timeline__dot--active");
+        active.GetAttribute("aria-label").ShouldStartWith("Second Open");
+        active.GetAttribute("aria-current").ShouldBe("step");
+        cut.FindAll("[aria-current]").Count.ShouldBe(1);
+        cut.Find(".season-timeline__tooltip").TextContent.ShouldContain("Second Open");
+    }
+
+    [Fact(DisplayName = "Should raise OnTournamentSelected when a dot is clicked or activated from the keyboard")]
+    public void DotSelection_ShouldRaiseOnTournamentSelected_WhenClickedOrEnterPressed()
+    {
+        // Arrange
+        var currentYear = DateTime.Today.Year.ToString(System.Globalization.CultureInfo.InvariantCulture);
+        var tournament = SeasonTournamentViewModelFactory.Create(id: "spring", season: currentYear);
+        var selected = new List<string>();
+
+        var cut = _ctx.Render<SeasonTimeline>(parameters => parameters
+            .Add(p => p.Season, currentYear)
+            .Add(p => p.Tournaments, [tournament])
+            .Add(p => p.OnTournamentSelected, id => selected.Add(id)));
+
+        // Act
+        cut.Find(".season-timeline__dot").Click();
+        cut.Find(".season-timeline__dot").KeyDown(new KeyboardEventArgs { Key = "Enter" });
+        cut.Find(".season-timeline__dot").KeyDown(new KeyboardEventArgs { Key = "Tab" });
+
+        // Assert
+        selected.ShouldBe(["spring", "spring"]);
+    }
+
+    [Fact(DisplayName = "Should show the tour map toggle only when OnTourMapToggled is set")]
+    public void TourMapToggle_ShouldRequestOpposite_WhenPressed()
+    {
+        // Arrange
+        var currentYear = DateTime.Today.Year.ToString(System.Globalization.CultureInfo.InvariantCulture);
+        var tournament = SeasonTournamentViewModelFactory.Create(season: currentYear);
+        bool? requested = null;
+
+        var withoutToggle = _ctx.Render<SeasonTimeline>(parameters => parameters
+            .Add(p => p.Season, currentYear)
+            .Add(p => p.Tournaments, [tournament]));
+
+        var cut = _ctx.Render<SeasonTimeline>(parameters => parameters
+            .Add(p => p.Season, currentYear)
+            .Add(p => p.Tournaments, [tournament])
+            .Add(p => p.IsTourMapOpen, true)
+            .Add(p => p.OnTourMapToggled, isOpen => requested = isOpen));
+
+        // Act
+        cut.Find(".season-timeline__tour-toggle").Click();
+
+        // Assert
+        withoutToggle.FindAll(".season-timeline__tour-toggle").ShouldBeEmpty();
+        cut.Find(".season-timeline__tour-toggle").GetAttribute("aria-pressed").ShouldBe("true");
+        requested.ShouldBe(false);
+    }
+}
@@ -0,0 +1,189 @@
+using Bunit;
+
+using Microsoft.AspNetCore.Components;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Logging.Abstractions;
+
+using Neba.TestFactory.Attributes;
+using Neba.TestFactory.Tournaments;
+using Neba.Website.Server.Maps;
+using Neba.Website.Server.Tournaments.Schedule;
+
+namespace Neba.Website.Tests.Tournaments.Schedule;
+
+[UnitTest]
+[Component("Website.Tournaments.Schedule.SeasonTourMap")]
+public sealed class SeasonTourMapTests : IDisposable
+{
+    private readonly BunitContext _ctx;
+    private readonly BunitJSInterop _moduleInterop;
+
+    public SeasonTourMapTests()
+    {
+        _ctx = new BunitContext();
+        _ctx.JSInterop.Mode = JSRuntimeMode.Loose;
+        _moduleInterop = _ctx.JSInterop.SetupModule("./Maps/NebaMap.razor.js");
+
+        _ctx.Services.AddSingleton(new AzureMapsSettings
+        {
+            AccountId = "test-account",
+            SubscriptionKey = "test-subscription-key"
+        });
+        _ctx.Services.AddSingleton(new MapRoutingSettings());
+        _ctx.Services.AddSingleton<ILogger<NebaMap>>(NullLogger<NebaMap>.Instance);
+    }
+
+    public void Dispose() => _ctx.Dispose();
+
+    [Fact(DisplayName = "Should show the tour's mapped venues in date order once the map is ready")]
+    public async Task HandleMapReady_ShouldShowTourInDateOrder_WhenMapIsReady()
+    {
+        // Arrange
+        var tournaments = CreateSeasonTournaments();
+        string? currentStop = null;
+        var cut = RenderTourMap(tournaments, onStepChanged: id => currentStop = id);
+        var map = cut.FindComponent<NebaMap>();
+
+        // Act
+        await cut.InvokeAsync(() => map.Instance.NotifyMapReady());
+
+        // Assert
+        var invocation = _moduleInterop.VerifyInvoke("showTour");
+        invocation.Arguments[1].ShouldBeAssignableTo<IReadOnlyList<string>>().ShouldBe(["january", "march", "june"]);
+        currentStop.ShouldBe("january");
+        cut.Find(".season-tour-map__caption").TextContent.ShouldContain("Stop 1 of 3");
+    }
+
+    [Fact(DisplayName = "Should leave tournaments without venue coordinates off the map")]
+    public void Render_ShouldSkipTournamentsWithoutCoordinates_WhenRendered()
+    {
+        // Arrange
+        var tournaments = CreateSeasonTournaments();
+
+        // Act
+        var cut = RenderTourMap(tournaments);
+
+        // Assert
+        var map = cut.FindComponent<NebaMap>();
+        map.Instance.Locations.Select(l => l.Id).ShouldBe(["january", "march", "june"]);
+        cut.Find(".season-tour-map__scrubber").GetAttribute("max").ShouldBe("2");
+    }
+
+    [Fact(DisplayName = "Should show an empty state when no venues have coordinates")]
+    public void Render_ShouldShowEmptyState_WhenNoVenuesAreMapped()
+    {
+        // Arrange
+        var tournaments = new List<SeasonTournamentViewModel>
+        {
+            SeasonTournamentViewModelFactory.Create() with { BowlingCenterLatitude = null, BowlingCenterLongitude = null }
+        };
+
+        // Act
+        var cut = RenderTourMap(tournaments);
+
+        // Assert
+        cut.Find(".season-tour-map__empty").TextContent.ShouldContain("No tournament venues have been mapped");
+        cut.FindComponents<NebaMap>().ShouldBeEmpty();
+    }
+
+    [Fact(DisplayName = "Should play and pause the tour from the play button")]
+    public async Task TogglePlayback_ShouldPlayThenPause_WhenPlayButtonClicked()
+    {
+        // Arrange
+        var cut = RenderTourMap(CreateSeasonTournaments());
+        var map = cut.FindComponent<NebaMap>();
+        await cut.InvokeAsync(() => map.Instance.NotifyMapReady());
+
+        // Act
+        await cut.Find(".season-tour-map__play").ClickAsync();
+
+        // Assert
+        _moduleInterop.VerifyInvoke("playTour");
+        cut.Find(".season-tour-map__play").GetAttribute("aria-label").ShouldBe("Pause season tour");
+
+        // Act
+        await cut.Find(".season-tour-map__play").ClickAsync();
+
+        // Assert
+        _moduleInterop.VerifyInvoke("pauseTour");
+        cut.Find(".season-tour-map__play").GetAttribute("aria-label").ShouldBe("Play season tour");
+    }
+
+    [Fact(DisplayName = "Should move the tour and report the stop when the scrubber moves")]
+    public async Task HandleScrub_ShouldSetTourStepAndNotify_WhenScrubberMoves()
+    {
+        // Arrange
+        string? currentStop = null;
+        var cut = RenderTourMap(CreateSeasonTournaments(), onStepChanged: id => currentStop = id);
+        var map = cut.FindComponent<NebaMap>();
+        await cut.InvokeAsync(() => map.Instance.NotifyMapReady());
+
+        // Act
+        await cut.InvokeAsync(() => cut.Find(".season-tour-map__scrubber").Input("2"));
+
+        // Assert
+        _moduleInterop.VerifyInvoke("setTourStep").Arguments[1].ShouldBe(2);
+        currentStop.ShouldBe("june");
+        cut.Find(".season-tour-map__scrubber").GetAttribute("aria-valuetext").ShouldStartWith("Stop 3 of 3: June Open");
+    }
+
+    [Fact(DisplayName = "Should report each stop the tour reaches while playing")]
+    public async Task HandleTourStepChanged_ShouldReportStop_WhenTourAdvances()
+    {
+        // Arrange
+        string? currentStop = null;
+        var cut = RenderTourMap(CreateSeasonTournaments(), onStepChanged: id => currentStop = id);
+        var map = cut.FindComponent<NebaMap>();
+        await cut.InvokeAsync(() => map.Instance.NotifyMapReady());
+
+        // Act
+        await cut.InvokeAsync(() => map.Instance.NotifyTourStepChanged(1, true));
+
+        // Assert
+        currentStop.ShouldBe("march");
+        cut.Find(".season-tour-map__caption").TextContent.ShouldContain("March Classic");
+        cut.Find(".season-tour-map__play").GetAttribute("aria-label").ShouldBe("Pause season tour");
+    }
+
+    [Fact(DisplayName = "Should move the tour to a stop selected outside the map")]
+    public async Task SelectedTournamentId_ShouldSetTourStep_WhenChangedFromOutside()
+    {
+        // Arrange
+        var tournaments = CreateSeasonTournaments();
+        var cut = RenderTourMap(tournaments);
+        var map = cut.FindComponent<NebaMap>();
+        await cut.InvokeAsync(() => map.Instance.NotifyMapReady());
+
+        // Act
+        cut.Render(parameters => parameters.Add(p => p.SelectedTournamentId, "june"));
+
+        // Assert
+        _moduleInterop.VerifyInvoke("setTourStep").Arguments[1].ShouldBe(2);
+    }
+
+    private IRenderedComponent<SeasonTourMap> RenderTourMap(
+        List<SeasonTournamentViewModel> tournaments,
+        Action<string>? onStepChanged = null)
+        => _ctx.Render<SeasonTourMap>(parameters => parameters
+            .Add(p => p.Tournaments, tournaments)
+            .Add(p => p.Season, "2025")
+            .Add(p => p.OnStepChanged, EventCallback.Factory.Create<string>(this, id => onStepChanged?.Invoke(id))));
+
+    private static List<SeasonTournamentViewModel> CreateSeasonTournaments() =>
+    [
+        SeasonTournamentViewModelFactory.Create(
+            id: "june", name: "June Open", season: "2025",
+            startDate: new DateOnly(2025, 6, 14), endDate: new DateOnly(2025, 6, 15)),
+        SeasonTournamentViewModelFactory.Create(
+            id: "january", name: "January Singles", season: "2025",
+            startDate: new DateOnly(2025, 1, 11), endDate: new DateOnly(2025, 1, 11)),
+        SeasonTournamentViewModelFactory.Create(
+            id: "unmapped", name: "April Doubles", season: "2025",
+            startDate: new DateOnly(2025, 4, 5), endDate: new DateOnly(2025, 4, 5))
+            with { BowlingCenterLatitude = null, BowlingCenterLongitude = null },
+        SeasonTournamentViewModelFactory.Create(
+            id: "march", name: "March Classic", season: "2025",
+            startDate: new DateOnly(2025, 3, 8), endDate: new DateOnly(2025, 3, 9))
+    ];
+}
@@ -93,6 +93,22 @@ public sealed class SeasonTournamentViewModelTests
         (model with { RegistrationUrl = null }).CanRegister.ShouldBeFalse();
     }
 
+    [Fact(DisplayName = "Should only report host coordinates when both latitude and longitude are known")]
+    public void HasHostCoordinates_ShouldRequireLatitudeAndLongitude_WhenEvaluated()
+    {
+        // Arrange
+        var model = SeasonTournamentViewModelFactory.Create() with
+        {
+            BowlingCenterLatitude = 42.36,
+            BowlingCenterLongitude = -71.06,
+        };
+
+        // Assert
+        model.HasHostCoordinates.ShouldBeTrue();
+        (model with { BowlingCenterLatitude = null }).HasHostCoordinates.ShouldBeFalse();
+        (model with { BowlingCenterLongitude = null }).HasHostCoordinates.ShouldBeFalse();
+    }
+
     [Fact(DisplayName = "Should expose winner convenience flag based on collection count")]
     public void HasWinners_ShouldBeTrueOnlyWhenWinnersExist_WhenEvaluated()
     {
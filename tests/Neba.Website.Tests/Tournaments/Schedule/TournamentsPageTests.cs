@@ -4,10 +4,13 @@ using ErrorOr;
 
 using Microsoft.AspNetCore.Components;
 using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Logging.Abstractions;
 
 using Neba.TestFactory.Attributes;
 using Neba.TestFactory.Tournaments;
 using Neba.Website.Server.History.Champions;
+using Neba.Website.Server.Maps;
 using Neba.Website.Server.Tournaments;
 using Neba.Website.Server.Tournaments.Schedule;
 
@@ -234,6 +237,36 @@ public sealed class TournamentsPageTests : IDisposable
         cut.Markup.ShouldContain("No upcoming tournaments are scheduled for this season.");
     }
 
+    [Fact(DisplayName = "Should open the season tour map from the timeline toggle")]
+    public async Task TourMapToggle_ShouldShowSeasonTourMap_WhenPressed()
+    {
+        // Arrange
+        _ctx.Services.AddSingleton(new AzureMapsSettings
+        {
+            AccountId = "test-account",
+            SubscriptionKey = "test-subscription-key"
+        });
+        _ctx.Services.AddSingleton(new MapRoutingSettings());
+        _ctx.Services.AddSingleton<ILogger<NebaMap>>(NullLogger<NebaMap>.Instance);
+
+        var currentSeason = MakeSeason(DateTime.Today.Year);
+        _dataService.Seasons = [currentSeason];
+        _dataService.SeasonData[currentSeason.Label] = [SeasonTournamentViewModelFactory.Create(
+            season: currentSeason.Label,
+            startDate: DateOnly.FromDateTime(DateTime.Today.AddDays(5)),
+            endDate: DateOnly.FromDateTime(DateTime.Today.AddDays(5)))];
+
+        var cut = _ctx.Render<TournamentsPage>();
+        cut.FindComponents<SeasonTourMap>().ShouldBeEmpty();
+
+        // Act
+        await cut.Find(".season-timeline__tour-toggle").ClickAsync();
+
+        // Assert
+        cut.FindComponent<SeasonTourMap>().ShouldNotBeNull();
+        cut.Find(".season-timeline__tour-toggle").GetAttribute("aria-pressed").ShouldBe("true");
+    }
+
     // ── Helpers ────────────────────────────────────────────────────────────
 
     private static SeasonViewModel MakeSeason(int year) => SeasonViewModelFactory.Create(
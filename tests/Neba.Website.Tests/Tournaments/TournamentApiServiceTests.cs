@@ -162,6 +162,14 @@ public sealed class TournamentApiServiceTests
             StartDate = new DateOnly(2024, 11, 1),
             EndDate = new DateOnly(2024, 11, 1),
             TournamentType = "Singles",
+            BowlingCenter = new TournamentBowlingCenterResponse
+            {
+                Name = "Boston Bowl",
+                City = "Dorchester",
+                State = "MA",
+                Latitude = 42.2993,
+                Longitude = -71.0619,
+            },
         };
         SetupTournamentsInSeasonSuccess(season.Id, [tournament]);
 
@@ -175,6 +183,9 @@ public sealed class TournamentApiServiceTests
         vm.Id.ShouldBe(tournament.Id);
         vm.Name.ShouldBe(tournament.Name);
         vm.TournamentType.ShouldBe(tournament.TournamentType);
+        vm.BowlingCenterName.ShouldBe("Boston Bowl");
+        vm.BowlingCenterLatitude.ShouldBe(42.2993);
+        vm.BowlingCenterLongitude.ShouldBe(-71.0619);
     }
 
     [Fact(DisplayName = "GetTournamentsForSeasonAsync should return empty list when season has no tournaments")]
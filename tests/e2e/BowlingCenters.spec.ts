@@ -1,12 +1,14 @@
 import { test, expect } from '@playwright/test';
 
 /**
- * Injects a lightweight atlas mock and pre-sets azureMapsAuthConfig.
+ * Injects a lightweight atlas mock. The website runs on the OSRM routing provider without Azure Maps
+ * keys (see playwright.config.ts), so address search and routes are answered by the OSRM/Nominatim
+ * stubs in tests/e2e/mock-api and the maps are drawn keyless.
  *
  * Why this is needed:
  * - NebaMap.razor.js calls waitForAtlas() which checks `typeof atlas !== 'undefined'`
- * - initializeMap() sets the module-level `map` variable via `new atlas.Map(...)`,
- *   which showRoute() requires to be non-null before calling the Azure Maps Route API
+ * - initializeMap() registers the per-container map instance via `new atlas.Map(...)`,
+ *   which showRoute() requires to be non-null before calling the routing provider
  * - atlas.layer.SymbolLayer must be a real constructor so instanceof checks in
  *   enterDirectionsPreview / exitDirectionsMode work correctly
  * - The 'ready' event fires after a short delay so NotifyMapReady → HandleBoundsChanged
@@ -17,7 +19,9 @@ function atlasMockScript() {
     setOptions(_options: unknown) {}
   }
   class BubbleLayer {}
-  class LineLayer {}
+  class LineLayer {
+    setOptions(_options: unknown) {}
+  }
 
   function makeDataSource() {
     const shapes: unknown[] = [];
@@ -94,7 +98,11 @@ function atlasMockScript() {
         },
       }),
       Point: (coords: unknown) => ({ type: 'Point', coordinates: coords }),
-      BoundingBox: { fromData: () => [-74, 40, -65, 48] },
+      LineString: (coords: unknown) => ({ type: 'LineString', coordinates: coords }),
+      BoundingBox: {
+        fromData: () => [-74, 40, -65, 48],
+        fromPositions: () => [-74, 40, -65, 48],
+      },
     },
     layer: { SymbolLayer, BubbleLayer, LineLayer },
     Popup: class {
@@ -102,53 +110,8 @@ function atlasMockScript() {
       close() {}
     },
   };
-
-  // Pre-set auth config so searchAddress() in DirectionsModal.razor.js works
-  // even before initializeMap() has completed on first render.
-  // eslint-disable-next-line @typescript-eslint/no-explicit-any
-  (window as any).azureMapsAuthConfig = { subscriptionKey: 'mock-key-for-e2e' };
 }
 
-// 20117 m ≈ 12.5 mi  →  FormattedDistance = "12.5 mi"
-// 1440 s = 24 min    →  FormattedTravelTime = "24 min"
-const MOCK_ROUTE_RESPONSE = {
-  routes: [
-    {
-      summary: {
-        lengthInMeters: 20117,
-        travelTimeInSeconds: 1440,
-      },
-      guidance: {
-        instructions: [
-          { message: 'Head north on Main St', travelDistance: 500 },
-          { message: 'Turn right onto Route 9', travelDistance: 15000 },
-          { message: 'Arrive at Lucky Strike Lanes', travelDistance: 0 },
-        ],
-      },
-      legs: [
-        {
-          points: [
-            { longitude: -71.0589, latitude: 42.3601 },
-            { longitude: -71.1002, latitude: 42.4012 },
-          ],
-        },
-      ],
-    },
-  ],
-};
-
-const MOCK_ADDRESS_SEARCH_RESPONSE = {
-  results: [
-    {
-      address: {
-        freeformAddress: '123 Main St, Boston, MA 02101',
-        municipality: 'Boston',
-      },
-      position: { lat: 42.3601, lon: -71.0589 },
-    },
-  ],
-};
-
 test.describe('Bowling Centers page', () => {
   test.use({ viewport: { width: 1200, height: 800 } });
 
@@ -159,24 +122,6 @@ test.describe('Bowling Centers page', () => {
     // Inject mock atlas global before any page scripts execute
     await page.addInitScript(atlasMockScript);
 
-    // Mock Azure Maps address search API (called from DirectionsModal.razor.js)
-    await page.route('https://atlas.microsoft.com/search/address/json**', async (route) => {
-      await route.fulfill({
-        status: 200,
-        contentType: 'application/json',
-        body: JSON.stringify(MOCK_ADDRESS_SEARCH_RESPONSE),
-      });
-    });
-
-    // Mock Azure Maps route directions API (called from NebaMap.razor.js showRoute())
-    await page.route('https://atlas.microsoft.com/route/directions/json**', async (route) => {
-      await route.fulfill({
-        status: 200,
-        contentType: 'application/json',
-        body: JSON.stringify(MOCK_ROUTE_RESPONSE),
-      });
-    });
-
     await page.goto('/bowling-centers');
     await page.waitForSelector('.neba-card');
   });
@@ -210,7 +155,7 @@ test.describe('Bowling Centers page', () => {
     await page.fill('#address-input', '123 Main St, Boston');
     await page.locator('button:has-text("123 Main St, Boston, MA 02101")').click();
 
-    // RouteData.FormattedDistance = "12.5 mi", FormattedTravelTime = "24 min"
+    // The OSRM stub's 20117 m / 1440 s route: FormattedDistance = "12.5 mi", FormattedTravelTime = "24 min"
     await expect(page.getByText('12.5 mi', { exact: true })).toBeVisible({ timeout: 10_000 });
     await expect(page.getByText('24 min', { exact: true })).toBeVisible();
   });
@@ -571,6 +571,98 @@ const MOCK_ARTICLE_POINTS_RACE: object = {
   attachments: [],
 };
 
+/**
+ * OSRM/Nominatim stubs so the e2e website runs on the OSRM routing provider without Azure Maps keys
+ * (see the webServer env in playwright.config.ts). Every route is 12.5 mi / 24 min, split evenly
+ * across the legs between carpool stops.
+ */
+const MOCK_NOMINATIM_PLACE = {
+  display_name: '123 Main St, Boston, MA 02101',
+  name: '',
+  lat: '42.3601',
+  lon: '-71.0589',
+  address: { city: 'Boston', state: 'Massachusetts', postcode: '02101' },
+};
+
+const MOCK_OSRM_DISTANCE_METERS = 20117;
+const MOCK_OSRM_DURATION_SECONDS = 1440;
+
+function parseOsrmCoordinates(coordinatesPath: string): number[][] {
+  return coordinatesPath
+    .split(';')
+    .map((pair) => pair.split(',').map(Number))
+    .filter((pair) => pair.length === 2 && pair.every(Number.isFinite));
+}
+
+function createOsrmLeg(from: number[], to: number[], distance: number, duration: number, isFirstLeg: boolean): object {
+  const midpoint = [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2];
+
+  return {
+    distance,
+    duration,
+    steps: [
+      {
+        distance: 500,
+        name: 'Main St',
+        maneuver: { type: isFirstLeg ? 'depart' : 'continue', modifier: 'north', location: from },
+        geometry: { type: 'LineString', coordinates: [from, midpoint] },
+      },
+      {
+        distance: distance - 500,
+        name: 'Route 9',
+        maneuver: { type: 'turn', modifier: 'right', location: midpoint },
+        geometry: { type: 'LineString', coordinates: [midpoint, to] },
+      },
+      { distance: 0, name: '', maneuver: { type: 'arrive', location: to }, geometry: { type: 'LineString', coordinates: [to] } },
+    ],
+  };
+}
+
+function createOsrmRoute(waypoints: number[][]): object {
+  const legCount = waypoints.length - 1;
+  const legs = waypoints.slice(1).map((to, index) =>
+    createOsrmLeg(
+      waypoints[index],
+      to,
+      MOCK_OSRM_DISTANCE_METERS / legCount,
+      MOCK_OSRM_DURATION_SECONDS / legCount,
+      index === 0,
+    ),
+  );
+
+  return {
+    distance: MOCK_OSRM_DISTANCE_METERS,
+    duration: MOCK_OSRM_DURATION_SECONDS,
+    geometry: { type: 'LineString', coordinates: waypoints },
+    legs,
+  };
+}
+
+/**
+ * Answers the OSRM route and trip services for any profile (driving, cycling, walking).
+ * The trip service visits the stops in the order given.
+ */
+function createOsrmResponse(pathname: string): object | null {
+  const match = /^\/osrm\/(route|trip)\/v1\/(driving|cycling|walking)\/(.+)$/.exec(pathname);
+  if (!match) return null;
+
+  const [, service, , coordinatesPath] = match;
+  const waypoints = parseOsrmCoordinates(decodeURIComponent(coordinatesPath));
+  if (waypoints.length < 2) {
+    return { code: 'InvalidQuery', message: 'Expected at least two coordinates' };
+  }
+
+  if (service === 'trip') {
+    return {
+      code: 'Ok',
+      trips: [createOsrmRoute(waypoints)],
+      waypoints: waypoints.map((location, index) => ({ location, waypoint_index: index, trips_index: 0 })),
+    };
+  }
+
+  return { code: 'Ok', routes: [createOsrmRoute(waypoints)] };
+}
+
 const routes: Record<string, unknown> = {
   '/health': { status: 'healthy' },
   '/documents/tournament-rules': { html: MOCK_TOURNAMENT_RULES_HTML },
@@ -602,6 +694,10 @@ function resolveGetRoute(pathname: string, searchParams: URLSearchParams): objec
     return seasonId === MOCK_SEASON_ID ? MOCK_SEASON_TOURNAMENTS : null;
   }
 
+  if (pathname.startsWith('/osrm/')) return createOsrmResponse(pathname);
+  if (pathname === '/nominatim/search') return [MOCK_NOMINATIM_PLACE];
+  if (pathname === '/nominatim/reverse') return MOCK_NOMINATIM_PLACE;
+
   if (pathname === '/tournaments/champions') return MOCK_TOURNAMENT_CHAMPIONS;
   if (pathname === `/bowlers/${PRIMARY_BOWLER_ID}/titles`) return MOCK_BOWLER_TITLES_CURRENT_LEADER;
   if (pathname === `/bowlers/${SECONDARY_BOWLER_ID}/titles`) return MOCK_BOWLER_TITLES_CURRENT_RIVAL;